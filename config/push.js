@@ -0,0 +1,12 @@
+// Web Push Configuration
+// The VAPID public key the push sender signs with (push/push-sender.js keys
+// prints a pair). Only the public key belongs here; leave it empty to turn
+// push alerts off.
+const WEB_PUSH_CONFIG = {
+    vapidPublicKey: ''
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { WEB_PUSH_CONFIG };
+}
@@ -8,13 +8,15 @@ const SUPABASE_CONFIG = {
 let supabaseClient = null;
 
 function initSupabase() {
-    if (typeof supabase === 'undefined') {
+    // Pages often declare their own global `supabase` variable, so always
+    // reach the CDN library through window
+    if (typeof window.supabase === 'undefined' || !window.supabase.createClient) {
         console.error('Supabase library not loaded. Please include the Supabase CDN script.');
         return null;
     }
     
     if (!supabaseClient) {
-        supabaseClient = supabase.createClient(SUPABASE_CONFIG.url, SUPABASE_CONFIG.anonKey);
+        supabaseClient = window.supabase.createClient(SUPABASE_CONFIG.url, SUPABASE_CONFIG.anonKey);
         console.log('✅ Supabase connected successfully!');
     }
     
@@ -0,0 +1,52 @@
+-- Supabase compatibility
+-- A Supabase project already has all of this. On a plain local Postgres it
+-- creates the API roles, auth.uid() and the realtime publication the later
+-- migrations refer to.
+
+-- migrate:up
+
+-- 1. API roles used by PostgREST
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_roles WHERE rolname = 'anon') THEN
+        CREATE ROLE anon NOLOGIN;
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_roles WHERE rolname = 'authenticated') THEN
+        CREATE ROLE authenticated NOLOGIN;
+    END IF;
+END $$;
+
+GRANT USAGE ON SCHEMA public TO anon, authenticated;
+ALTER DEFAULT PRIVILEGES IN SCHEMA public GRANT ALL ON TABLES TO anon, authenticated;
+ALTER DEFAULT PRIVILEGES IN SCHEMA public GRANT ALL ON SEQUENCES TO anon, authenticated;
+ALTER DEFAULT PRIVILEGES IN SCHEMA public GRANT EXECUTE ON FUNCTIONS TO anon, authenticated;
+
+-- 2. auth.uid() - the Supabase Auth user, read from the request's JWT claims
+CREATE SCHEMA IF NOT EXISTS auth;
+
+DO $$
+BEGIN
+    IF to_regprocedure('auth.uid()') IS NULL THEN
+        CREATE FUNCTION auth.uid()
+        RETURNS UUID
+        LANGUAGE sql
+        STABLE
+        AS 'SELECT NULLIF(current_setting(''request.jwt.claim.sub'', true), '''')::UUID';
+    END IF;
+END $$;
+
+GRANT USAGE ON SCHEMA auth TO anon, authenticated;
+
+-- 3. Publication that Supabase Realtime listens to
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_publication WHERE pubname = 'supabase_realtime') THEN
+        CREATE PUBLICATION supabase_realtime;
+    END IF;
+END $$;
+
+-- migrate:down
+
+-- The roles, auth schema and publication belong to Supabase on hosted
+-- projects, so they are left in place.
+SELECT 1;
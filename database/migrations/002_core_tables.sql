@@ -0,0 +1,120 @@
+-- Core tables: users, food courts, stalls, menu items and subscriptions
+-- Uses IF NOT EXISTS throughout so an existing project can adopt the
+-- migrations without losing data.
+
+-- migrate:up
+
+-- 1. Shared trigger function for updated_at columns
+CREATE OR REPLACE FUNCTION update_updated_at_column()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- 2. Users (admins and hawkers)
+CREATE TABLE IF NOT EXISTS users (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    email TEXT UNIQUE NOT NULL,
+    password_hash TEXT,
+    full_name TEXT NOT NULL,
+    phone TEXT,
+    role TEXT NOT NULL DEFAULT 'hawker' CHECK (role IN ('admin', 'hawker', 'customer')),
+    status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'inactive', 'suspended')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_users_phone ON users(phone);
+CREATE INDEX IF NOT EXISTS idx_users_role ON users(role);
+
+-- 3. Food courts
+CREATE TABLE IF NOT EXISTS food_courts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name TEXT NOT NULL,
+    address TEXT,
+    capacity INTEGER,
+    opening_time TEXT,  -- 'HH:MM'
+    closing_time TEXT,
+    status TEXT NOT NULL DEFAULT 'active',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- 4. Hawker stalls, each owned by a hawker user
+CREATE TABLE IF NOT EXISTS hawker_stalls (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    food_court_id UUID REFERENCES food_courts(id) ON DELETE CASCADE,
+    hawker_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    stall_name TEXT NOT NULL,
+    cuisine_type TEXT,
+    description TEXT,
+    image_url TEXT,
+    status TEXT NOT NULL DEFAULT 'active',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_hawker_stalls_food_court_id ON hawker_stalls(food_court_id);
+
+-- 5. Menu items
+CREATE TABLE IF NOT EXISTS menu_items (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    stall_id UUID NOT NULL REFERENCES hawker_stalls(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    description TEXT,
+    price DECIMAL(10, 2) NOT NULL,
+    category TEXT NOT NULL DEFAULT 'Main',
+    image_url TEXT,
+    available BOOLEAN NOT NULL DEFAULT true,
+    is_popular BOOLEAN NOT NULL DEFAULT false,
+    preparation_time INTEGER,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Older projects used an 'availability' text column
+ALTER TABLE menu_items ADD COLUMN IF NOT EXISTS available BOOLEAN NOT NULL DEFAULT true;
+
+CREATE INDEX IF NOT EXISTS idx_menu_items_stall_id ON menu_items(stall_id);
+CREATE INDEX IF NOT EXISTS idx_menu_items_category ON menu_items(category);
+
+-- 6. Hawker subscriptions (admin dashboard)
+CREATE TABLE IF NOT EXISTS hawker_subscriptions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    stall_id UUID REFERENCES hawker_stalls(id) ON DELETE CASCADE,
+    plan_name TEXT NOT NULL,
+    amount_paid DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    start_date DATE NOT NULL DEFAULT CURRENT_DATE,
+    end_date DATE NOT NULL,
+    status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'expired', 'cancelled')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- 7. updated_at triggers
+DROP TRIGGER IF EXISTS update_food_courts_updated_at ON food_courts;
+CREATE TRIGGER update_food_courts_updated_at
+    BEFORE UPDATE ON food_courts
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_hawker_stalls_updated_at ON hawker_stalls;
+CREATE TRIGGER update_hawker_stalls_updated_at
+    BEFORE UPDATE ON hawker_stalls
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_menu_items_updated_at ON menu_items;
+CREATE TRIGGER update_menu_items_updated_at
+    BEFORE UPDATE ON menu_items
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- migrate:down
+
+DROP TABLE IF EXISTS hawker_subscriptions;
+DROP TABLE IF EXISTS menu_items;
+DROP TABLE IF EXISTS hawker_stalls;
+DROP TABLE IF EXISTS food_courts;
+DROP TABLE IF EXISTS users;
+DROP FUNCTION IF EXISTS update_updated_at_column();
@@ -0,0 +1,38 @@
+-- QR codes for food court tables
+-- Generated once per table and reused, so printed codes stay valid.
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS qr_codes (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    food_court_id UUID NOT NULL REFERENCES food_courts(id) ON DELETE CASCADE,
+    table_number INTEGER NOT NULL,
+    qr_code_url TEXT NOT NULL, -- URL to the QR code API or stored image
+    qr_code_data TEXT, -- Base64 encoded QR code image (optional, for offline use)
+    menu_url TEXT NOT NULL, -- The actual URL that the QR code points to
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() NOT NULL,
+
+    -- Ensure unique QR code per table per food court
+    UNIQUE(food_court_id, table_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_qr_codes_food_court ON qr_codes(food_court_id);
+
+-- Row-level security (policies are added in 007)
+ALTER TABLE qr_codes ENABLE ROW LEVEL SECURITY;
+
+DROP TRIGGER IF EXISTS update_qr_codes_updated_at ON qr_codes;
+CREATE TRIGGER update_qr_codes_updated_at
+    BEFORE UPDATE ON qr_codes
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE qr_codes IS 'Stores generated QR codes for food court tables. QR codes are generated once and reused to avoid regeneration.';
+COMMENT ON COLUMN qr_codes.qr_code_url IS 'URL to QR code API or stored image location';
+COMMENT ON COLUMN qr_codes.qr_code_data IS 'Base64 encoded QR code image for offline use (optional)';
+COMMENT ON COLUMN qr_codes.menu_url IS 'The actual URL that customers land on when scanning the QR code';
+
+-- migrate:down
+
+DROP TABLE IF EXISTS qr_codes;
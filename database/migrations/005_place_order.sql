@@ -0,0 +1,142 @@
+-- Server-side order placement
+-- Customers send only menu item IDs, quantities and notes. Prices, the 6%
+-- service charge and totals are worked out here from menu_items, so editing
+-- the cart in localStorage can no longer change what an order costs.
+
+-- migrate:up
+
+-- 1. Per-item notes (e.g. "less spicy")
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS notes TEXT;
+
+-- 2. Customers can no longer write order rows directly - only through place_order()
+DROP POLICY IF EXISTS "Anyone can create orders" ON orders;
+DROP POLICY IF EXISTS "Users can create orders" ON orders;
+DROP POLICY IF EXISTS "Anyone can create order items" ON order_items;
+DROP POLICY IF EXISTS "Anyone can create order payments" ON order_payments;
+
+-- 3. The public order number: when the order was placed, then 64 random
+--    bits. A guest holds their order with it (x-order-id, cancel_order(),
+--    start_payment(), ...), so it must not be guessable from the time alone.
+CREATE EXTENSION IF NOT EXISTS pgcrypto;
+
+CREATE OR REPLACE FUNCTION new_order_number()
+RETURNS TEXT
+LANGUAGE sql
+VOLATILE
+SET search_path = public
+AS $$
+    SELECT 'ORD' || floor(extract(epoch FROM clock_timestamp()) * 1000)::BIGINT
+        || '-' || upper(encode(gen_random_bytes(8), 'hex'));
+$$;
+
+REVOKE ALL ON FUNCTION new_order_number() FROM PUBLIC, anon, authenticated;
+
+-- 4. place_order(table_number, items)
+--    p_items: [{ "menu_item_id": "...", "quantity": 2, "notes": "no onion" }, ...]
+--    Returns the order row with order_items and order_payments embedded.
+--    user_id comes from the caller's session (NULL for guests), never from the client.
+CREATE OR REPLACE FUNCTION place_order(
+    p_table_number TEXT,
+    p_items JSONB
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    service_charge_rate CONSTANT NUMERIC := 0.06;
+    line JSONB;
+    line_quantity INTEGER;
+    item RECORD;
+    v_order orders%ROWTYPE;
+    v_subtotal NUMERIC(10, 2) := 0;
+    v_service_charge NUMERIC(10, 2);
+BEGIN
+    IF p_table_number IS NULL OR btrim(p_table_number) = '' THEN
+        RAISE EXCEPTION 'Table number is required' USING ERRCODE = '22023';
+    END IF;
+
+    IF p_items IS NULL OR jsonb_typeof(p_items) <> 'array' OR jsonb_array_length(p_items) = 0 THEN
+        RAISE EXCEPTION 'Order must contain at least one item' USING ERRCODE = '22023';
+    END IF;
+
+    -- Price every line from menu_items; nothing is taken from the client except IDs and quantities
+    DROP TABLE IF EXISTS place_order_lines;
+    CREATE TEMP TABLE place_order_lines (
+        menu_item_id UUID,
+        stall_id UUID,
+        stall_name TEXT,
+        item_name TEXT,
+        price NUMERIC(10, 2),
+        quantity INTEGER,
+        notes TEXT
+    ) ON COMMIT DROP;
+
+    FOR line IN SELECT * FROM jsonb_array_elements(p_items)
+    LOOP
+        line_quantity := (line->>'quantity')::INTEGER;
+        IF line_quantity IS NULL OR line_quantity < 1 OR line_quantity > 99 THEN
+            RAISE EXCEPTION 'Invalid quantity for menu item %', line->>'menu_item_id' USING ERRCODE = '22023';
+        END IF;
+
+        SELECT mi.id, mi.name, mi.price, mi.available, hs.id AS stall_id, hs.stall_name, hs.status AS stall_status
+        INTO item
+        FROM menu_items mi
+        JOIN hawker_stalls hs ON hs.id = mi.stall_id
+        WHERE mi.id = (line->>'menu_item_id')::UUID;
+
+        IF NOT FOUND THEN
+            RAISE EXCEPTION 'Menu item % does not exist', line->>'menu_item_id' USING ERRCODE = 'P0002';
+        END IF;
+
+        IF NOT item.available OR item.stall_status <> 'active' THEN
+            RAISE EXCEPTION '% is no longer available', item.name USING ERRCODE = 'P0001';
+        END IF;
+
+        INSERT INTO place_order_lines
+        VALUES (item.id, item.stall_id, item.stall_name, item.name, item.price, line_quantity, NULLIF(btrim(line->>'notes'), ''));
+
+        v_subtotal := v_subtotal + item.price * line_quantity;
+    END LOOP;
+
+    v_service_charge := round(v_subtotal * service_charge_rate, 2);
+
+    -- Everything below runs in the caller's transaction: either all three tables are written or none
+    INSERT INTO orders (order_id, table_number, user_id, subtotal, service_charge, total, status)
+    VALUES (
+        new_order_number(),
+        btrim(p_table_number),
+        auth.uid(),
+        v_subtotal,
+        v_service_charge,
+        v_subtotal + v_service_charge,
+        'pending'
+    )
+    RETURNING * INTO v_order;
+
+    INSERT INTO order_items (order_id, menu_item_id, stall_id, item_name, price, quantity, subtotal, notes)
+    SELECT v_order.id, menu_item_id, stall_id, item_name, price, quantity, price * quantity, notes
+    FROM place_order_lines;
+
+    INSERT INTO order_payments (order_id, stall_id, stall_name, amount, is_paid)
+    SELECT v_order.id, stall_id, stall_name, sum(price * quantity), false
+    FROM place_order_lines
+    GROUP BY stall_id, stall_name;
+
+    RETURN to_jsonb(v_order) || jsonb_build_object(
+        'order_items', (SELECT jsonb_agg(to_jsonb(oi)) FROM order_items oi WHERE oi.order_id = v_order.id),
+        'order_payments', (SELECT jsonb_agg(to_jsonb(op)) FROM order_payments op WHERE op.order_id = v_order.id)
+    );
+END;
+$$;
+
+-- 5. Guests (anon) and logged-in users may call it
+REVOKE ALL ON FUNCTION place_order(TEXT, JSONB) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION place_order(TEXT, JSONB) TO anon, authenticated;
+
+-- migrate:down
+
+DROP FUNCTION IF EXISTS place_order(TEXT, JSONB);
+DROP FUNCTION IF EXISTS new_order_number();
+ALTER TABLE order_items DROP COLUMN IF EXISTS notes;
@@ -0,0 +1,244 @@
+-- Hashed passwords and signed session tokens for hawker and admin login
+-- Passwords are stored as bcrypt hashes (pgcrypto). Logging in returns a
+-- signed token that expires; every hawker/admin page checks it with
+-- auth_verify() and logging out revokes it.
+
+-- migrate:up
+
+CREATE EXTENSION IF NOT EXISTS pgcrypto;
+
+-- 1. Hash passwords on write, so plain text never reaches the table
+CREATE OR REPLACE FUNCTION hash_user_password()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.password_hash IS NOT NULL AND NEW.password_hash NOT LIKE '$2_$%' THEN
+        NEW.password_hash = crypt(NEW.password_hash, gen_salt('bf', 10));
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS hash_users_password ON users;
+CREATE TRIGGER hash_users_password
+    BEFORE INSERT OR UPDATE OF password_hash ON users
+    FOR EACH ROW
+    EXECUTE FUNCTION hash_user_password();
+
+-- Hash any passwords that were saved in plain text before this script
+UPDATE users SET password_hash = password_hash WHERE password_hash NOT LIKE '$2_$%';
+
+-- 2. Nobody outside these functions can read password hashes
+REVOKE SELECT ON users FROM anon, authenticated;
+GRANT SELECT (id, email, full_name, phone, role, status, created_at) ON users TO anon, authenticated;
+
+-- 3. Signing key and sessions (not exposed through the API)
+CREATE TABLE IF NOT EXISTS auth_secrets (
+    name TEXT PRIMARY KEY,
+    secret BYTEA NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+INSERT INTO auth_secrets (name, secret)
+VALUES ('session_signing_key', gen_random_bytes(32))
+ON CONFLICT (name) DO NOTHING;
+
+CREATE TABLE IF NOT EXISTS user_sessions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    role TEXT NOT NULL,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_sessions_user_id ON user_sessions(user_id);
+
+ALTER TABLE auth_secrets ENABLE ROW LEVEL SECURITY;
+ALTER TABLE user_sessions ENABLE ROW LEVEL SECURITY;
+REVOKE ALL ON auth_secrets FROM anon, authenticated;
+REVOKE ALL ON user_sessions FROM anon, authenticated;
+
+-- 4. Token helpers
+--    Token format: base64url(payload JSON) || '.' || base64url(HMAC-SHA256(payload))
+CREATE OR REPLACE FUNCTION base64url_encode(data BYTEA)
+RETURNS TEXT AS $$
+    SELECT translate(encode(data, 'base64'), E'+/=\n', '-_');
+$$ LANGUAGE sql IMMUTABLE;
+
+CREATE OR REPLACE FUNCTION base64url_decode(data TEXT)
+RETURNS BYTEA AS $$
+    SELECT decode(
+        rpad(translate(data, '-_', '+/'), ((length(data) + 3) / 4) * 4, '='),
+        'base64'
+    );
+$$ LANGUAGE sql IMMUTABLE;
+
+CREATE OR REPLACE FUNCTION sign_session_payload(payload TEXT)
+RETURNS TEXT
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT base64url_encode(hmac(convert_to(payload, 'UTF8'), secret, 'sha256'))
+    FROM auth_secrets
+    WHERE name = 'session_signing_key';
+$$;
+
+REVOKE ALL ON FUNCTION sign_session_payload(TEXT) FROM PUBLIC, anon, authenticated;
+
+-- 5. auth_login(identifier, password, role, remember)
+--    Hawkers log in with their phone number, admins with their email.
+--    Returns { token, expires_at, user: { id, full_name, email, phone, role } }
+CREATE OR REPLACE FUNCTION auth_login(
+    p_identifier TEXT,
+    p_password TEXT,
+    p_role TEXT,
+    p_remember BOOLEAN DEFAULT false
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_user users%ROWTYPE;
+    v_session user_sessions%ROWTYPE;
+    v_payload TEXT;
+BEGIN
+    IF p_role NOT IN ('hawker', 'admin') THEN
+        RAISE EXCEPTION 'Unknown role %', p_role USING ERRCODE = '22023';
+    END IF;
+
+    SELECT * INTO v_user
+    FROM users
+    WHERE role = p_role
+    AND (phone = btrim(p_identifier) OR lower(email) = lower(btrim(p_identifier)))
+    LIMIT 1;
+
+    -- Same message whether the account or the password is wrong
+    IF NOT FOUND OR v_user.password_hash IS NULL
+        OR v_user.password_hash <> crypt(p_password, v_user.password_hash) THEN
+        RAISE EXCEPTION 'Incorrect login details' USING ERRCODE = '28P01';
+    END IF;
+
+    IF v_user.status IS DISTINCT FROM 'active' THEN
+        RAISE EXCEPTION 'This account is not active' USING ERRCODE = '28000';
+    END IF;
+
+    INSERT INTO user_sessions (user_id, role, expires_at)
+    VALUES (
+        v_user.id,
+        v_user.role,
+        NOW() + CASE WHEN p_remember THEN INTERVAL '30 days' ELSE INTERVAL '12 hours' END
+    )
+    RETURNING * INTO v_session;
+
+    v_payload := jsonb_build_object(
+        'sid', v_session.id,
+        'uid', v_user.id,
+        'role', v_user.role,
+        'exp', floor(extract(epoch FROM v_session.expires_at))::BIGINT
+    )::TEXT;
+
+    RETURN jsonb_build_object(
+        'token', base64url_encode(convert_to(v_payload, 'UTF8')) || '.' || sign_session_payload(v_payload),
+        'expires_at', v_session.expires_at,
+        'user', jsonb_build_object(
+            'id', v_user.id,
+            'full_name', v_user.full_name,
+            'email', v_user.email,
+            'phone', v_user.phone,
+            'role', v_user.role
+        )
+    );
+END;
+$$;
+
+-- 6. auth_verify(token) - checks the signature, expiry and revocation
+--    Returns { session_id, user_id, role, expires_at } or raises
+CREATE OR REPLACE FUNCTION auth_verify(p_token TEXT)
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_payload TEXT;
+    v_claims JSONB;
+    v_session user_sessions%ROWTYPE;
+BEGIN
+    IF p_token IS NULL OR p_token NOT LIKE '%.%' THEN
+        RAISE EXCEPTION 'Invalid session' USING ERRCODE = '28000';
+    END IF;
+
+    v_payload := convert_from(base64url_decode(split_part(p_token, '.', 1)), 'UTF8');
+
+    IF sign_session_payload(v_payload) <> split_part(p_token, '.', 2) THEN
+        RAISE EXCEPTION 'Invalid session' USING ERRCODE = '28000';
+    END IF;
+
+    v_claims := v_payload::JSONB;
+
+    SELECT * INTO v_session
+    FROM user_sessions
+    WHERE id = (v_claims->>'sid')::UUID
+    AND revoked_at IS NULL
+    AND expires_at > NOW();
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Session expired' USING ERRCODE = '28000';
+    END IF;
+
+    RETURN jsonb_build_object(
+        'session_id', v_session.id,
+        'user_id', v_session.user_id,
+        'role', v_session.role,
+        'expires_at', v_session.expires_at
+    );
+END;
+$$;
+
+-- 7. auth_logout(token) - revokes the session so the token stops working
+CREATE OR REPLACE FUNCTION auth_logout(p_token TEXT)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_session JSONB;
+BEGIN
+    v_session := auth_verify(p_token);
+
+    UPDATE user_sessions
+    SET revoked_at = NOW()
+    WHERE id = (v_session->>'session_id')::UUID;
+
+    RETURN true;
+EXCEPTION
+    WHEN SQLSTATE '28000' THEN
+        -- Already expired or revoked
+        RETURN false;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION auth_login(TEXT, TEXT, TEXT, BOOLEAN) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION auth_verify(TEXT) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION auth_logout(TEXT) TO anon, authenticated;
+
+-- migrate:down
+
+DROP FUNCTION IF EXISTS auth_logout(TEXT);
+DROP FUNCTION IF EXISTS auth_verify(TEXT);
+DROP FUNCTION IF EXISTS auth_login(TEXT, TEXT, TEXT, BOOLEAN);
+DROP FUNCTION IF EXISTS sign_session_payload(TEXT);
+DROP FUNCTION IF EXISTS base64url_decode(TEXT);
+DROP FUNCTION IF EXISTS base64url_encode(BYTEA);
+DROP TABLE IF EXISTS user_sessions;
+DROP TABLE IF EXISTS auth_secrets;
+GRANT SELECT ON users TO anon, authenticated;
+DROP TRIGGER IF EXISTS hash_users_password ON users;
+DROP FUNCTION IF EXISTS hash_user_password();
+-- Password hashes are one-way, so stored passwords stay hashed
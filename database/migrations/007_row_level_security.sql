@@ -0,0 +1,311 @@
+-- Row-level security scoped to stall ownership
+-- Replaces the USING (true) policies from the older scripts:
+--   - hawkers write only the menu items, order items and payments of stalls they own
+--   - only admins write food courts, users, QR codes, subscription plans and ads
+--   - guests read only the order whose order_id they hold
+--
+-- The app does not use Supabase Auth, so callers identify themselves with
+-- request headers that PostgREST passes through (see js/data-store.js):
+--   x-session-token  signed token from auth_login()
+--   x-order-id       public order number a guest is tracking (e.g. ORD1700000000000)
+
+-- migrate:up
+
+-- 1. Every stall belongs to a user
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.table_constraints tc
+        JOIN information_schema.key_column_usage kcu
+            ON kcu.constraint_name = tc.constraint_name AND kcu.table_name = tc.table_name
+        WHERE tc.table_name = 'hawker_stalls'
+        AND tc.constraint_type = 'FOREIGN KEY'
+        AND kcu.column_name = 'hawker_id'
+    ) THEN
+        ALTER TABLE hawker_stalls
+            ADD CONSTRAINT hawker_stalls_hawker_id_fkey
+            FOREIGN KEY (hawker_id) REFERENCES users(id) ON DELETE SET NULL;
+        RAISE NOTICE 'hawker_stalls.hawker_id now references users';
+    END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_hawker_stalls_hawker_id ON hawker_stalls(hawker_id);
+
+-- 2. Who is calling?
+CREATE OR REPLACE FUNCTION request_header(p_name TEXT)
+RETURNS TEXT
+LANGUAGE sql
+STABLE
+AS $$
+    SELECT NULLIF(current_setting('request.headers', true), '')::JSON ->> lower(p_name);
+$$;
+
+-- The verified session for x-session-token, or NULL for guests and bad tokens
+CREATE OR REPLACE FUNCTION current_session()
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_token TEXT := request_header('x-session-token');
+BEGIN
+    IF v_token IS NULL THEN
+        RETURN NULL;
+    END IF;
+    RETURN auth_verify(v_token);
+EXCEPTION
+    WHEN OTHERS THEN
+        -- Expired, revoked or malformed tokens are treated as guests
+        RETURN NULL;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION current_user_id()
+RETURNS UUID
+LANGUAGE sql
+STABLE
+AS $$
+    SELECT (current_session()->>'user_id')::UUID;
+$$;
+
+CREATE OR REPLACE FUNCTION is_admin()
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+AS $$
+    SELECT coalesce(current_session()->>'role' = 'admin', false);
+$$;
+
+-- Stalls owned by the calling hawker (empty for guests and admins)
+CREATE OR REPLACE FUNCTION current_stall_ids()
+RETURNS SETOF UUID
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT id FROM hawker_stalls
+    WHERE hawker_id = current_user_id()
+    AND current_session()->>'role' = 'hawker';
+$$;
+
+-- Orders containing items from the calling hawker's stalls
+CREATE OR REPLACE FUNCTION current_stall_order_ids()
+RETURNS SETOF UUID
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT DISTINCT order_id FROM order_items
+    WHERE stall_id IN (SELECT current_stall_ids());
+$$;
+
+-- The order named by x-order-id (the one a guest is tracking)
+CREATE OR REPLACE FUNCTION requested_order_id()
+RETURNS UUID
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT id FROM orders WHERE order_id = request_header('x-order-id');
+$$;
+
+GRANT EXECUTE ON FUNCTION request_header(TEXT) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION current_session() TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION current_user_id() TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION is_admin() TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION current_stall_ids() TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION current_stall_order_ids() TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION requested_order_id() TO anon, authenticated;
+
+-- 3. Drop the old open policies
+DROP POLICY IF EXISTS "Anyone can update order status" ON orders;
+DROP POLICY IF EXISTS "View own orders or guest orders" ON orders;
+DROP POLICY IF EXISTS "Users can view their own orders or guest orders by order_id" ON orders;
+DROP POLICY IF EXISTS "Anyone can view order items" ON order_items;
+DROP POLICY IF EXISTS "Hawkers can view their stall's order items" ON order_items;
+DROP POLICY IF EXISTS "Anyone can view order payments" ON order_payments;
+DROP POLICY IF EXISTS "Anyone can update order payments" ON order_payments;
+DROP POLICY IF EXISTS "Allow public read access" ON menu_items;
+DROP POLICY IF EXISTS "Allow authenticated insert" ON menu_items;
+DROP POLICY IF EXISTS "Allow authenticated update" ON menu_items;
+DROP POLICY IF EXISTS "Allow authenticated delete" ON menu_items;
+DROP POLICY IF EXISTS "Allow admins to read QR codes" ON qr_codes;
+DROP POLICY IF EXISTS "Allow admins to insert QR codes" ON qr_codes;
+DROP POLICY IF EXISTS "Allow admins to update QR codes" ON qr_codes;
+DROP POLICY IF EXISTS "Allow admins to delete QR codes" ON qr_codes;
+
+ALTER TABLE users ENABLE ROW LEVEL SECURITY;
+ALTER TABLE food_courts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE hawker_stalls ENABLE ROW LEVEL SECURITY;
+ALTER TABLE menu_items ENABLE ROW LEVEL SECURITY;
+ALTER TABLE orders ENABLE ROW LEVEL SECURITY;
+ALTER TABLE order_items ENABLE ROW LEVEL SECURITY;
+ALTER TABLE order_payments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE qr_codes ENABLE ROW LEVEL SECURITY;
+
+-- 4. Users: read yourself, admins manage accounts
+DROP POLICY IF EXISTS "Users read own account" ON users;
+CREATE POLICY "Users read own account"
+    ON users FOR SELECT
+    USING (id = (SELECT current_user_id()) OR (SELECT is_admin()));
+
+DROP POLICY IF EXISTS "Admins manage users" ON users;
+CREATE POLICY "Admins manage users"
+    ON users FOR ALL
+    USING ((SELECT is_admin()))
+    WITH CHECK ((SELECT is_admin()));
+
+-- 5. Food courts: public read, admin write
+DROP POLICY IF EXISTS "Anyone can view food courts" ON food_courts;
+CREATE POLICY "Anyone can view food courts"
+    ON food_courts FOR SELECT
+    USING (true);
+
+DROP POLICY IF EXISTS "Admins manage food courts" ON food_courts;
+CREATE POLICY "Admins manage food courts"
+    ON food_courts FOR ALL
+    USING ((SELECT is_admin()))
+    WITH CHECK ((SELECT is_admin()));
+
+-- 6. Stalls: public read, admins create/delete, owners edit their own details
+DROP POLICY IF EXISTS "Anyone can view stalls" ON hawker_stalls;
+CREATE POLICY "Anyone can view stalls"
+    ON hawker_stalls FOR SELECT
+    USING (true);
+
+DROP POLICY IF EXISTS "Admins manage stalls" ON hawker_stalls;
+CREATE POLICY "Admins manage stalls"
+    ON hawker_stalls FOR ALL
+    USING ((SELECT is_admin()))
+    WITH CHECK ((SELECT is_admin()));
+
+DROP POLICY IF EXISTS "Owners update their stall" ON hawker_stalls;
+CREATE POLICY "Owners update their stall"
+    ON hawker_stalls FOR UPDATE
+    USING (id IN (SELECT current_stall_ids()))
+    WITH CHECK (hawker_id = (SELECT current_user_id()));
+
+-- 7. Menu items: public read, owners write
+DROP POLICY IF EXISTS "Anyone can view menu items" ON menu_items;
+CREATE POLICY "Anyone can view menu items"
+    ON menu_items FOR SELECT
+    USING (true);
+
+DROP POLICY IF EXISTS "Owners manage their menu items" ON menu_items;
+CREATE POLICY "Owners manage their menu items"
+    ON menu_items FOR ALL
+    USING (stall_id IN (SELECT current_stall_ids()) OR (SELECT is_admin()))
+    WITH CHECK (stall_id IN (SELECT current_stall_ids()) OR (SELECT is_admin()));
+
+-- 8. Orders: created only by place_order(); guests read the order they hold,
+--    hawkers read and update orders containing their items, admins see everything
+DROP POLICY IF EXISTS "Read held, own-stall or all orders" ON orders;
+CREATE POLICY "Read held, own-stall or all orders"
+    ON orders FOR SELECT
+    USING (
+        id = (SELECT requested_order_id())
+        OR id IN (SELECT current_stall_order_ids())
+        OR (SELECT is_admin())
+    );
+
+DROP POLICY IF EXISTS "Hawkers update orders for their stalls" ON orders;
+CREATE POLICY "Hawkers update orders for their stalls"
+    ON orders FOR UPDATE
+    USING (id IN (SELECT current_stall_order_ids()) OR (SELECT is_admin()))
+    WITH CHECK (id IN (SELECT current_stall_order_ids()) OR (SELECT is_admin()));
+
+DROP POLICY IF EXISTS "Admins delete orders" ON orders;
+CREATE POLICY "Admins delete orders"
+    ON orders FOR DELETE
+    USING ((SELECT is_admin()));
+
+-- 9. Order items and payments: the guest's order, the hawker's own stall rows
+DROP POLICY IF EXISTS "Read held, own-stall or all order items" ON order_items;
+CREATE POLICY "Read held, own-stall or all order items"
+    ON order_items FOR SELECT
+    USING (
+        order_id = (SELECT requested_order_id())
+        OR stall_id IN (SELECT current_stall_ids())
+        OR (SELECT is_admin())
+    );
+
+DROP POLICY IF EXISTS "Hawkers update their order items" ON order_items;
+CREATE POLICY "Hawkers update their order items"
+    ON order_items FOR UPDATE
+    USING (stall_id IN (SELECT current_stall_ids()))
+    WITH CHECK (stall_id IN (SELECT current_stall_ids()));
+
+DROP POLICY IF EXISTS "Read held, own-stall or all order payments" ON order_payments;
+CREATE POLICY "Read held, own-stall or all order payments"
+    ON order_payments FOR SELECT
+    USING (
+        order_id = (SELECT requested_order_id())
+        OR stall_id IN (SELECT current_stall_ids())
+        OR (SELECT is_admin())
+    );
+
+DROP POLICY IF EXISTS "Hawkers update their order payments" ON order_payments;
+CREATE POLICY "Hawkers update their order payments"
+    ON order_payments FOR UPDATE
+    USING (stall_id IN (SELECT current_stall_ids()))
+    WITH CHECK (stall_id IN (SELECT current_stall_ids()));
+
+-- 10. QR codes: public read (the menu URL is printed on the table anyway), admin write
+DROP POLICY IF EXISTS "Anyone can view QR codes" ON qr_codes;
+CREATE POLICY "Anyone can view QR codes"
+    ON qr_codes FOR SELECT
+    USING (true);
+
+DROP POLICY IF EXISTS "Admins manage QR codes" ON qr_codes;
+CREATE POLICY "Admins manage QR codes"
+    ON qr_codes FOR ALL
+    USING ((SELECT is_admin()))
+    WITH CHECK ((SELECT is_admin()));
+
+-- 11. Subscription plans and ads: public read, admin write (skipped if the tables don't exist yet)
+DO $$
+DECLARE
+    v_table TEXT;
+BEGIN
+    FOREACH v_table IN ARRAY ARRAY['subscription_plans', 'advertisements']
+    LOOP
+        IF to_regclass('public.' || v_table) IS NULL THEN
+            RAISE NOTICE '% does not exist, skipping', v_table;
+            CONTINUE;
+        END IF;
+
+        EXECUTE format('ALTER TABLE %I ENABLE ROW LEVEL SECURITY', v_table);
+
+        EXECUTE format('DROP POLICY IF EXISTS "Anyone can view %s" ON %I', v_table, v_table);
+        EXECUTE format('CREATE POLICY "Anyone can view %s" ON %I FOR SELECT USING (true)', v_table, v_table);
+
+        EXECUTE format('DROP POLICY IF EXISTS "Admins manage %s" ON %I', v_table, v_table);
+        EXECUTE format(
+            'CREATE POLICY "Admins manage %s" ON %I FOR ALL USING ((SELECT is_admin())) WITH CHECK ((SELECT is_admin()))',
+            v_table, v_table
+        );
+    END LOOP;
+END $$;
+
+-- migrate:down
+
+-- Dropping the helper functions takes every policy that uses them with it.
+-- RLS stays enabled, so only the table owner (and SECURITY DEFINER
+-- functions) can reach the data until new policies are added.
+DROP FUNCTION IF EXISTS requested_order_id() CASCADE;
+DROP FUNCTION IF EXISTS current_stall_order_ids() CASCADE;
+DROP FUNCTION IF EXISTS current_stall_ids() CASCADE;
+DROP FUNCTION IF EXISTS is_admin() CASCADE;
+DROP FUNCTION IF EXISTS current_user_id() CASCADE;
+DROP FUNCTION IF EXISTS current_session() CASCADE;
+DROP FUNCTION IF EXISTS request_header(TEXT) CASCADE;
+
+DROP POLICY IF EXISTS "Anyone can view food courts" ON food_courts;
+DROP POLICY IF EXISTS "Anyone can view stalls" ON hawker_stalls;
+DROP POLICY IF EXISTS "Anyone can view menu items" ON menu_items;
+DROP POLICY IF EXISTS "Anyone can view QR codes" ON qr_codes;
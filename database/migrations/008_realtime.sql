@@ -0,0 +1,38 @@
+-- Realtime order updates
+-- Adds the order tables to the realtime publication. Realtime only sends rows
+-- the subscriber's policies allow and cannot pass the x-session-token or
+-- x-order-id headers, so the order tracking page polls on Supabase instead.
+
+-- migrate:up
+
+DO $$
+DECLARE
+    v_table TEXT;
+BEGIN
+    FOREACH v_table IN ARRAY ARRAY['orders', 'order_items', 'order_payments']
+    LOOP
+        IF NOT EXISTS (
+            SELECT 1 FROM pg_publication_tables
+            WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = v_table
+        ) THEN
+            EXECUTE format('ALTER PUBLICATION supabase_realtime ADD TABLE %I', v_table);
+        END IF;
+    END LOOP;
+END $$;
+
+-- migrate:down
+
+DO $$
+DECLARE
+    v_table TEXT;
+BEGIN
+    FOREACH v_table IN ARRAY ARRAY['orders', 'order_items', 'order_payments']
+    LOOP
+        IF EXISTS (
+            SELECT 1 FROM pg_publication_tables
+            WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = v_table
+        ) THEN
+            EXECUTE format('ALTER PUBLICATION supabase_realtime DROP TABLE %I', v_table);
+        END IF;
+    END LOOP;
+END $$;
@@ -0,0 +1,152 @@
+-- Per-stall order status
+-- A multi-stall order is prepared by several hawkers at once, so each stall's
+-- portion (its order_items) carries its own status. orders.status is no longer
+-- written by hawkers; it is rolled up from the items by a trigger:
+--   - the slowest stall that hasn't cancelled (pending < preparing < ready < completed)
+--   - 'cancelled' once every stall has cancelled
+
+-- migrate:up
+
+-- 1. Status on each order item, starting from the order's current status
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'pending';
+
+UPDATE order_items oi
+SET status = o.status
+FROM orders o
+WHERE o.id = oi.order_id
+AND o.status IS NOT NULL
+AND oi.status IS DISTINCT FROM o.status;
+
+ALTER TABLE order_items DROP CONSTRAINT IF EXISTS order_items_status_check;
+ALTER TABLE order_items ADD CONSTRAINT order_items_status_check
+    CHECK (status IN ('pending', 'preparing', 'ready', 'completed', 'cancelled'));
+
+CREATE INDEX IF NOT EXISTS idx_order_items_stall_status ON order_items(stall_id, status);
+
+-- 2. Roll the item statuses up to orders.status
+CREATE OR REPLACE FUNCTION roll_up_order_status(p_order_id UUID)
+RETURNS TEXT
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_status TEXT;
+BEGIN
+    SELECT CASE
+        WHEN bool_and(status = 'cancelled') THEN 'cancelled'
+        ELSE (ARRAY['pending', 'preparing', 'ready', 'completed'])[
+            min(array_position(ARRAY['pending', 'preparing', 'ready', 'completed'], status))
+        ]
+    END
+    INTO v_status
+    FROM order_items
+    WHERE order_id = p_order_id;
+
+    -- Always touch the order so pollers and realtime see per-stall changes too
+    UPDATE orders
+    SET status = coalesce(v_status, status), updated_at = NOW()
+    WHERE id = p_order_id;
+
+    RETURN v_status;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION roll_up_order_status_trigger()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    PERFORM roll_up_order_status(NEW.order_id);
+    RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS roll_up_order_status ON order_items;
+CREATE TRIGGER roll_up_order_status
+    AFTER UPDATE OF status ON order_items
+    FOR EACH ROW
+    WHEN (OLD.status IS DISTINCT FROM NEW.status)
+    EXECUTE FUNCTION roll_up_order_status_trigger();
+
+REVOKE ALL ON FUNCTION roll_up_order_status(UUID) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION roll_up_order_status_trigger() FROM PUBLIC, anon, authenticated;
+
+-- 3. update_stall_order_status(order_id, stall_id, status)
+--    Moves one stall's portion of an order. Only the stall's owner (or an admin)
+--    may call it. Returns the rolled-up order row with that stall's order_items.
+CREATE OR REPLACE FUNCTION update_stall_order_status(
+    p_order_id TEXT,
+    p_stall_id UUID,
+    p_status TEXT
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_order orders%ROWTYPE;
+BEGIN
+    IF p_status IS NULL OR p_status NOT IN ('pending', 'preparing', 'ready', 'completed', 'cancelled') THEN
+        RAISE EXCEPTION 'Unknown order status %', p_status USING ERRCODE = '22023';
+    END IF;
+
+    IF NOT (p_stall_id IN (SELECT current_stall_ids()) OR is_admin()) THEN
+        RAISE EXCEPTION 'Not allowed to update orders for this stall' USING ERRCODE = '42501';
+    END IF;
+
+    SELECT * INTO v_order FROM orders WHERE order_id = p_order_id;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Order % does not exist', p_order_id USING ERRCODE = 'P0002';
+    END IF;
+
+    UPDATE order_items
+    SET status = p_status
+    WHERE order_id = v_order.id
+    AND stall_id = p_stall_id;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Order % has no items from this stall', p_order_id USING ERRCODE = 'P0002';
+    END IF;
+
+    SELECT * INTO v_order FROM orders WHERE id = v_order.id;
+
+    RETURN to_jsonb(v_order) || jsonb_build_object(
+        'order_items', (
+            SELECT jsonb_agg(to_jsonb(oi)) FROM order_items oi
+            WHERE oi.order_id = v_order.id AND oi.stall_id = p_stall_id
+        )
+    );
+END;
+$$;
+
+REVOKE ALL ON FUNCTION update_stall_order_status(TEXT, UUID, TEXT) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION update_stall_order_status(TEXT, UUID, TEXT) TO anon, authenticated;
+
+-- 4. Hawkers no longer write orders.status directly; one stall marking an
+--    order ready must not mark every other stall's food ready
+DROP POLICY IF EXISTS "Hawkers update orders for their stalls" ON orders;
+DROP POLICY IF EXISTS "Admins update orders" ON orders;
+CREATE POLICY "Admins update orders"
+    ON orders FOR UPDATE
+    USING ((SELECT is_admin()))
+    WITH CHECK ((SELECT is_admin()));
+
+-- migrate:down
+
+DROP POLICY IF EXISTS "Admins update orders" ON orders;
+DROP POLICY IF EXISTS "Hawkers update orders for their stalls" ON orders;
+CREATE POLICY "Hawkers update orders for their stalls"
+    ON orders FOR UPDATE
+    USING (id IN (SELECT current_stall_order_ids()) OR (SELECT is_admin()))
+    WITH CHECK (id IN (SELECT current_stall_order_ids()) OR (SELECT is_admin()));
+
+DROP FUNCTION IF EXISTS update_stall_order_status(TEXT, UUID, TEXT);
+DROP TRIGGER IF EXISTS roll_up_order_status ON order_items;
+DROP FUNCTION IF EXISTS roll_up_order_status_trigger();
+DROP FUNCTION IF EXISTS roll_up_order_status(UUID);
+DROP INDEX IF EXISTS idx_order_items_stall_status;
+ALTER TABLE order_items DROP COLUMN IF EXISTS status;
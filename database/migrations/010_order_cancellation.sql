@@ -0,0 +1,295 @@
+-- Cancellations and refunds
+--   - customers cancel their whole order while it is still pending, within a
+--     short grace window after placing it
+--   - hawkers reject single items (e.g. sold out) with a reason
+-- Either way, if the stall has been paid, its order_payments row is marked
+-- refund-due for the cancelled amount and the hawker confirms once the money
+-- has been returned. If not, the amount is simply no longer owed.
+
+-- migrate:up
+
+-- 1. Why and when an item was cancelled
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS cancel_reason TEXT;
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMP WITH TIME ZONE;
+
+-- 2. Refunds owed per stall: NULL (none), 'due', then 'refunded'
+ALTER TABLE order_payments ADD COLUMN IF NOT EXISTS refund_status TEXT;
+ALTER TABLE order_payments ADD COLUMN IF NOT EXISTS refund_amount DECIMAL(10, 2) NOT NULL DEFAULT 0;
+ALTER TABLE order_payments ADD COLUMN IF NOT EXISTS refunded_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE order_payments DROP CONSTRAINT IF EXISTS order_payments_refund_status_check;
+ALTER TABLE order_payments ADD CONSTRAINT order_payments_refund_status_check
+    CHECK (refund_status IN ('due', 'refunded'));
+
+CREATE INDEX IF NOT EXISTS idx_order_payments_refund_due
+    ON order_payments(stall_id) WHERE refund_status = 'due';
+
+-- 3. cancel_order(order_id)
+--    Anyone holding the order number may cancel it, the same as reading it.
+--    Returns the order row with order_items and order_payments embedded.
+CREATE OR REPLACE FUNCTION cancel_order(p_order_id TEXT)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    cancel_grace CONSTANT INTERVAL := INTERVAL '5 minutes';
+    v_order orders%ROWTYPE;
+BEGIN
+    -- Lock the order so a hawker can't start preparing it mid-cancel
+    SELECT * INTO v_order FROM orders WHERE order_id = p_order_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Order % does not exist', p_order_id USING ERRCODE = 'P0002';
+    END IF;
+
+    IF v_order.status = 'cancelled' THEN
+        RAISE EXCEPTION 'Order % has already been cancelled', p_order_id USING ERRCODE = 'P0001';
+    END IF;
+
+    IF v_order.status <> 'pending'
+        OR EXISTS (SELECT 1 FROM order_items WHERE order_id = v_order.id AND status NOT IN ('pending', 'cancelled')) THEN
+        RAISE EXCEPTION 'Order % is already being prepared and can no longer be cancelled', p_order_id USING ERRCODE = 'P0001';
+    END IF;
+
+    IF v_order.created_at < NOW() - cancel_grace THEN
+        RAISE EXCEPTION 'Order % can only be cancelled within % minutes of placing it',
+            p_order_id, extract(epoch FROM cancel_grace)::INTEGER / 60 USING ERRCODE = 'P0001';
+    END IF;
+
+    -- Paid stalls owe a refund; unpaid ones are owed less
+    UPDATE order_payments op
+    SET refund_status = CASE WHEN op.is_paid THEN 'due' ELSE op.refund_status END,
+        refund_amount = CASE WHEN op.is_paid THEN op.refund_amount + open_items.amount ELSE op.refund_amount END,
+        amount = CASE WHEN op.is_paid THEN op.amount ELSE op.amount - open_items.amount END
+    FROM (
+        SELECT stall_id, sum(subtotal) AS amount FROM order_items
+        WHERE order_id = v_order.id AND status <> 'cancelled'
+        GROUP BY stall_id
+    ) open_items
+    WHERE op.order_id = v_order.id
+    AND op.stall_id = open_items.stall_id;
+
+    -- The roll-up trigger (009) then marks the order cancelled
+    UPDATE order_items
+    SET status = 'cancelled', cancel_reason = 'Cancelled by customer', cancelled_at = NOW()
+    WHERE order_id = v_order.id
+    AND status <> 'cancelled';
+
+    SELECT * INTO v_order FROM orders WHERE id = v_order.id;
+
+    RETURN to_jsonb(v_order) || jsonb_build_object(
+        'order_items', (SELECT jsonb_agg(to_jsonb(oi)) FROM order_items oi WHERE oi.order_id = v_order.id),
+        'order_payments', (SELECT jsonb_agg(to_jsonb(op)) FROM order_payments op WHERE op.order_id = v_order.id)
+    );
+END;
+$$;
+
+-- 4. reject_order_item(order_item_id, reason)
+--    The stall's owner (or an admin) turns down one line of an order.
+--    Returns the order row with that stall's order_items and order_payments.
+CREATE OR REPLACE FUNCTION reject_order_item(p_order_item_id UUID, p_reason TEXT)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_item order_items%ROWTYPE;
+    v_order orders%ROWTYPE;
+BEGIN
+    IF p_reason IS NULL OR btrim(p_reason) = '' THEN
+        RAISE EXCEPTION 'A reason is required to reject an item' USING ERRCODE = '22023';
+    END IF;
+
+    SELECT * INTO v_item FROM order_items WHERE id = p_order_item_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Order item % does not exist', p_order_item_id USING ERRCODE = 'P0002';
+    END IF;
+
+    IF NOT (v_item.stall_id IN (SELECT current_stall_ids()) OR is_admin()) THEN
+        RAISE EXCEPTION 'Not allowed to update orders for this stall' USING ERRCODE = '42501';
+    END IF;
+
+    IF v_item.status IN ('completed', 'cancelled') THEN
+        RAISE EXCEPTION '% is already % and can no longer be rejected', v_item.item_name, v_item.status USING ERRCODE = 'P0001';
+    END IF;
+
+    UPDATE order_payments
+    SET refund_status = CASE WHEN is_paid THEN 'due' ELSE refund_status END,
+        refund_amount = CASE WHEN is_paid THEN refund_amount + v_item.subtotal ELSE refund_amount END,
+        amount = CASE WHEN is_paid THEN amount ELSE amount - v_item.subtotal END
+    WHERE order_id = v_item.order_id
+    AND stall_id = v_item.stall_id;
+
+    UPDATE order_items
+    SET status = 'cancelled', cancel_reason = btrim(p_reason), cancelled_at = NOW()
+    WHERE id = v_item.id;
+
+    SELECT * INTO v_order FROM orders WHERE id = v_item.order_id;
+
+    RETURN to_jsonb(v_order) || jsonb_build_object(
+        'order_items', (
+            SELECT jsonb_agg(to_jsonb(oi)) FROM order_items oi
+            WHERE oi.order_id = v_order.id AND oi.stall_id = v_item.stall_id
+        ),
+        'order_payments', (
+            SELECT jsonb_agg(to_jsonb(op)) FROM order_payments op
+            WHERE op.order_id = v_order.id AND op.stall_id = v_item.stall_id
+        )
+    );
+END;
+$$;
+
+-- 5. confirm_refund(payment_id) - the hawker has returned the money
+CREATE OR REPLACE FUNCTION confirm_refund(p_payment_id UUID)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_payment order_payments%ROWTYPE;
+BEGIN
+    SELECT * INTO v_payment FROM order_payments WHERE id = p_payment_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Payment % does not exist', p_payment_id USING ERRCODE = 'P0002';
+    END IF;
+
+    IF NOT (v_payment.stall_id IN (SELECT current_stall_ids()) OR is_admin()) THEN
+        RAISE EXCEPTION 'Not allowed to update payments for this stall' USING ERRCODE = '42501';
+    END IF;
+
+    IF v_payment.refund_status IS DISTINCT FROM 'due' THEN
+        RAISE EXCEPTION 'No refund is due for this payment' USING ERRCODE = 'P0001';
+    END IF;
+
+    UPDATE order_payments
+    SET refund_status = 'refunded', refunded_at = NOW()
+    WHERE id = v_payment.id
+    RETURNING * INTO v_payment;
+
+    RETURN to_jsonb(v_payment);
+END;
+$$;
+
+-- 6. Status changes skip cancelled items, and cancelling goes through
+--    reject_order_item() so the refund is recorded
+CREATE OR REPLACE FUNCTION update_stall_order_status(
+    p_order_id TEXT,
+    p_stall_id UUID,
+    p_status TEXT
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_order orders%ROWTYPE;
+BEGIN
+    IF p_status = 'cancelled' THEN
+        RAISE EXCEPTION 'Reject items with reject_order_item() so the customer is refunded' USING ERRCODE = '22023';
+    END IF;
+
+    IF p_status IS NULL OR p_status NOT IN ('pending', 'preparing', 'ready', 'completed') THEN
+        RAISE EXCEPTION 'Unknown order status %', p_status USING ERRCODE = '22023';
+    END IF;
+
+    IF NOT (p_stall_id IN (SELECT current_stall_ids()) OR is_admin()) THEN
+        RAISE EXCEPTION 'Not allowed to update orders for this stall' USING ERRCODE = '42501';
+    END IF;
+
+    SELECT * INTO v_order FROM orders WHERE order_id = p_order_id;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Order % does not exist', p_order_id USING ERRCODE = 'P0002';
+    END IF;
+
+    UPDATE order_items
+    SET status = p_status
+    WHERE order_id = v_order.id
+    AND stall_id = p_stall_id
+    AND status <> 'cancelled';
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Order % has no open items from this stall', p_order_id USING ERRCODE = 'P0002';
+    END IF;
+
+    SELECT * INTO v_order FROM orders WHERE id = v_order.id;
+
+    RETURN to_jsonb(v_order) || jsonb_build_object(
+        'order_items', (
+            SELECT jsonb_agg(to_jsonb(oi)) FROM order_items oi
+            WHERE oi.order_id = v_order.id AND oi.stall_id = p_stall_id
+        )
+    );
+END;
+$$;
+
+REVOKE ALL ON FUNCTION cancel_order(TEXT) FROM PUBLIC;
+REVOKE ALL ON FUNCTION reject_order_item(UUID, TEXT) FROM PUBLIC;
+REVOKE ALL ON FUNCTION confirm_refund(UUID) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION cancel_order(TEXT) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION reject_order_item(UUID, TEXT) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION confirm_refund(UUID) TO anon, authenticated;
+
+-- migrate:down
+
+-- update_stall_order_status() as it was in 009
+CREATE OR REPLACE FUNCTION update_stall_order_status(
+    p_order_id TEXT,
+    p_stall_id UUID,
+    p_status TEXT
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_order orders%ROWTYPE;
+BEGIN
+    IF p_status IS NULL OR p_status NOT IN ('pending', 'preparing', 'ready', 'completed', 'cancelled') THEN
+        RAISE EXCEPTION 'Unknown order status %', p_status USING ERRCODE = '22023';
+    END IF;
+
+    IF NOT (p_stall_id IN (SELECT current_stall_ids()) OR is_admin()) THEN
+        RAISE EXCEPTION 'Not allowed to update orders for this stall' USING ERRCODE = '42501';
+    END IF;
+
+    SELECT * INTO v_order FROM orders WHERE order_id = p_order_id;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Order % does not exist', p_order_id USING ERRCODE = 'P0002';
+    END IF;
+
+    UPDATE order_items
+    SET status = p_status
+    WHERE order_id = v_order.id
+    AND stall_id = p_stall_id;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Order % has no items from this stall', p_order_id USING ERRCODE = 'P0002';
+    END IF;
+
+    SELECT * INTO v_order FROM orders WHERE id = v_order.id;
+
+    RETURN to_jsonb(v_order) || jsonb_build_object(
+        'order_items', (
+            SELECT jsonb_agg(to_jsonb(oi)) FROM order_items oi
+            WHERE oi.order_id = v_order.id AND oi.stall_id = p_stall_id
+        )
+    );
+END;
+$$;
+
+DROP FUNCTION IF EXISTS confirm_refund(UUID);
+DROP FUNCTION IF EXISTS reject_order_item(UUID, TEXT);
+DROP FUNCTION IF EXISTS cancel_order(TEXT);
+
+DROP INDEX IF EXISTS idx_order_payments_refund_due;
+ALTER TABLE order_payments DROP CONSTRAINT IF EXISTS order_payments_refund_status_check;
+ALTER TABLE order_payments DROP COLUMN IF EXISTS refunded_at;
+ALTER TABLE order_payments DROP COLUMN IF EXISTS refund_amount;
+ALTER TABLE order_payments DROP COLUMN IF EXISTS refund_status;
+ALTER TABLE order_items DROP COLUMN IF EXISTS cancelled_at;
+ALTER TABLE order_items DROP COLUMN IF EXISTS cancel_reason;
@@ -0,0 +1,281 @@
+-- Payment verification
+-- order_payments.is_paid used to be whatever the customer's "I have paid" tick
+-- said. It is now only set by the database, in one of two ways:
+--   - payment_webhook(): a payment provider calls back with a signed payload
+--     confirming a payment started with start_payment()
+--   - confirm_payment_received(): the stall's hawker confirms cash, or a
+--     transfer to their static DuitNow QR, actually arrived
+-- Nobody updates order_payments directly any more (admins excepted).
+
+-- migrate:up
+
+-- 1. Providers and their webhook signing secrets (not exposed through the API)
+CREATE TABLE IF NOT EXISTS payment_providers (
+    name TEXT PRIMARY KEY,
+    webhook_secret TEXT NOT NULL,
+    enabled BOOLEAN NOT NULL DEFAULT false,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- The local mock provider (js/payments.js) signs with a well-known secret, so
+-- it starts disabled. Enable it on development databases only.
+INSERT INTO payment_providers (name, webhook_secret, enabled)
+VALUES ('mock', 'mock-webhook-secret', false)
+ON CONFLICT (name) DO NOTHING;
+
+ALTER TABLE payment_providers ENABLE ROW LEVEL SECURITY;
+REVOKE ALL ON payment_providers FROM anon, authenticated;
+
+-- 2. How each payment was settled
+ALTER TABLE order_payments ADD COLUMN IF NOT EXISTS payment_method TEXT;
+ALTER TABLE order_payments ADD COLUMN IF NOT EXISTS provider TEXT REFERENCES payment_providers(name);
+ALTER TABLE order_payments ADD COLUMN IF NOT EXISTS provider_ref TEXT;
+ALTER TABLE order_payments ADD COLUMN IF NOT EXISTS confirmed_by UUID REFERENCES users(id);
+
+ALTER TABLE order_payments DROP CONSTRAINT IF EXISTS order_payments_payment_method_check;
+ALTER TABLE order_payments ADD CONSTRAINT order_payments_payment_method_check
+    CHECK (payment_method IN ('provider', 'cash', 'qr'));
+
+-- 3. One row per attempt to pay a stall through a provider. The reference is
+--    what the provider echoes back in its callback.
+CREATE TABLE IF NOT EXISTS payment_intents (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    payment_id UUID NOT NULL REFERENCES order_payments(id) ON DELETE CASCADE,
+    provider TEXT NOT NULL REFERENCES payment_providers(name),
+    reference TEXT NOT NULL UNIQUE DEFAULT encode(gen_random_bytes(12), 'hex'),
+    amount DECIMAL(10, 2) NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'succeeded', 'failed')),
+    provider_txn_id TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    verified_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_intents_payment_id ON payment_intents(payment_id);
+
+ALTER TABLE payment_intents ENABLE ROW LEVEL SECURITY;
+REVOKE ALL ON payment_intents FROM anon, authenticated;
+
+-- 4. start_payment(payment_id, provider)
+--    Opens a payment intent for one stall's share of an order. Callable by the
+--    guest holding the order (x-order-id), the stall's owner or an admin.
+CREATE OR REPLACE FUNCTION start_payment(p_payment_id UUID, p_provider TEXT)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_payment order_payments%ROWTYPE;
+    v_intent payment_intents%ROWTYPE;
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM payment_providers WHERE name = p_provider AND enabled) THEN
+        RAISE EXCEPTION 'Payment provider % is not available', p_provider USING ERRCODE = '22023';
+    END IF;
+
+    SELECT * INTO v_payment FROM order_payments WHERE id = p_payment_id;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Payment % does not exist', p_payment_id USING ERRCODE = 'P0002';
+    END IF;
+
+    -- requested_order_id() is NULL without an x-order-id header, and a NULL
+    -- here must refuse the call rather than let it through
+    IF NOT (
+        v_payment.order_id IS NOT DISTINCT FROM requested_order_id()
+        OR v_payment.stall_id IN (SELECT current_stall_ids())
+        OR is_admin()
+    ) THEN
+        RAISE EXCEPTION 'Not allowed to pay for this order' USING ERRCODE = '42501';
+    END IF;
+
+    IF v_payment.is_paid THEN
+        RAISE EXCEPTION '% has already been paid', v_payment.stall_name USING ERRCODE = 'P0001';
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM order_items
+        WHERE order_id = v_payment.order_id
+        AND stall_id = v_payment.stall_id
+        AND status <> 'cancelled'
+    ) THEN
+        RAISE EXCEPTION 'Nothing is left to pay for at %', v_payment.stall_name USING ERRCODE = 'P0001';
+    END IF;
+
+    -- Only what is still owed: items rejected or cancelled before payment
+    -- are not charged
+    INSERT INTO payment_intents (payment_id, provider, amount)
+    VALUES (v_payment.id, p_provider, v_payment.amount - v_payment.refund_amount)
+    RETURNING * INTO v_intent;
+
+    RETURN to_jsonb(v_intent);
+END;
+$$;
+
+-- 5. payment_webhook(body)
+--    The endpoint providers call back: POST /rest/v1/rpc/payment_webhook with
+--    the JSON body below and x-payment-signature set to the hex HMAC-SHA256 of
+--    the raw body under the provider's webhook_secret.
+--      { "provider": "mock", "reference": "...", "status": "succeeded" | "failed",
+--        "amount": 12.50, "transaction_id": "..." }
+--    The single unnamed JSON parameter makes PostgREST pass the body through
+--    untouched, so the signature is checked against exactly what was sent.
+--    Callbacks for an intent that is no longer pending are acknowledged
+--    without changing anything, since providers retry. Items cancelled or
+--    rejected after start_payment() were paid for anyway, so what the intent
+--    charged above what is still owed is marked refund-due.
+CREATE OR REPLACE FUNCTION payment_webhook(JSON)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_body JSONB := $1::JSONB;
+    v_provider payment_providers%ROWTYPE;
+    v_intent payment_intents%ROWTYPE;
+    v_payment order_payments%ROWTYPE;
+    v_overpaid DECIMAL(10, 2);
+BEGIN
+    SELECT * INTO v_provider FROM payment_providers
+    WHERE name = v_body ->> 'provider' AND enabled;
+
+    IF NOT FOUND OR request_header('x-payment-signature') IS DISTINCT FROM
+        encode(hmac(convert_to($1::TEXT, 'UTF8'), convert_to(v_provider.webhook_secret, 'UTF8'), 'sha256'), 'hex')
+    THEN
+        RAISE EXCEPTION 'Invalid payment callback signature' USING ERRCODE = '42501';
+    END IF;
+
+    SELECT * INTO v_intent FROM payment_intents
+    WHERE provider = v_provider.name AND reference = v_body ->> 'reference'
+    FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Payment reference % does not exist', v_body ->> 'reference' USING ERRCODE = 'P0002';
+    END IF;
+
+    IF v_intent.status <> 'pending' THEN
+        RETURN to_jsonb(v_intent);
+    END IF;
+
+    IF v_body ->> 'status' = 'failed' THEN
+        UPDATE payment_intents
+        SET status = 'failed', provider_txn_id = v_body ->> 'transaction_id', verified_at = NOW()
+        WHERE id = v_intent.id
+        RETURNING * INTO v_intent;
+        RETURN to_jsonb(v_intent);
+    END IF;
+
+    IF v_body ->> 'status' IS DISTINCT FROM 'succeeded' THEN
+        RAISE EXCEPTION 'Unknown payment status %', v_body ->> 'status' USING ERRCODE = '22023';
+    END IF;
+
+    IF (v_body ->> 'amount')::DECIMAL IS DISTINCT FROM v_intent.amount THEN
+        RAISE EXCEPTION 'Paid amount % does not match % for reference %',
+            v_body ->> 'amount', v_intent.amount, v_intent.reference USING ERRCODE = '22023';
+    END IF;
+
+    UPDATE payment_intents
+    SET status = 'succeeded', provider_txn_id = v_body ->> 'transaction_id', verified_at = NOW()
+    WHERE id = v_intent.id
+    RETURNING * INTO v_intent;
+
+    SELECT * INTO v_payment FROM order_payments WHERE id = v_intent.payment_id FOR UPDATE;
+    v_overpaid := GREATEST(v_intent.amount - (v_payment.amount - v_payment.refund_amount), 0);
+
+    UPDATE order_payments
+    SET is_paid = true,
+        paid_at = NOW(),
+        payment_method = 'provider',
+        provider = v_intent.provider,
+        provider_ref = coalesce(v_intent.provider_txn_id, v_intent.reference),
+        amount = amount + v_overpaid,
+        refund_amount = refund_amount + v_overpaid,
+        refund_status = CASE WHEN v_overpaid > 0 THEN 'due' ELSE refund_status END
+    WHERE id = v_intent.payment_id
+    AND NOT coalesce(is_paid, false)
+    RETURNING * INTO v_payment;
+
+    -- Touch the order so the customer's page (which polls orders) sees it
+    IF FOUND THEN
+        UPDATE orders SET updated_at = NOW() WHERE id = v_payment.order_id;
+    END IF;
+
+    RETURN to_jsonb(v_intent);
+END;
+$$;
+
+-- 6. confirm_payment_received(payment_id, method)
+--    The stall's owner (or an admin) confirms cash or a static-QR transfer.
+CREATE OR REPLACE FUNCTION confirm_payment_received(p_payment_id UUID, p_method TEXT)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_payment order_payments%ROWTYPE;
+BEGIN
+    IF p_method IS NULL OR p_method NOT IN ('cash', 'qr') THEN
+        RAISE EXCEPTION 'Unknown payment method %', p_method USING ERRCODE = '22023';
+    END IF;
+
+    SELECT * INTO v_payment FROM order_payments WHERE id = p_payment_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Payment % does not exist', p_payment_id USING ERRCODE = 'P0002';
+    END IF;
+
+    IF NOT (v_payment.stall_id IN (SELECT current_stall_ids()) OR is_admin()) THEN
+        RAISE EXCEPTION 'Not allowed to confirm payments for this stall' USING ERRCODE = '42501';
+    END IF;
+
+    IF v_payment.is_paid THEN
+        RAISE EXCEPTION 'This payment is already marked as paid' USING ERRCODE = 'P0001';
+    END IF;
+
+    UPDATE order_payments
+    SET is_paid = true,
+        paid_at = NOW(),
+        payment_method = p_method,
+        confirmed_by = current_user_id()
+    WHERE id = v_payment.id
+    RETURNING * INTO v_payment;
+
+    UPDATE orders SET updated_at = NOW() WHERE id = v_payment.order_id;
+
+    RETURN to_jsonb(v_payment);
+END;
+$$;
+
+REVOKE ALL ON FUNCTION start_payment(UUID, TEXT) FROM PUBLIC;
+REVOKE ALL ON FUNCTION payment_webhook(JSON) FROM PUBLIC;
+REVOKE ALL ON FUNCTION confirm_payment_received(UUID, TEXT) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION start_payment(UUID, TEXT) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION payment_webhook(JSON) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION confirm_payment_received(UUID, TEXT) TO anon, authenticated;
+
+-- 7. Hawkers no longer write order_payments directly; paid and refunded are
+--    set through the functions above and confirm_refund()
+DROP POLICY IF EXISTS "Hawkers update their order payments" ON order_payments;
+DROP POLICY IF EXISTS "Admins update order payments" ON order_payments;
+CREATE POLICY "Admins update order payments"
+    ON order_payments FOR UPDATE
+    USING ((SELECT is_admin()))
+    WITH CHECK ((SELECT is_admin()));
+
+-- migrate:down
+
+DROP POLICY IF EXISTS "Admins update order payments" ON order_payments;
+DROP POLICY IF EXISTS "Hawkers update their order payments" ON order_payments;
+CREATE POLICY "Hawkers update their order payments"
+    ON order_payments FOR UPDATE
+    USING (stall_id IN (SELECT current_stall_ids()))
+    WITH CHECK (stall_id IN (SELECT current_stall_ids()));
+
+DROP FUNCTION IF EXISTS confirm_payment_received(UUID, TEXT);
+DROP FUNCTION IF EXISTS payment_webhook(JSON);
+DROP FUNCTION IF EXISTS start_payment(UUID, TEXT);
+DROP TABLE IF EXISTS payment_intents;
+ALTER TABLE order_payments DROP CONSTRAINT IF EXISTS order_payments_payment_method_check;
+ALTER TABLE order_payments DROP COLUMN IF EXISTS confirmed_by;
+ALTER TABLE order_payments DROP COLUMN IF EXISTS provider_ref;
+ALTER TABLE order_payments DROP COLUMN IF EXISTS provider;
+ALTER TABLE order_payments DROP COLUMN IF EXISTS payment_method;
+DROP TABLE IF EXISTS payment_providers;
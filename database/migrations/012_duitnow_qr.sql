@@ -0,0 +1,220 @@
+-- Dynamic DuitNow QR payloads
+-- Hawkers upload the static DuitNow (EMVCo merchant-presented) QR printed at
+-- their stall; the settings page decodes it and stores the text in
+-- hawker_stalls.duitnow_payload. Every order_payments row for that stall then
+-- gets its own dynamic payload with the exact amount (tag 54) and the order
+-- number as bill number (tag 62/01), so customers scan without typing an
+-- amount and hawkers can match transfers to orders.
+-- js/duitnow.js builds the same payloads for the mock backend.
+
+-- migrate:up
+
+-- 1. EMVCo helpers
+-- CRC-16/CCITT-FALSE (poly 0x1021, initial 0xFFFF) over the UTF-8 bytes
+CREATE OR REPLACE FUNCTION emv_crc16(p_text TEXT)
+RETURNS TEXT
+LANGUAGE plpgsql
+IMMUTABLE
+AS $$
+DECLARE
+    v_bytes BYTEA := convert_to(p_text, 'UTF8');
+    v_crc INTEGER := 65535;
+BEGIN
+    FOR i IN 0 .. length(v_bytes) - 1 LOOP
+        v_crc := v_crc # (get_byte(v_bytes, i) << 8);
+        FOR bit IN 1 .. 8 LOOP
+            IF v_crc & 32768 <> 0 THEN
+                v_crc := ((v_crc << 1) # 4129) & 65535;
+            ELSE
+                v_crc := (v_crc << 1) & 65535;
+            END IF;
+        END LOOP;
+    END LOOP;
+
+    RETURN upper(lpad(to_hex(v_crc), 4, '0'));
+END;
+$$;
+
+-- Split a payload (or a template field's value) into tag/value pairs, in order
+CREATE OR REPLACE FUNCTION emv_fields(p_payload TEXT)
+RETURNS TABLE (tag TEXT, value TEXT, seq INTEGER)
+LANGUAGE plpgsql
+IMMUTABLE
+AS $$
+DECLARE
+    v_position INTEGER := 1;
+    v_length INTEGER;
+BEGIN
+    seq := 0;
+    WHILE v_position <= char_length(p_payload) LOOP
+        tag := substr(p_payload, v_position, 2);
+        IF tag !~ '^\d{2}$' OR substr(p_payload, v_position + 2, 2) !~ '^\d{2}$' THEN
+            RAISE EXCEPTION 'Not a valid EMVCo QR payload' USING ERRCODE = '22023';
+        END IF;
+
+        v_length := substr(p_payload, v_position + 2, 2)::INTEGER;
+        IF v_position + 3 + v_length > char_length(p_payload) THEN
+            RAISE EXCEPTION 'Not a valid EMVCo QR payload' USING ERRCODE = '22023';
+        END IF;
+
+        value := substr(p_payload, v_position + 4, v_length);
+        seq := seq + 1;
+        RETURN NEXT;
+        v_position := v_position + 4 + v_length;
+    END LOOP;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION emv_field(p_tag TEXT, p_value TEXT)
+RETURNS TEXT
+LANGUAGE plpgsql
+IMMUTABLE
+AS $$
+BEGIN
+    IF char_length(p_value) > 99 THEN
+        RAISE EXCEPTION 'EMVCo field % is too long', p_tag USING ERRCODE = '22023';
+    END IF;
+    RETURN p_tag || lpad(char_length(p_value)::TEXT, 2, '0') || p_value;
+END;
+$$;
+
+-- Raise unless the payload is a checksummed MYR merchant QR
+CREATE OR REPLACE FUNCTION check_duitnow_payload(p_payload TEXT)
+RETURNS TEXT
+LANGUAGE plpgsql
+IMMUTABLE
+AS $$
+DECLARE
+    v_payload TEXT := btrim(p_payload);
+    v_last RECORD;
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM emv_fields(v_payload) f WHERE f.tag = '00' AND f.value = '01') THEN
+        RAISE EXCEPTION 'Not a valid EMVCo QR payload' USING ERRCODE = '22023';
+    END IF;
+
+    SELECT * INTO v_last FROM emv_fields(v_payload) f ORDER BY f.seq DESC LIMIT 1;
+    IF v_last.tag <> '63' OR upper(v_last.value) <> emv_crc16(left(v_payload, -4)) THEN
+        RAISE EXCEPTION 'QR payload checksum does not match' USING ERRCODE = '22023';
+    END IF;
+
+    IF NOT EXISTS (SELECT 1 FROM emv_fields(v_payload) f WHERE f.tag::INTEGER BETWEEN 26 AND 51) THEN
+        RAISE EXCEPTION 'QR payload has no merchant account' USING ERRCODE = '22023';
+    END IF;
+
+    IF EXISTS (SELECT 1 FROM emv_fields(v_payload) f WHERE f.tag = '53' AND f.value <> '458') THEN
+        RAISE EXCEPTION 'QR payload is not for Malaysian ringgit' USING ERRCODE = '22023';
+    END IF;
+
+    RETURN v_payload;
+END;
+$$;
+
+-- The merchant's payload with tag 01 = 12 (dynamic), the amount and the
+-- reference as bill number, and a fresh CRC
+CREATE OR REPLACE FUNCTION duitnow_dynamic_payload(p_static TEXT, p_amount DECIMAL, p_reference TEXT)
+RETURNS TEXT
+LANGUAGE plpgsql
+IMMUTABLE
+AS $$
+DECLARE
+    v_additional TEXT;
+    v_body TEXT;
+BEGIN
+    v_additional := (
+        SELECT string_agg(emv_field(sub.tag, sub.value), '' ORDER BY sub.tag)
+        FROM (
+            SELECT s.tag, s.value
+            FROM emv_fields(check_duitnow_payload(p_static)) f,
+                 LATERAL emv_fields(f.value) s
+            WHERE f.tag = '62' AND s.tag <> '01'
+            UNION ALL
+            SELECT '01', left(p_reference, 25)
+        ) sub
+    );
+
+    v_body := (
+        SELECT string_agg(emv_field(field.tag, field.value), '' ORDER BY field.tag)
+        FROM (
+            SELECT f.tag, f.value
+            FROM emv_fields(check_duitnow_payload(p_static)) f
+            WHERE f.tag NOT IN ('01', '54', '62', '63')
+            UNION ALL SELECT '01', '12'
+            UNION ALL SELECT '54', to_char(p_amount, 'FM999999990.00')
+            UNION ALL SELECT '62', v_additional
+        ) field
+    ) || '6304';
+
+    RETURN v_body || emv_crc16(v_body);
+END;
+$$;
+
+-- 2. The stall's merchant QR, checked on every write
+ALTER TABLE hawker_stalls ADD COLUMN IF NOT EXISTS duitnow_payload TEXT;
+
+CREATE OR REPLACE FUNCTION check_stall_duitnow_payload()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    IF NEW.duitnow_payload IS NOT NULL THEN
+        NEW.duitnow_payload := check_duitnow_payload(NEW.duitnow_payload);
+    END IF;
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS check_stall_duitnow_payload ON hawker_stalls;
+CREATE TRIGGER check_stall_duitnow_payload
+    BEFORE INSERT OR UPDATE OF duitnow_payload ON hawker_stalls
+    FOR EACH ROW
+    EXECUTE FUNCTION check_stall_duitnow_payload();
+
+-- 3. One dynamic payload per stall payment, filled in when the row is created
+--    and again whenever what is owed changes (items rejected or cancelled
+--    before payment, 010)
+ALTER TABLE order_payments ADD COLUMN IF NOT EXISTS qr_payload TEXT;
+
+CREATE OR REPLACE FUNCTION set_order_payment_qr_payload()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    NEW.qr_payload := NULL;
+    IF NEW.amount - NEW.refund_amount <= 0 THEN
+        RETURN NEW;
+    END IF;
+
+    SELECT duitnow_dynamic_payload(hs.duitnow_payload, NEW.amount - NEW.refund_amount, o.order_id)
+    INTO NEW.qr_payload
+    FROM hawker_stalls hs, orders o
+    WHERE hs.id = NEW.stall_id
+    AND o.id = NEW.order_id
+    AND hs.duitnow_payload IS NOT NULL;
+
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS set_order_payment_qr_payload ON order_payments;
+CREATE TRIGGER set_order_payment_qr_payload
+    BEFORE INSERT OR UPDATE OF amount, refund_amount ON order_payments
+    FOR EACH ROW
+    EXECUTE FUNCTION set_order_payment_qr_payload();
+
+REVOKE ALL ON FUNCTION set_order_payment_qr_payload() FROM PUBLIC, anon, authenticated;
+
+-- migrate:down
+
+DROP TRIGGER IF EXISTS set_order_payment_qr_payload ON order_payments;
+DROP FUNCTION IF EXISTS set_order_payment_qr_payload();
+ALTER TABLE order_payments DROP COLUMN IF EXISTS qr_payload;
+DROP TRIGGER IF EXISTS check_stall_duitnow_payload ON hawker_stalls;
+DROP FUNCTION IF EXISTS check_stall_duitnow_payload();
+ALTER TABLE hawker_stalls DROP COLUMN IF EXISTS duitnow_payload;
+DROP FUNCTION IF EXISTS duitnow_dynamic_payload(TEXT, DECIMAL, TEXT);
+DROP FUNCTION IF EXISTS check_duitnow_payload(TEXT);
+DROP FUNCTION IF EXISTS emv_field(TEXT, TEXT);
+DROP FUNCTION IF EXISTS emv_fields(TEXT);
+DROP FUNCTION IF EXISTS emv_crc16(TEXT);
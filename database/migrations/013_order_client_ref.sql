@@ -0,0 +1,64 @@
+-- Idempotent order placement
+-- The customer's browser gives every order a random client_ref (an idempotency
+-- key) before sending it. When the food court Wi-Fi drops, the order is kept in
+-- IndexedDB and sent again later (js/order-queue.js, service-worker.js) - maybe
+-- after the first attempt did reach the database. place_order() with a
+-- client_ref that is already taken returns that order instead of placing
+-- another, and the unique index makes a second row impossible.
+
+-- migrate:up
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS client_ref UUID;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_orders_client_ref ON orders(client_ref);
+
+-- place_order(table_number, items, client_ref)
+--    Same as place_order(table_number, items) from 005, but returns the
+--    existing order (with order_items and order_payments) when client_ref has
+--    already been used.
+CREATE OR REPLACE FUNCTION place_order(
+    p_table_number TEXT,
+    p_items JSONB,
+    p_client_ref UUID
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_placed JSONB;
+    v_order orders%ROWTYPE;
+BEGIN
+    IF p_client_ref IS NULL THEN
+        RAISE EXCEPTION 'Order reference is required' USING ERRCODE = '22023';
+    END IF;
+
+    -- Two replays of the same order wait for each other rather than both inserting
+    PERFORM pg_advisory_xact_lock(hashtextextended(p_client_ref::TEXT, 0));
+
+    SELECT * INTO v_order FROM orders WHERE client_ref = p_client_ref;
+
+    IF NOT FOUND THEN
+        v_placed := place_order(p_table_number, p_items);
+
+        UPDATE orders
+        SET client_ref = p_client_ref
+        WHERE id = (v_placed ->> 'id')::UUID
+        RETURNING * INTO v_order;
+    END IF;
+
+    RETURN to_jsonb(v_order) || jsonb_build_object(
+        'order_items', (SELECT jsonb_agg(to_jsonb(oi)) FROM order_items oi WHERE oi.order_id = v_order.id),
+        'order_payments', (SELECT jsonb_agg(to_jsonb(op)) FROM order_payments op WHERE op.order_id = v_order.id)
+    );
+END;
+$$;
+
+REVOKE ALL ON FUNCTION place_order(TEXT, JSONB, UUID) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION place_order(TEXT, JSONB, UUID) TO anon, authenticated;
+
+-- migrate:down
+
+DROP FUNCTION IF EXISTS place_order(TEXT, JSONB, UUID);
+DROP INDEX IF EXISTS idx_orders_client_ref;
+ALTER TABLE orders DROP COLUMN IF EXISTS client_ref;
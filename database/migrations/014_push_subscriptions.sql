@@ -0,0 +1,188 @@
+-- Web Push for order status changes
+-- The tracking page subscribes the customer's browser to Web Push and stores
+-- the subscription against their order with save_push_subscription(). When
+-- orders.status changes, a trigger adds a row to push_outbox, and
+-- push/push-sender.js (run next to the database) claims those rows, encrypts
+-- the message for each subscription and sends it, signed with the VAPID key,
+-- then records which subscriptions got it. A push that some subscriptions
+-- failed to take is handed back and sent again only to those.
+-- The alert then shows even with the tracking tab closed.
+
+-- migrate:up
+
+-- 1. One row per browser that wants updates about an order
+CREATE TABLE IF NOT EXISTS push_subscriptions (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    endpoint TEXT NOT NULL,
+    p256dh TEXT NOT NULL,
+    auth TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (order_id, endpoint)
+);
+
+-- Endpoints are bearer URLs for sending to someone's browser: never exposed to the API
+ALTER TABLE push_subscriptions ENABLE ROW LEVEL SECURITY;
+REVOKE ALL ON push_subscriptions FROM anon, authenticated;
+
+-- 2. Status changes waiting to be pushed
+CREATE TABLE IF NOT EXISTS push_outbox (
+    id BIGSERIAL PRIMARY KEY,
+    order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    status TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    -- Set while a sender is sending it; a sender that dies leaves it set, so
+    -- an old claim counts as released
+    claimed_at TIMESTAMP WITH TIME ZONE,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    -- Subscriptions that already have it; sending it again skips them
+    delivered_to UUID[] NOT NULL DEFAULT '{}',
+    sent_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_push_outbox_unsent ON push_outbox(id) WHERE sent_at IS NULL;
+
+ALTER TABLE push_outbox ENABLE ROW LEVEL SECURITY;
+REVOKE ALL ON push_outbox FROM anon, authenticated;
+
+-- 3. save_push_subscription(order_id, subscription)
+--    p_subscription is PushSubscription.toJSON():
+--    { "endpoint": "https://...", "keys": { "p256dh": "...", "auth": "..." } }
+--    Only the customer holding the order number (x-order-id) or an admin may subscribe.
+CREATE OR REPLACE FUNCTION save_push_subscription(p_order_id TEXT, p_subscription JSONB)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_order orders%ROWTYPE;
+    v_endpoint TEXT := p_subscription ->> 'endpoint';
+BEGIN
+    SELECT * INTO v_order FROM orders WHERE order_id = p_order_id;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Order % does not exist', p_order_id USING ERRCODE = 'P0002';
+    END IF;
+
+    -- IS DISTINCT FROM so a caller without an x-order-id header is refused too
+    IF v_order.id IS DISTINCT FROM requested_order_id() AND NOT is_admin() THEN
+        RAISE EXCEPTION 'Not allowed to subscribe to this order' USING ERRCODE = '42501';
+    END IF;
+
+    -- Push services are HTTPS. (push/mock-push-service.js subscriptions are
+    -- plain HTTP and are inserted straight into push_subscriptions instead.)
+    IF v_endpoint IS NULL
+        OR v_endpoint !~ '^https://'
+        OR coalesce(p_subscription #>> '{keys,p256dh}', '') = ''
+        OR coalesce(p_subscription #>> '{keys,auth}', '') = '' THEN
+        RAISE EXCEPTION 'Push subscription needs an endpoint and its p256dh and auth keys' USING ERRCODE = '22023';
+    END IF;
+
+    INSERT INTO push_subscriptions (order_id, endpoint, p256dh, auth)
+    VALUES (v_order.id, v_endpoint, p_subscription #>> '{keys,p256dh}', p_subscription #>> '{keys,auth}')
+    ON CONFLICT (order_id, endpoint) DO UPDATE
+    SET p256dh = EXCLUDED.p256dh, auth = EXCLUDED.auth;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION save_push_subscription(TEXT, JSONB) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION save_push_subscription(TEXT, JSONB) TO anon, authenticated;
+
+-- 4. Queue a push whenever a subscribed order changes status
+CREATE OR REPLACE FUNCTION queue_order_status_push()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM push_subscriptions WHERE order_id = NEW.id) THEN
+        INSERT INTO push_outbox (order_id, status) VALUES (NEW.id, NEW.status);
+    END IF;
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS queue_order_status_push ON orders;
+CREATE TRIGGER queue_order_status_push
+    AFTER UPDATE OF status ON orders
+    FOR EACH ROW
+    WHEN (OLD.status IS DISTINCT FROM NEW.status)
+    EXECUTE FUNCTION queue_order_status_push();
+
+REVOKE ALL ON FUNCTION queue_order_status_push() FROM PUBLIC, anon, authenticated;
+
+-- 5. For the sender: claim up to p_limit queued pushes and return them with
+--    the subscriptions that don't have them yet. Several senders can run; each row goes to one. A
+--    claim the sender neither finishes nor releases runs out after 5 minutes,
+--    and a push is given up after 5 tries.
+CREATE OR REPLACE FUNCTION claim_push_messages(p_limit INTEGER DEFAULT 50)
+RETURNS JSONB
+LANGUAGE sql
+AS $$
+    WITH claimed AS (
+        UPDATE push_outbox
+        SET claimed_at = NOW(), attempts = attempts + 1
+        WHERE id IN (
+            SELECT id FROM push_outbox
+            WHERE sent_at IS NULL
+            AND (claimed_at IS NULL OR claimed_at < NOW() - INTERVAL '5 minutes')
+            AND attempts < 5
+            ORDER BY id
+            LIMIT p_limit
+            FOR UPDATE SKIP LOCKED
+        )
+        RETURNING id, order_id, status, delivered_to
+    )
+    SELECT coalesce(jsonb_agg(jsonb_build_object(
+        'id', c.id,
+        'orderId', o.order_id,
+        'status', c.status,
+        'subscriptions', (
+            SELECT coalesce(jsonb_agg(jsonb_build_object(
+                'id', ps.id,
+                'endpoint', ps.endpoint,
+                'keys', jsonb_build_object('p256dh', ps.p256dh, 'auth', ps.auth)
+            )), '[]'::JSONB)
+            FROM push_subscriptions ps
+            WHERE ps.order_id = c.order_id
+            AND ps.id <> ALL (c.delivered_to)
+        )
+    ) ORDER BY c.id), '[]'::JSONB)
+    FROM claimed c
+    JOIN orders o ON o.id = c.order_id;
+$$;
+
+REVOKE ALL ON FUNCTION claim_push_messages(INTEGER) FROM PUBLIC, anon, authenticated;
+
+-- 6. For the sender, once it has tried: record which subscriptions got each
+--    push, mark it sent unless one failed (it is then released and the next
+--    round sends it to the rest), and delete the subscriptions the push
+--    service reported gone (404/410) so they are never tried again.
+--    p_results: [{ "id": outbox id, "delivered": [subscription ids], "failed": true|false }]
+CREATE OR REPLACE FUNCTION finish_push_messages(p_results JSONB, p_gone UUID[] DEFAULT '{}')
+RETURNS VOID
+LANGUAGE sql
+AS $$
+    DELETE FROM push_subscriptions WHERE id = ANY (p_gone);
+
+    UPDATE push_outbox o
+    SET delivered_to = o.delivered_to || ARRAY(SELECT jsonb_array_elements_text(r.value -> 'delivered')::UUID),
+        sent_at = CASE WHEN coalesce((r.value ->> 'failed')::BOOLEAN, false) THEN NULL ELSE NOW() END,
+        claimed_at = NULL
+    FROM jsonb_array_elements(p_results) r
+    WHERE o.id = (r.value ->> 'id')::BIGINT
+    AND o.sent_at IS NULL;
+$$;
+
+REVOKE ALL ON FUNCTION finish_push_messages(JSONB, UUID[]) FROM PUBLIC, anon, authenticated;
+
+-- migrate:down
+
+DROP FUNCTION IF EXISTS finish_push_messages(JSONB, UUID[]);
+DROP FUNCTION IF EXISTS claim_push_messages(INTEGER);
+DROP TRIGGER IF EXISTS queue_order_status_push ON orders;
+DROP FUNCTION IF EXISTS queue_order_status_push();
+DROP FUNCTION IF EXISTS save_push_subscription(TEXT, JSONB);
+DROP TABLE IF EXISTS push_outbox;
+DROP TABLE IF EXISTS push_subscriptions;
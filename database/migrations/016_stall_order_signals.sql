@@ -0,0 +1,85 @@
+-- Live order signals for the hawker kitchen display
+-- Realtime can't send x-session-token, so under row-level security a hawker
+-- never receives their stall's order_items changes (see 008). Instead, every
+-- change to a stall's order items or payments touches that stall's row in
+-- stall_order_signals. The row says only that something changed and when, so
+-- anyone may read it; the kitchen display subscribes to its stall's row and
+-- re-reads the orders through the API, where the policies apply.
+
+-- migrate:up
+
+-- 1. One row per stall, touched on every order change
+CREATE TABLE IF NOT EXISTS stall_order_signals (
+    stall_id UUID PRIMARY KEY REFERENCES hawker_stalls(id) ON DELETE CASCADE,
+    changed_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+-- Readable by anyone (realtime checks SELECT), written only by the trigger
+ALTER TABLE stall_order_signals ENABLE ROW LEVEL SECURITY;
+REVOKE INSERT, UPDATE, DELETE ON stall_order_signals FROM anon, authenticated;
+
+DROP POLICY IF EXISTS "Anyone can view stall order signals" ON stall_order_signals;
+CREATE POLICY "Anyone can view stall order signals"
+    ON stall_order_signals FOR SELECT
+    USING (true);
+
+-- 2. Touch the stall's signal when its items or payment change
+CREATE OR REPLACE FUNCTION signal_stall_order_change()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_stall_id UUID := CASE WHEN TG_OP = 'DELETE' THEN OLD.stall_id ELSE NEW.stall_id END;
+BEGIN
+    IF v_stall_id IS NOT NULL THEN
+        INSERT INTO stall_order_signals (stall_id, changed_at)
+        VALUES (v_stall_id, NOW())
+        ON CONFLICT (stall_id) DO UPDATE SET changed_at = EXCLUDED.changed_at;
+    END IF;
+    RETURN NULL;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION signal_stall_order_change() FROM PUBLIC, anon, authenticated;
+
+DROP TRIGGER IF EXISTS signal_stall_order_change ON order_items;
+CREATE TRIGGER signal_stall_order_change
+    AFTER INSERT OR UPDATE OR DELETE ON order_items
+    FOR EACH ROW
+    EXECUTE FUNCTION signal_stall_order_change();
+
+DROP TRIGGER IF EXISTS signal_stall_order_change ON order_payments;
+CREATE TRIGGER signal_stall_order_change
+    AFTER INSERT OR UPDATE OR DELETE ON order_payments
+    FOR EACH ROW
+    EXECUTE FUNCTION signal_stall_order_change();
+
+-- 3. Publish it to realtime
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_publication_tables
+        WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = 'stall_order_signals'
+    ) THEN
+        ALTER PUBLICATION supabase_realtime ADD TABLE stall_order_signals;
+    END IF;
+END $$;
+
+-- migrate:down
+
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM pg_publication_tables
+        WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = 'stall_order_signals'
+    ) THEN
+        ALTER PUBLICATION supabase_realtime DROP TABLE stall_order_signals;
+    END IF;
+END $$;
+
+DROP TRIGGER IF EXISTS signal_stall_order_change ON order_payments;
+DROP TRIGGER IF EXISTS signal_stall_order_change ON order_items;
+DROP FUNCTION IF EXISTS signal_stall_order_change();
+DROP TABLE IF EXISTS stall_order_signals;
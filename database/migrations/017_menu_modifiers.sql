@@ -0,0 +1,350 @@
+-- Menu item modifiers (noodle type, spice level, add-ons)
+-- A menu item can have modifier groups, each with options that may add to the
+-- price. A group sets how many options the customer picks: min 1 makes it
+-- required, max 1 makes it a single choice. Customers send only the IDs of the
+-- options they picked; place_order() checks them against the group rules, adds
+-- the options' prices to the item's price and keeps a copy of what was picked
+-- on the order item.
+--
+-- menu_items.modifier_groups:
+--   [{ "id": "...", "name": "Noodles", "min": 1, "max": 1,
+--      "options": [{ "id": "...", "name": "Dry", "price": 0 },
+--                  { "id": "...", "name": "Soup", "price": 0.5 }] }, ...]
+-- order_items.modifiers:
+--   [{ "id": "...", "group": "Noodles", "name": "Soup", "price": 0.5 }, ...]
+
+-- migrate:up
+
+-- 1. Modifier groups on menu items, checked on every write
+ALTER TABLE menu_items ADD COLUMN IF NOT EXISTS modifier_groups JSONB NOT NULL DEFAULT '[]';
+
+CREATE OR REPLACE FUNCTION check_modifier_groups(p_groups JSONB)
+RETURNS JSONB
+LANGUAGE plpgsql
+IMMUTABLE
+AS $$
+DECLARE
+    grp JSONB;
+    opt JSONB;
+    v_min NUMERIC;
+    v_max NUMERIC;
+BEGIN
+    IF jsonb_typeof(p_groups) IS DISTINCT FROM 'array' THEN
+        RAISE EXCEPTION 'Modifier groups must be a list' USING ERRCODE = '22023';
+    END IF;
+
+    FOR grp IN SELECT * FROM jsonb_array_elements(p_groups)
+    LOOP
+        IF jsonb_typeof(grp) <> 'object' OR COALESCE(btrim(grp->>'id'), '') = '' OR COALESCE(btrim(grp->>'name'), '') = '' THEN
+            RAISE EXCEPTION 'Every modifier group needs a name' USING ERRCODE = '22023';
+        END IF;
+
+        IF jsonb_typeof(grp->'options') IS DISTINCT FROM 'array' OR jsonb_array_length(grp->'options') = 0 THEN
+            RAISE EXCEPTION 'Modifier group % needs at least one option', grp->>'name' USING ERRCODE = '22023';
+        END IF;
+
+        FOR opt IN SELECT * FROM jsonb_array_elements(grp->'options')
+        LOOP
+            IF jsonb_typeof(opt) <> 'object' OR COALESCE(btrim(opt->>'id'), '') = '' OR COALESCE(btrim(opt->>'name'), '') = ''
+               OR jsonb_typeof(opt->'price') IS DISTINCT FROM 'number' OR (opt->>'price')::NUMERIC < 0 THEN
+                RAISE EXCEPTION 'Every option in % needs a name and a price of at least RM 0', grp->>'name' USING ERRCODE = '22023';
+            END IF;
+        END LOOP;
+
+        IF jsonb_typeof(grp->'min') IS DISTINCT FROM 'number' OR jsonb_typeof(grp->'max') IS DISTINCT FROM 'number' THEN
+            RAISE EXCEPTION 'Modifier group % needs a minimum and maximum number of choices', grp->>'name' USING ERRCODE = '22023';
+        END IF;
+
+        v_min := (grp->>'min')::NUMERIC;
+        v_max := (grp->>'max')::NUMERIC;
+        IF v_min <> trunc(v_min) OR v_max <> trunc(v_max)
+           OR v_min < 0 OR v_max < 1 OR v_min > v_max OR v_max > jsonb_array_length(grp->'options') THEN
+            RAISE EXCEPTION 'Modifier group % cannot have min % and max % with % options',
+                grp->>'name', grp->>'min', grp->>'max', jsonb_array_length(grp->'options') USING ERRCODE = '22023';
+        END IF;
+    END LOOP;
+
+    -- Orders refer to options by ID alone, so no two may share one
+    IF (SELECT count(*) <> count(DISTINCT o->>'id')
+        FROM jsonb_array_elements(p_groups) g, jsonb_array_elements(g->'options') o) THEN
+        RAISE EXCEPTION 'Modifier options must have different IDs' USING ERRCODE = '22023';
+    END IF;
+
+    RETURN p_groups;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION check_menu_item_modifier_groups()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    NEW.modifier_groups := check_modifier_groups(NEW.modifier_groups);
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS check_menu_item_modifier_groups ON menu_items;
+CREATE TRIGGER check_menu_item_modifier_groups
+    BEFORE INSERT OR UPDATE OF modifier_groups ON menu_items
+    FOR EACH ROW
+    EXECUTE FUNCTION check_menu_item_modifier_groups();
+
+-- 2. What was picked, as it was when the order was placed
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS modifiers JSONB NOT NULL DEFAULT '[]';
+
+-- 3. place_order(table_number, items)
+--    p_items: [{ "menu_item_id": "...", "quantity": 2, "notes": "no onion",
+--                "modifiers": ["<option id>", ...] }, ...]
+--    As in 005, but order_items.price is the item's price plus the prices of
+--    the options picked, and the picks must keep to each group's min and max.
+CREATE OR REPLACE FUNCTION place_order(
+    p_table_number TEXT,
+    p_items JSONB
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    service_charge_rate CONSTANT NUMERIC := 0.06;
+    line JSONB;
+    line_quantity INTEGER;
+    line_choices JSONB;
+    item RECORD;
+    grp JSONB;
+    v_picked INTEGER;
+    v_matched INTEGER;
+    v_group_price NUMERIC;
+    v_group_modifiers JSONB;
+    v_modifiers JSONB;
+    v_price NUMERIC(10, 2);
+    v_order orders%ROWTYPE;
+    v_subtotal NUMERIC(10, 2) := 0;
+    v_service_charge NUMERIC(10, 2);
+BEGIN
+    IF p_table_number IS NULL OR btrim(p_table_number) = '' THEN
+        RAISE EXCEPTION 'Table number is required' USING ERRCODE = '22023';
+    END IF;
+
+    IF p_items IS NULL OR jsonb_typeof(p_items) <> 'array' OR jsonb_array_length(p_items) = 0 THEN
+        RAISE EXCEPTION 'Order must contain at least one item' USING ERRCODE = '22023';
+    END IF;
+
+    -- Price every line from menu_items; nothing is taken from the client except IDs and quantities
+    DROP TABLE IF EXISTS place_order_lines;
+    CREATE TEMP TABLE place_order_lines (
+        menu_item_id UUID,
+        stall_id UUID,
+        stall_name TEXT,
+        item_name TEXT,
+        price NUMERIC(10, 2),
+        quantity INTEGER,
+        notes TEXT,
+        modifiers JSONB
+    ) ON COMMIT DROP;
+
+    FOR line IN SELECT * FROM jsonb_array_elements(p_items)
+    LOOP
+        line_quantity := (line->>'quantity')::INTEGER;
+        IF line_quantity IS NULL OR line_quantity < 1 OR line_quantity > 99 THEN
+            RAISE EXCEPTION 'Invalid quantity for menu item %', line->>'menu_item_id' USING ERRCODE = '22023';
+        END IF;
+
+        SELECT mi.id, mi.name, mi.price, mi.available, mi.modifier_groups, hs.id AS stall_id, hs.stall_name, hs.status AS stall_status
+        INTO item
+        FROM menu_items mi
+        JOIN hawker_stalls hs ON hs.id = mi.stall_id
+        WHERE mi.id = (line->>'menu_item_id')::UUID;
+
+        IF NOT FOUND THEN
+            RAISE EXCEPTION 'Menu item % does not exist', line->>'menu_item_id' USING ERRCODE = 'P0002';
+        END IF;
+
+        IF NOT item.available OR item.stall_status <> 'active' THEN
+            RAISE EXCEPTION '% is no longer available', item.name USING ERRCODE = 'P0001';
+        END IF;
+
+        -- Picked options, by ID
+        line_choices := COALESCE(line->'modifiers', '[]'::JSONB);
+        IF jsonb_typeof(line_choices) <> 'array' THEN
+            RAISE EXCEPTION 'Invalid choices for %', item.name USING ERRCODE = '22023';
+        END IF;
+
+        v_price := item.price;
+        v_modifiers := '[]'::JSONB;
+        v_matched := 0;
+
+        FOR grp IN SELECT * FROM jsonb_array_elements(item.modifier_groups)
+        LOOP
+            SELECT count(*),
+                   COALESCE(sum((o->>'price')::NUMERIC), 0),
+                   COALESCE(jsonb_agg(jsonb_build_object(
+                       'id', o->>'id',
+                       'group', grp->>'name',
+                       'name', o->>'name',
+                       'price', (o->>'price')::NUMERIC
+                   )), '[]'::JSONB)
+            INTO v_picked, v_group_price, v_group_modifiers
+            FROM jsonb_array_elements(grp->'options') o
+            WHERE line_choices ? (o->>'id');
+
+            IF v_picked < (grp->>'min')::INTEGER THEN
+                RAISE EXCEPTION 'Pick at least % from % for %', grp->>'min', grp->>'name', item.name USING ERRCODE = '22023';
+            END IF;
+            IF v_picked > (grp->>'max')::INTEGER THEN
+                RAISE EXCEPTION 'Pick at most % from % for %', grp->>'max', grp->>'name', item.name USING ERRCODE = '22023';
+            END IF;
+
+            v_matched := v_matched + v_picked;
+            v_price := v_price + v_group_price;
+            v_modifiers := v_modifiers || v_group_modifiers;
+        END LOOP;
+
+        -- An ID that matches no option was picked before the hawker removed that option
+        IF v_matched <> (SELECT count(DISTINCT value) FROM jsonb_array_elements_text(line_choices)) THEN
+            RAISE EXCEPTION 'Some choices for % are no longer available', item.name USING ERRCODE = 'P0001';
+        END IF;
+
+        INSERT INTO place_order_lines
+        VALUES (item.id, item.stall_id, item.stall_name, item.name, v_price, line_quantity, NULLIF(btrim(line->>'notes'), ''), v_modifiers);
+
+        v_subtotal := v_subtotal + v_price * line_quantity;
+    END LOOP;
+
+    v_service_charge := round(v_subtotal * service_charge_rate, 2);
+
+    -- Everything below runs in the caller's transaction: either all three tables are written or none
+    INSERT INTO orders (order_id, table_number, user_id, subtotal, service_charge, total, status)
+    VALUES (
+        new_order_number(),
+        btrim(p_table_number),
+        auth.uid(),
+        v_subtotal,
+        v_service_charge,
+        v_subtotal + v_service_charge,
+        'pending'
+    )
+    RETURNING * INTO v_order;
+
+    INSERT INTO order_items (order_id, menu_item_id, stall_id, item_name, price, quantity, subtotal, notes, modifiers)
+    SELECT v_order.id, menu_item_id, stall_id, item_name, price, quantity, price * quantity, notes, modifiers
+    FROM place_order_lines;
+
+    INSERT INTO order_payments (order_id, stall_id, stall_name, amount, is_paid)
+    SELECT v_order.id, stall_id, stall_name, sum(price * quantity), false
+    FROM place_order_lines
+    GROUP BY stall_id, stall_name;
+
+    RETURN to_jsonb(v_order) || jsonb_build_object(
+        'order_items', (SELECT jsonb_agg(to_jsonb(oi)) FROM order_items oi WHERE oi.order_id = v_order.id),
+        'order_payments', (SELECT jsonb_agg(to_jsonb(op)) FROM order_payments op WHERE op.order_id = v_order.id)
+    );
+END;
+$$;
+
+-- migrate:down
+
+-- place_order(table_number, items) as it was in 005
+CREATE OR REPLACE FUNCTION place_order(
+    p_table_number TEXT,
+    p_items JSONB
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    service_charge_rate CONSTANT NUMERIC := 0.06;
+    line JSONB;
+    line_quantity INTEGER;
+    item RECORD;
+    v_order orders%ROWTYPE;
+    v_subtotal NUMERIC(10, 2) := 0;
+    v_service_charge NUMERIC(10, 2);
+BEGIN
+    IF p_table_number IS NULL OR btrim(p_table_number) = '' THEN
+        RAISE EXCEPTION 'Table number is required' USING ERRCODE = '22023';
+    END IF;
+
+    IF p_items IS NULL OR jsonb_typeof(p_items) <> 'array' OR jsonb_array_length(p_items) = 0 THEN
+        RAISE EXCEPTION 'Order must contain at least one item' USING ERRCODE = '22023';
+    END IF;
+
+    -- Price every line from menu_items; nothing is taken from the client except IDs and quantities
+    DROP TABLE IF EXISTS place_order_lines;
+    CREATE TEMP TABLE place_order_lines (
+        menu_item_id UUID,
+        stall_id UUID,
+        stall_name TEXT,
+        item_name TEXT,
+        price NUMERIC(10, 2),
+        quantity INTEGER,
+        notes TEXT
+    ) ON COMMIT DROP;
+
+    FOR line IN SELECT * FROM jsonb_array_elements(p_items)
+    LOOP
+        line_quantity := (line->>'quantity')::INTEGER;
+        IF line_quantity IS NULL OR line_quantity < 1 OR line_quantity > 99 THEN
+            RAISE EXCEPTION 'Invalid quantity for menu item %', line->>'menu_item_id' USING ERRCODE = '22023';
+        END IF;
+
+        SELECT mi.id, mi.name, mi.price, mi.available, hs.id AS stall_id, hs.stall_name, hs.status AS stall_status
+        INTO item
+        FROM menu_items mi
+        JOIN hawker_stalls hs ON hs.id = mi.stall_id
+        WHERE mi.id = (line->>'menu_item_id')::UUID;
+
+        IF NOT FOUND THEN
+            RAISE EXCEPTION 'Menu item % does not exist', line->>'menu_item_id' USING ERRCODE = 'P0002';
+        END IF;
+
+        IF NOT item.available OR item.stall_status <> 'active' THEN
+            RAISE EXCEPTION '% is no longer available', item.name USING ERRCODE = 'P0001';
+        END IF;
+
+        INSERT INTO place_order_lines
+        VALUES (item.id, item.stall_id, item.stall_name, item.name, item.price, line_quantity, NULLIF(btrim(line->>'notes'), ''));
+
+        v_subtotal := v_subtotal + item.price * line_quantity;
+    END LOOP;
+
+    v_service_charge := round(v_subtotal * service_charge_rate, 2);
+
+    -- Everything below runs in the caller's transaction: either all three tables are written or none
+    INSERT INTO orders (order_id, table_number, user_id, subtotal, service_charge, total, status)
+    VALUES (
+        new_order_number(),
+        btrim(p_table_number),
+        auth.uid(),
+        v_subtotal,
+        v_service_charge,
+        v_subtotal + v_service_charge,
+        'pending'
+    )
+    RETURNING * INTO v_order;
+
+    INSERT INTO order_items (order_id, menu_item_id, stall_id, item_name, price, quantity, subtotal, notes)
+    SELECT v_order.id, menu_item_id, stall_id, item_name, price, quantity, price * quantity, notes
+    FROM place_order_lines;
+
+    INSERT INTO order_payments (order_id, stall_id, stall_name, amount, is_paid)
+    SELECT v_order.id, stall_id, stall_name, sum(price * quantity), false
+    FROM place_order_lines
+    GROUP BY stall_id, stall_name;
+
+    RETURN to_jsonb(v_order) || jsonb_build_object(
+        'order_items', (SELECT jsonb_agg(to_jsonb(oi)) FROM order_items oi WHERE oi.order_id = v_order.id),
+        'order_payments', (SELECT jsonb_agg(to_jsonb(op)) FROM order_payments op WHERE op.order_id = v_order.id)
+    );
+END;
+$$;
+
+ALTER TABLE order_items DROP COLUMN IF EXISTS modifiers;
+DROP TRIGGER IF EXISTS check_menu_item_modifier_groups ON menu_items;
+DROP FUNCTION IF EXISTS check_menu_item_modifier_groups();
+DROP FUNCTION IF EXISTS check_modifier_groups(JSONB);
+ALTER TABLE menu_items DROP COLUMN IF EXISTS modifier_groups;
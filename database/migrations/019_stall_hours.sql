@@ -0,0 +1,588 @@
+-- Stall opening hours, breaks, closures and pausing
+-- Every stall has a weekly timetable in Kuching time. Each day is a list of
+-- periods, so a lunch break is the gap between two periods, a rest day is an
+-- empty list, and a period that closes at or before it opens runs past
+-- midnight. A stall without its own timetable keeps the food court's
+-- opening_time and closing_time every day, or is always open if the food court
+-- has none. stall_hours_overrides replaces one date's periods, for a holiday
+-- (no periods) or special hours. A hawker can also pause new orders for a
+-- while; paused_until is set with the database clock. place_order() refuses
+-- items from stalls that are closed or paused.
+--
+-- hawker_stalls.weekly_hours (Sunday first, like extract(dow)):
+--   [[], [{ "open": "07:00", "close": "14:00" }, { "open": "17:00", "close": "22:00" }], ...]
+
+-- migrate:up
+
+-- 1. Hours columns and the per-date overrides
+ALTER TABLE hawker_stalls ADD COLUMN IF NOT EXISTS weekly_hours JSONB;
+ALTER TABLE hawker_stalls ADD COLUMN IF NOT EXISTS paused_until TIMESTAMP WITH TIME ZONE;
+
+CREATE TABLE IF NOT EXISTS stall_hours_overrides (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    stall_id UUID NOT NULL REFERENCES hawker_stalls(id) ON DELETE CASCADE,
+    date DATE NOT NULL,
+    hours JSONB NOT NULL DEFAULT '[]',  -- no periods: closed all day
+    note TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (stall_id, date)
+);
+
+-- Public read, like the stalls themselves; owners and admins write
+ALTER TABLE stall_hours_overrides ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Anyone can view stall hours overrides" ON stall_hours_overrides;
+CREATE POLICY "Anyone can view stall hours overrides"
+    ON stall_hours_overrides FOR SELECT
+    USING (true);
+
+DROP POLICY IF EXISTS "Owners manage their stall hours overrides" ON stall_hours_overrides;
+CREATE POLICY "Owners manage their stall hours overrides"
+    ON stall_hours_overrides FOR ALL
+    USING (stall_id IN (SELECT current_stall_ids()) OR (SELECT is_admin()))
+    WITH CHECK (stall_id IN (SELECT current_stall_ids()) OR (SELECT is_admin()));
+
+-- 2. Periods are checked on every write
+CREATE OR REPLACE FUNCTION check_opening_hours(p_hours JSONB)
+RETURNS JSONB
+LANGUAGE plpgsql
+IMMUTABLE
+AS $$
+DECLARE
+    period JSONB;
+BEGIN
+    IF p_hours IS NULL OR jsonb_typeof(p_hours) <> 'array' THEN
+        RAISE EXCEPTION 'Opening hours must be a list of periods' USING ERRCODE = '22023';
+    END IF;
+
+    FOR period IN SELECT * FROM jsonb_array_elements(p_hours)
+    LOOP
+        IF jsonb_typeof(period) <> 'object'
+           OR NOT COALESCE(period->>'open' ~ '^([01][0-9]|2[0-3]):[0-5][0-9]$', false)
+           OR NOT COALESCE(period->>'close' ~ '^(([01][0-9]|2[0-3]):[0-5][0-9]|24:00)$', false) THEN
+            RAISE EXCEPTION 'Opening hours need open and close times as HH:MM' USING ERRCODE = '22023';
+        END IF;
+        IF period->>'open' = period->>'close' THEN
+            RAISE EXCEPTION 'A period cannot open and close at %', period->>'open' USING ERRCODE = '22023';
+        END IF;
+    END LOOP;
+
+    RETURN p_hours;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION check_stall_weekly_hours()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_day JSONB;
+BEGIN
+    IF NEW.weekly_hours IS NOT NULL THEN
+        IF jsonb_typeof(NEW.weekly_hours) <> 'array' OR jsonb_array_length(NEW.weekly_hours) <> 7 THEN
+            RAISE EXCEPTION 'Weekly hours need a list of periods for each of the 7 days' USING ERRCODE = '22023';
+        END IF;
+        FOR v_day IN SELECT * FROM jsonb_array_elements(NEW.weekly_hours)
+        LOOP
+            PERFORM check_opening_hours(v_day);
+        END LOOP;
+    END IF;
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS check_stall_weekly_hours ON hawker_stalls;
+CREATE TRIGGER check_stall_weekly_hours
+    BEFORE INSERT OR UPDATE OF weekly_hours ON hawker_stalls
+    FOR EACH ROW
+    EXECUTE FUNCTION check_stall_weekly_hours();
+
+CREATE OR REPLACE FUNCTION check_stall_hours_override()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    NEW.hours := check_opening_hours(NEW.hours);
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS check_stall_hours_override ON stall_hours_overrides;
+CREATE TRIGGER check_stall_hours_override
+    BEFORE INSERT OR UPDATE ON stall_hours_overrides
+    FOR EACH ROW
+    EXECUTE FUNCTION check_stall_hours_override();
+
+-- 3. A stall's periods on a date: the override, else its weekly timetable,
+--    else the food court's hours, else all day
+CREATE OR REPLACE FUNCTION stall_hours_on(p_stall_id UUID, p_date DATE)
+RETURNS JSONB
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT COALESCE(
+        (SELECT hours FROM stall_hours_overrides WHERE stall_id = p_stall_id AND date = p_date),
+        (SELECT weekly_hours->(extract(dow FROM p_date)::INTEGER) FROM hawker_stalls WHERE id = p_stall_id),
+        (SELECT jsonb_build_array(jsonb_build_object('open', fc.opening_time, 'close', fc.closing_time))
+         FROM hawker_stalls hs
+         JOIN food_courts fc ON fc.id = hs.food_court_id
+         WHERE hs.id = p_stall_id
+           AND fc.opening_time ~ '^([01][0-9]|2[0-3]):[0-5][0-9]$'
+           AND fc.closing_time ~ '^(([01][0-9]|2[0-3]):[0-5][0-9]|24:00)$'
+           AND fc.opening_time <> fc.closing_time),
+        '[{"open": "00:00", "close": "24:00"}]'::JSONB
+    );
+$$;
+
+-- 4. stall_open_state(stall, at): 'open', 'paused' or 'closed'
+CREATE OR REPLACE FUNCTION stall_open_state(p_stall_id UUID, p_at TIMESTAMP WITH TIME ZONE DEFAULT NOW())
+RETURNS TEXT
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_local TIMESTAMP := p_at AT TIME ZONE 'Asia/Kuching';
+    v_time TIME := v_local::TIME;
+    period JSONB;
+    v_open TIME;
+    v_close TIME;
+BEGIN
+    IF EXISTS (SELECT 1 FROM hawker_stalls WHERE id = p_stall_id AND paused_until > p_at) THEN
+        RETURN 'paused';
+    END IF;
+
+    -- Periods that started today (an overnight one runs to midnight and on)
+    FOR period IN SELECT * FROM jsonb_array_elements(stall_hours_on(p_stall_id, v_local::DATE))
+    LOOP
+        v_open := (period->>'open')::TIME;
+        v_close := (period->>'close')::TIME;
+        IF v_time >= v_open AND (v_close <= v_open OR v_time < v_close) THEN
+            RETURN 'open';
+        END IF;
+    END LOOP;
+
+    -- Overnight periods that started yesterday
+    FOR period IN SELECT * FROM jsonb_array_elements(stall_hours_on(p_stall_id, v_local::DATE - 1))
+    LOOP
+        v_open := (period->>'open')::TIME;
+        v_close := (period->>'close')::TIME;
+        IF v_close <= v_open AND v_time < v_close THEN
+            RETURN 'open';
+        END IF;
+    END LOOP;
+
+    RETURN 'closed';
+END;
+$$;
+
+-- 5. pause_stall_orders(stall, minutes): stop new orders for a while; 0 resumes
+CREATE OR REPLACE FUNCTION pause_stall_orders(p_stall_id UUID, p_minutes INTEGER)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_stall hawker_stalls%ROWTYPE;
+BEGIN
+    IF p_minutes IS NULL OR p_minutes < 0 OR p_minutes > 240 THEN
+        RAISE EXCEPTION 'Orders can be paused for up to 240 minutes' USING ERRCODE = '22023';
+    END IF;
+
+    IF NOT (p_stall_id IN (SELECT current_stall_ids()) OR is_admin()) THEN
+        RAISE EXCEPTION 'Not allowed to pause orders for this stall' USING ERRCODE = '42501';
+    END IF;
+
+    UPDATE hawker_stalls
+    SET paused_until = CASE WHEN p_minutes = 0 THEN NULL ELSE NOW() + make_interval(mins => p_minutes) END,
+        updated_at = NOW()
+    WHERE id = p_stall_id
+    RETURNING * INTO v_stall;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Stall % does not exist', p_stall_id USING ERRCODE = 'P0002';
+    END IF;
+
+    RETURN to_jsonb(v_stall);
+END;
+$$;
+
+REVOKE ALL ON FUNCTION pause_stall_orders(UUID, INTEGER) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION pause_stall_orders(UUID, INTEGER) TO anon, authenticated;
+
+-- 6. place_order(table_number, items)
+--    As in 018, but every item's stall must be open and not paused.
+CREATE OR REPLACE FUNCTION place_order(
+    p_table_number TEXT,
+    p_items JSONB
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    service_charge_rate CONSTANT NUMERIC := 0.06;
+    line JSONB;
+    line_quantity INTEGER;
+    line_choices JSONB;
+    item RECORD;
+    grp JSONB;
+    v_picked INTEGER;
+    v_matched INTEGER;
+    v_group_price NUMERIC;
+    v_group_modifiers JSONB;
+    v_modifiers JSONB;
+    v_price NUMERIC(10, 2);
+    v_order orders%ROWTYPE;
+    v_subtotal NUMERIC(10, 2) := 0;
+    v_service_charge NUMERIC(10, 2);
+    v_stock RECORD;
+    v_left INTEGER;
+    v_state TEXT;
+BEGIN
+    IF p_table_number IS NULL OR btrim(p_table_number) = '' THEN
+        RAISE EXCEPTION 'Table number is required' USING ERRCODE = '22023';
+    END IF;
+
+    IF p_items IS NULL OR jsonb_typeof(p_items) <> 'array' OR jsonb_array_length(p_items) = 0 THEN
+        RAISE EXCEPTION 'Order must contain at least one item' USING ERRCODE = '22023';
+    END IF;
+
+    -- Items that sold out before today's opening are back
+    PERFORM restock_menu_items();
+
+    -- Price every line from menu_items; nothing is taken from the client except IDs and quantities
+    DROP TABLE IF EXISTS place_order_lines;
+    CREATE TEMP TABLE place_order_lines (
+        menu_item_id UUID,
+        stall_id UUID,
+        stall_name TEXT,
+        item_name TEXT,
+        price NUMERIC(10, 2),
+        quantity INTEGER,
+        notes TEXT,
+        modifiers JSONB
+    ) ON COMMIT DROP;
+
+    FOR line IN SELECT * FROM jsonb_array_elements(p_items)
+    LOOP
+        line_quantity := (line->>'quantity')::INTEGER;
+        IF line_quantity IS NULL OR line_quantity < 1 OR line_quantity > 99 THEN
+            RAISE EXCEPTION 'Invalid quantity for menu item %', line->>'menu_item_id' USING ERRCODE = '22023';
+        END IF;
+
+        SELECT mi.id, mi.name, mi.price, mi.available, mi.modifier_groups, hs.id AS stall_id, hs.stall_name, hs.status AS stall_status
+        INTO item
+        FROM menu_items mi
+        JOIN hawker_stalls hs ON hs.id = mi.stall_id
+        WHERE mi.id = (line->>'menu_item_id')::UUID;
+
+        IF NOT FOUND THEN
+            RAISE EXCEPTION 'Menu item % does not exist', line->>'menu_item_id' USING ERRCODE = 'P0002';
+        END IF;
+
+        IF NOT item.available OR item.stall_status <> 'active' THEN
+            RAISE EXCEPTION '% is no longer available', item.name USING ERRCODE = 'P0001';
+        END IF;
+
+        v_state := stall_open_state(item.stall_id);
+        IF v_state = 'paused' THEN
+            RAISE EXCEPTION '% has paused new orders', item.stall_name USING ERRCODE = 'P0001';
+        ELSIF v_state = 'closed' THEN
+            RAISE EXCEPTION '% is closed right now', item.stall_name USING ERRCODE = 'P0001';
+        END IF;
+
+        -- Picked options, by ID
+        line_choices := COALESCE(line->'modifiers', '[]'::JSONB);
+        IF jsonb_typeof(line_choices) <> 'array' THEN
+            RAISE EXCEPTION 'Invalid choices for %', item.name USING ERRCODE = '22023';
+        END IF;
+
+        v_price := item.price;
+        v_modifiers := '[]'::JSONB;
+        v_matched := 0;
+
+        FOR grp IN SELECT * FROM jsonb_array_elements(item.modifier_groups)
+        LOOP
+            SELECT count(*),
+                   COALESCE(sum((o->>'price')::NUMERIC), 0),
+                   COALESCE(jsonb_agg(jsonb_build_object(
+                       'id', o->>'id',
+                       'group', grp->>'name',
+                       'name', o->>'name',
+                       'price', (o->>'price')::NUMERIC
+                   )), '[]'::JSONB)
+            INTO v_picked, v_group_price, v_group_modifiers
+            FROM jsonb_array_elements(grp->'options') o
+            WHERE line_choices ? (o->>'id');
+
+            IF v_picked < (grp->>'min')::INTEGER THEN
+                RAISE EXCEPTION 'Pick at least % from % for %', grp->>'min', grp->>'name', item.name USING ERRCODE = '22023';
+            END IF;
+            IF v_picked > (grp->>'max')::INTEGER THEN
+                RAISE EXCEPTION 'Pick at most % from % for %', grp->>'max', grp->>'name', item.name USING ERRCODE = '22023';
+            END IF;
+
+            v_matched := v_matched + v_picked;
+            v_price := v_price + v_group_price;
+            v_modifiers := v_modifiers || v_group_modifiers;
+        END LOOP;
+
+        -- An ID that matches no option was picked before the hawker removed that option
+        IF v_matched <> (SELECT count(DISTINCT value) FROM jsonb_array_elements_text(line_choices)) THEN
+            RAISE EXCEPTION 'Some choices for % are no longer available', item.name USING ERRCODE = 'P0001';
+        END IF;
+
+        INSERT INTO place_order_lines
+        VALUES (item.id, item.stall_id, item.stall_name, item.name, v_price, line_quantity, NULLIF(btrim(line->>'notes'), ''), v_modifiers);
+
+        v_subtotal := v_subtotal + v_price * line_quantity;
+    END LOOP;
+
+    -- Count down stock_left, holding each counted item's row until the order is in
+    FOR v_stock IN
+        SELECT menu_item_id, item_name, sum(quantity)::INTEGER AS quantity
+        FROM place_order_lines
+        GROUP BY menu_item_id, item_name
+        ORDER BY menu_item_id
+    LOOP
+        SELECT stock_left INTO v_left FROM menu_items WHERE id = v_stock.menu_item_id FOR UPDATE;
+        CONTINUE WHEN v_left IS NULL;
+
+        IF v_left = 0 THEN
+            RAISE EXCEPTION '% is sold out', v_stock.item_name USING ERRCODE = 'P0001';
+        END IF;
+        IF v_left < v_stock.quantity THEN
+            RAISE EXCEPTION 'Only % % left', v_left, v_stock.item_name USING ERRCODE = 'P0001';
+        END IF;
+
+        UPDATE menu_items
+        SET stock_left = v_left - v_stock.quantity,
+            available = available AND v_left > v_stock.quantity
+        WHERE id = v_stock.menu_item_id;
+    END LOOP;
+
+    v_service_charge := round(v_subtotal * service_charge_rate, 2);
+
+    -- Everything below runs in the caller's transaction: either all three tables are written or none
+    INSERT INTO orders (order_id, table_number, user_id, subtotal, service_charge, total, status)
+    VALUES (
+        new_order_number(),
+        btrim(p_table_number),
+        auth.uid(),
+        v_subtotal,
+        v_service_charge,
+        v_subtotal + v_service_charge,
+        'pending'
+    )
+    RETURNING * INTO v_order;
+
+    INSERT INTO order_items (order_id, menu_item_id, stall_id, item_name, price, quantity, subtotal, notes, modifiers)
+    SELECT v_order.id, menu_item_id, stall_id, item_name, price, quantity, price * quantity, notes, modifiers
+    FROM place_order_lines;
+
+    INSERT INTO order_payments (order_id, stall_id, stall_name, amount, is_paid)
+    SELECT v_order.id, stall_id, stall_name, sum(price * quantity), false
+    FROM place_order_lines
+    GROUP BY stall_id, stall_name;
+
+    RETURN to_jsonb(v_order) || jsonb_build_object(
+        'order_items', (SELECT jsonb_agg(to_jsonb(oi)) FROM order_items oi WHERE oi.order_id = v_order.id),
+        'order_payments', (SELECT jsonb_agg(to_jsonb(op)) FROM order_payments op WHERE op.order_id = v_order.id)
+    );
+END;
+$$;
+
+-- migrate:down
+
+-- place_order(table_number, items) as it was in 018
+CREATE OR REPLACE FUNCTION place_order(
+    p_table_number TEXT,
+    p_items JSONB
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    service_charge_rate CONSTANT NUMERIC := 0.06;
+    line JSONB;
+    line_quantity INTEGER;
+    line_choices JSONB;
+    item RECORD;
+    grp JSONB;
+    v_picked INTEGER;
+    v_matched INTEGER;
+    v_group_price NUMERIC;
+    v_group_modifiers JSONB;
+    v_modifiers JSONB;
+    v_price NUMERIC(10, 2);
+    v_order orders%ROWTYPE;
+    v_subtotal NUMERIC(10, 2) := 0;
+    v_service_charge NUMERIC(10, 2);
+    v_stock RECORD;
+    v_left INTEGER;
+BEGIN
+    IF p_table_number IS NULL OR btrim(p_table_number) = '' THEN
+        RAISE EXCEPTION 'Table number is required' USING ERRCODE = '22023';
+    END IF;
+
+    IF p_items IS NULL OR jsonb_typeof(p_items) <> 'array' OR jsonb_array_length(p_items) = 0 THEN
+        RAISE EXCEPTION 'Order must contain at least one item' USING ERRCODE = '22023';
+    END IF;
+
+    -- Items that sold out before today's opening are back
+    PERFORM restock_menu_items();
+
+    -- Price every line from menu_items; nothing is taken from the client except IDs and quantities
+    DROP TABLE IF EXISTS place_order_lines;
+    CREATE TEMP TABLE place_order_lines (
+        menu_item_id UUID,
+        stall_id UUID,
+        stall_name TEXT,
+        item_name TEXT,
+        price NUMERIC(10, 2),
+        quantity INTEGER,
+        notes TEXT,
+        modifiers JSONB
+    ) ON COMMIT DROP;
+
+    FOR line IN SELECT * FROM jsonb_array_elements(p_items)
+    LOOP
+        line_quantity := (line->>'quantity')::INTEGER;
+        IF line_quantity IS NULL OR line_quantity < 1 OR line_quantity > 99 THEN
+            RAISE EXCEPTION 'Invalid quantity for menu item %', line->>'menu_item_id' USING ERRCODE = '22023';
+        END IF;
+
+        SELECT mi.id, mi.name, mi.price, mi.available, mi.modifier_groups, hs.id AS stall_id, hs.stall_name, hs.status AS stall_status
+        INTO item
+        FROM menu_items mi
+        JOIN hawker_stalls hs ON hs.id = mi.stall_id
+        WHERE mi.id = (line->>'menu_item_id')::UUID;
+
+        IF NOT FOUND THEN
+            RAISE EXCEPTION 'Menu item % does not exist', line->>'menu_item_id' USING ERRCODE = 'P0002';
+        END IF;
+
+        IF NOT item.available OR item.stall_status <> 'active' THEN
+            RAISE EXCEPTION '% is no longer available', item.name USING ERRCODE = 'P0001';
+        END IF;
+
+        -- Picked options, by ID
+        line_choices := COALESCE(line->'modifiers', '[]'::JSONB);
+        IF jsonb_typeof(line_choices) <> 'array' THEN
+            RAISE EXCEPTION 'Invalid choices for %', item.name USING ERRCODE = '22023';
+        END IF;
+
+        v_price := item.price;
+        v_modifiers := '[]'::JSONB;
+        v_matched := 0;
+
+        FOR grp IN SELECT * FROM jsonb_array_elements(item.modifier_groups)
+        LOOP
+            SELECT count(*),
+                   COALESCE(sum((o->>'price')::NUMERIC), 0),
+                   COALESCE(jsonb_agg(jsonb_build_object(
+                       'id', o->>'id',
+                       'group', grp->>'name',
+                       'name', o->>'name',
+                       'price', (o->>'price')::NUMERIC
+                   )), '[]'::JSONB)
+            INTO v_picked, v_group_price, v_group_modifiers
+            FROM jsonb_array_elements(grp->'options') o
+            WHERE line_choices ? (o->>'id');
+
+            IF v_picked < (grp->>'min')::INTEGER THEN
+                RAISE EXCEPTION 'Pick at least % from % for %', grp->>'min', grp->>'name', item.name USING ERRCODE = '22023';
+            END IF;
+            IF v_picked > (grp->>'max')::INTEGER THEN
+                RAISE EXCEPTION 'Pick at most % from % for %', grp->>'max', grp->>'name', item.name USING ERRCODE = '22023';
+            END IF;
+
+            v_matched := v_matched + v_picked;
+            v_price := v_price + v_group_price;
+            v_modifiers := v_modifiers || v_group_modifiers;
+        END LOOP;
+
+        -- An ID that matches no option was picked before the hawker removed that option
+        IF v_matched <> (SELECT count(DISTINCT value) FROM jsonb_array_elements_text(line_choices)) THEN
+            RAISE EXCEPTION 'Some choices for % are no longer available', item.name USING ERRCODE = 'P0001';
+        END IF;
+
+        INSERT INTO place_order_lines
+        VALUES (item.id, item.stall_id, item.stall_name, item.name, v_price, line_quantity, NULLIF(btrim(line->>'notes'), ''), v_modifiers);
+
+        v_subtotal := v_subtotal + v_price * line_quantity;
+    END LOOP;
+
+    -- Count down stock_left, holding each counted item's row until the order is in
+    FOR v_stock IN
+        SELECT menu_item_id, item_name, sum(quantity)::INTEGER AS quantity
+        FROM place_order_lines
+        GROUP BY menu_item_id, item_name
+        ORDER BY menu_item_id
+    LOOP
+        SELECT stock_left INTO v_left FROM menu_items WHERE id = v_stock.menu_item_id FOR UPDATE;
+        CONTINUE WHEN v_left IS NULL;
+
+        IF v_left = 0 THEN
+            RAISE EXCEPTION '% is sold out', v_stock.item_name USING ERRCODE = 'P0001';
+        END IF;
+        IF v_left < v_stock.quantity THEN
+            RAISE EXCEPTION 'Only % % left', v_left, v_stock.item_name USING ERRCODE = 'P0001';
+        END IF;
+
+        UPDATE menu_items
+        SET stock_left = v_left - v_stock.quantity,
+            available = available AND v_left > v_stock.quantity
+        WHERE id = v_stock.menu_item_id;
+    END LOOP;
+
+    v_service_charge := round(v_subtotal * service_charge_rate, 2);
+
+    -- Everything below runs in the caller's transaction: either all three tables are written or none
+    INSERT INTO orders (order_id, table_number, user_id, subtotal, service_charge, total, status)
+    VALUES (
+        new_order_number(),
+        btrim(p_table_number),
+        auth.uid(),
+        v_subtotal,
+        v_service_charge,
+        v_subtotal + v_service_charge,
+        'pending'
+    )
+    RETURNING * INTO v_order;
+
+    INSERT INTO order_items (order_id, menu_item_id, stall_id, item_name, price, quantity, subtotal, notes, modifiers)
+    SELECT v_order.id, menu_item_id, stall_id, item_name, price, quantity, price * quantity, notes, modifiers
+    FROM place_order_lines;
+
+    INSERT INTO order_payments (order_id, stall_id, stall_name, amount, is_paid)
+    SELECT v_order.id, stall_id, stall_name, sum(price * quantity), false
+    FROM place_order_lines
+    GROUP BY stall_id, stall_name;
+
+    RETURN to_jsonb(v_order) || jsonb_build_object(
+        'order_items', (SELECT jsonb_agg(to_jsonb(oi)) FROM order_items oi WHERE oi.order_id = v_order.id),
+        'order_payments', (SELECT jsonb_agg(to_jsonb(op)) FROM order_payments op WHERE op.order_id = v_order.id)
+    );
+END;
+$$;
+
+DROP FUNCTION IF EXISTS pause_stall_orders(UUID, INTEGER);
+DROP FUNCTION IF EXISTS stall_open_state(UUID, TIMESTAMP WITH TIME ZONE);
+DROP FUNCTION IF EXISTS stall_hours_on(UUID, DATE);
+DROP TRIGGER IF EXISTS check_stall_hours_override ON stall_hours_overrides;
+DROP FUNCTION IF EXISTS check_stall_hours_override();
+DROP TRIGGER IF EXISTS check_stall_weekly_hours ON hawker_stalls;
+DROP FUNCTION IF EXISTS check_stall_weekly_hours();
+DROP FUNCTION IF EXISTS check_opening_hours(JSONB);
+DROP TABLE IF EXISTS stall_hours_overrides;
+ALTER TABLE hawker_stalls DROP COLUMN IF EXISTS paused_until;
+ALTER TABLE hawker_stalls DROP COLUMN IF EXISTS weekly_hours;
@@ -0,0 +1,154 @@
+-- Estimated ready times and queue positions
+-- Each stall works through its own queue of pending and preparing orders. A
+-- customer's place in a stall's queue counts that stall's open orders placed
+-- up to and including theirs. The wait adds up what each of those orders
+-- still needs: its slowest item's menu_items.preparation_time (10 minutes
+-- when unset, as on the kitchen display), scaled by how long the stall has
+-- really been taking lately, less the time already spent on orders it has
+-- started. How long it really takes comes from the started_at and ready_at
+-- stamps added here.
+
+-- migrate:up
+
+-- 1. When a stall's items started preparing and were ready
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS started_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS ready_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_order_items_stall_ready
+    ON order_items(stall_id, ready_at) WHERE ready_at IS NOT NULL;
+
+CREATE OR REPLACE FUNCTION stamp_order_item_status()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+BEGIN
+    IF NEW.status = 'preparing' THEN
+        NEW.started_at := NOW();
+    ELSIF NEW.status = 'ready' THEN
+        NEW.ready_at := NOW();
+    END IF;
+    RETURN NEW;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION stamp_order_item_status() FROM PUBLIC, anon, authenticated;
+
+DROP TRIGGER IF EXISTS stamp_order_item_status ON order_items;
+CREATE TRIGGER stamp_order_item_status
+    BEFORE UPDATE OF status ON order_items
+    FOR EACH ROW
+    WHEN (OLD.status IS DISTINCT FROM NEW.status)
+    EXECUTE FUNCTION stamp_order_item_status();
+
+-- 2. stall_prep_pace(stall_id)
+--    Minutes the stall really took per planned minute, over its last 20
+--    orders in 30 days that went from preparing to ready. 1 until there are
+--    3 such orders; kept between 0.5 and 3 so one odd day can't run away.
+CREATE OR REPLACE FUNCTION stall_prep_pace(p_stall_id UUID)
+RETURNS NUMERIC
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    WITH recent AS (
+        SELECT greatest(extract(epoch FROM max(oi.ready_at) - min(oi.started_at)) / 60, 0) AS actual,
+               max(coalesce(mi.preparation_time, 10)) AS planned
+        FROM order_items oi
+        LEFT JOIN menu_items mi ON mi.id = oi.menu_item_id
+        WHERE oi.stall_id = p_stall_id
+          AND oi.started_at IS NOT NULL
+          AND oi.ready_at > NOW() - INTERVAL '30 days'
+        GROUP BY oi.order_id
+        ORDER BY max(oi.ready_at) DESC
+        LIMIT 20
+    )
+    SELECT CASE
+        WHEN count(*) < 3 THEN 1
+        ELSE least(greatest(sum(actual) / sum(planned), 0.5), 3)
+    END
+    FROM recent;
+$$;
+
+REVOKE ALL ON FUNCTION stall_prep_pace(UUID) FROM PUBLIC, anon, authenticated;
+
+-- 3. order_queue(order_id)
+--    Anyone holding the order number may ask, the same as reading the order.
+--    Returns one entry per stall still working on the order:
+--    [{ stall_id, position (1 = next), eta_minutes }]
+CREATE OR REPLACE FUNCTION order_queue(p_order_id TEXT)
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_order orders%ROWTYPE;
+BEGIN
+    SELECT * INTO v_order FROM orders WHERE order_id = p_order_id;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Order % does not exist', p_order_id USING ERRCODE = 'P0002';
+    END IF;
+
+    RETURN coalesce((
+        WITH tickets AS (
+            -- Open orders at the same stalls, up to this one: one ticket per order and stall
+            SELECT oi.stall_id,
+                   bool_or(oi.status = 'preparing') AS preparing,
+                   min(oi.started_at) AS started_at,
+                   max(coalesce(mi.preparation_time, 10)) AS planned
+            FROM order_items oi
+            JOIN orders o ON o.id = oi.order_id
+            LEFT JOIN menu_items mi ON mi.id = oi.menu_item_id
+            WHERE oi.status IN ('pending', 'preparing')
+              AND oi.stall_id IN (
+                  SELECT stall_id FROM order_items
+                  WHERE order_id = v_order.id AND status IN ('pending', 'preparing')
+              )
+              AND (o.created_at < v_order.created_at
+                   OR (o.created_at = v_order.created_at AND o.order_id <= v_order.order_id))
+            GROUP BY oi.stall_id, o.id
+        ),
+        paces AS (
+            SELECT stall_id, stall_prep_pace(stall_id) AS pace
+            FROM (SELECT DISTINCT stall_id FROM tickets) stalls
+        ),
+        queues AS (
+            SELECT t.stall_id,
+                   count(*) AS position,
+                   sum(greatest(
+                       t.planned * p.pace - CASE
+                           WHEN t.preparing AND t.started_at IS NOT NULL
+                               THEN extract(epoch FROM NOW() - t.started_at) / 60
+                           ELSE 0
+                       END,
+                       1
+                   )) AS minutes
+            FROM tickets t
+            JOIN paces p ON p.stall_id = t.stall_id
+            GROUP BY t.stall_id
+        )
+        SELECT jsonb_agg(jsonb_build_object(
+            'stall_id', stall_id,
+            'position', position,
+            'eta_minutes', ceil(minutes)::INTEGER
+        ))
+        FROM queues
+    ), '[]'::jsonb);
+END;
+$$;
+
+REVOKE ALL ON FUNCTION order_queue(TEXT) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION order_queue(TEXT) TO anon, authenticated;
+
+-- migrate:down
+
+DROP FUNCTION IF EXISTS order_queue(TEXT);
+DROP FUNCTION IF EXISTS stall_prep_pace(UUID);
+DROP TRIGGER IF EXISTS stamp_order_item_status ON order_items;
+DROP FUNCTION IF EXISTS stamp_order_item_status();
+DROP INDEX IF EXISTS idx_order_items_stall_ready;
+ALTER TABLE order_items DROP COLUMN IF EXISTS ready_at;
+ALTER TABLE order_items DROP COLUMN IF EXISTS started_at;
@@ -0,0 +1,282 @@
+-- Order event log
+-- orders keeps only the current status, so this keeps what happened to each
+-- order and who did it: placing it, every stall's status move, cancellations,
+-- payments, refunds and edits. Rows are written by triggers on orders,
+-- order_items and order_payments, so every path (the functions, admin edits,
+-- the payment webhook) is recorded the same way, and are never changed.
+--
+-- Who did it (actor_role):
+--   admin / hawker  the x-session-token caller
+--   system          the payment provider's webhook, or no request at all
+--                   (jobs and scripts run straight against the database)
+--   customer        any other request (guests holding the order number)
+
+-- migrate:up
+
+-- 1. One row per thing that happened, oldest first
+CREATE TABLE IF NOT EXISTS order_events (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    -- NULL for the order as a whole
+    stall_id UUID REFERENCES hawker_stalls(id) ON DELETE SET NULL,
+    kind TEXT NOT NULL CHECK (kind IN ('placed', 'status', 'cancelled', 'paid', 'refunded', 'edited')),
+    from_status TEXT,
+    to_status TEXT,
+    -- e.g. { items: [...], reason } for a cancellation, { amount, payment_method } for a payment
+    detail JSONB NOT NULL DEFAULT '{}'::jsonb,
+    actor_role TEXT NOT NULL CHECK (actor_role IN ('customer', 'hawker', 'admin', 'system')),
+    actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    -- Several events can come from one transaction; clock time keeps them in order
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT clock_timestamp()
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_events_order ON order_events(order_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_order_events_stall ON order_events(stall_id, created_at);
+
+-- 2. Read like the order itself: the guest holding it, hawkers for their own
+--    stall's events and the order-wide ones, admins everything. Written only
+--    by the triggers below.
+ALTER TABLE order_events ENABLE ROW LEVEL SECURITY;
+REVOKE INSERT, UPDATE, DELETE ON order_events FROM anon, authenticated;
+
+DROP POLICY IF EXISTS "Read held, own-stall or all order events" ON order_events;
+CREATE POLICY "Read held, own-stall or all order events"
+    ON order_events FOR SELECT
+    USING (
+        order_id = (SELECT requested_order_id())
+        OR (
+            order_id IN (SELECT current_stall_order_ids())
+            AND (stall_id IS NULL OR stall_id IN (SELECT current_stall_ids()))
+        )
+        OR (SELECT is_admin())
+    );
+
+-- Append-only, whoever is asking
+CREATE OR REPLACE FUNCTION keep_order_events()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+BEGIN
+    RAISE EXCEPTION 'Order events cannot be changed' USING ERRCODE = 'P0001';
+END;
+$$;
+
+REVOKE ALL ON FUNCTION keep_order_events() FROM PUBLIC, anon, authenticated;
+
+DROP TRIGGER IF EXISTS keep_order_events ON order_events;
+CREATE TRIGGER keep_order_events
+    BEFORE UPDATE ON order_events
+    FOR EACH ROW
+    EXECUTE FUNCTION keep_order_events();
+
+-- 3. log_order_event(...) - append one event for the current caller
+CREATE OR REPLACE FUNCTION log_order_event(
+    p_order_id UUID,
+    p_stall_id UUID,
+    p_kind TEXT,
+    p_from_status TEXT DEFAULT NULL,
+    p_to_status TEXT DEFAULT NULL,
+    p_detail JSONB DEFAULT '{}'::jsonb
+)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_session JSONB := current_session();
+    v_role TEXT;
+BEGIN
+    v_role := CASE
+        WHEN v_session->>'role' IN ('admin', 'hawker') THEN v_session->>'role'
+        WHEN request_header('x-payment-signature') IS NOT NULL THEN 'system'
+        WHEN NULLIF(current_setting('request.headers', true), '') IS NOT NULL THEN 'customer'
+        ELSE 'system'
+    END;
+
+    INSERT INTO order_events (order_id, stall_id, kind, from_status, to_status, detail, actor_role, actor_id)
+    VALUES (
+        p_order_id, p_stall_id, p_kind, p_from_status, p_to_status, coalesce(p_detail, '{}'::jsonb),
+        v_role,
+        CASE WHEN v_role IN ('admin', 'hawker') THEN (v_session->>'user_id')::UUID END
+    );
+END;
+$$;
+
+REVOKE ALL ON FUNCTION log_order_event(UUID, UUID, TEXT, TEXT, TEXT, JSONB) FROM PUBLIC, anon, authenticated;
+
+-- Columns that differ between two versions of a row, as { column: { from, to } }
+CREATE OR REPLACE FUNCTION order_event_changes(p_old JSONB, p_new JSONB, p_ignore TEXT[])
+RETURNS JSONB
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT coalesce(jsonb_object_agg(n.key, jsonb_build_object('from', p_old -> n.key, 'to', n.value)), '{}'::jsonb)
+    FROM jsonb_each(p_new) n
+    WHERE n.key <> ALL (p_ignore)
+    AND n.value IS DISTINCT FROM p_old -> n.key;
+$$;
+
+REVOKE ALL ON FUNCTION order_event_changes(JSONB, JSONB, TEXT[]) FROM PUBLIC, anon, authenticated;
+
+-- 4. Orders: placed, admin status overrides and edits. The roll-up from
+--    order_items (009) also updates orders, but that move is already logged
+--    per stall, so only changes made directly (trigger depth 1) count here.
+CREATE OR REPLACE FUNCTION log_order_change()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_changes JSONB;
+BEGIN
+    IF TG_OP = 'INSERT' THEN
+        PERFORM log_order_event(NEW.id, NULL, 'placed', NULL, NEW.status,
+            jsonb_build_object('table_number', NEW.table_number, 'total', NEW.total));
+        RETURN NULL;
+    END IF;
+
+    IF pg_trigger_depth() > 1 THEN
+        RETURN NULL;
+    END IF;
+
+    IF OLD.status IS DISTINCT FROM NEW.status THEN
+        PERFORM log_order_event(NEW.id, NULL, 'status', OLD.status, NEW.status);
+    END IF;
+
+    -- place_order() sets client_ref with an UPDATE right after the insert, and
+    -- the table columns are filled in by the system, not edited by anyone
+    v_changes := order_event_changes(to_jsonb(OLD), to_jsonb(NEW), ARRAY[
+        'status', 'updated_at', 'client_ref',
+        'table_zone', 'table_name', 'table_scan_id', 'table_session_id'
+    ]);
+    IF v_changes <> '{}'::jsonb THEN
+        PERFORM log_order_event(NEW.id, NULL, 'edited', NULL, NULL, jsonb_build_object('changes', v_changes));
+    END IF;
+
+    RETURN NULL;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION log_order_change() FROM PUBLIC, anon, authenticated;
+
+DROP TRIGGER IF EXISTS log_order_change ON orders;
+CREATE TRIGGER log_order_change
+    AFTER INSERT OR UPDATE ON orders
+    FOR EACH ROW
+    EXECUTE FUNCTION log_order_change();
+
+-- 5. Order items: one event per stall and status move (a stall moves all its
+--    items at once), and one per edited item
+CREATE OR REPLACE FUNCTION log_order_item_changes()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_move RECORD;
+    v_edit RECORD;
+BEGIN
+    FOR v_move IN
+        SELECT n.order_id, n.stall_id, o.status AS from_status, n.status AS to_status,
+               jsonb_agg(n.item_name ORDER BY n.item_name) AS items,
+               max(n.cancel_reason) AS reason
+        FROM new_items n
+        JOIN old_items o ON o.id = n.id
+        WHERE o.status IS DISTINCT FROM n.status
+        GROUP BY n.order_id, n.stall_id, o.status, n.status
+    LOOP
+        PERFORM log_order_event(
+            v_move.order_id,
+            v_move.stall_id,
+            CASE WHEN v_move.to_status = 'cancelled' THEN 'cancelled' ELSE 'status' END,
+            v_move.from_status,
+            v_move.to_status,
+            jsonb_strip_nulls(jsonb_build_object('items', v_move.items, 'reason', v_move.reason))
+        );
+    END LOOP;
+
+    FOR v_edit IN
+        SELECT n.order_id, n.stall_id, n.item_name,
+               order_event_changes(to_jsonb(o), to_jsonb(n),
+                   ARRAY['status', 'cancel_reason', 'cancelled_at', 'started_at', 'ready_at']) AS changes
+        FROM new_items n
+        JOIN old_items o ON o.id = n.id
+    LOOP
+        IF v_edit.changes <> '{}'::jsonb THEN
+            PERFORM log_order_event(v_edit.order_id, v_edit.stall_id, 'edited', NULL, NULL,
+                jsonb_build_object('item', v_edit.item_name, 'changes', v_edit.changes));
+        END IF;
+    END LOOP;
+
+    RETURN NULL;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION log_order_item_changes() FROM PUBLIC, anon, authenticated;
+
+DROP TRIGGER IF EXISTS log_order_item_changes ON order_items;
+CREATE TRIGGER log_order_item_changes
+    AFTER UPDATE ON order_items
+    REFERENCING OLD TABLE AS old_items NEW TABLE AS new_items
+    FOR EACH STATEMENT
+    EXECUTE FUNCTION log_order_item_changes();
+
+-- 6. Order payments: marked paid, and refunds handed back. A refund falling
+--    due is part of the cancellation already logged.
+CREATE OR REPLACE FUNCTION log_order_payment_change()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    IF NEW.is_paid AND NOT coalesce(OLD.is_paid, false) THEN
+        PERFORM log_order_event(NEW.order_id, NEW.stall_id, 'paid', NULL, NULL,
+            jsonb_strip_nulls(jsonb_build_object(
+                'amount', NEW.amount,
+                'payment_method', NEW.payment_method,
+                'provider', NEW.provider
+            )));
+    END IF;
+
+    IF NEW.refund_status = 'refunded' AND OLD.refund_status IS DISTINCT FROM 'refunded' THEN
+        PERFORM log_order_event(NEW.order_id, NEW.stall_id, 'refunded', NULL, NULL,
+            jsonb_build_object('amount', NEW.refund_amount));
+    END IF;
+
+    RETURN NULL;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION log_order_payment_change() FROM PUBLIC, anon, authenticated;
+
+DROP TRIGGER IF EXISTS log_order_payment_change ON order_payments;
+CREATE TRIGGER log_order_payment_change
+    AFTER UPDATE ON order_payments
+    FOR EACH ROW
+    EXECUTE FUNCTION log_order_payment_change();
+
+-- 7. Existing orders start with what can still be told: when they were placed
+INSERT INTO order_events (order_id, kind, to_status, detail, actor_role, created_at)
+SELECT o.id, 'placed', 'pending',
+       jsonb_build_object('table_number', o.table_number, 'total', o.total),
+       'customer', coalesce(o.created_at, NOW())
+FROM orders o
+WHERE NOT EXISTS (SELECT 1 FROM order_events e WHERE e.order_id = o.id);
+
+-- migrate:down
+
+DROP TRIGGER IF EXISTS log_order_payment_change ON order_payments;
+DROP TRIGGER IF EXISTS log_order_item_changes ON order_items;
+DROP TRIGGER IF EXISTS log_order_change ON orders;
+DROP FUNCTION IF EXISTS log_order_payment_change();
+DROP FUNCTION IF EXISTS log_order_item_changes();
+DROP FUNCTION IF EXISTS log_order_change();
+DROP FUNCTION IF EXISTS order_event_changes(JSONB, JSONB, TEXT[]);
+DROP FUNCTION IF EXISTS log_order_event(UUID, UUID, TEXT, TEXT, TEXT, JSONB);
+DROP TABLE IF EXISTS order_events;
+DROP FUNCTION IF EXISTS keep_order_events();
@@ -0,0 +1,21 @@
+-- Table QR codes drawn in the browser (js/qr-encoder.js)
+-- The image is kept in qr_code_data as a data: URL, so codes can be made,
+-- shown, downloaded and printed with no outside service. qr_code_url is
+-- only left on codes made before this, which pointed at api.qrserver.com;
+-- the admin page fills in their qr_code_data the next time it opens them.
+
+-- migrate:up
+
+ALTER TABLE qr_codes ALTER COLUMN qr_code_url DROP NOT NULL;
+
+COMMENT ON COLUMN qr_codes.qr_code_url IS 'Image URL of codes made with api.qrserver.com before qr_code_data was filled in (legacy)';
+COMMENT ON COLUMN qr_codes.qr_code_data IS 'QR code image as a data: URL (SVG), drawn by js/qr-encoder.js';
+
+-- migrate:down
+
+UPDATE qr_codes SET qr_code_url = qr_code_data WHERE qr_code_url IS NULL;
+
+ALTER TABLE qr_codes ALTER COLUMN qr_code_url SET NOT NULL;
+
+COMMENT ON COLUMN qr_codes.qr_code_url IS 'URL to QR code API or stored image location';
+COMMENT ON COLUMN qr_codes.qr_code_data IS 'Base64 encoded QR code image for offline use (optional)';
@@ -0,0 +1,536 @@
+-- Signed table QR links
+-- A table's QR code used to link to customer/home.html?foodcourt=<id>&table=<n>,
+-- and the customer pages believed whatever table the link said, so anyone could
+-- edit it and send food to another table. Links now also carry
+-- token=<version>.<signature>, where the signature is an HMAC-SHA256 of the food
+-- court, table and version under a key only the database holds.
+--
+-- The version is the table's qr_codes.token_version. Making the table's code
+-- again (QRCodeManager.updateQRCode(), Reset on the admin page) gives it a new
+-- version, and deleting the code clears it, so older printed codes expire.
+-- Versions come from one sequence and are never handed out twice.
+--
+-- The landing page checks the link with check_table_token(). place_order()
+-- takes the token in the x-table-token header and refuses orders without a
+-- valid, current token for the order's table and its stalls' food court.
+
+-- migrate:up
+
+-- 1. Signing key and versions
+INSERT INTO auth_secrets (name, secret)
+VALUES ('table_token_key', gen_random_bytes(32))
+ON CONFLICT (name) DO NOTHING;
+
+CREATE SEQUENCE IF NOT EXISTS table_token_versions;
+
+ALTER TABLE qr_codes ADD COLUMN IF NOT EXISTS token_version BIGINT;
+
+COMMENT ON COLUMN qr_codes.token_version IS 'Version signed into the table''s QR link; tokens with any other version are expired. NULL for unsigned codes made before 023.';
+
+-- 2. sign_table_token(food_court, table, version)
+--    Token format: version || '.' || base64url(HMAC-SHA256('food_court:table:version'))
+CREATE OR REPLACE FUNCTION sign_table_token(
+    p_food_court_id UUID,
+    p_table_number TEXT,
+    p_version BIGINT
+)
+RETURNS TEXT
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT p_version || '.' || base64url_encode(hmac(
+        convert_to(p_food_court_id || ':' || btrim(p_table_number) || ':' || p_version, 'UTF8'),
+        secret,
+        'sha256'
+    ))
+    FROM auth_secrets
+    WHERE name = 'table_token_key';
+$$;
+
+REVOKE ALL ON FUNCTION sign_table_token(UUID, TEXT, BIGINT) FROM PUBLIC, anon, authenticated;
+
+-- 3. issue_table_token(food_court, table)
+--    Admins only. Returns { token, version } for a new version; the admin page
+--    saves version in qr_codes.token_version along with the link holding token,
+--    which expires every token made before it.
+CREATE OR REPLACE FUNCTION issue_table_token(
+    p_food_court_id UUID,
+    p_table_number TEXT
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_version BIGINT;
+BEGIN
+    IF NOT is_admin() THEN
+        RAISE EXCEPTION 'Only admins can make table QR codes' USING ERRCODE = '42501';
+    END IF;
+
+    IF p_table_number IS NULL OR btrim(p_table_number) !~ '^[0-9]{1,9}$' THEN
+        RAISE EXCEPTION 'Table number must be a whole number' USING ERRCODE = '22023';
+    END IF;
+
+    PERFORM 1 FROM food_courts WHERE id = p_food_court_id;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Food court % does not exist', p_food_court_id USING ERRCODE = 'P0002';
+    END IF;
+
+    v_version := nextval('table_token_versions');
+
+    RETURN jsonb_build_object(
+        'token', sign_table_token(p_food_court_id, p_table_number, v_version),
+        'version', v_version
+    );
+END;
+$$;
+
+REVOKE ALL ON FUNCTION issue_table_token(UUID, TEXT) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION issue_table_token(UUID, TEXT) TO anon, authenticated;
+
+-- 4. check_table_token(food_court, table, token)
+--    'valid', 'invalid' (missing, edited or for another table) or 'expired'
+--    (the table's code has been made again or deleted since)
+CREATE OR REPLACE FUNCTION check_table_token(
+    p_food_court_id UUID,
+    p_table_number TEXT,
+    p_token TEXT
+)
+RETURNS TEXT
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_version BIGINT;
+    v_current BIGINT;
+BEGIN
+    IF p_food_court_id IS NULL
+        OR p_token IS NULL OR p_token !~ '^[0-9]{1,18}\.[A-Za-z0-9_-]+$'
+        OR p_table_number IS NULL OR btrim(p_table_number) !~ '^[0-9]{1,9}$' THEN
+        RETURN 'invalid';
+    END IF;
+
+    v_version := split_part(p_token, '.', 1)::BIGINT;
+    IF sign_table_token(p_food_court_id, p_table_number, v_version) IS DISTINCT FROM p_token THEN
+        RETURN 'invalid';
+    END IF;
+
+    SELECT token_version INTO v_current
+    FROM qr_codes
+    WHERE food_court_id = p_food_court_id
+    AND table_number = btrim(p_table_number)::INTEGER;
+
+    RETURN CASE WHEN v_current IS NOT DISTINCT FROM v_version THEN 'valid' ELSE 'expired' END;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION check_table_token(UUID, TEXT, TEXT) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION check_table_token(UUID, TEXT, TEXT) TO anon, authenticated;
+
+-- 5. place_order(table_number, items)
+--    As in 019, but the x-table-token header must hold a valid, current token
+--    for the table. place_order(table_number, items, client_ref) from 013 calls
+--    this, so it checks the token too.
+CREATE OR REPLACE FUNCTION place_order(
+    p_table_number TEXT,
+    p_items JSONB
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    service_charge_rate CONSTANT NUMERIC := 0.06;
+    line JSONB;
+    line_quantity INTEGER;
+    line_choices JSONB;
+    item RECORD;
+    grp JSONB;
+    v_picked INTEGER;
+    v_matched INTEGER;
+    v_group_price NUMERIC;
+    v_group_modifiers JSONB;
+    v_modifiers JSONB;
+    v_price NUMERIC(10, 2);
+    v_order orders%ROWTYPE;
+    v_subtotal NUMERIC(10, 2) := 0;
+    v_service_charge NUMERIC(10, 2);
+    v_stock RECORD;
+    v_left INTEGER;
+    v_state TEXT;
+    v_token TEXT := request_header('x-table-token');
+    v_food_courts UUID[];
+BEGIN
+    IF p_table_number IS NULL OR btrim(p_table_number) = '' THEN
+        RAISE EXCEPTION 'Table number is required' USING ERRCODE = '22023';
+    END IF;
+
+    IF v_token IS NULL THEN
+        RAISE EXCEPTION 'Scan the QR code on your table to order' USING ERRCODE = '42501';
+    END IF;
+
+    IF p_items IS NULL OR jsonb_typeof(p_items) <> 'array' OR jsonb_array_length(p_items) = 0 THEN
+        RAISE EXCEPTION 'Order must contain at least one item' USING ERRCODE = '22023';
+    END IF;
+
+    -- Items that sold out before today's opening are back
+    PERFORM restock_menu_items();
+
+    -- Price every line from menu_items; nothing is taken from the client except IDs and quantities
+    DROP TABLE IF EXISTS place_order_lines;
+    CREATE TEMP TABLE place_order_lines (
+        menu_item_id UUID,
+        stall_id UUID,
+        stall_name TEXT,
+        item_name TEXT,
+        price NUMERIC(10, 2),
+        quantity INTEGER,
+        notes TEXT,
+        modifiers JSONB
+    ) ON COMMIT DROP;
+
+    FOR line IN SELECT * FROM jsonb_array_elements(p_items)
+    LOOP
+        line_quantity := (line->>'quantity')::INTEGER;
+        IF line_quantity IS NULL OR line_quantity < 1 OR line_quantity > 99 THEN
+            RAISE EXCEPTION 'Invalid quantity for menu item %', line->>'menu_item_id' USING ERRCODE = '22023';
+        END IF;
+
+        SELECT mi.id, mi.name, mi.price, mi.available, mi.modifier_groups, hs.id AS stall_id, hs.stall_name, hs.status AS stall_status
+        INTO item
+        FROM menu_items mi
+        JOIN hawker_stalls hs ON hs.id = mi.stall_id
+        WHERE mi.id = (line->>'menu_item_id')::UUID;
+
+        IF NOT FOUND THEN
+            RAISE EXCEPTION 'Menu item % does not exist', line->>'menu_item_id' USING ERRCODE = 'P0002';
+        END IF;
+
+        IF NOT item.available OR item.stall_status <> 'active' THEN
+            RAISE EXCEPTION '% is no longer available', item.name USING ERRCODE = 'P0001';
+        END IF;
+
+        v_state := stall_open_state(item.stall_id);
+        IF v_state = 'paused' THEN
+            RAISE EXCEPTION '% has paused new orders', item.stall_name USING ERRCODE = 'P0001';
+        ELSIF v_state = 'closed' THEN
+            RAISE EXCEPTION '% is closed right now', item.stall_name USING ERRCODE = 'P0001';
+        END IF;
+
+        -- Picked options, by ID
+        line_choices := COALESCE(line->'modifiers', '[]'::JSONB);
+        IF jsonb_typeof(line_choices) <> 'array' THEN
+            RAISE EXCEPTION 'Invalid choices for %', item.name USING ERRCODE = '22023';
+        END IF;
+
+        v_price := item.price;
+        v_modifiers := '[]'::JSONB;
+        v_matched := 0;
+
+        FOR grp IN SELECT * FROM jsonb_array_elements(item.modifier_groups)
+        LOOP
+            SELECT count(*),
+                   COALESCE(sum((o->>'price')::NUMERIC), 0),
+                   COALESCE(jsonb_agg(jsonb_build_object(
+                       'id', o->>'id',
+                       'group', grp->>'name',
+                       'name', o->>'name',
+                       'price', (o->>'price')::NUMERIC
+                   )), '[]'::JSONB)
+            INTO v_picked, v_group_price, v_group_modifiers
+            FROM jsonb_array_elements(grp->'options') o
+            WHERE line_choices ? (o->>'id');
+
+            IF v_picked < (grp->>'min')::INTEGER THEN
+                RAISE EXCEPTION 'Pick at least % from % for %', grp->>'min', grp->>'name', item.name USING ERRCODE = '22023';
+            END IF;
+            IF v_picked > (grp->>'max')::INTEGER THEN
+                RAISE EXCEPTION 'Pick at most % from % for %', grp->>'max', grp->>'name', item.name USING ERRCODE = '22023';
+            END IF;
+
+            v_matched := v_matched + v_picked;
+            v_price := v_price + v_group_price;
+            v_modifiers := v_modifiers || v_group_modifiers;
+        END LOOP;
+
+        -- An ID that matches no option was picked before the hawker removed that option
+        IF v_matched <> (SELECT count(DISTINCT value) FROM jsonb_array_elements_text(line_choices)) THEN
+            RAISE EXCEPTION 'Some choices for % are no longer available', item.name USING ERRCODE = 'P0001';
+        END IF;
+
+        INSERT INTO place_order_lines
+        VALUES (item.id, item.stall_id, item.stall_name, item.name, v_price, line_quantity, NULLIF(btrim(line->>'notes'), ''), v_modifiers);
+
+        v_subtotal := v_subtotal + v_price * line_quantity;
+    END LOOP;
+
+    -- The token must be for this table, in the food court the stalls are in
+    SELECT array_agg(DISTINCT hs.food_court_id) INTO v_food_courts
+    FROM place_order_lines l
+    JOIN hawker_stalls hs ON hs.id = l.stall_id;
+
+    IF array_length(v_food_courts, 1) > 1 THEN
+        RAISE EXCEPTION 'An order can only have stalls from one food court' USING ERRCODE = '22023';
+    END IF;
+
+    CASE check_table_token(v_food_courts[1], p_table_number, v_token)
+        WHEN 'expired' THEN
+            RAISE EXCEPTION 'This table''s QR code has been replaced. Scan the QR code on your table again' USING ERRCODE = '42501';
+        WHEN 'invalid' THEN
+            RAISE EXCEPTION 'This QR code is not valid for table %. Scan the QR code on your table again', btrim(p_table_number) USING ERRCODE = '42501';
+        ELSE
+            NULL;
+    END CASE;
+
+    -- Count down stock_left, holding each counted item's row until the order is in
+    FOR v_stock IN
+        SELECT menu_item_id, item_name, sum(quantity)::INTEGER AS quantity
+        FROM place_order_lines
+        GROUP BY menu_item_id, item_name
+        ORDER BY menu_item_id
+    LOOP
+        SELECT stock_left INTO v_left FROM menu_items WHERE id = v_stock.menu_item_id FOR UPDATE;
+        CONTINUE WHEN v_left IS NULL;
+
+        IF v_left = 0 THEN
+            RAISE EXCEPTION '% is sold out', v_stock.item_name USING ERRCODE = 'P0001';
+        END IF;
+        IF v_left < v_stock.quantity THEN
+            RAISE EXCEPTION 'Only % % left', v_left, v_stock.item_name USING ERRCODE = 'P0001';
+        END IF;
+
+        UPDATE menu_items
+        SET stock_left = v_left - v_stock.quantity,
+            available = available AND v_left > v_stock.quantity
+        WHERE id = v_stock.menu_item_id;
+    END LOOP;
+
+    v_service_charge := round(v_subtotal * service_charge_rate, 2);
+
+    -- Everything below runs in the caller's transaction: either all three tables are written or none
+    INSERT INTO orders (order_id, table_number, user_id, subtotal, service_charge, total, status)
+    VALUES (
+        new_order_number(),
+        btrim(p_table_number),
+        auth.uid(),
+        v_subtotal,
+        v_service_charge,
+        v_subtotal + v_service_charge,
+        'pending'
+    )
+    RETURNING * INTO v_order;
+
+    INSERT INTO order_items (order_id, menu_item_id, stall_id, item_name, price, quantity, subtotal, notes, modifiers)
+    SELECT v_order.id, menu_item_id, stall_id, item_name, price, quantity, price * quantity, notes, modifiers
+    FROM place_order_lines;
+
+    INSERT INTO order_payments (order_id, stall_id, stall_name, amount, is_paid)
+    SELECT v_order.id, stall_id, stall_name, sum(price * quantity), false
+    FROM place_order_lines
+    GROUP BY stall_id, stall_name;
+
+    RETURN to_jsonb(v_order) || jsonb_build_object(
+        'order_items', (SELECT jsonb_agg(to_jsonb(oi)) FROM order_items oi WHERE oi.order_id = v_order.id),
+        'order_payments', (SELECT jsonb_agg(to_jsonb(op)) FROM order_payments op WHERE op.order_id = v_order.id)
+    );
+END;
+$$;
+
+-- migrate:down
+
+-- place_order(table_number, items) as it was in 019
+CREATE OR REPLACE FUNCTION place_order(
+    p_table_number TEXT,
+    p_items JSONB
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    service_charge_rate CONSTANT NUMERIC := 0.06;
+    line JSONB;
+    line_quantity INTEGER;
+    line_choices JSONB;
+    item RECORD;
+    grp JSONB;
+    v_picked INTEGER;
+    v_matched INTEGER;
+    v_group_price NUMERIC;
+    v_group_modifiers JSONB;
+    v_modifiers JSONB;
+    v_price NUMERIC(10, 2);
+    v_order orders%ROWTYPE;
+    v_subtotal NUMERIC(10, 2) := 0;
+    v_service_charge NUMERIC(10, 2);
+    v_stock RECORD;
+    v_left INTEGER;
+    v_state TEXT;
+BEGIN
+    IF p_table_number IS NULL OR btrim(p_table_number) = '' THEN
+        RAISE EXCEPTION 'Table number is required' USING ERRCODE = '22023';
+    END IF;
+
+    IF p_items IS NULL OR jsonb_typeof(p_items) <> 'array' OR jsonb_array_length(p_items) = 0 THEN
+        RAISE EXCEPTION 'Order must contain at least one item' USING ERRCODE = '22023';
+    END IF;
+
+    -- Items that sold out before today's opening are back
+    PERFORM restock_menu_items();
+
+    -- Price every line from menu_items; nothing is taken from the client except IDs and quantities
+    DROP TABLE IF EXISTS place_order_lines;
+    CREATE TEMP TABLE place_order_lines (
+        menu_item_id UUID,
+        stall_id UUID,
+        stall_name TEXT,
+        item_name TEXT,
+        price NUMERIC(10, 2),
+        quantity INTEGER,
+        notes TEXT,
+        modifiers JSONB
+    ) ON COMMIT DROP;
+
+    FOR line IN SELECT * FROM jsonb_array_elements(p_items)
+    LOOP
+        line_quantity := (line->>'quantity')::INTEGER;
+        IF line_quantity IS NULL OR line_quantity < 1 OR line_quantity > 99 THEN
+            RAISE EXCEPTION 'Invalid quantity for menu item %', line->>'menu_item_id' USING ERRCODE = '22023';
+        END IF;
+
+        SELECT mi.id, mi.name, mi.price, mi.available, mi.modifier_groups, hs.id AS stall_id, hs.stall_name, hs.status AS stall_status
+        INTO item
+        FROM menu_items mi
+        JOIN hawker_stalls hs ON hs.id = mi.stall_id
+        WHERE mi.id = (line->>'menu_item_id')::UUID;
+
+        IF NOT FOUND THEN
+            RAISE EXCEPTION 'Menu item % does not exist', line->>'menu_item_id' USING ERRCODE = 'P0002';
+        END IF;
+
+        IF NOT item.available OR item.stall_status <> 'active' THEN
+            RAISE EXCEPTION '% is no longer available', item.name USING ERRCODE = 'P0001';
+        END IF;
+
+        v_state := stall_open_state(item.stall_id);
+        IF v_state = 'paused' THEN
+            RAISE EXCEPTION '% has paused new orders', item.stall_name USING ERRCODE = 'P0001';
+        ELSIF v_state = 'closed' THEN
+            RAISE EXCEPTION '% is closed right now', item.stall_name USING ERRCODE = 'P0001';
+        END IF;
+
+        -- Picked options, by ID
+        line_choices := COALESCE(line->'modifiers', '[]'::JSONB);
+        IF jsonb_typeof(line_choices) <> 'array' THEN
+            RAISE EXCEPTION 'Invalid choices for %', item.name USING ERRCODE = '22023';
+        END IF;
+
+        v_price := item.price;
+        v_modifiers := '[]'::JSONB;
+        v_matched := 0;
+
+        FOR grp IN SELECT * FROM jsonb_array_elements(item.modifier_groups)
+        LOOP
+            SELECT count(*),
+                   COALESCE(sum((o->>'price')::NUMERIC), 0),
+                   COALESCE(jsonb_agg(jsonb_build_object(
+                       'id', o->>'id',
+                       'group', grp->>'name',
+                       'name', o->>'name',
+                       'price', (o->>'price')::NUMERIC
+                   )), '[]'::JSONB)
+            INTO v_picked, v_group_price, v_group_modifiers
+            FROM jsonb_array_elements(grp->'options') o
+            WHERE line_choices ? (o->>'id');
+
+            IF v_picked < (grp->>'min')::INTEGER THEN
+                RAISE EXCEPTION 'Pick at least % from % for %', grp->>'min', grp->>'name', item.name USING ERRCODE = '22023';
+            END IF;
+            IF v_picked > (grp->>'max')::INTEGER THEN
+                RAISE EXCEPTION 'Pick at most % from % for %', grp->>'max', grp->>'name', item.name USING ERRCODE = '22023';
+            END IF;
+
+            v_matched := v_matched + v_picked;
+            v_price := v_price + v_group_price;
+            v_modifiers := v_modifiers || v_group_modifiers;
+        END LOOP;
+
+        -- An ID that matches no option was picked before the hawker removed that option
+        IF v_matched <> (SELECT count(DISTINCT value) FROM jsonb_array_elements_text(line_choices)) THEN
+            RAISE EXCEPTION 'Some choices for % are no longer available', item.name USING ERRCODE = 'P0001';
+        END IF;
+
+        INSERT INTO place_order_lines
+        VALUES (item.id, item.stall_id, item.stall_name, item.name, v_price, line_quantity, NULLIF(btrim(line->>'notes'), ''), v_modifiers);
+
+        v_subtotal := v_subtotal + v_price * line_quantity;
+    END LOOP;
+
+    -- Count down stock_left, holding each counted item's row until the order is in
+    FOR v_stock IN
+        SELECT menu_item_id, item_name, sum(quantity)::INTEGER AS quantity
+        FROM place_order_lines
+        GROUP BY menu_item_id, item_name
+        ORDER BY menu_item_id
+    LOOP
+        SELECT stock_left INTO v_left FROM menu_items WHERE id = v_stock.menu_item_id FOR UPDATE;
+        CONTINUE WHEN v_left IS NULL;
+
+        IF v_left = 0 THEN
+            RAISE EXCEPTION '% is sold out', v_stock.item_name USING ERRCODE = 'P0001';
+        END IF;
+        IF v_left < v_stock.quantity THEN
+            RAISE EXCEPTION 'Only % % left', v_left, v_stock.item_name USING ERRCODE = 'P0001';
+        END IF;
+
+        UPDATE menu_items
+        SET stock_left = v_left - v_stock.quantity,
+            available = available AND v_left > v_stock.quantity
+        WHERE id = v_stock.menu_item_id;
+    END LOOP;
+
+    v_service_charge := round(v_subtotal * service_charge_rate, 2);
+
+    -- Everything below runs in the caller's transaction: either all three tables are written or none
+    INSERT INTO orders (order_id, table_number, user_id, subtotal, service_charge, total, status)
+    VALUES (
+        new_order_number(),
+        btrim(p_table_number),
+        auth.uid(),
+        v_subtotal,
+        v_service_charge,
+        v_subtotal + v_service_charge,
+        'pending'
+    )
+    RETURNING * INTO v_order;
+
+    INSERT INTO order_items (order_id, menu_item_id, stall_id, item_name, price, quantity, subtotal, notes, modifiers)
+    SELECT v_order.id, menu_item_id, stall_id, item_name, price, quantity, price * quantity, notes, modifiers
+    FROM place_order_lines;
+
+    INSERT INTO order_payments (order_id, stall_id, stall_name, amount, is_paid)
+    SELECT v_order.id, stall_id, stall_name, sum(price * quantity), false
+    FROM place_order_lines
+    GROUP BY stall_id, stall_name;
+
+    RETURN to_jsonb(v_order) || jsonb_build_object(
+        'order_items', (SELECT jsonb_agg(to_jsonb(oi)) FROM order_items oi WHERE oi.order_id = v_order.id),
+        'order_payments', (SELECT jsonb_agg(to_jsonb(op)) FROM order_payments op WHERE op.order_id = v_order.id)
+    );
+END;
+$$;
+
+DROP FUNCTION IF EXISTS check_table_token(UUID, TEXT, TEXT);
+DROP FUNCTION IF EXISTS issue_table_token(UUID, TEXT);
+DROP FUNCTION IF EXISTS sign_table_token(UUID, TEXT, BIGINT);
+ALTER TABLE qr_codes DROP COLUMN IF EXISTS token_version;
+DROP SEQUENCE IF EXISTS table_token_versions;
+DELETE FROM auth_secrets WHERE name = 'table_token_key';
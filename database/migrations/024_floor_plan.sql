@@ -0,0 +1,371 @@
+-- Food court floor plans
+-- A food court's floor is split into zones (e.g. Indoor, Aircond, Outdoor),
+-- each holding named tables with a number of seats. On the admin page's floor
+-- plan a zone is a rectangle and a table is a point, both in percent of the
+-- plan's width and height.
+--
+-- A table keeps a number, which is what QR links, table tokens (023) and
+-- orders.table_number use, and has a name people see, e.g. "B12". Orders keep
+-- the zone and name of their table as they were when the order was placed, so
+-- stalls know where to take the food ("Zone B · Table 12").
+--
+-- save_floor_plan() replaces a food court's whole plan. Once the plan has
+-- tables, only those tables get QR codes: issue_table_token() refuses any other
+-- table, and saving deletes the QR codes of tables that are not on the plan,
+-- which expires their links.
+
+-- migrate:up
+
+-- 1. Zones and tables
+CREATE TABLE IF NOT EXISTS food_court_zones (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    food_court_id UUID NOT NULL REFERENCES food_courts(id) ON DELETE CASCADE,
+    name TEXT NOT NULL CHECK (btrim(name) <> ''),
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    -- Rectangle on the floor plan, in percent
+    pos_x NUMERIC(5, 2) NOT NULL DEFAULT 0 CHECK (pos_x BETWEEN 0 AND 100),
+    pos_y NUMERIC(5, 2) NOT NULL DEFAULT 0 CHECK (pos_y BETWEEN 0 AND 100),
+    width NUMERIC(5, 2) NOT NULL DEFAULT 30 CHECK (width > 0 AND width <= 100),
+    height NUMERIC(5, 2) NOT NULL DEFAULT 30 CHECK (height > 0 AND height <= 100),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (food_court_id, name),
+    -- Lets food_court_tables check a table's zone is in the same food court
+    UNIQUE (id, food_court_id)
+);
+
+CREATE TABLE IF NOT EXISTS food_court_tables (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    food_court_id UUID NOT NULL REFERENCES food_courts(id) ON DELETE CASCADE,
+    zone_id UUID NOT NULL,
+    table_number INTEGER NOT NULL CHECK (table_number BETWEEN 1 AND 999999999),
+    name TEXT NOT NULL CHECK (btrim(name) <> ''),
+    seats INTEGER NOT NULL DEFAULT 4 CHECK (seats BETWEEN 1 AND 99),
+    -- Centre of the table on the floor plan, in percent
+    pos_x NUMERIC(5, 2) NOT NULL DEFAULT 0 CHECK (pos_x BETWEEN 0 AND 100),
+    pos_y NUMERIC(5, 2) NOT NULL DEFAULT 0 CHECK (pos_y BETWEEN 0 AND 100),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    FOREIGN KEY (zone_id, food_court_id) REFERENCES food_court_zones(id, food_court_id) ON DELETE CASCADE,
+    UNIQUE (food_court_id, table_number),
+    UNIQUE (food_court_id, name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_food_court_tables_zone ON food_court_tables(zone_id);
+
+COMMENT ON COLUMN food_court_tables.table_number IS 'Number in the table''s QR link and in orders.table_number';
+COMMENT ON COLUMN food_court_tables.name IS 'Name printed on the table and shown to stalls, e.g. B12';
+
+-- Public read, like qr_codes: customers see their table's zone; admins write
+ALTER TABLE food_court_zones ENABLE ROW LEVEL SECURITY;
+ALTER TABLE food_court_tables ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Anyone can view food court zones" ON food_court_zones;
+CREATE POLICY "Anyone can view food court zones"
+    ON food_court_zones FOR SELECT
+    USING (true);
+
+DROP POLICY IF EXISTS "Admins manage food court zones" ON food_court_zones;
+CREATE POLICY "Admins manage food court zones"
+    ON food_court_zones FOR ALL
+    USING ((SELECT is_admin()))
+    WITH CHECK ((SELECT is_admin()));
+
+DROP POLICY IF EXISTS "Anyone can view food court tables" ON food_court_tables;
+CREATE POLICY "Anyone can view food court tables"
+    ON food_court_tables FOR SELECT
+    USING (true);
+
+DROP POLICY IF EXISTS "Admins manage food court tables" ON food_court_tables;
+CREATE POLICY "Admins manage food court tables"
+    ON food_court_tables FOR ALL
+    USING ((SELECT is_admin()))
+    WITH CHECK ((SELECT is_admin()));
+
+-- 2. save_floor_plan(food_court, zones)
+--    Admins only. p_zones replaces the food court's plan:
+--      [{ "name": "Aircond", "x": 0, "y": 0, "width": 50, "height": 40,
+--         "tables": [{ "number": 12, "name": "B12", "seats": 4, "x": 10, "y": 15 }] }]
+--    Returns { zones, tables, seats, removed_qr_codes }.
+CREATE OR REPLACE FUNCTION save_floor_plan(
+    p_food_court_id UUID,
+    p_zones JSONB
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    zone JSONB;
+    tbl JSONB;
+    v_zone_id UUID;
+    v_zone_index INTEGER := 0;
+    v_number INTEGER;
+    v_numbers INTEGER[] := '{}';
+    v_seats INTEGER := 0;
+    v_removed INTEGER := 0;
+BEGIN
+    IF NOT is_admin() THEN
+        RAISE EXCEPTION 'Only admins can edit floor plans' USING ERRCODE = '42501';
+    END IF;
+
+    PERFORM 1 FROM food_courts WHERE id = p_food_court_id;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Food court % does not exist', p_food_court_id USING ERRCODE = 'P0002';
+    END IF;
+
+    IF p_zones IS NULL OR jsonb_typeof(p_zones) <> 'array' THEN
+        RAISE EXCEPTION 'A floor plan must be a list of zones' USING ERRCODE = '22023';
+    END IF;
+
+    DELETE FROM food_court_zones WHERE food_court_id = p_food_court_id;
+
+    FOR zone IN SELECT * FROM jsonb_array_elements(p_zones)
+    LOOP
+        IF COALESCE(btrim(zone->>'name'), '') = '' THEN
+            RAISE EXCEPTION 'Every zone needs a name' USING ERRCODE = '22023';
+        END IF;
+        IF EXISTS (SELECT 1 FROM food_court_zones WHERE food_court_id = p_food_court_id AND name = btrim(zone->>'name')) THEN
+            RAISE EXCEPTION 'There are two zones called %', btrim(zone->>'name') USING ERRCODE = '22023';
+        END IF;
+
+        INSERT INTO food_court_zones (food_court_id, name, sort_order, pos_x, pos_y, width, height)
+        VALUES (
+            p_food_court_id,
+            btrim(zone->>'name'),
+            v_zone_index,
+            COALESCE((zone->>'x')::NUMERIC, 0),
+            COALESCE((zone->>'y')::NUMERIC, 0),
+            COALESCE((zone->>'width')::NUMERIC, 30),
+            COALESCE((zone->>'height')::NUMERIC, 30)
+        )
+        RETURNING id INTO v_zone_id;
+        v_zone_index := v_zone_index + 1;
+
+        FOR tbl IN SELECT * FROM jsonb_array_elements(COALESCE(zone->'tables', '[]'::JSONB))
+        LOOP
+            IF COALESCE(tbl->>'number', '') !~ '^[0-9]{1,9}$' OR (tbl->>'number')::INTEGER < 1 THEN
+                RAISE EXCEPTION 'Table numbers must be whole numbers from 1' USING ERRCODE = '22023';
+            END IF;
+            v_number := (tbl->>'number')::INTEGER;
+
+            IF v_number = ANY (v_numbers) THEN
+                RAISE EXCEPTION 'Table number % is used twice', v_number USING ERRCODE = '22023';
+            END IF;
+            IF EXISTS (
+                SELECT 1 FROM food_court_tables
+                WHERE food_court_id = p_food_court_id
+                AND name = COALESCE(NULLIF(btrim(tbl->>'name'), ''), v_number::TEXT)
+            ) THEN
+                RAISE EXCEPTION 'There are two tables called %', COALESCE(NULLIF(btrim(tbl->>'name'), ''), v_number::TEXT) USING ERRCODE = '22023';
+            END IF;
+            IF COALESCE(tbl->>'seats', '') !~ '^[0-9]{1,2}$' OR (tbl->>'seats')::INTEGER < 1 THEN
+                RAISE EXCEPTION 'Table % needs 1 to 99 seats', v_number USING ERRCODE = '22023';
+            END IF;
+
+            INSERT INTO food_court_tables (food_court_id, zone_id, table_number, name, seats, pos_x, pos_y)
+            VALUES (
+                p_food_court_id,
+                v_zone_id,
+                v_number,
+                COALESCE(NULLIF(btrim(tbl->>'name'), ''), v_number::TEXT),
+                (tbl->>'seats')::INTEGER,
+                COALESCE((tbl->>'x')::NUMERIC, 0),
+                COALESCE((tbl->>'y')::NUMERIC, 0)
+            );
+
+            v_numbers := v_numbers || v_number;
+            v_seats := v_seats + (tbl->>'seats')::INTEGER;
+        END LOOP;
+    END LOOP;
+
+    -- Codes for tables that are no longer on the plan stop working
+    IF cardinality(v_numbers) > 0 THEN
+        DELETE FROM qr_codes
+        WHERE food_court_id = p_food_court_id
+        AND NOT (table_number = ANY (v_numbers));
+        GET DIAGNOSTICS v_removed = ROW_COUNT;
+    END IF;
+
+    RETURN jsonb_build_object(
+        'zones', v_zone_index,
+        'tables', cardinality(v_numbers),
+        'seats', v_seats,
+        'removed_qr_codes', v_removed
+    );
+END;
+$$;
+
+REVOKE ALL ON FUNCTION save_floor_plan(UUID, JSONB) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION save_floor_plan(UUID, JSONB) TO anon, authenticated;
+
+-- 3. issue_table_token(food_court, table)
+--    As in 023, but a food court with a floor plan only signs its tables
+CREATE OR REPLACE FUNCTION issue_table_token(
+    p_food_court_id UUID,
+    p_table_number TEXT
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_version BIGINT;
+BEGIN
+    IF NOT is_admin() THEN
+        RAISE EXCEPTION 'Only admins can make table QR codes' USING ERRCODE = '42501';
+    END IF;
+
+    IF p_table_number IS NULL OR btrim(p_table_number) !~ '^[0-9]{1,9}$' THEN
+        RAISE EXCEPTION 'Table number must be a whole number' USING ERRCODE = '22023';
+    END IF;
+
+    PERFORM 1 FROM food_courts WHERE id = p_food_court_id;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Food court % does not exist', p_food_court_id USING ERRCODE = 'P0002';
+    END IF;
+
+    IF EXISTS (SELECT 1 FROM food_court_tables WHERE food_court_id = p_food_court_id)
+        AND NOT EXISTS (
+            SELECT 1 FROM food_court_tables
+            WHERE food_court_id = p_food_court_id
+            AND table_number = btrim(p_table_number)::INTEGER
+        ) THEN
+        RAISE EXCEPTION 'Table % is not on the floor plan', btrim(p_table_number) USING ERRCODE = 'P0002';
+    END IF;
+
+    v_version := nextval('table_token_versions');
+
+    RETURN jsonb_build_object(
+        'token', sign_table_token(p_food_court_id, p_table_number, v_version),
+        'version', v_version
+    );
+END;
+$$;
+
+-- 4. Where an order's table is. place_order() writes the order before its
+--    items, so the zone and name are filled in when the first item goes in
+--    (from the floor plan of that item's food court), and again if the table
+--    number is edited later.
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS table_zone TEXT;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS table_name TEXT;
+
+COMMENT ON COLUMN orders.table_zone IS 'Floor plan zone of the table when the order was placed (NULL without a floor plan)';
+COMMENT ON COLUMN orders.table_name IS 'Floor plan name of the table when the order was placed (NULL without a floor plan)';
+
+CREATE OR REPLACE FUNCTION find_order_table(p_order_id UUID, p_table_number TEXT)
+RETURNS TABLE (zone_name TEXT, table_name TEXT)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT z.name, t.name
+    FROM order_items oi
+    JOIN hawker_stalls hs ON hs.id = oi.stall_id
+    JOIN food_court_tables t ON t.food_court_id = hs.food_court_id
+    JOIN food_court_zones z ON z.id = t.zone_id
+    WHERE oi.order_id = p_order_id
+    AND t.table_number::TEXT = btrim(p_table_number)
+    LIMIT 1;
+$$;
+
+REVOKE ALL ON FUNCTION find_order_table(UUID, TEXT) FROM PUBLIC, anon, authenticated;
+
+CREATE OR REPLACE FUNCTION fill_order_table()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    UPDATE orders o
+    SET table_zone = f.zone_name,
+        table_name = f.table_name
+    FROM find_order_table(NEW.order_id, (SELECT table_number FROM orders WHERE id = NEW.order_id)) f
+    WHERE o.id = NEW.order_id
+    AND o.table_name IS NULL;
+    RETURN NULL;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION fill_order_table() FROM PUBLIC, anon, authenticated;
+
+DROP TRIGGER IF EXISTS fill_order_table ON order_items;
+CREATE TRIGGER fill_order_table
+    AFTER INSERT ON order_items
+    FOR EACH ROW
+    EXECUTE FUNCTION fill_order_table();
+
+CREATE OR REPLACE FUNCTION refill_order_table()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    SELECT zone_name, table_name INTO NEW.table_zone, NEW.table_name
+    FROM find_order_table(NEW.id, NEW.table_number);
+    RETURN NEW;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION refill_order_table() FROM PUBLIC, anon, authenticated;
+
+DROP TRIGGER IF EXISTS refill_order_table ON orders;
+CREATE TRIGGER refill_order_table
+    BEFORE UPDATE OF table_number ON orders
+    FOR EACH ROW
+    WHEN (OLD.table_number IS DISTINCT FROM NEW.table_number)
+    EXECUTE FUNCTION refill_order_table();
+
+-- migrate:down
+
+DROP TRIGGER IF EXISTS refill_order_table ON orders;
+DROP TRIGGER IF EXISTS fill_order_table ON order_items;
+DROP FUNCTION IF EXISTS refill_order_table();
+DROP FUNCTION IF EXISTS fill_order_table();
+DROP FUNCTION IF EXISTS find_order_table(UUID, TEXT);
+
+ALTER TABLE orders DROP COLUMN IF EXISTS table_name;
+ALTER TABLE orders DROP COLUMN IF EXISTS table_zone;
+
+-- issue_table_token(food_court, table) as it was in 023
+CREATE OR REPLACE FUNCTION issue_table_token(
+    p_food_court_id UUID,
+    p_table_number TEXT
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_version BIGINT;
+BEGIN
+    IF NOT is_admin() THEN
+        RAISE EXCEPTION 'Only admins can make table QR codes' USING ERRCODE = '42501';
+    END IF;
+
+    IF p_table_number IS NULL OR btrim(p_table_number) !~ '^[0-9]{1,9}$' THEN
+        RAISE EXCEPTION 'Table number must be a whole number' USING ERRCODE = '22023';
+    END IF;
+
+    PERFORM 1 FROM food_courts WHERE id = p_food_court_id;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Food court % does not exist', p_food_court_id USING ERRCODE = 'P0002';
+    END IF;
+
+    v_version := nextval('table_token_versions');
+
+    RETURN jsonb_build_object(
+        'token', sign_table_token(p_food_court_id, p_table_number, v_version),
+        'version', v_version
+    );
+END;
+$$;
+
+DROP FUNCTION IF EXISTS save_floor_plan(UUID, JSONB);
+
+DROP TABLE IF EXISTS food_court_tables;
+DROP TABLE IF EXISTS food_court_zones;
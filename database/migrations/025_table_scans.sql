@@ -0,0 +1,312 @@
+-- Table QR scans and occupancy
+-- Every time a table's link opens customer/home.html, record_table_scan()
+-- keeps a row with the token check's result, so admins can see which tables
+-- are used and spot printed codes that are old or tampered with ('expired' and
+-- 'invalid' scans) or never scanned at all.
+--
+-- The scan's id is the customer's session: the page keeps it and place_order()
+-- requests send it in the x-table-scan header. An order placed within 4 hours
+-- of a valid scan of the same table is linked to that scan, which gives the
+-- scan-to-order rate.
+--
+-- A table is occupied while it has an order that stalls are still working on,
+-- or was scanned in the last 30 minutes (p_minutes).
+
+-- migrate:up
+
+-- 1. One row per scan, of a table on the floor plan or with a QR code when it
+--    was scanned. Scans of tables removed since then still show up.
+CREATE TABLE IF NOT EXISTS table_scans (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    food_court_id UUID NOT NULL REFERENCES food_courts(id) ON DELETE CASCADE,
+    table_number INTEGER NOT NULL CHECK (table_number BETWEEN 1 AND 999999999),
+    token_status TEXT NOT NULL CHECK (token_status IN ('valid', 'invalid', 'expired')),
+    scanned_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_table_scans_food_court
+    ON table_scans(food_court_id, scanned_at DESC);
+
+-- Written only by record_table_scan(); read by admins
+ALTER TABLE table_scans ENABLE ROW LEVEL SECURITY;
+REVOKE INSERT, UPDATE, DELETE ON table_scans FROM anon, authenticated;
+
+DROP POLICY IF EXISTS "Admins view table scans" ON table_scans;
+CREATE POLICY "Admins view table scans"
+    ON table_scans FOR SELECT
+    USING ((SELECT is_admin()));
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS table_scan_id UUID REFERENCES table_scans(id) ON DELETE SET NULL;
+
+COMMENT ON COLUMN orders.table_scan_id IS 'Scan of the table link the order was placed from (NULL when unknown)';
+
+CREATE INDEX IF NOT EXISTS idx_orders_table_scan ON orders(table_scan_id);
+
+-- 2. record_table_scan(food_court, table, token)
+--    Anyone. Checks the token like check_table_token() and records the scan.
+--    Returns { scan_id, status }. Nothing is recorded (scan_id is NULL) for a
+--    table that is neither on the floor plan nor has a QR code - a link whose
+--    table isn't a number is 'invalid' - nor past scans_per_minute scans of
+--    one table in a minute, so forged calls cannot flood the admin's lists.
+CREATE OR REPLACE FUNCTION record_table_scan(
+    p_food_court_id UUID,
+    p_table_number TEXT,
+    p_token TEXT
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    scans_per_minute CONSTANT INTEGER := 20;
+    v_status TEXT;
+    v_scan_id UUID;
+    v_table_number INTEGER;
+BEGIN
+    PERFORM 1 FROM food_courts WHERE id = p_food_court_id;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Food court % does not exist', p_food_court_id USING ERRCODE = 'P0002';
+    END IF;
+
+    IF p_table_number IS NULL OR btrim(p_table_number) !~ '^[0-9]{1,9}$' OR btrim(p_table_number)::INTEGER < 1 THEN
+        RETURN jsonb_build_object('scan_id', NULL, 'status', 'invalid');
+    END IF;
+
+    v_status := check_table_token(p_food_court_id, p_table_number, p_token);
+    v_table_number := btrim(p_table_number)::INTEGER;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM food_court_tables
+        WHERE food_court_id = p_food_court_id AND table_number = v_table_number
+        UNION ALL
+        SELECT 1 FROM qr_codes
+        WHERE food_court_id = p_food_court_id AND table_number = v_table_number
+    ) THEN
+        RETURN jsonb_build_object('scan_id', NULL, 'status', v_status);
+    END IF;
+
+    -- One lock per table, so parallel calls cannot all slip under the limit
+    PERFORM pg_advisory_xact_lock(hashtextextended('scan:' || p_food_court_id || ':' || v_table_number, 0));
+    IF (
+        SELECT COUNT(*) FROM table_scans
+        WHERE food_court_id = p_food_court_id
+        AND table_number = v_table_number
+        AND scanned_at > NOW() - INTERVAL '1 minute'
+    ) >= scans_per_minute THEN
+        RETURN jsonb_build_object('scan_id', NULL, 'status', v_status);
+    END IF;
+
+    INSERT INTO table_scans (food_court_id, table_number, token_status)
+    VALUES (p_food_court_id, v_table_number, v_status)
+    RETURNING id INTO v_scan_id;
+
+    RETURN jsonb_build_object('scan_id', v_scan_id, 'status', v_status);
+END;
+$$;
+
+REVOKE ALL ON FUNCTION record_table_scan(UUID, TEXT, TEXT) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION record_table_scan(UUID, TEXT, TEXT) TO anon, authenticated;
+
+-- 3. Link new orders to the scan in x-table-scan: a valid scan of the same
+--    table in the last 4 hours. Anything else is left unlinked, never refused.
+CREATE OR REPLACE FUNCTION link_order_table_scan()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_scan TEXT := request_header('x-table-scan');
+BEGIN
+    IF NEW.table_scan_id IS NULL
+        AND v_scan ~* '^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$' THEN
+        SELECT id INTO NEW.table_scan_id
+        FROM table_scans
+        WHERE id = v_scan::UUID
+        AND token_status = 'valid'
+        AND table_number::TEXT = btrim(NEW.table_number)
+        AND scanned_at > NOW() - INTERVAL '4 hours';
+    END IF;
+    RETURN NEW;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION link_order_table_scan() FROM PUBLIC, anon, authenticated;
+
+DROP TRIGGER IF EXISTS link_order_table_scan ON orders;
+CREATE TRIGGER link_order_table_scan
+    BEFORE INSERT ON orders
+    FOR EACH ROW
+    EXECUTE FUNCTION link_order_table_scan();
+
+-- A food court's tables: those on its floor plan, those with a QR code, and
+-- any other table that has had a valid scan
+CREATE OR REPLACE FUNCTION food_court_table_list(p_food_court_id UUID)
+RETURNS TABLE (table_number INTEGER, table_name TEXT, zone_name TEXT, seats INTEGER)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT n.table_number, t.name, z.name, t.seats
+    FROM (
+        SELECT ft.table_number FROM food_court_tables ft WHERE ft.food_court_id = p_food_court_id
+        UNION
+        SELECT qr.table_number FROM qr_codes qr WHERE qr.food_court_id = p_food_court_id
+        UNION
+        SELECT ts.table_number FROM table_scans ts
+        WHERE ts.food_court_id = p_food_court_id AND ts.token_status = 'valid'
+    ) n
+    LEFT JOIN food_court_tables t ON t.food_court_id = p_food_court_id AND t.table_number = n.table_number
+    LEFT JOIN food_court_zones z ON z.id = t.zone_id;
+$$;
+
+REVOKE ALL ON FUNCTION food_court_table_list(UUID) FROM PUBLIC, anon, authenticated;
+
+-- 4. get_table_scan_stats(food_court, days)
+--    Admins only. One row per table, by number, for the last p_days days:
+--    [{ table_number, table_name, zone_name, scans, failed_scans,
+--       ordered_scans, orders, last_scan_at }]
+--    scans counts valid scans, failed_scans 'invalid' and 'expired' ones, and
+--    ordered_scans the valid scans that led to at least one order.
+--    last_scan_at is the last valid scan ever, so unused tables show since when.
+CREATE OR REPLACE FUNCTION get_table_scan_stats(
+    p_food_court_id UUID,
+    p_days INTEGER DEFAULT 30
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    IF NOT is_admin() THEN
+        RAISE EXCEPTION 'Only admins can view table scans' USING ERRCODE = '42501';
+    END IF;
+
+    IF p_days IS NULL OR p_days < 1 OR p_days > 366 THEN
+        RAISE EXCEPTION 'Days must be from 1 to 366' USING ERRCODE = '22023';
+    END IF;
+
+    RETURN COALESCE((
+        SELECT jsonb_agg(jsonb_build_object(
+            'table_number', t.table_number,
+            'table_name', t.table_name,
+            'zone_name', t.zone_name,
+            'scans', COALESCE(s.scans, 0),
+            'failed_scans', COALESCE(s.failed_scans, 0),
+            'ordered_scans', COALESCE(s.ordered_scans, 0),
+            'orders', COALESCE(s.orders, 0),
+            'last_scan_at', l.last_scan_at
+        ) ORDER BY t.table_number)
+        FROM food_court_table_list(p_food_court_id) t
+        LEFT JOIN (
+            SELECT ts.table_number,
+                   COUNT(*) FILTER (WHERE ts.token_status = 'valid') AS scans,
+                   COUNT(*) FILTER (WHERE ts.token_status <> 'valid') AS failed_scans,
+                   COUNT(*) FILTER (WHERE EXISTS (SELECT 1 FROM orders o WHERE o.table_scan_id = ts.id)) AS ordered_scans,
+                   SUM((SELECT COUNT(*) FROM orders o WHERE o.table_scan_id = ts.id)) AS orders
+            FROM table_scans ts
+            WHERE ts.food_court_id = p_food_court_id
+            AND ts.scanned_at > NOW() - make_interval(days => p_days)
+            GROUP BY ts.table_number
+        ) s ON s.table_number = t.table_number
+        LEFT JOIN (
+            SELECT ts.table_number, MAX(ts.scanned_at) AS last_scan_at
+            FROM table_scans ts
+            WHERE ts.food_court_id = p_food_court_id
+            AND ts.token_status = 'valid'
+            GROUP BY ts.table_number
+        ) l ON l.table_number = t.table_number
+    ), '[]'::jsonb);
+END;
+$$;
+
+REVOKE ALL ON FUNCTION get_table_scan_stats(UUID, INTEGER) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION get_table_scan_stats(UUID, INTEGER) TO anon, authenticated;
+
+-- 5. get_occupied_tables(food_court, minutes)
+--    Admins only. The tables in use right now, by number:
+--    [{ table_number, table_name, zone_name, seats, open_orders,
+--       last_scan_at, occupied_since }]
+--    open_orders counts orders at the food court's stalls that are not yet
+--    completed or cancelled; a valid scan in the last p_minutes also counts.
+CREATE OR REPLACE FUNCTION get_occupied_tables(
+    p_food_court_id UUID,
+    p_minutes INTEGER DEFAULT 30
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    IF NOT is_admin() THEN
+        RAISE EXCEPTION 'Only admins can view table scans' USING ERRCODE = '42501';
+    END IF;
+
+    IF p_minutes IS NULL OR p_minutes < 1 OR p_minutes > 1440 THEN
+        RAISE EXCEPTION 'Minutes must be from 1 to 1440' USING ERRCODE = '22023';
+    END IF;
+
+    RETURN COALESCE((
+        SELECT jsonb_agg(jsonb_build_object(
+            'table_number', t.table_number,
+            'table_name', t.table_name,
+            'zone_name', t.zone_name,
+            'seats', t.seats,
+            'open_orders', COALESCE(o.open_orders, 0),
+            'last_scan_at', s.last_scan_at,
+            'occupied_since', LEAST(o.first_order_at, s.first_scan_at)
+        ) ORDER BY t.table_number)
+        FROM food_court_table_list(p_food_court_id) t
+        LEFT JOIN (
+            SELECT btrim(ord.table_number) AS table_number,
+                   COUNT(*) AS open_orders,
+                   MIN(ord.created_at) AS first_order_at
+            FROM orders ord
+            WHERE ord.status IN ('pending', 'preparing', 'ready')
+            AND EXISTS (
+                SELECT 1
+                FROM order_items oi
+                JOIN hawker_stalls hs ON hs.id = oi.stall_id
+                WHERE oi.order_id = ord.id
+                AND hs.food_court_id = p_food_court_id
+            )
+            GROUP BY btrim(ord.table_number)
+        ) o ON o.table_number = t.table_number::TEXT
+        LEFT JOIN (
+            SELECT ts.table_number,
+                   MIN(ts.scanned_at) AS first_scan_at,
+                   MAX(ts.scanned_at) AS last_scan_at
+            FROM table_scans ts
+            WHERE ts.food_court_id = p_food_court_id
+            AND ts.token_status = 'valid'
+            AND ts.scanned_at > NOW() - make_interval(mins => p_minutes)
+            GROUP BY ts.table_number
+        ) s ON s.table_number = t.table_number
+        WHERE o.open_orders IS NOT NULL OR s.last_scan_at IS NOT NULL
+    ), '[]'::jsonb);
+END;
+$$;
+
+REVOKE ALL ON FUNCTION get_occupied_tables(UUID, INTEGER) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION get_occupied_tables(UUID, INTEGER) TO anon, authenticated;
+
+-- migrate:down
+
+DROP FUNCTION IF EXISTS get_occupied_tables(UUID, INTEGER);
+DROP FUNCTION IF EXISTS get_table_scan_stats(UUID, INTEGER);
+DROP FUNCTION IF EXISTS food_court_table_list(UUID);
+
+DROP TRIGGER IF EXISTS link_order_table_scan ON orders;
+DROP FUNCTION IF EXISTS link_order_table_scan();
+DROP FUNCTION IF EXISTS record_table_scan(UUID, TEXT, TEXT);
+
+DROP INDEX IF EXISTS idx_orders_table_scan;
+ALTER TABLE orders DROP COLUMN IF EXISTS table_scan_id;
+
+DROP TABLE IF EXISTS table_scans;
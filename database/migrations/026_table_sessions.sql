@@ -0,0 +1,513 @@
+-- Group ordering: one shared cart per table
+-- Each phone used to keep its own cart, so friends at a table placed separate
+-- orders. Now every phone that scanned the table's QR code can join the
+-- table's session under a name, and the whole table's cart is kept here.
+--
+-- A diner still edits their own lines on their own phone (js/cart.js); the
+-- phone saves them here as a whole with save_table_session_cart(). Then
+-- submit_table_session() orders either everyone's lines, as one order with one
+-- service charge, or only the caller's, so each diner can place and pay for
+-- their own share. Both go through place_order(), so orders are priced and
+-- split into per-stall order_payments exactly as before; order_items.diner_name
+-- says whose each item was.
+--
+-- Joining needs a valid table token (023) and returns a member token, which
+-- the other functions take in the x-table-member header. A session lasts while
+-- something changes in it at least every 30 minutes, and until everything in
+-- its cart has been ordered and its orders are completed or cancelled; after
+-- that the next diner to join starts a new one. A diner sees only the orders
+-- placed since they joined, so the order numbers of an earlier group at the
+-- table (which open its tracking and payment pages) never reach a newcomer.
+--
+-- Realtime can't send headers (see 008), so, like stall_order_signals (016),
+-- table_sessions says only that a session changed and when. Anyone may read
+-- it; phones subscribe to their session's row and re-read the cart with
+-- get_table_session().
+
+-- migrate:up
+
+-- 1. Sessions, their diners and the diners' cart lines
+CREATE TABLE IF NOT EXISTS table_sessions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    food_court_id UUID NOT NULL REFERENCES food_courts(id) ON DELETE CASCADE,
+    table_number INTEGER NOT NULL CHECK (table_number BETWEEN 1 AND 999999999),
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    changed_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_table_sessions_table
+    ON table_sessions(food_court_id, table_number, changed_at DESC);
+
+CREATE TABLE IF NOT EXISTS table_session_members (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    session_id UUID NOT NULL REFERENCES table_sessions(id) ON DELETE CASCADE,
+    name TEXT NOT NULL CHECK (char_length(name) BETWEEN 1 AND 40),
+    token_hash TEXT NOT NULL UNIQUE,
+    joined_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_table_session_members_name
+    ON table_session_members(session_id, lower(name));
+
+-- id is the cart line's lineId, made by the phone. line is the cart line as
+-- the phone shows it (name, price, stall); place_order() prices it again.
+CREATE TABLE IF NOT EXISTS table_session_items (
+    id UUID PRIMARY KEY,
+    session_id UUID NOT NULL REFERENCES table_sessions(id) ON DELETE CASCADE,
+    member_id UUID NOT NULL REFERENCES table_session_members(id) ON DELETE CASCADE,
+    line JSONB NOT NULL,
+    order_id UUID REFERENCES orders(id) ON DELETE CASCADE,
+    added_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_table_session_items_session ON table_session_items(session_id);
+
+-- Sessions are readable by anyone (realtime checks SELECT); diners and cart
+-- lines only through the functions below
+ALTER TABLE table_sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE table_session_members ENABLE ROW LEVEL SECURITY;
+ALTER TABLE table_session_items ENABLE ROW LEVEL SECURITY;
+REVOKE INSERT, UPDATE, DELETE ON table_sessions FROM anon, authenticated;
+REVOKE ALL ON table_session_members, table_session_items FROM anon, authenticated;
+
+DROP POLICY IF EXISTS "Anyone can view table sessions" ON table_sessions;
+CREATE POLICY "Anyone can view table sessions"
+    ON table_sessions FOR SELECT
+    USING (true);
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS table_session_id UUID REFERENCES table_sessions(id) ON DELETE SET NULL;
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS diner_name TEXT;
+
+COMMENT ON COLUMN orders.table_session_id IS 'Table session the order was submitted from (NULL for orders from one phone''s cart)';
+COMMENT ON COLUMN order_items.diner_name IS 'Diner whose cart line the item came from, in a table session order';
+
+CREATE INDEX IF NOT EXISTS idx_orders_table_session ON orders(table_session_id);
+
+-- 2. The diner calling, from x-table-member
+CREATE OR REPLACE FUNCTION current_table_member(p_session_id UUID)
+RETURNS table_session_members
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_member table_session_members%ROWTYPE;
+BEGIN
+    SELECT * INTO v_member
+    FROM table_session_members
+    WHERE session_id = p_session_id
+    AND token_hash = encode(digest(COALESCE(request_header('x-table-member'), ''), 'sha256'), 'hex');
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Join your table''s group order first' USING ERRCODE = '42501';
+    END IF;
+    RETURN v_member;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION current_table_member(UUID) FROM PUBLIC, anon, authenticated;
+
+-- The session as a diner sees it:
+-- { id, food_court_id, table_number, member_id, members: [{ id, name }],
+--   items: [{ id, member_id, diner_name, line, ordered, order_id }],
+--   orders: [{ order_id, status, total, created_at, diners }] }
+-- items.order_id is the public order number once the line has been ordered,
+-- if the order was placed after p_member_id joined; orders lists only those.
+CREATE OR REPLACE FUNCTION table_session_view(p_session_id UUID, p_member_id UUID)
+RETURNS JSONB
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT jsonb_build_object(
+        'id', s.id,
+        'food_court_id', s.food_court_id,
+        'table_number', s.table_number,
+        'member_id', p_member_id,
+        'members', (
+            SELECT COALESCE(jsonb_agg(jsonb_build_object('id', m.id, 'name', m.name) ORDER BY m.joined_at), '[]'::JSONB)
+            FROM table_session_members m
+            WHERE m.session_id = s.id
+        ),
+        'items', (
+            SELECT COALESCE(jsonb_agg(jsonb_build_object(
+                'id', i.id,
+                'member_id', i.member_id,
+                'diner_name', m.name,
+                'line', i.line,
+                'ordered', i.order_id IS NOT NULL,
+                'order_id', o.order_id
+            ) ORDER BY i.added_at, i.id), '[]'::JSONB)
+            FROM table_session_items i
+            JOIN table_session_members m ON m.id = i.member_id
+            LEFT JOIN orders o ON o.id = i.order_id AND o.created_at >= viewer.joined_at
+            WHERE i.session_id = s.id
+        ),
+        'orders', (
+            SELECT COALESCE(jsonb_agg(jsonb_build_object(
+                'order_id', o.order_id,
+                'status', o.status,
+                'total', o.total,
+                'created_at', o.created_at,
+                'diners', (SELECT jsonb_agg(DISTINCT oi.diner_name) FROM order_items oi WHERE oi.order_id = o.id)
+            ) ORDER BY o.created_at), '[]'::JSONB)
+            FROM orders o
+            WHERE o.table_session_id = s.id
+            AND o.created_at >= viewer.joined_at
+        )
+    )
+    FROM table_sessions s
+    JOIN table_session_members viewer ON viewer.id = p_member_id
+    WHERE s.id = p_session_id;
+$$;
+
+REVOKE ALL ON FUNCTION table_session_view(UUID, UUID) FROM PUBLIC, anon, authenticated;
+
+-- 3. join_table_session(food_court, table, token, name)
+--    Anyone holding the table's current token. Joins the table's session if it
+--    changed in the last 30 minutes and isn't over (see the top), or starts
+--    one. Returns { session_id, member_id, member_token, name }.
+CREATE OR REPLACE FUNCTION join_table_session(
+    p_food_court_id UUID,
+    p_table_number TEXT,
+    p_token TEXT,
+    p_name TEXT
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_name TEXT := btrim(p_name);
+    v_table INTEGER;
+    v_session_id UUID;
+    v_member_id UUID;
+    v_member_token TEXT := base64url_encode(gen_random_bytes(24));
+BEGIN
+    IF v_name IS NULL OR v_name = '' OR char_length(v_name) > 40 THEN
+        RAISE EXCEPTION 'Enter your name (up to 40 characters)' USING ERRCODE = '22023';
+    END IF;
+
+    CASE check_table_token(p_food_court_id, p_table_number, p_token)
+        WHEN 'expired' THEN
+            RAISE EXCEPTION 'This table''s QR code has been replaced. Scan the QR code on your table again' USING ERRCODE = '42501';
+        WHEN 'invalid' THEN
+            RAISE EXCEPTION 'This QR code is not valid for table %. Scan the QR code on your table again', btrim(p_table_number) USING ERRCODE = '42501';
+        ELSE
+            NULL;
+    END CASE;
+    v_table := btrim(p_table_number)::INTEGER;
+
+    -- Two phones joining at once end up in the same session
+    PERFORM pg_advisory_xact_lock(hashtextextended(p_food_court_id || ':' || v_table, 0));
+
+    SELECT s.id INTO v_session_id
+    FROM table_sessions s
+    WHERE s.food_court_id = p_food_court_id
+    AND s.table_number = v_table
+    AND s.changed_at > NOW() - INTERVAL '30 minutes'
+    AND NOT (
+        EXISTS (SELECT 1 FROM orders o WHERE o.table_session_id = s.id)
+        AND NOT EXISTS (
+            SELECT 1 FROM orders o
+            WHERE o.table_session_id = s.id AND o.status NOT IN ('completed', 'cancelled')
+        )
+        AND NOT EXISTS (SELECT 1 FROM table_session_items i WHERE i.session_id = s.id AND i.order_id IS NULL)
+    )
+    ORDER BY s.changed_at DESC
+    LIMIT 1;
+
+    IF v_session_id IS NULL THEN
+        INSERT INTO table_sessions (food_court_id, table_number)
+        VALUES (p_food_court_id, v_table)
+        RETURNING id INTO v_session_id;
+    END IF;
+
+    IF EXISTS (SELECT 1 FROM table_session_members WHERE session_id = v_session_id AND lower(name) = lower(v_name)) THEN
+        RAISE EXCEPTION 'Someone at this table has already joined as %', v_name USING ERRCODE = 'P0001';
+    END IF;
+
+    INSERT INTO table_session_members (session_id, name, token_hash)
+    VALUES (v_session_id, v_name, encode(digest(v_member_token, 'sha256'), 'hex'))
+    RETURNING id INTO v_member_id;
+
+    UPDATE table_sessions SET changed_at = NOW() WHERE id = v_session_id;
+
+    RETURN jsonb_build_object(
+        'session_id', v_session_id,
+        'member_id', v_member_id,
+        'member_token', v_member_token,
+        'name', v_name
+    );
+END;
+$$;
+
+REVOKE ALL ON FUNCTION join_table_session(UUID, TEXT, TEXT, TEXT) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION join_table_session(UUID, TEXT, TEXT, TEXT) TO anon, authenticated;
+
+-- 4. get_table_session(session)
+--    Diners of the session only. Returns table_session_view().
+CREATE OR REPLACE FUNCTION get_table_session(p_session_id UUID)
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    RETURN table_session_view(p_session_id, (current_table_member(p_session_id)).id);
+END;
+$$;
+
+REVOKE ALL ON FUNCTION get_table_session(UUID) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION get_table_session(UUID) TO anon, authenticated;
+
+-- 5. save_table_session_cart(session, lines)
+--    Replaces the caller's lines that haven't been ordered with their phone's
+--    cart: [{ lineId, id (menu item), quantity, specialInstructions, modifiers,
+--    ... }]. Lines that were ordered in the meantime are left alone, so a phone
+--    that hasn't caught up can't put them back. Returns table_session_view().
+CREATE OR REPLACE FUNCTION save_table_session_cart(p_session_id UUID, p_lines JSONB)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    uuid_pattern CONSTANT TEXT := '^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$';
+    v_member table_session_members%ROWTYPE := current_table_member(p_session_id);
+    line JSONB;
+    v_line_ids UUID[] := '{}';
+BEGIN
+    IF p_lines IS NULL OR jsonb_typeof(p_lines) <> 'array' THEN
+        RAISE EXCEPTION 'Cart must be a list of items' USING ERRCODE = '22023';
+    END IF;
+    IF jsonb_array_length(p_lines) > 50 THEN
+        RAISE EXCEPTION 'A cart can hold at most 50 items' USING ERRCODE = '22023';
+    END IF;
+
+    -- Waits for a submit in progress, so its lines are marked ordered first
+    UPDATE table_sessions SET changed_at = NOW() WHERE id = p_session_id;
+
+    FOR line IN SELECT * FROM jsonb_array_elements(p_lines)
+    LOOP
+        IF jsonb_typeof(line) <> 'object'
+            OR COALESCE(line->>'lineId', '') !~* uuid_pattern
+            OR COALESCE(line->>'id', '') !~* uuid_pattern
+            OR COALESCE(line->>'quantity', '') !~ '^[0-9]{1,2}$'
+            OR (line->>'quantity')::INTEGER < 1
+            OR COALESCE(jsonb_typeof(line->'modifiers'), 'array') <> 'array' THEN
+            RAISE EXCEPTION 'Invalid cart item %', COALESCE(line->>'name', line::TEXT) USING ERRCODE = '22023';
+        END IF;
+
+        INSERT INTO table_session_items (id, session_id, member_id, line)
+        VALUES ((line->>'lineId')::UUID, p_session_id, v_member.id, line)
+        ON CONFLICT (id) DO UPDATE
+        SET line = EXCLUDED.line
+        WHERE table_session_items.member_id = v_member.id
+        AND table_session_items.order_id IS NULL;
+
+        v_line_ids := v_line_ids || (line->>'lineId')::UUID;
+    END LOOP;
+
+    -- Lines taken off the phone's cart
+    DELETE FROM table_session_items
+    WHERE member_id = v_member.id
+    AND order_id IS NULL
+    AND id <> ALL (v_line_ids);
+
+    RETURN table_session_view(p_session_id, v_member.id);
+END;
+$$;
+
+REVOKE ALL ON FUNCTION save_table_session_cart(UUID, JSONB) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION save_table_session_cart(UUID, JSONB) TO anon, authenticated;
+
+-- 6. While submit_table_session() runs place_order(), the transaction
+--    settings table_session.id and table_session.member (empty for everyone's
+--    lines) say which lines are being ordered. The order is linked to the
+--    session, and each item takes a matching line - same menu item, quantity,
+--    notes and choices - and its diner's name. Lines that match are the same
+--    food, so which of them an item takes doesn't matter.
+CREATE OR REPLACE FUNCTION table_session_line_choices(p_modifiers JSONB)
+RETURNS TEXT
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT string_agg(DISTINCT choice->>'id', ',' ORDER BY choice->>'id')
+    FROM jsonb_array_elements(COALESCE(p_modifiers, '[]'::JSONB)) choice;
+$$;
+
+CREATE OR REPLACE FUNCTION link_order_table_session()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    NEW.table_session_id := COALESCE(
+        NEW.table_session_id,
+        NULLIF(current_setting('table_session.id', true), '')::UUID
+    );
+    RETURN NEW;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION claim_table_session_line()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_session_id UUID := NULLIF(current_setting('table_session.id', true), '')::UUID;
+    v_member_id UUID := NULLIF(current_setting('table_session.member', true), '')::UUID;
+    v_line_id UUID;
+BEGIN
+    IF v_session_id IS NULL THEN
+        RETURN NEW;
+    END IF;
+
+    SELECT i.id, m.name INTO v_line_id, NEW.diner_name
+    FROM table_session_items i
+    JOIN table_session_members m ON m.id = i.member_id
+    WHERE i.session_id = v_session_id
+    AND i.order_id IS NULL
+    AND (v_member_id IS NULL OR i.member_id = v_member_id)
+    AND (i.line->>'id')::UUID = NEW.menu_item_id
+    AND (i.line->>'quantity')::INTEGER = NEW.quantity
+    AND NULLIF(btrim(i.line->>'specialInstructions'), '') IS NOT DISTINCT FROM NEW.notes
+    AND table_session_line_choices(i.line->'modifiers') IS NOT DISTINCT FROM table_session_line_choices(NEW.modifiers)
+    ORDER BY i.added_at, i.id
+    LIMIT 1;
+
+    UPDATE table_session_items SET order_id = NEW.order_id WHERE id = v_line_id;
+    RETURN NEW;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION link_order_table_session() FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION claim_table_session_line() FROM PUBLIC, anon, authenticated;
+
+DROP TRIGGER IF EXISTS link_order_table_session ON orders;
+CREATE TRIGGER link_order_table_session
+    BEFORE INSERT ON orders
+    FOR EACH ROW
+    EXECUTE FUNCTION link_order_table_session();
+
+DROP TRIGGER IF EXISTS claim_table_session_line ON order_items;
+CREATE TRIGGER claim_table_session_line
+    BEFORE INSERT ON order_items
+    FOR EACH ROW
+    EXECUTE FUNCTION claim_table_session_line();
+
+-- 7. submit_table_session(session, everyone, client_ref)
+--    Diners of the session only, with the table's token in x-table-token like
+--    place_order(). Orders every diner's lines that haven't been ordered yet
+--    (p_everyone), or only the caller's. Returns the order like place_order();
+--    sent again with the same client_ref, it returns that order.
+CREATE OR REPLACE FUNCTION submit_table_session(
+    p_session_id UUID,
+    p_everyone BOOLEAN,
+    p_client_ref UUID
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_member table_session_members%ROWTYPE := current_table_member(p_session_id);
+    v_table INTEGER;
+    v_items JSONB;
+    v_placed JSONB;
+BEGIN
+    IF p_client_ref IS NULL THEN
+        RAISE EXCEPTION 'Order reference is required' USING ERRCODE = '22023';
+    END IF;
+
+    -- One submit at a time per table, so no line is ordered twice
+    SELECT table_number INTO v_table FROM table_sessions WHERE id = p_session_id FOR UPDATE;
+
+    SELECT jsonb_agg(jsonb_build_object(
+        'menu_item_id', i.line->>'id',
+        'quantity', (i.line->>'quantity')::INTEGER,
+        'notes', i.line->>'specialInstructions',
+        'modifiers', (
+            SELECT COALESCE(jsonb_agg(choice->>'id'), '[]'::JSONB)
+            FROM jsonb_array_elements(COALESCE(i.line->'modifiers', '[]'::JSONB)) choice
+        )
+    ) ORDER BY i.added_at, i.id)
+    INTO v_items
+    FROM table_session_items i
+    WHERE i.session_id = p_session_id
+    AND i.order_id IS NULL
+    AND (p_everyone OR i.member_id = v_member.id);
+
+    -- Sent again after a dropped connection: place_order() returns the first order
+    IF v_items IS NULL AND NOT EXISTS (SELECT 1 FROM orders WHERE client_ref = p_client_ref) THEN
+        RAISE EXCEPTION 'There is nothing left to order' USING ERRCODE = 'P0001';
+    END IF;
+
+    PERFORM set_config('table_session.id', p_session_id::TEXT, true);
+    PERFORM set_config('table_session.member', CASE WHEN p_everyone THEN '' ELSE v_member.id::TEXT END, true);
+
+    v_placed := place_order(v_table::TEXT, COALESCE(v_items, '[]'::JSONB), p_client_ref);
+
+    PERFORM set_config('table_session.id', '', true);
+    PERFORM set_config('table_session.member', '', true);
+
+    UPDATE table_sessions SET changed_at = NOW() WHERE id = p_session_id;
+
+    RETURN v_placed;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION submit_table_session(UUID, BOOLEAN, UUID) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION submit_table_session(UUID, BOOLEAN, UUID) TO anon, authenticated;
+
+-- 8. Publish sessions to realtime
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_publication_tables
+        WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = 'table_sessions'
+    ) THEN
+        ALTER PUBLICATION supabase_realtime ADD TABLE table_sessions;
+    END IF;
+END $$;
+
+-- migrate:down
+
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM pg_publication_tables
+        WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = 'table_sessions'
+    ) THEN
+        ALTER PUBLICATION supabase_realtime DROP TABLE table_sessions;
+    END IF;
+END $$;
+
+DROP FUNCTION IF EXISTS submit_table_session(UUID, BOOLEAN, UUID);
+DROP TRIGGER IF EXISTS claim_table_session_line ON order_items;
+DROP TRIGGER IF EXISTS link_order_table_session ON orders;
+DROP FUNCTION IF EXISTS claim_table_session_line();
+DROP FUNCTION IF EXISTS link_order_table_session();
+DROP FUNCTION IF EXISTS table_session_line_choices(JSONB);
+DROP FUNCTION IF EXISTS save_table_session_cart(UUID, JSONB);
+DROP FUNCTION IF EXISTS get_table_session(UUID);
+DROP FUNCTION IF EXISTS join_table_session(UUID, TEXT, TEXT, TEXT);
+DROP FUNCTION IF EXISTS table_session_view(UUID, UUID);
+DROP FUNCTION IF EXISTS current_table_member(UUID);
+
+DROP INDEX IF EXISTS idx_orders_table_session;
+ALTER TABLE order_items DROP COLUMN IF EXISTS diner_name;
+ALTER TABLE orders DROP COLUMN IF EXISTS table_session_id;
+
+DROP TABLE IF EXISTS table_session_items;
+DROP TABLE IF EXISTS table_session_members;
+DROP TABLE IF EXISTS table_sessions;
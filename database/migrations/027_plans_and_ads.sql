@@ -0,0 +1,70 @@
+-- Subscription plans and advertisements
+-- The admin pages (admin/subscriptions.html, admin/advertisements.html,
+-- admin/reports.html) read and edit these through js/data-store.js. A
+-- hawker_subscriptions row (002) names its plan in plan_name.
+--
+-- 007 already gives both tables their policies if they exist; they are
+-- repeated here for databases where they didn't exist when 007 ran.
+
+-- migrate:up
+
+-- 1. Plans hawkers subscribe to
+CREATE TABLE IF NOT EXISTS subscription_plans (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name TEXT NOT NULL UNIQUE CHECK (btrim(name) <> ''),
+    price DECIMAL(10, 2) NOT NULL DEFAULT 0 CHECK (price >= 0),
+    duration TEXT NOT NULL DEFAULT 'monthly',
+    color TEXT NOT NULL DEFAULT '#3498db',
+    -- -1 means unlimited
+    max_menu_items INTEGER NOT NULL DEFAULT -1,
+    ads_per_month INTEGER NOT NULL DEFAULT 0,
+    features TEXT[] NOT NULL DEFAULT '{}',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- 2. Ads shown to customers, for the whole food court or for one stall
+CREATE TABLE IF NOT EXISTS advertisements (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    title TEXT NOT NULL CHECK (btrim(title) <> ''),
+    description TEXT,
+    type TEXT NOT NULL DEFAULT 'banner' CHECK (type IN ('banner', 'popup', 'slide')),
+    image_url TEXT,
+    stall_id UUID REFERENCES hawker_stalls(id) ON DELETE SET NULL,
+    start_date DATE NOT NULL DEFAULT CURRENT_DATE,
+    end_date DATE,
+    active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (end_date IS NULL OR end_date >= start_date)
+);
+
+-- 3. Public read, admin write (as in 007)
+ALTER TABLE subscription_plans ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Anyone can view subscription_plans" ON subscription_plans;
+CREATE POLICY "Anyone can view subscription_plans"
+    ON subscription_plans FOR SELECT
+    USING (true);
+
+DROP POLICY IF EXISTS "Admins manage subscription_plans" ON subscription_plans;
+CREATE POLICY "Admins manage subscription_plans"
+    ON subscription_plans FOR ALL
+    USING ((SELECT is_admin()))
+    WITH CHECK ((SELECT is_admin()));
+
+ALTER TABLE advertisements ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Anyone can view advertisements" ON advertisements;
+CREATE POLICY "Anyone can view advertisements"
+    ON advertisements FOR SELECT
+    USING (true);
+
+DROP POLICY IF EXISTS "Admins manage advertisements" ON advertisements;
+CREATE POLICY "Admins manage advertisements"
+    ON advertisements FOR ALL
+    USING ((SELECT is_admin()))
+    WITH CHECK ((SELECT is_admin()));
+
+-- migrate:down
+
+DROP TABLE IF EXISTS advertisements;
+DROP TABLE IF EXISTS subscription_plans;
@@ -0,0 +1,1020 @@
+-- pgTAP tests for the row-level security policies (migrations/007_row_level_security.sql)
+-- and the order and payment functions that check stall ownership (migrations/009-011)
+-- Run against a local Postgres with the pgtap extension available, after
+-- bringing it up to date:
+--
+--   node database/migrate.js up
+--   psql "$DATABASE_URL" -f database/tests/rls_policies_test.sql
+--
+-- Everything runs in one transaction that is rolled back, so no fixture rows
+-- are left behind. Each caller is simulated the way PostgREST does it: switch
+-- to the anon role and set request.headers.
+
+\set ON_ERROR_STOP 1
+\set QUIET 1
+
+BEGIN;
+
+CREATE EXTENSION IF NOT EXISTS pgtap;
+
+SELECT plan(150);
+
+-- ============================================
+-- FIXTURES (as the table owner, so RLS does not apply)
+-- Two stalls, one per hawker. Order A has items from both stalls,
+-- order B only from stall 2.
+-- ============================================
+
+INSERT INTO users (id, email, password_hash, full_name, phone, role, status) VALUES
+    ('00000000-0000-4000-8000-0000000000a1', 'rls-admin@test.local', 'admin-pass', 'RLS Admin', NULL, 'admin', 'active'),
+    ('00000000-0000-4000-8000-0000000000b1', '0190000001@hawker.local', 'hawker-pass', 'RLS Hawker One', '0190000001', 'hawker', 'active'),
+    ('00000000-0000-4000-8000-0000000000b2', '0190000002@hawker.local', 'hawker-pass', 'RLS Hawker Two', '0190000002', 'hawker', 'active');
+
+INSERT INTO food_courts (id, name, address, status) VALUES
+    ('00000000-0000-4000-8000-0000000000f1', 'RLS Test Food Court', 'Kuching', 'active');
+
+INSERT INTO hawker_stalls (id, food_court_id, hawker_id, stall_name, cuisine_type, status) VALUES
+    ('00000000-0000-4000-8000-0000000000c1', '00000000-0000-4000-8000-0000000000f1', '00000000-0000-4000-8000-0000000000b1', 'Stall One', 'Malay', 'active'),
+    ('00000000-0000-4000-8000-0000000000c2', '00000000-0000-4000-8000-0000000000f1', '00000000-0000-4000-8000-0000000000b2', 'Stall Two', 'Chinese', 'active');
+
+INSERT INTO menu_items (id, stall_id, name, price, category, available) VALUES
+    ('00000000-0000-4000-8000-0000000000d1', '00000000-0000-4000-8000-0000000000c1', 'Nasi Lemak', 5.00, 'Main', true),
+    ('00000000-0000-4000-8000-0000000000d2', '00000000-0000-4000-8000-0000000000c2', 'Kolo Mee', 6.00, 'Main', true);
+
+INSERT INTO orders (id, order_id, table_number, subtotal, service_charge, total, status) VALUES
+    ('00000000-0000-4000-8000-0000000000e1', 'ORD-RLS-A', '1', 11.00, 0.66, 11.66, 'pending'),
+    ('00000000-0000-4000-8000-0000000000e2', 'ORD-RLS-B', '2', 6.00, 0.36, 6.36, 'pending');
+
+INSERT INTO order_items (id, order_id, menu_item_id, stall_id, item_name, price, quantity, subtotal) VALUES
+    ('00000000-0000-4000-8000-000000000011', '00000000-0000-4000-8000-0000000000e1', '00000000-0000-4000-8000-0000000000d1', '00000000-0000-4000-8000-0000000000c1', 'Nasi Lemak', 5.00, 1, 5.00),
+    ('00000000-0000-4000-8000-000000000012', '00000000-0000-4000-8000-0000000000e1', '00000000-0000-4000-8000-0000000000d2', '00000000-0000-4000-8000-0000000000c2', 'Kolo Mee', 6.00, 1, 6.00),
+    ('00000000-0000-4000-8000-000000000013', '00000000-0000-4000-8000-0000000000e2', '00000000-0000-4000-8000-0000000000d2', '00000000-0000-4000-8000-0000000000c2', 'Kolo Mee', 6.00, 1, 6.00);
+
+INSERT INTO order_payments (id, order_id, stall_id, stall_name, amount) VALUES
+    ('00000000-0000-4000-8000-000000000021', '00000000-0000-4000-8000-0000000000e1', '00000000-0000-4000-8000-0000000000c1', 'Stall One', 5.00),
+    ('00000000-0000-4000-8000-000000000022', '00000000-0000-4000-8000-0000000000e1', '00000000-0000-4000-8000-0000000000c2', 'Stall Two', 6.00),
+    ('00000000-0000-4000-8000-000000000023', '00000000-0000-4000-8000-0000000000e2', '00000000-0000-4000-8000-0000000000c2', 'Stall Two', 6.00);
+
+-- Kolo Mee needs a noodle choice; soup and char siu cost extra
+UPDATE menu_items SET modifier_groups = '[
+    {"id": "noodles", "name": "Noodles", "min": 1, "max": 1, "options": [
+        {"id": "dry", "name": "Dry", "price": 0}, {"id": "soup", "name": "Soup", "price": 0.50}]},
+    {"id": "add-ons", "name": "Add-ons", "min": 0, "max": 2, "options": [
+        {"id": "char-siu", "name": "Char siu", "price": 2.00}, {"id": "egg", "name": "Egg", "price": 1.00}]}
+]' WHERE id = '00000000-0000-4000-8000-0000000000d2';
+
+-- Nasi Lemak is counted: 3 plates a day, already restocked today
+UPDATE menu_items SET daily_stock = 3, stock_left = 3, restocked_at = NOW()
+WHERE id = '00000000-0000-4000-8000-0000000000d1';
+
+UPDATE payment_providers SET enabled = true WHERE name = 'mock';
+
+SELECT auth_login('rls-admin@test.local', 'admin-pass', 'admin')->>'token' AS admin_token \gset
+SELECT auth_login('0190000001', 'hawker-pass', 'hawker')->>'token' AS hawker_token \gset
+
+-- Table 9's QR code, and the token signed into its link
+INSERT INTO qr_codes (food_court_id, table_number, qr_code_data, menu_url, token_version)
+VALUES ('00000000-0000-4000-8000-0000000000f1', 9, 'data:,', 'https://example.com/customer/home.html',
+        nextval('table_token_versions'));
+SELECT sign_table_token(food_court_id, table_number::TEXT, token_version) AS table_token
+FROM qr_codes WHERE food_court_id = '00000000-0000-4000-8000-0000000000f1' AND table_number = 9 \gset
+
+-- Table 9 is A9 in the Aircond zone of the floor plan
+INSERT INTO food_court_zones (id, food_court_id, name) VALUES
+    ('00000000-0000-4000-8000-000000000031', '00000000-0000-4000-8000-0000000000f1', 'Aircond');
+INSERT INTO food_court_tables (food_court_id, zone_id, table_number, name, seats) VALUES
+    ('00000000-0000-4000-8000-0000000000f1', '00000000-0000-4000-8000-000000000031', 9, 'A9', 4);
+
+-- ============================================
+-- POLICY SHAPE
+-- ============================================
+
+SELECT is_empty(
+    $$ SELECT relname FROM pg_class
+       WHERE relnamespace = 'public'::regnamespace
+       AND relname IN ('users', 'food_courts', 'hawker_stalls', 'menu_items', 'orders',
+                       'order_items', 'order_payments', 'qr_codes',
+                       'payment_providers', 'payment_intents')
+       AND NOT relrowsecurity $$,
+    'RLS is enabled on every app table'
+);
+
+SELECT is_empty(
+    $$ SELECT tablename || ': ' || policyname FROM pg_policies
+       WHERE schemaname = 'public'
+       AND tablename IN ('users', 'food_courts', 'hawker_stalls', 'menu_items', 'orders',
+                         'order_items', 'order_payments', 'qr_codes',
+                         'subscription_plans', 'advertisements')
+       AND cmd <> 'SELECT'
+       AND (qual = 'true' OR with_check = 'true') $$,
+    'no write policy is open to everyone'
+);
+
+SELECT CASE WHEN to_regclass('public.subscription_plans') IS NULL
+    THEN skip('subscription_plans does not exist')
+    ELSE policies_are('public', 'subscription_plans',
+        ARRAY['Anyone can view subscription_plans', 'Admins manage subscription_plans'])
+END;
+
+SELECT CASE WHEN to_regclass('public.advertisements') IS NULL
+    THEN skip('advertisements does not exist')
+    ELSE policies_are('public', 'advertisements',
+        ARRAY['Anyone can view advertisements', 'Admins manage advertisements'])
+END;
+
+-- ============================================
+-- GUEST WITHOUT AN ORDER NUMBER
+-- ============================================
+
+SET LOCAL ROLE anon;
+SELECT set_config('request.headers', '{}', true);
+
+SELECT is_empty($$ SELECT id FROM orders $$, 'guests see no orders');
+SELECT is_empty($$ SELECT id FROM order_items $$, 'guests see no order items');
+SELECT is_empty($$ SELECT id FROM order_payments $$, 'guests see no order payments');
+SELECT is_empty($$ SELECT id FROM users $$, 'guests see no user accounts');
+SELECT isnt_empty(
+    $$ SELECT id FROM menu_items WHERE id = '00000000-0000-4000-8000-0000000000d1' $$,
+    'guests can browse menu items'
+);
+SELECT throws_ok(
+    $$ INSERT INTO orders (order_id, table_number, subtotal, service_charge, total)
+       VALUES ('ORD-RLS-X', '9', 0, 0, 0) $$,
+    '42501', NULL, 'guests cannot insert orders directly'
+);
+SELECT throws_ok(
+    $$ INSERT INTO menu_items (stall_id, name, price, category, available)
+       VALUES ('00000000-0000-4000-8000-0000000000c1', 'Free Food', 0, 'Main', true) $$,
+    '42501', NULL, 'guests cannot add menu items'
+);
+SELECT throws_ok(
+    $$ INSERT INTO food_courts (name, address, status) VALUES ('Rogue Court', 'Nowhere', 'active') $$,
+    '42501', NULL, 'guests cannot add food courts'
+);
+SELECT throws_ok(
+    $$ INSERT INTO stall_order_signals (stall_id) VALUES ('00000000-0000-4000-8000-0000000000c1') $$,
+    '42501', NULL, 'guests cannot fake stall order signals'
+);
+SELECT throws_ok(
+    $$ SELECT place_order('9', '[{"menu_item_id": "00000000-0000-4000-8000-0000000000d1", "quantity": 1}]') $$,
+    '42501', 'Scan the QR code on your table to order', 'guests cannot order without a table token'
+);
+SELECT throws_ok(
+    $$ SELECT issue_table_token('00000000-0000-4000-8000-0000000000f1', '9') $$,
+    '42501', NULL, 'guests cannot sign table tokens'
+);
+SELECT is(
+    check_table_token('00000000-0000-4000-8000-0000000000f1', '9', :'table_token'),
+    'valid',
+    'a table link''s token checks out on landing'
+);
+SELECT is(
+    check_table_token('00000000-0000-4000-8000-0000000000f1', '8', :'table_token'),
+    'invalid',
+    'a token is only valid for its own table'
+);
+SELECT is(
+    check_table_token('00000000-0000-4000-8000-0000000000f1', '9', split_part(:'table_token', '.', 1) || '.forged'),
+    'invalid',
+    'a token with a forged signature is not valid'
+);
+
+-- The customer's scan of table 9, which the orders below are placed from
+SELECT record_table_scan('00000000-0000-4000-8000-0000000000f1', '9', :'table_token')->>'scan_id' AS scan_id \gset
+SELECT is(
+    record_table_scan('00000000-0000-4000-8000-0000000000f1', '9', :'table_token' || 'x')->>'status',
+    'invalid',
+    'a scan of an edited link is recorded as invalid'
+);
+SELECT is(
+    record_table_scan('00000000-0000-4000-8000-0000000000f1', '8', :'table_token'),
+    '{"scan_id": null, "status": "invalid"}'::JSONB,
+    'a scan of a table that is neither on the plan nor printed is not recorded'
+);
+SELECT is(
+    (SELECT count(*)::INT FROM table_scans),
+    0,
+    'guests cannot read table scans'
+);
+SELECT throws_ok(
+    $$ SELECT get_table_scan_stats('00000000-0000-4000-8000-0000000000f1', 30) $$,
+    '42501', 'Only admins can view table scans', 'guests cannot see scan stats'
+);
+
+SELECT set_config('request.headers', json_build_object(
+    'x-table-token', :'table_token',
+    'x-table-scan', :'scan_id'
+)::TEXT, true);
+
+SELECT throws_ok(
+    $$ SELECT place_order('8', '[{"menu_item_id": "00000000-0000-4000-8000-0000000000d1", "quantity": 1}]') $$,
+    '42501', 'This QR code is not valid for table 8. Scan the QR code on your table again',
+    'guests cannot order for another table by editing the link'
+);
+SELECT is(
+    place_order('9', '[{"menu_item_id": "00000000-0000-4000-8000-0000000000d1", "quantity": 1}]',
+                '00000000-0000-4000-8000-0000000000a9')->>'id',
+    place_order('9', '[{"menu_item_id": "00000000-0000-4000-8000-0000000000d1", "quantity": 1}]',
+                '00000000-0000-4000-8000-0000000000a9')->>'id',
+    'resending an order with the same client_ref returns the first order'
+);
+SELECT is(
+    place_order('9', '[{"menu_item_id": "00000000-0000-4000-8000-0000000000d2", "quantity": 1,
+                        "modifiers": ["soup", "char-siu"]}]')->'order_items'->0->>'price',
+    '8.50',
+    'options are priced from the menu, not the client'
+);
+SELECT throws_ok(
+    $$ SELECT place_order('9', '[{"menu_item_id": "00000000-0000-4000-8000-0000000000d2", "quantity": 1}]') $$,
+    '22023', NULL, 'guests cannot skip a required choice'
+);
+SELECT throws_ok(
+    $$ SELECT place_order('9', '[{"menu_item_id": "00000000-0000-4000-8000-0000000000d1", "quantity": 3}]') $$,
+    'P0001', 'Only 2 Nasi Lemak left', 'guests cannot order more than is left'
+);
+SELECT lives_ok(
+    $$ SELECT place_order('9', '[{"menu_item_id": "00000000-0000-4000-8000-0000000000d1", "quantity": 2}]') $$,
+    'guests can order the last plates'
+);
+SELECT is(
+    (SELECT stock_left || ' ' || available FROM menu_items WHERE id = '00000000-0000-4000-8000-0000000000d1'),
+    '0 false',
+    'an item is unavailable once it sells out'
+);
+SELECT is(
+    (SELECT count(*)::INT FROM food_court_tables WHERE food_court_id = '00000000-0000-4000-8000-0000000000f1'),
+    1,
+    'guests can read the floor plan'
+);
+SELECT throws_ok(
+    $$ SELECT save_floor_plan('00000000-0000-4000-8000-0000000000f1', '[]') $$,
+    '42501', 'Only admins can edit floor plans', 'guests cannot edit the floor plan'
+);
+
+RESET ROLE;
+SELECT is(
+    (SELECT DISTINCT table_zone || ' ' || table_name FROM orders WHERE table_number = '9'),
+    'Aircond A9',
+    'an order keeps the zone and name of its table'
+);
+SELECT is(
+    (SELECT count(*)::INT FROM orders WHERE table_scan_id = :'scan_id'),
+    3,
+    'orders are linked to the scan they were placed from'
+);
+-- The food court has opened again since
+UPDATE menu_items SET restocked_at = NOW() - INTERVAL '1 day 1 minute'
+WHERE id = '00000000-0000-4000-8000-0000000000d1';
+SET LOCAL ROLE anon;
+
+SELECT ok(restock_menu_items() > 0, 'items are restocked after opening time');
+SELECT is(
+    (SELECT stock_left || ' ' || available FROM menu_items WHERE id = '00000000-0000-4000-8000-0000000000d1'),
+    '3 true',
+    'a restocked item is back on sale'
+);
+SELECT throws_ok(
+    $$ SELECT save_push_subscription('ORD-RLS-A',
+           '{"endpoint": "https://push.example.com/x", "keys": {"p256dh": "k", "auth": "a"}}') $$,
+    '42501', NULL, 'guests cannot subscribe to push alerts for an order they do not hold'
+);
+SELECT throws_ok(
+    $$ SELECT start_payment('00000000-0000-4000-8000-000000000022', 'mock') $$,
+    '42501', NULL, 'guests cannot pay for an order without its number'
+);
+
+-- ============================================
+-- GUEST HOLDING ORDER A
+-- ============================================
+
+SELECT set_config('request.headers', '{"x-order-id": "ORD-RLS-A"}', true);
+
+SELECT results_eq(
+    $$ SELECT order_id FROM orders $$,
+    ARRAY['ORD-RLS-A'],
+    'a guest reads only the order they hold'
+);
+SELECT is(
+    (SELECT count(*)::INT FROM order_items),
+    2,
+    'a guest reads every item of their order'
+);
+SELECT is(
+    (SELECT count(*)::INT FROM order_payments),
+    2,
+    'a guest reads every payment of their order'
+);
+SELECT is_empty(
+    $$ UPDATE orders SET status = 'completed' RETURNING id $$,
+    'a guest cannot change their order status'
+);
+SELECT is_empty(
+    $$ UPDATE order_payments SET is_paid = true RETURNING id $$,
+    'a guest cannot mark their payments as paid'
+);
+SELECT throws_ok(
+    $$ SELECT reject_order_item('00000000-0000-4000-8000-000000000011', 'Sold out') $$,
+    '42501', NULL, 'a guest cannot reject order items'
+);
+SELECT throws_ok(
+    $$ SELECT confirm_payment_received('00000000-0000-4000-8000-000000000022', 'cash') $$,
+    '42501', NULL, 'a guest cannot confirm their own payment'
+);
+SELECT throws_ok(
+    $$ SELECT start_payment('00000000-0000-4000-8000-000000000023', 'mock') $$,
+    '42501', NULL, 'a guest cannot pay for an order they do not hold'
+);
+SELECT throws_ok(
+    $$ SELECT save_push_subscription('ORD-RLS-B',
+           '{"endpoint": "https://push.example.com/x", "keys": {"p256dh": "k", "auth": "a"}}') $$,
+    '42501', NULL, 'a guest cannot subscribe to push alerts for another order'
+);
+SELECT throws_ok(
+    $$ SELECT save_push_subscription('ORD-RLS-A',
+           '{"endpoint": "http://localhost:8089/push/x", "keys": {"p256dh": "k", "auth": "a"}}') $$,
+    '22023', NULL, 'push endpoints must be HTTPS'
+);
+
+-- Order A was placed first (same time, lower number); nothing has a preparation_time
+SELECT is(
+    order_queue('ORD-RLS-B'),
+    '[{"stall_id": "00000000-0000-4000-8000-0000000000c2", "position": 2, "eta_minutes": 20}]'::JSONB,
+    'a guest sees their place in each stall''s queue and the wait'
+);
+SELECT is(
+    (SELECT jsonb_agg(q->'position') FROM jsonb_array_elements(order_queue('ORD-RLS-A')) q),
+    '[1, 1]'::JSONB,
+    'the first order is first in line at every stall'
+);
+SELECT throws_ok(
+    $$ SELECT order_queue('ORD-RLS-NONE') $$,
+    'P0002', NULL, 'asking for the queue of an unknown order fails'
+);
+
+-- The mock provider calls back for stall 2's share of order A
+SELECT json_build_object(
+    'provider', 'mock',
+    'reference', start_payment('00000000-0000-4000-8000-000000000022', 'mock')->>'reference',
+    'status', 'succeeded',
+    'amount', 6.00
+)::TEXT AS webhook_body \gset
+
+SELECT set_config('request.headers', json_build_object(
+    'x-order-id', 'ORD-RLS-A',
+    'x-payment-signature', encode(hmac(:'webhook_body', 'not-the-secret', 'sha256'), 'hex')
+)::TEXT, true);
+
+SELECT throws_ok(
+    format('SELECT payment_webhook(%L::JSON)', :'webhook_body'),
+    '42501', NULL, 'a payment callback with a bad signature is refused'
+);
+
+SELECT set_config('request.headers', json_build_object(
+    'x-order-id', 'ORD-RLS-A',
+    'x-payment-signature', encode(hmac(:'webhook_body', 'mock-webhook-secret', 'sha256'), 'hex')
+)::TEXT, true);
+
+SELECT is(
+    payment_webhook(:'webhook_body'::JSON)->>'status',
+    'succeeded',
+    'a signed payment callback is accepted'
+);
+SELECT is(
+    (SELECT is_paid FROM order_payments WHERE id = '00000000-0000-4000-8000-000000000022'),
+    true,
+    'a verified callback marks the stall''s payment paid'
+);
+SELECT results_eq(
+    $$ SELECT kind || ' by ' || actor_role FROM order_events ORDER BY created_at $$,
+    ARRAY['placed by system', 'paid by system'],
+    'a guest reads their order''s events, the webhook''s payment by the system'
+);
+SELECT throws_ok(
+    $$ INSERT INTO order_events (order_id, kind, actor_role)
+       VALUES ('00000000-0000-4000-8000-0000000000e1', 'paid', 'admin') $$,
+    '42501', NULL, 'a guest cannot write order events'
+);
+
+-- ============================================
+-- HAWKER ONE (owns stall 1)
+-- ============================================
+
+SELECT set_config('request.headers', json_build_object('x-session-token', :'hawker_token')::TEXT, true);
+
+SELECT results_eq(
+    $$ SELECT order_id FROM orders WHERE order_id LIKE 'ORD-RLS-%' $$,
+    ARRAY['ORD-RLS-A'],
+    'a hawker reads only orders containing their items'
+);
+SELECT is_empty(
+    $$ SELECT id FROM order_items WHERE stall_id <> '00000000-0000-4000-8000-0000000000c1' $$,
+    'a hawker reads only their own stall''s order items'
+);
+SELECT is_empty(
+    $$ SELECT id FROM order_payments WHERE stall_id <> '00000000-0000-4000-8000-0000000000c1' $$,
+    'a hawker reads only their own stall''s payments'
+);
+SELECT results_eq(
+    $$ SELECT full_name FROM users $$,
+    ARRAY['RLS Hawker One'],
+    'a hawker reads only their own account'
+);
+SELECT isnt_empty(
+    $$ UPDATE menu_items SET price = 5.50 WHERE id = '00000000-0000-4000-8000-0000000000d1' RETURNING id $$,
+    'a hawker can edit their own menu item'
+);
+SELECT is_empty(
+    $$ UPDATE menu_items SET price = 0 WHERE id = '00000000-0000-4000-8000-0000000000d2' RETURNING id $$,
+    'a hawker cannot edit another stall''s menu item'
+);
+SELECT throws_ok(
+    $$ INSERT INTO menu_items (stall_id, name, price, category, available)
+       VALUES ('00000000-0000-4000-8000-0000000000c2', 'Sabotage', 0, 'Main', true) $$,
+    '42501', NULL, 'a hawker cannot add items to another stall'
+);
+SELECT throws_ok(
+    $$ UPDATE menu_items SET stall_id = '00000000-0000-4000-8000-0000000000c2'
+       WHERE id = '00000000-0000-4000-8000-0000000000d1' $$,
+    '42501', NULL, 'a hawker cannot move an item to another stall'
+);
+SELECT throws_ok(
+    $$ SELECT pause_stall_orders('00000000-0000-4000-8000-0000000000c2', 30) $$,
+    '42501', NULL, 'a hawker cannot pause another stall'
+);
+SELECT lives_ok(
+    $$ SELECT pause_stall_orders('00000000-0000-4000-8000-0000000000c1', 30) $$,
+    'a hawker can pause their own stall'
+);
+-- A customer at table 9 orders while the hawker is signed in on the same phone
+SELECT set_config('request.headers', json_build_object(
+    'x-session-token', :'hawker_token',
+    'x-table-token', :'table_token'
+)::TEXT, true);
+SELECT throws_ok(
+    $$ SELECT place_order('9', '[{"menu_item_id": "00000000-0000-4000-8000-0000000000d1", "quantity": 1}]') $$,
+    'P0001', 'Stall One has paused new orders', 'a paused stall takes no orders'
+);
+SELECT lives_ok(
+    $$ SELECT pause_stall_orders('00000000-0000-4000-8000-0000000000c1', 0) $$,
+    'a hawker can resume orders'
+);
+SELECT lives_ok(
+    $$ INSERT INTO stall_hours_overrides (stall_id, date, note)
+       VALUES ('00000000-0000-4000-8000-0000000000c1', (NOW() AT TIME ZONE 'Asia/Kuching')::DATE, 'Closed today') $$,
+    'a hawker can close their stall for the day'
+);
+SELECT throws_ok(
+    $$ SELECT place_order('9', '[{"menu_item_id": "00000000-0000-4000-8000-0000000000d1", "quantity": 1}]') $$,
+    'P0001', 'Stall One is closed right now', 'a closed stall takes no orders'
+);
+SELECT throws_ok(
+    $$ INSERT INTO stall_hours_overrides (stall_id, date)
+       VALUES ('00000000-0000-4000-8000-0000000000c2', (NOW() AT TIME ZONE 'Asia/Kuching')::DATE) $$,
+    '42501', NULL, 'a hawker cannot close another stall'
+);
+DELETE FROM stall_hours_overrides WHERE stall_id = '00000000-0000-4000-8000-0000000000c1';
+SELECT is_empty(
+    $$ UPDATE order_payments SET is_paid = true
+       WHERE stall_id = '00000000-0000-4000-8000-0000000000c1' RETURNING id $$,
+    'a hawker cannot mark their own payments paid directly'
+);
+SELECT is_empty(
+    $$ UPDATE order_payments SET is_paid = true
+       WHERE stall_id = '00000000-0000-4000-8000-0000000000c2' RETURNING id $$,
+    'a hawker cannot mark another stall''s payments paid'
+);
+SELECT is(
+    confirm_payment_received('00000000-0000-4000-8000-000000000021', 'cash')->>'payment_method',
+    'cash',
+    'a hawker can confirm cash received for their own stall'
+);
+SELECT throws_ok(
+    $$ SELECT confirm_payment_received('00000000-0000-4000-8000-000000000023', 'qr') $$,
+    '42501', NULL, 'a hawker cannot confirm payment for another stall'
+);
+SELECT is_empty(
+    $$ UPDATE order_items SET quantity = 9
+       WHERE stall_id = '00000000-0000-4000-8000-0000000000c2' RETURNING id $$,
+    'a hawker cannot change another stall''s order items'
+);
+SELECT is_empty(
+    $$ UPDATE orders SET status = 'ready' WHERE order_id = 'ORD-RLS-A' RETURNING id $$,
+    'a hawker cannot set the status of a whole order'
+);
+SELECT is_empty(
+    $$ UPDATE orders SET status = 'preparing' WHERE order_id = 'ORD-RLS-B' RETURNING id $$,
+    'a hawker cannot update an order without their items'
+);
+SELECT is(
+    update_stall_order_status('ORD-RLS-A', '00000000-0000-4000-8000-0000000000c1', 'ready')->>'status',
+    'pending',
+    'one stall marking ready leaves the order at the slowest stall'
+);
+SELECT results_eq(
+    $$ SELECT status FROM order_items WHERE order_id = '00000000-0000-4000-8000-0000000000e1' $$,
+    ARRAY['ready'],
+    'a hawker moves only their own stall''s items'
+);
+SELECT ok(
+    (SELECT ready_at IS NOT NULL FROM order_items WHERE id = '00000000-0000-4000-8000-000000000011'),
+    'marking items ready stamps when they were ready'
+);
+SELECT is(
+    jsonb_array_length(order_queue('ORD-RLS-A')),
+    1,
+    'a stall that has the food ready drops out of the queue'
+);
+SELECT throws_ok(
+    $$ SELECT update_stall_order_status('ORD-RLS-A', '00000000-0000-4000-8000-0000000000c2', 'ready') $$,
+    '42501', NULL, 'a hawker cannot move another stall''s portion of an order'
+);
+SELECT throws_ok(
+    $$ SELECT reject_order_item('00000000-0000-4000-8000-000000000012', 'Sold out') $$,
+    '42501', NULL, 'a hawker cannot reject another stall''s items'
+);
+SELECT is(
+    reject_order_item('00000000-0000-4000-8000-000000000011', 'Sold out')->'order_payments'->0->>'refund_status',
+    'due',
+    'rejecting an item marks the stall''s payment refund-due'
+);
+SELECT throws_ok(
+    $$ SELECT confirm_refund('00000000-0000-4000-8000-000000000022') $$,
+    '42501', NULL, 'a hawker cannot confirm another stall''s refunds'
+);
+SELECT is_empty(
+    $$ SELECT id FROM order_events WHERE stall_id <> '00000000-0000-4000-8000-0000000000c1' $$,
+    'a hawker reads only their own stall''s and order-wide events'
+);
+SELECT results_eq(
+    $$ SELECT concat_ws(' ', kind, from_status, to_status, detail->>'reason', actor_role)
+       FROM order_events
+       WHERE stall_id = '00000000-0000-4000-8000-0000000000c1'
+       AND actor_id = '00000000-0000-4000-8000-0000000000b1'
+       ORDER BY created_at $$,
+    ARRAY['paid hawker', 'status pending ready hawker', 'cancelled ready cancelled Sold out hawker'],
+    'payments, status moves and rejections are logged with the hawker who made them'
+);
+SELECT throws_ok(
+    $$ UPDATE hawker_stalls SET hawker_id = '00000000-0000-4000-8000-0000000000b2'
+       WHERE id = '00000000-0000-4000-8000-0000000000c1' $$,
+    '42501', NULL, 'a hawker cannot hand their stall to another user'
+);
+SELECT throws_ok(
+    $$ UPDATE hawker_stalls SET duitnow_payload = 'https://example.com/pay'
+       WHERE id = '00000000-0000-4000-8000-0000000000c1' $$,
+    '22023', NULL, 'a stall''s DuitNow QR must be a checksummed merchant payload'
+);
+SELECT throws_ok(
+    $$ INSERT INTO food_courts (name, address, status) VALUES ('Rogue Court', 'Nowhere', 'active') $$,
+    '42501', NULL, 'a hawker cannot add food courts'
+);
+SELECT throws_ok(
+    $$ INSERT INTO qr_codes (food_court_id, table_number, qr_code_url, menu_url)
+       VALUES ('00000000-0000-4000-8000-0000000000f1', 99, 'x', 'x') $$,
+    '42501', NULL, 'a hawker cannot create QR codes'
+);
+
+-- ============================================
+-- ADMIN
+-- ============================================
+
+SELECT set_config('request.headers', json_build_object('x-session-token', :'admin_token')::TEXT, true);
+
+SELECT is(
+    (SELECT count(*)::INT FROM orders WHERE order_id LIKE 'ORD-RLS-%'),
+    2,
+    'an admin reads every order'
+);
+SELECT lives_ok(
+    $$ INSERT INTO food_courts (name, address, status) VALUES ('Admin Court', 'Miri', 'active') $$,
+    'an admin can add food courts'
+);
+SELECT lives_ok(
+    $$ INSERT INTO qr_codes (food_court_id, table_number, qr_code_url, menu_url)
+       VALUES ('00000000-0000-4000-8000-0000000000f1', 99, 'x', 'x') $$,
+    'an admin can create QR codes'
+);
+SELECT lives_ok(
+    $$ INSERT INTO qr_codes (food_court_id, table_number, qr_code_data, menu_url)
+       VALUES ('00000000-0000-4000-8000-0000000000f1', 98, 'data:image/svg+xml;base64,PHN2Zy8+', 'x') $$,
+    'a QR code can be stored as image data without an image URL'
+);
+SELECT lives_ok(
+    $$ UPDATE qr_codes
+       SET token_version = (issue_table_token('00000000-0000-4000-8000-0000000000f1', '9')->>'version')::BIGINT
+       WHERE food_court_id = '00000000-0000-4000-8000-0000000000f1' AND table_number = 9 $$,
+    'an admin can make a table''s QR code again'
+);
+SELECT is(
+    check_table_token('00000000-0000-4000-8000-0000000000f1', '9', :'table_token'),
+    'expired',
+    'the table''s old printed code expires'
+);
+SELECT throws_ok(
+    $$ SELECT issue_table_token('00000000-0000-4000-8000-0000000000f1', '50') $$,
+    'P0002', 'Table 50 is not on the floor plan',
+    'only tables on the floor plan get QR codes'
+);
+SELECT throws_ok(
+    $$ SELECT save_floor_plan('00000000-0000-4000-8000-0000000000f1', '[
+           {"name": "Outdoor", "tables": [{"number": 9, "seats": 4}, {"number": 9, "name": "O9", "seats": 2}]}
+       ]') $$,
+    '22023', 'Table number 9 is used twice', 'a floor plan cannot use a table number twice'
+);
+SELECT is(
+    save_floor_plan('00000000-0000-4000-8000-0000000000f1', '[
+        {"name": "Outdoor", "x": 50, "width": 50, "height": 100, "tables": [
+            {"number": 9, "name": "O9", "seats": 4, "x": 60, "y": 20},
+            {"number": 10, "seats": 6, "x": 80, "y": 20}]}
+    ]'),
+    '{"zones": 1, "tables": 2, "seats": 10, "removed_qr_codes": 2}'::JSONB,
+    'an admin can replace the floor plan'
+);
+SELECT results_eq(
+    $$ SELECT table_number::TEXT FROM qr_codes WHERE food_court_id = '00000000-0000-4000-8000-0000000000f1' $$,
+    ARRAY['9'],
+    'QR codes of tables no longer on the floor plan are deleted'
+);
+WITH moved AS (
+    UPDATE orders SET table_number = '10' WHERE order_id = 'ORD-RLS-B'
+    RETURNING table_zone || ' ' || table_name AS place
+)
+SELECT is(place, 'Outdoor 10', 'moving an order to another table updates its zone') FROM moved;
+SELECT is(
+    update_stall_order_status('ORD-RLS-A', '00000000-0000-4000-8000-0000000000c2', 'ready')->>'status',
+    'ready',
+    'the order is ready once every stall is ready'
+);
+SELECT lives_ok(
+    $$ UPDATE orders SET status = 'completed', table_number = '3' WHERE order_id = 'ORD-RLS-A' $$,
+    'an admin can override an order directly'
+);
+SELECT results_eq(
+    $$ SELECT concat_ws(' ', kind, from_status, to_status, detail->'changes'->'table_number'->>'to', actor_role)
+       FROM order_events
+       WHERE order_id = '00000000-0000-4000-8000-0000000000e1' AND stall_id IS NULL
+       ORDER BY created_at $$,
+    ARRAY['placed pending system', 'status ready completed admin', 'edited 3 admin'],
+    'an admin override is logged as an order-wide status change and edit'
+);
+SELECT results_eq(
+    $$ SELECT concat_ws(' ', e->>'table_number', e->>'table_name', e->>'scans', e->>'failed_scans',
+                        e->>'ordered_scans', e->>'orders')
+       FROM jsonb_array_elements(get_table_scan_stats('00000000-0000-4000-8000-0000000000f1', 30)) e $$,
+    ARRAY['9 O9 1 1 1 3', '10 10 0 0 0 0'],
+    'an admin sees scans, failed scans and orders per table, unused tables included'
+);
+SELECT results_eq(
+    $$ SELECT concat_ws(' ', e->>'table_number', e->>'zone_name', e->>'open_orders')
+       FROM jsonb_array_elements(get_occupied_tables('00000000-0000-4000-8000-0000000000f1', 30)) e $$,
+    ARRAY['9 Outdoor 3', '10 Outdoor 1'],
+    'an admin sees which tables have open orders or a recent scan'
+);
+SELECT is(
+    (SELECT count(*)::INT FROM (
+        SELECT record_table_scan('00000000-0000-4000-8000-0000000000f1', '9', :'table_token') AS scan
+        FROM generate_series(1, 25)
+     ) scans
+     WHERE scan->>'scan_id' IS NULL),
+    7,
+    'a table records at most 20 scans a minute'
+);
+
+-- ============================================
+-- GROUP ORDERING AT TABLE 9
+-- ============================================
+
+RESET ROLE;
+SELECT sign_table_token(food_court_id, table_number::TEXT, token_version) AS new_table_token
+FROM qr_codes WHERE food_court_id = '00000000-0000-4000-8000-0000000000f1' AND table_number = 9 \gset
+SET LOCAL ROLE anon;
+SELECT set_config('request.headers', '{}', true);
+
+SELECT throws_ok(
+    format('SELECT join_table_session(%L, %L, %L, %L)', '00000000-0000-4000-8000-0000000000f1', '9', :'table_token', 'Ali'),
+    '42501', 'This table''s QR code has been replaced. Scan the QR code on your table again',
+    'a diner cannot join a table''s group with an expired code'
+);
+
+SELECT j->>'session_id' AS session_id, j->>'member_token' AS ali_token
+FROM join_table_session('00000000-0000-4000-8000-0000000000f1', '9', :'new_table_token', ' Ali ') j \gset
+SELECT j->>'session_id' AS bee_session_id, j->>'member_token' AS bee_token
+FROM join_table_session('00000000-0000-4000-8000-0000000000f1', '9', :'new_table_token', 'Bee') j \gset
+
+SELECT is(:'bee_session_id', :'session_id', 'diners at the same table join the same group');
+SELECT throws_ok(
+    format('SELECT join_table_session(%L, %L, %L, %L)', '00000000-0000-4000-8000-0000000000f1', '9', :'new_table_token', 'ali'),
+    'P0001', 'Someone at this table has already joined as ali',
+    'two diners in a group cannot use the same name'
+);
+SELECT throws_ok(
+    $$ SELECT name FROM table_session_members $$,
+    '42501', NULL, 'guests cannot read who joined a group'
+);
+SELECT throws_ok(
+    format('SELECT get_table_session(%L)', :'session_id'),
+    '42501', 'Join your table''s group order first',
+    'only diners in the group can read its cart'
+);
+SELECT is(
+    (SELECT count(*)::INT FROM table_sessions WHERE id = :'session_id'),
+    1,
+    'anyone can see that a group changed, for realtime'
+);
+
+-- Ali and Bee both want dry Kolo Mee; Bee also has Nasi Lemak
+SELECT set_config('request.headers', json_build_object(
+    'x-table-token', :'new_table_token', 'x-table-member', :'ali_token')::TEXT, true);
+SELECT lives_ok(
+    format($$ SELECT save_table_session_cart(%L, '[
+        {"lineId": "00000000-0000-4000-8000-000000000041", "id": "00000000-0000-4000-8000-0000000000d2",
+         "name": "Kolo Mee", "quantity": 1, "modifiers": [{"id": "dry", "name": "Dry"}]}
+    ]') $$, :'session_id'),
+    'a diner can put their lines in the group cart'
+);
+
+SELECT set_config('request.headers', json_build_object(
+    'x-table-token', :'new_table_token', 'x-table-member', :'bee_token')::TEXT, true);
+SELECT throws_ok(
+    format($$ SELECT save_table_session_cart(%L, '[{"lineId": "x", "quantity": 1}]') $$, :'session_id'),
+    '22023', NULL, 'cart lines need a line ID and a menu item'
+);
+SELECT results_eq(
+    format($$ SELECT concat_ws(' ', i->>'diner_name', i->'line'->>'name', i->'line'->>'quantity')
+       FROM jsonb_array_elements(save_table_session_cart(%L, '[
+           {"lineId": "00000000-0000-4000-8000-000000000041", "id": "00000000-0000-4000-8000-0000000000d2",
+            "name": "Kolo Mee", "quantity": 3, "modifiers": [{"id": "dry"}]},
+           {"lineId": "00000000-0000-4000-8000-000000000042", "id": "00000000-0000-4000-8000-0000000000d2",
+            "name": "Kolo Mee", "quantity": 1, "modifiers": [{"id": "dry"}]},
+           {"lineId": "00000000-0000-4000-8000-000000000043", "id": "00000000-0000-4000-8000-0000000000d1",
+            "name": "Nasi Lemak", "quantity": 1, "specialInstructions": "No egg"}
+       ]')->'items') i $$, :'session_id'),
+    ARRAY['Ali Kolo Mee 1', 'Bee Kolo Mee 1', 'Bee Nasi Lemak 1'],
+    'every diner sees the whole group cart, and cannot change another diner''s lines'
+);
+
+-- Ali pays for their own share
+SELECT set_config('request.headers', json_build_object(
+    'x-table-token', :'new_table_token', 'x-table-member', :'ali_token')::TEXT, true);
+SELECT submit_table_session(:'session_id', false, '00000000-0000-4000-8000-000000000051') AS ali_order \gset
+SELECT is(
+    (SELECT string_agg(concat_ws(' ', i->>'item_name', i->>'quantity', i->>'diner_name'), ', ')
+     FROM jsonb_array_elements(:'ali_order'::JSONB->'order_items') i),
+    'Kolo Mee 1 Ali',
+    'a diner can order only their own lines'
+);
+SELECT ok(
+    :'ali_order'::JSONB->>'order_id' ~ '^ORD[0-9]{13}-[0-9A-F]{16}$',
+    'an order number cannot be guessed from when the order was placed'
+);
+
+-- Bee orders what is left, for everyone
+SELECT set_config('request.headers', json_build_object(
+    'x-table-token', :'new_table_token', 'x-table-member', :'bee_token')::TEXT, true);
+SELECT submit_table_session(:'session_id', true, '00000000-0000-4000-8000-000000000052') AS group_order \gset
+SELECT is(
+    (SELECT string_agg(concat_ws(' ', i->>'item_name', i->>'quantity', i->>'notes', i->>'diner_name'), ', ' ORDER BY i->>'item_name')
+     FROM jsonb_array_elements(:'group_order'::JSONB->'order_items') i),
+    'Kolo Mee 1 Bee, Nasi Lemak 1 No egg Bee',
+    'ordering for everyone takes the lines nobody has ordered'
+);
+SELECT is(
+    (SELECT string_agg(concat_ws(' ', p->>'stall_name', p->>'amount'), ', ' ORDER BY p->>'stall_name')
+     FROM jsonb_array_elements(:'group_order'::JSONB->'order_payments') p),
+    'Stall One 5.5, Stall Two 6',
+    'a group order is still paid stall by stall'
+);
+SELECT is(
+    :'group_order'::JSONB->>'table_session_id',
+    :'session_id',
+    'the order remembers the group it came from'
+);
+SELECT is(
+    submit_table_session(:'session_id', true, '00000000-0000-4000-8000-000000000052')->>'id',
+    :'group_order'::JSONB->>'id',
+    'sending a group order again returns the same order'
+);
+SELECT throws_ok(
+    format('SELECT submit_table_session(%L, true, gen_random_uuid())', :'session_id'),
+    'P0001', 'There is nothing left to order',
+    'a group cart cannot be ordered twice'
+);
+SELECT is(
+    (SELECT string_agg(concat_ws(' ', o->>'total', o->'diners'->>0), ', ' ORDER BY (o->>'total')::NUMERIC)
+     FROM jsonb_array_elements(get_table_session(:'session_id')->'orders') o),
+    '6.36 Ali, 12.19 Bee',
+    'the group sees its orders and who ordered them'
+);
+SELECT stock_left AS nasi_left FROM menu_items WHERE id = '00000000-0000-4000-8000-0000000000d1' \gset
+SELECT is(
+    (SELECT string_agg(concat_ws(' ', p->>'stall_name', p->>'amount', coalesce(p->>'refund_status', 'no refund')), ', '
+                       ORDER BY p->>'stall_name')
+     FROM jsonb_array_elements(cancel_order(:'group_order'::JSONB->>'order_id')->'order_payments') p),
+    'Stall One 0.00 no refund, Stall Two 0.00 no refund',
+    'cancelling an unpaid order leaves nothing owed and nothing to refund'
+);
+SELECT is(
+    (SELECT stock_left FROM menu_items WHERE id = '00000000-0000-4000-8000-0000000000d1'),
+    :'nasi_left'::INT + 1,
+    'a cancelled order gives its plates back'
+);
+
+-- Cy sits down a few minutes later, while Ali's order is still being made
+RESET ROLE;
+UPDATE orders SET created_at = NOW() - INTERVAL '5 minutes' WHERE table_session_id = :'session_id';
+SET LOCAL ROLE anon;
+SELECT set_config('request.headers', '{}', true);
+SELECT j->>'member_token' AS cy_token
+FROM join_table_session('00000000-0000-4000-8000-0000000000f1', '9', :'new_table_token', 'Cy') j \gset
+SELECT set_config('request.headers', json_build_object(
+    'x-table-token', :'new_table_token', 'x-table-member', :'cy_token')::TEXT, true);
+SELECT is(
+    get_table_session(:'session_id')->'orders',
+    '[]'::JSONB,
+    'a diner does not see the orders placed before they joined'
+);
+SELECT is(
+    (SELECT string_agg(concat_ws(' ', i->>'ordered', COALESCE(i->>'order_id', 'hidden')), ', ')
+     FROM jsonb_array_elements(get_table_session(:'session_id')->'items') i),
+    'true hidden, true hidden, true hidden',
+    'a diner sees which lines were ordered before they joined, but not the order numbers'
+);
+
+-- Ali collects their food, so every order of the group is done
+RESET ROLE;
+UPDATE orders SET status = 'completed' WHERE id = (:'ali_order'::JSONB->>'id')::UUID;
+SET LOCAL ROLE anon;
+SELECT set_config('request.headers', '{}', true);
+SELECT join_table_session('00000000-0000-4000-8000-0000000000f1', '9', :'new_table_token', 'Dee')->>'session_id' AS dee_session_id \gset
+SELECT ok(:'dee_session_id' <> :'session_id', 'a diner sitting down after the group is done starts a new group');
+
+RESET ROLE;
+UPDATE table_sessions SET changed_at = NOW() - INTERVAL '31 minutes' WHERE id = :'dee_session_id';
+SET LOCAL ROLE anon;
+SELECT ok(
+    join_table_session('00000000-0000-4000-8000-0000000000f1', '9', :'new_table_token', 'Eve')->>'session_id'
+        <> :'dee_session_id',
+    'a group nobody has changed for 30 minutes is not joined'
+);
+
+-- ============================================
+-- BAD TOKENS
+-- ============================================
+
+SELECT set_config(
+    'request.headers',
+    json_build_object('x-session-token', split_part(:'hawker_token', '.', 1) || '.forged')::TEXT,
+    true
+);
+
+SELECT is_empty(
+    $$ SELECT id FROM orders WHERE order_id LIKE 'ORD-RLS-%' $$,
+    'a token with a forged signature is treated as a guest'
+);
+
+SELECT set_config('request.headers', json_build_object('x-table-token', :'table_token')::TEXT, true);
+
+SELECT throws_ok(
+    $$ SELECT place_order('9', '[{"menu_item_id": "00000000-0000-4000-8000-0000000000d1", "quantity": 1}]') $$,
+    '42501', 'This table''s QR code has been replaced. Scan the QR code on your table again',
+    'an order from an expired table code is refused'
+);
+
+RESET ROLE;
+SELECT ok(auth_logout(:'hawker_token'), 'hawker session revoked');
+SET LOCAL ROLE anon;
+SELECT set_config('request.headers', json_build_object('x-session-token', :'hawker_token')::TEXT, true);
+
+SELECT is_empty(
+    $$ SELECT id FROM orders WHERE order_id LIKE 'ORD-RLS-%' $$,
+    'a revoked token is treated as a guest'
+);
+SELECT is_empty(
+    $$ UPDATE menu_items SET price = 0 WHERE id = '00000000-0000-4000-8000-0000000000d1' RETURNING id $$,
+    'a revoked token cannot edit menu items'
+);
+
+RESET ROLE;
+
+SELECT throws_ok(
+    $$ UPDATE order_events SET actor_role = 'system' $$,
+    'P0001', 'Order events cannot be changed', 'order events cannot be rewritten, even by the owner'
+);
+SELECT is_empty(
+    $$ SELECT e.id FROM order_events e JOIN orders o ON o.id = e.order_id
+       WHERE o.client_ref = '00000000-0000-4000-8000-0000000000a9' AND e.kind = 'edited' $$,
+    'an order placed with a client_ref is not logged as edited'
+);
+
+-- ============================================
+-- PAYING AFTER A REJECTION
+-- ============================================
+
+-- Stall Two takes DuitNow; order C has two Kolo Mee from it and is not paid yet
+UPDATE hawker_stalls SET duitnow_payload = body || emv_crc16(body)
+FROM (
+    SELECT '000201010211' || emv_field('26', emv_field('00', 'MY.COM.PAYNET') || emv_field('01', '0000000002'))
+        || '5303458' || '5802MY' || '5909Stall Two' || '6007Kuching' || '6304' AS body
+) merchant
+WHERE id = '00000000-0000-4000-8000-0000000000c2';
+INSERT INTO orders (id, order_id, table_number, subtotal, service_charge, total, status) VALUES
+    ('00000000-0000-4000-8000-0000000000e3', 'ORD-RLS-C', '2', 12.00, 0.72, 12.72, 'pending');
+INSERT INTO order_items (id, order_id, menu_item_id, stall_id, item_name, price, quantity, subtotal) VALUES
+    ('00000000-0000-4000-8000-000000000014', '00000000-0000-4000-8000-0000000000e3', '00000000-0000-4000-8000-0000000000d2', '00000000-0000-4000-8000-0000000000c2', 'Kolo Mee', 6.00, 1, 6.00),
+    ('00000000-0000-4000-8000-000000000015', '00000000-0000-4000-8000-0000000000e3', '00000000-0000-4000-8000-0000000000d2', '00000000-0000-4000-8000-0000000000c2', 'Kolo Mee', 6.00, 1, 6.00);
+INSERT INTO order_payments (id, order_id, stall_id, stall_name, amount) VALUES
+    ('00000000-0000-4000-8000-000000000024', '00000000-0000-4000-8000-0000000000e3', '00000000-0000-4000-8000-0000000000c2', 'Stall Two', 12.00);
+
+SELECT set_config('request.headers', json_build_object('x-session-token', :'admin_token')::TEXT, true);
+
+SELECT lives_ok(
+    $$ SELECT reject_order_item('00000000-0000-4000-8000-000000000014', 'Sold out') $$,
+    'an admin can reject an item before it is paid'
+);
+SELECT is(
+    start_payment('00000000-0000-4000-8000-000000000024', 'mock')->>'amount',
+    '6.00',
+    'paying after a rejection charges only what is still owed'
+);
+SELECT ok(
+    (SELECT qr_payload LIKE '%54046.00%' FROM order_payments WHERE id = '00000000-0000-4000-8000-000000000024'),
+    'after a rejection the DuitNow QR asks for what is still owed'
+);
+
+-- The customer pays 6.00 online, but the other Kolo Mee is rejected before the
+-- provider calls back
+SELECT start_payment('00000000-0000-4000-8000-000000000024', 'mock')->>'reference' AS c_reference \gset
+UPDATE menu_items SET daily_stock = 5, stock_left = 0, available = false, restocked_at = NOW() - INTERVAL '1 hour'
+WHERE id = '00000000-0000-4000-8000-0000000000d2';
+SELECT lives_ok(
+    $$ SELECT reject_order_item('00000000-0000-4000-8000-000000000015', 'Sold out') $$,
+    'an admin can reject an item while its payment is under way'
+);
+SELECT is(
+    (SELECT stock_left || ' ' || available FROM menu_items WHERE id = '00000000-0000-4000-8000-0000000000d2'),
+    '0 false',
+    'a rejected line gives no stock back and leaves a sold-out item off sale'
+);
+SELECT json_build_object('provider', 'mock', 'reference', :'c_reference', 'status', 'succeeded', 'amount', 6.00)::TEXT
+    AS c_webhook_body \gset
+SELECT set_config('request.headers', json_build_object(
+    'x-payment-signature', encode(hmac(:'c_webhook_body', 'mock-webhook-secret', 'sha256'), 'hex')
+)::TEXT, true);
+SELECT payment_webhook(:'c_webhook_body'::JSON)->>'status' AS c_status \gset
+SELECT set_config('request.headers', json_build_object('x-session-token', :'admin_token')::TEXT, true);
+SELECT is(
+    (SELECT concat_ws(' ', is_paid, amount, refund_amount, refund_status)
+     FROM order_payments WHERE id = '00000000-0000-4000-8000-000000000024'),
+    't 6.00 6.00 due',
+    'what was paid for items rejected during the payment is refunded'
+);
+
+-- ============================================
+-- PUSH SENDER
+-- ============================================
+
+INSERT INTO push_subscriptions (id, order_id, endpoint, p256dh, auth) VALUES
+    ('00000000-0000-4000-8000-000000000061', '00000000-0000-4000-8000-0000000000e3', 'https://push.example/1', 'key', 'auth'),
+    ('00000000-0000-4000-8000-000000000062', '00000000-0000-4000-8000-0000000000e3', 'https://push.example/2', 'key', 'auth');
+INSERT INTO push_outbox (order_id, status) VALUES ('00000000-0000-4000-8000-0000000000e3', 'ready');
+SELECT (claim_push_messages()->0->>'id') AS push_id \gset
+
+SELECT is(
+    jsonb_array_length(claim_push_messages()),
+    0,
+    'a claimed push is not handed to a second sender'
+);
+SELECT lives_ok(
+    format('SELECT finish_push_messages(%L)', jsonb_build_array(jsonb_build_object(
+        'id', :'push_id'::BIGINT,
+        'delivered', ARRAY['00000000-0000-4000-8000-000000000061'],
+        'failed', true
+    ))),
+    'the sender hands back a push that reached only some browsers'
+);
+SELECT is(
+    (SELECT concat_ws(' ', m->>'id', (SELECT string_agg(sub->>'id', ',') FROM jsonb_array_elements(m->'subscriptions') sub))
+     FROM (SELECT claim_push_messages()->0 AS m) claimed),
+    :'push_id' || ' 00000000-0000-4000-8000-000000000062',
+    'a push is sent again only to the browsers that did not get it'
+);
+SELECT lives_ok(
+    format('SELECT finish_push_messages(%L::JSONB, %L::UUID[])',
+        jsonb_build_array(jsonb_build_object('id', :'push_id'::BIGINT, 'delivered', '[]'::JSONB, 'failed', false)),
+        ARRAY['00000000-0000-4000-8000-000000000062']::UUID[]),
+    'the sender marks a push sent and reports a subscription that is gone'
+);
+SELECT is(
+    jsonb_array_length(claim_push_messages()),
+    0,
+    'a delivered push is not sent again'
+);
+SELECT is(
+    (SELECT string_agg(id::TEXT, ',') FROM push_subscriptions WHERE order_id = '00000000-0000-4000-8000-0000000000e3'),
+    '00000000-0000-4000-8000-000000000061',
+    'a subscription the push service reports gone is deleted, not retried'
+);
+
+SELECT * FROM finish();
+
+ROLLBACK;
@@ -15,6 +15,47 @@ const utils = {
         return `RM ${parseFloat(amount).toFixed(2)}`;
     },
     
+    // Picked modifiers on one line, e.g. "Soup, Char siu"
+    formatModifiers: (modifiers = []) => {
+        return modifiers.map(modifier => modifier.name).join(', ');
+    },
+    
+    // Text from customers, hawkers or the menu, made safe to put into HTML
+    // (element content or a quoted attribute)
+    escapeHtml: (text) => {
+        const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+        return String(text == null ? '' : text).replace(/[&<>"']/g, char => entities[char]);
+    },
+    
+    // A stall's getStallOpenState() as shown to customers, e.g. "Open until 14:00",
+    // "Opens tomorrow 07:00" (times on the food court's clock)
+    formatStallOpenState: (state) => {
+        const clock = (date) => {
+            const { minutes } = getFoodCourtLocalTime(date);
+            return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+        };
+        
+        if (state.status === 'open') {
+            return state.until ? `Open until ${clock(state.until)}` : 'Open';
+        }
+        if (state.status === 'paused') {
+            return `Not taking orders until ${clock(state.until)}`;
+        }
+        if (!state.opensAt) {
+            return 'Closed';
+        }
+        
+        const today = getFoodCourtLocalTime().date;
+        const opensOn = getFoodCourtLocalTime(state.opensAt).date;
+        let day = '';
+        if (opensOn === addLocalDays(today, 1)) {
+            day = 'tomorrow ';
+        } else if (opensOn !== today) {
+            day = new Date(`${opensOn}T00:00:00Z`).toLocaleDateString('en-MY', { weekday: 'long', timeZone: 'UTC' }) + ' ';
+        }
+        return `Closed · Opens ${day}${clock(state.opensAt)}`;
+    },
+    
     // Format date/time
     formatDateTime: (timestamp) => {
         const date = new Date(timestamp);
@@ -43,10 +84,10 @@ const utils = {
         return 'ORD' + Date.now() + Math.random().toString(36).substr(2, 5).toUpperCase();
     },
     
-    // Get table number
+    // Get table number: the one from the last scanned table link that
+    // checked out (joinTableFromLink() in js/customer.js), or null
     getTableNumber: () => {
-        const urlParams = new URLSearchParams(window.location.search);
-        return urlParams.get('table') || localStorage.getItem('tableNumber') || '1';
+        return localStorage.getItem('tableNumber');
     },
     
     // Show toast notification
@@ -0,0 +1,141 @@
+// ========================================
+// AUTHENTICATION
+// Login, session tokens and the requireRole() guard used by every hawker
+// and admin page. Tokens are issued, checked and revoked by the auth_*
+// database functions (database/migrations/006_auth.sql).
+// ========================================
+
+const AUTH_CONFIG = {
+    // Storage key for each role's session
+    SESSION_KEYS: {
+        hawker: 'hawkerSession',
+        admin: 'adminSession'
+    },
+
+    // Login page, relative to the hawker/ and admin/ folders
+    LOGIN_PAGE: 'login.html'
+};
+
+// Role checked by the last requireRole() call on this page
+let activeRole = null;
+
+function getSessionKey(role) {
+    const key = AUTH_CONFIG.SESSION_KEYS[role];
+    if (!key) {
+        throw new Error(`Unknown role: ${role}`);
+    }
+    return key;
+}
+
+// Read the stored session for a role. Expired or pre-token sessions are dropped.
+function getSession(role) {
+    const key = getSessionKey(role);
+    const stored = localStorage.getItem(key) || sessionStorage.getItem(key);
+    if (!stored) return null;
+
+    try {
+        const session = JSON.parse(stored);
+        if (session.token && new Date(session.expiresAt) > new Date()) {
+            return session;
+        }
+    } catch (error) {
+        console.warn('⚠️ Ignoring unreadable session:', error);
+    }
+
+    clearSession(role);
+    return null;
+}
+
+function saveSession(role, session, remember) {
+    const storage = remember ? localStorage : sessionStorage;
+    storage.setItem(getSessionKey(role), JSON.stringify(session));
+}
+
+// Merge changes (e.g. a new stall name) into the stored session
+function updateSession(role, changes) {
+    const key = getSessionKey(role);
+    const storage = localStorage.getItem(key) ? localStorage : sessionStorage;
+    const session = { ...getSession(role), ...changes };
+    storage.setItem(key, JSON.stringify(session));
+    return session;
+}
+
+function clearSession(role) {
+    const key = getSessionKey(role);
+    localStorage.removeItem(key);
+    sessionStorage.removeItem(key);
+    getDataStore().backend.setHeader('x-session-token', null);
+}
+
+// Log in and store the signed session token
+async function login(role, identifier, password, { remember = false } = {}) {
+    const result = await getDataStore().backend.rpc('auth_login', {
+        p_identifier: identifier,
+        p_password: password,
+        p_role: role,
+        p_remember: remember
+    });
+
+    const session = {
+        token: result.token,
+        expiresAt: result.expires_at,
+        role: result.user.role,
+        userId: result.user.id,
+        name: result.user.full_name,
+        email: result.user.email,
+        phone: result.user.phone,
+        loginTime: new Date().toISOString()
+    };
+
+    saveSession(role, session, remember);
+    getDataStore().backend.setHeader('x-session-token', session.token);
+    return session;
+}
+
+// Guard for hawker and admin pages: returns the session, or sends the
+// visitor to the login page (and returns null) if the token is missing,
+// expired, revoked or for a different role. The token is then sent with
+// every request, so row-level security knows who is asking.
+async function requireRole(role) {
+    activeRole = role;
+
+    const session = getSession(role);
+    if (!session) {
+        window.location.href = AUTH_CONFIG.LOGIN_PAGE;
+        return null;
+    }
+
+    getDataStore().backend.setHeader('x-session-token', session.token);
+
+    try {
+        const verified = await getDataStore().backend.rpc('auth_verify', { p_token: session.token });
+        if (verified.role !== role) {
+            throw new Error(`Session is for ${verified.role}, not ${role}`);
+        }
+        return session;
+    } catch (error) {
+        console.warn('⚠️ Session rejected:', error.message);
+        clearSession(role);
+        window.location.href = AUTH_CONFIG.LOGIN_PAGE;
+        return null;
+    }
+}
+
+// Revoke the token and return to the login page
+async function logout(role = activeRole) {
+    if (!confirm('Are you sure you want to logout?')) {
+        return;
+    }
+
+    const session = getSession(role);
+    if (session) {
+        try {
+            await getDataStore().backend.rpc('auth_logout', { p_token: session.token });
+        } catch (error) {
+            console.warn('⚠️ Could not revoke session:', error.message);
+        }
+    }
+
+    clearSession(role);
+    window.location.href = AUTH_CONFIG.LOGIN_PAGE;
+}
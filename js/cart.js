@@ -20,19 +20,26 @@ function addToCart(item) {
     // Check if item already exists
     const existingIndex = cart.findIndex(cartItem => 
         cartItem.id === item.id && 
-        cartItem.specialInstructions === item.specialInstructions
+        cartItem.specialInstructions === item.specialInstructions &&
+        getModifierKey(cartItem) === getModifierKey(item)
     );
     
     if (existingIndex > -1) {
         cart[existingIndex].quantity += item.quantity;
     } else {
-        cart.push(item);
+        // Each line keeps its own ID, so a table's group cart (js/table-session.js) can tell lines apart
+        cart.push({ ...item, lineId: item.lineId || crypto.randomUUID() });
     }
     
     saveCart(cart);
     return cart;
 }
 
+// Same picks in any order give the same key
+function getModifierKey(item) {
+    return (item.modifiers || []).map(modifier => modifier.id).sort().join(',');
+}
+
 // Update cart item
 function updateCartItem(index, updates) {
     const cart = getCart();
@@ -57,9 +64,8 @@ function clearCart() {
     dispatchCartUpdate();
 }
 
-// Get cart totals
-function getCartTotals() {
-    const cart = getCart();
+// Get cart totals; also totals any other { price, quantity } lines, e.g. a stall's receipt
+function getCartTotals(cart = getCart()) {
     const subtotal = cart.reduce((sum, item) => sum + (item.price * item.quantity), 0);
     const serviceCharge = subtotal * 0.06;
     const total = subtotal + serviceCharge;
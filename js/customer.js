@@ -2,28 +2,123 @@
 // CUSTOMER FUNCTIONS
 // ========================================
 
-// Load and display food stalls
-async function loadStalls() {
+// Convert a hawker_stalls row to the card shape used by customer pages.
+// openState is the stall's getStallOpenState(); without one the stall counts as open.
+function toStallCard(stall, itemCount = 0, openState = { status: 'open', until: null, opensAt: null }) {
+    return {
+        id: stall.id,
+        name: stall.stall_name,
+        description: stall.description || 'Delicious food awaits!',
+        category: stall.cuisine_type,
+        image: stall.image_url || 'https://via.placeholder.com/400x300?text=Food+Stall',
+        rating: 4.5, // Default rating for now
+        isOpen: stall.status === 'active' && openState.status === 'open',
+        openState,
+        hoursLabel: utils.formatStallOpenState(openState),
+        itemCount
+    };
+}
+
+// Convert a menu_items row to the item shape used by the menu and cart
+function toMenuCard(item) {
+    return {
+        id: item.id,
+        stallId: item.stall_id,
+        name: item.name,
+        description: item.description || '',
+        price: parseFloat(item.price),
+        category: item.category || 'Main',
+        image: item.image_url || 'https://via.placeholder.com/300x200?text=Food',
+        available: item.available,
+        isPopular: item.is_popular || false,
+        modifierGroups: item.modifier_groups || [],
+        // null when the stall doesn't count this item
+        stockLeft: Number.isInteger(item.stock_left) ? item.stock_left : null
+    };
+}
+
+// Take the table from a scanned QR link (?foodcourt=&table=&token=). It is kept
+// only if record_table_scan() accepts the token, so an edited link can't move an
+// order to another table; place_order() checks it again. The scan is recorded
+// for the admin's table stats, and its ID is kept so orders placed from it are
+// linked to it. Resolves to 'valid', 'invalid' or 'expired', or null when the
+// link names no table.
+async function joinTableFromLink(params) {
+    const table = params.get('table');
+    const foodCourtId = params.get('foodcourt');
+    const token = params.get('token');
+    if (!table) return null;
+
+    let status = 'invalid';
+    let scanId = null;
+    if (foodCourtId && token) {
+        try {
+            ({ scan_id: scanId, status } = await getDataStore().tableScans.record(foodCourtId, table, token));
+        } catch (error) {
+            // Can't check right now (offline): keep the table, place_order() checks it anyway
+            console.warn('⚠️ Could not check the table link:', error.message);
+            status = 'valid';
+        }
+    }
+
+    if (status === 'valid') {
+        localStorage.setItem('tableNumber', table);
+        localStorage.setItem('tableToken', token);
+        localStorage.setItem('foodCourtId', foodCourtId);
+    } else {
+        localStorage.removeItem('tableNumber');
+        localStorage.removeItem('tableToken');
+    }
+    if (status === 'valid' && scanId) {
+        localStorage.setItem('tableScanId', scanId);
+    } else {
+        localStorage.removeItem('tableScanId');
+    }
+    return status;
+}
+
+// Load and display food stalls (all active stalls, or one food court's)
+async function loadStalls(foodCourtId = null) {
     try {
-        const response = await fetch('../data/stalls.json');
-        if (!response.ok) throw new Error('Failed to load stalls');
-        return await response.json();
+        const store = getDataStore();
+        const [stalls, itemCounts] = await Promise.all([
+            foodCourtId
+                ? store.stalls.listByFoodCourt(foodCourtId, { activeOnly: true })
+                : store.stalls.list({ activeOnly: true }),
+            store.menu.countAvailableByStall()
+        ]);
+        const openStates = await store.stalls.getOpenStates(stalls);
+        return stalls.map(stall => toStallCard(stall, itemCounts[stall.id] || 0, openStates[stall.id]));
     } catch (error) {
         console.error('Error loading stalls:', error);
         return [];
     }
 }
 
-// Load menu items for a stall
+// Load a stall and its available menu items
 async function loadMenuForStall(stallId) {
     try {
-        const response = await fetch('../data/menus.json');
-        if (!response.ok) throw new Error('Failed to load menu');
-        const allMenus = await response.json();
-        return allMenus.filter(item => item.stallId === stallId);
+        const store = getDataStore();
+
+        // Bring back anything that sold out before today's opening
+        try {
+            await store.menu.restock();
+        } catch (error) {
+            console.warn('⚠️ Could not restock menu:', error.message);
+        }
+
+        const [stall, items] = await Promise.all([
+            store.stalls.get(stallId),
+            store.menu.listByStall(stallId, { availableOnly: true, includeSoldOut: true })
+        ]);
+        const openStates = stall ? await store.stalls.getOpenStates([stall]) : {};
+        return {
+            stall: stall ? toStallCard(stall, items.filter(item => item.available).length, openStates[stall.id]) : null,
+            items: items.map(toMenuCard)
+        };
     } catch (error) {
         console.error('Error loading menu:', error);
-        return [];
+        return { stall: null, items: [] };
     }
 }
 
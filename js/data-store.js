@@ -0,0 +1,3456 @@
+/**
+ * Data Access Layer
+ * One set of repositories (food courts, stalls, menu, orders, payments,
+ * QR codes, floor plans, table scans, table sessions, users, subscriptions,
+ * ads) that every page goes
+ * through. The storage behind them is pluggable: Supabase for production, or
+ * the JSON mock store in data/*.json (persisted to localStorage) for demos and
+ * tests.
+ */
+
+// ============================================
+// CONFIGURATION
+// ============================================
+const DATA_CONFIG = {
+    // 'supabase' or 'mock'. Override per browser with ?backend=mock in any URL
+    // (remembered in localStorage under 'dataBackend').
+    DEFAULT_BACKEND: 'supabase',
+
+    // localStorage key prefix for mock tables
+    MOCK_STORAGE_PREFIX: 'mockdb:',
+
+    // Used by the mock place_order(); Supabase applies the same rate in SQL
+    SERVICE_CHARGE_RATE: 0.06,
+
+    // How often (ms) a guest's order is re-read on the Supabase backend
+    ORDER_POLL_INTERVAL: 5000,
+
+    // How long (ms) after placing a pending order the customer may cancel it;
+    // cancel_order() applies the same window in SQL
+    CANCEL_GRACE_PERIOD: 5 * 60 * 1000,
+
+    // Items with this many or fewer left are shown as running low
+    LOW_STOCK_LEVEL: 5,
+
+    // Food courts' opening times are Kuching time (UTC+8, no daylight saving);
+    // used for restocking and for stall opening hours
+    FOOD_COURT_UTC_OFFSET: 8 * 60 * 60 * 1000,
+
+    // How long the hawker's "pause orders" switch stops new orders (minutes)
+    ORDER_PAUSE_MINUTES: 30,
+
+    // How often (ms) the tracking page re-reads the customer's place in each
+    // stall's queue, so the wait counts down between queue changes
+    QUEUE_REFRESH_INTERVAL: 60000,
+
+    // Webhook signing secret of the local 'mock' payment provider (js/payments.js).
+    // Migration 011 adds the same provider to Supabase, disabled.
+    MOCK_PAYMENT_WEBHOOK_SECRET: 'mock-webhook-secret',
+
+    // Fixtures (in data/) that seed the mock tables on first use, and the
+    // database via `node database/migrate.js seed`. Rows use the same column
+    // names as the Supabase tables; listed in foreign-key order.
+    MOCK_FIXTURES: {
+        users: 'users.json',
+        food_courts: 'food-courts.json',
+        hawker_stalls: 'stalls.json',
+        menu_items: 'menus.json',
+        orders: 'orders.json',
+        subscription_plans: 'plans.json',
+        advertisements: 'ads.json'
+    }
+};
+
+// Resolve data/ relative to this script so pages in any folder can load fixtures
+const DATA_BASE_URL = (typeof document !== 'undefined' && document.currentScript)
+    ? new URL('../data/', document.currentScript.src).href
+    : '../data/';
+
+// ============================================
+// BACKENDS
+// Both expose the same table API. Filters are [column, operator, value]
+// triples using the supabase-js operator names (eq, neq, in, gt, gte, lt, lte).
+// Request headers identify the caller to the row-level security policies
+// (database/migrations/007_row_level_security.sql): x-session-token for hawkers and
+// admins, x-order-id for a guest reading their own order. place_order() also
+// needs x-table-token, the signed token from the table's QR link (023), and
+// takes x-table-scan, the scan the order came from (025). Diners in a table's
+// group order send x-table-member, the token they got when joining (026).
+// ============================================
+
+class SupabaseBackend {
+    constructor(client) {
+        this.name = 'supabase';
+        this.client = client;
+        this.headers = {};
+    }
+
+    /**
+     * Send a header with every request from now on
+     * @param {string} name - Header name
+     * @param {string|null} value - Header value, or null to stop sending it
+     */
+    setHeader(name, value) {
+        if (value === null || value === undefined) {
+            delete this.headers[name];
+        } else {
+            this.headers[name] = value;
+        }
+    }
+
+    withHeaders(query, headers = {}) {
+        Object.entries({ ...this.headers, ...headers }).forEach(([name, value]) => {
+            query = query.setHeader(name, value);
+        });
+        return query;
+    }
+
+    applyQuery(query, { filters = [], order, limit, headers } = {}) {
+        filters.forEach(([column, operator, value]) => {
+            query = query[operator](column, value);
+        });
+        if (order) {
+            query = query.order(order.column, { ascending: order.ascending !== false });
+        }
+        if (limit) {
+            query = query.limit(limit);
+        }
+        return this.withHeaders(query, headers);
+    }
+
+    async select(table, options = {}) {
+        const { data, error } = await this.applyQuery(
+            this.client.from(table).select(options.columns || '*'),
+            options
+        );
+        if (error) throw error;
+        return data || [];
+    }
+
+    async selectOne(table, options = {}) {
+        const { data, error } = await this.applyQuery(
+            this.client.from(table).select(options.columns || '*'),
+            options
+        ).maybeSingle();
+        if (error) throw error;
+        return data;
+    }
+
+    async insert(table, rows, { columns = '*' } = {}) {
+        const { data, error } = await this.withHeaders(
+            this.client
+                .from(table)
+                .insert(Array.isArray(rows) ? rows : [rows])
+                .select(columns)
+        );
+        if (error) throw error;
+        return data || [];
+    }
+
+    async update(table, filters, changes) {
+        const { data, error } = await this.applyQuery(
+            this.client.from(table).update(changes),
+            { filters }
+        ).select();
+        if (error) throw error;
+        return data || [];
+    }
+
+    async remove(table, filters) {
+        const { error } = await this.applyQuery(this.client.from(table).delete(), { filters });
+        if (error) throw error;
+        return true;
+    }
+
+    async rpc(functionName, params = {}, { headers } = {}) {
+        const { data, error } = await this.withHeaders(this.client.rpc(functionName, params), headers);
+        if (error) throw error;
+        return data;
+    }
+
+    /**
+     * The HTTP request rpc() would send, for replaying it without this client
+     * (the service worker sends queued orders this way)
+     * @param {string} functionName - Database function
+     * @param {Object} params - Named arguments
+     * @param {Object} options - { headers: extra headers for this request }
+     * @returns {Object} { url, headers, body }
+     */
+    rpcRequest(functionName, params = {}, { headers } = {}) {
+        return {
+            url: `${SUPABASE_CONFIG.url}/rest/v1/rpc/${functionName}`,
+            headers: {
+                apikey: SUPABASE_CONFIG.anonKey,
+                Authorization: `Bearer ${SUPABASE_CONFIG.anonKey}`,
+                'Content-Type': 'application/json',
+                ...this.headers,
+                ...headers
+            },
+            body: JSON.stringify(params)
+        };
+    }
+
+    /**
+     * Listen for row changes on a table
+     * @param {string} table - Table name
+     * @param {Object} options - { event: 'INSERT'|'UPDATE'|'DELETE'|'*', filter: [column, value] }
+     * @param {Function} callback - Receives { eventType, new, old }
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(table, { event = '*', filter } = {}, callback) {
+        const changeFilter = { event, schema: 'public', table };
+        if (filter) {
+            changeFilter.filter = `${filter[0]}=eq.${filter[1]}`;
+        }
+
+        const channel = this.client
+            .channel(`${table}-${filter ? filter.join('-') : 'all'}-${Date.now()}`)
+            .on('postgres_changes', changeFilter, (payload) => {
+                callback({ eventType: payload.eventType, new: payload.new, old: payload.old });
+            })
+            .subscribe();
+
+        return () => this.client.removeChannel(channel);
+    }
+}
+
+const MOCK_OPERATORS = {
+    eq: (a, b) => String(a) === String(b),
+    neq: (a, b) => String(a) !== String(b),
+    in: (a, list) => list.map(String).includes(String(a)),
+    gt: (a, b) => compareValues(a, b) > 0,
+    gte: (a, b) => compareValues(a, b) >= 0,
+    lt: (a, b) => compareValues(a, b) < 0,
+    lte: (a, b) => compareValues(a, b) <= 0,
+    is: (a, b) => (a === undefined ? null : a) === b
+};
+
+function compareValues(a, b) {
+    if (typeof a === 'number' || typeof b === 'number') {
+        return Number(a) - Number(b);
+    }
+    if (a === b) return 0;
+    return String(a) < String(b) ? -1 : 1;
+}
+
+function generateRowId() {
+    if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+        return crypto.randomUUID();
+    }
+    return 'mock-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
+}
+
+class MockBackend {
+    constructor() {
+        this.name = 'mock';
+        this.listeners = [];
+        this.rpcHandlers = { ...MOCK_RPC_HANDLERS };
+        this.seeding = {};
+        this.headers = {};
+
+        // Changes made in other tabs (e.g. hawker dashboard) arrive as storage events
+        if (typeof window !== 'undefined') {
+            window.addEventListener('storage', (event) => {
+                if (event.key === DATA_CONFIG.MOCK_STORAGE_PREFIX + '__change' && event.newValue) {
+                    this.notify(JSON.parse(event.newValue), false);
+                }
+            });
+        }
+    }
+
+    // Kept for parity with SupabaseBackend; the mock store has no row-level security
+    setHeader(name, value) {
+        if (value === null || value === undefined) {
+            delete this.headers[name];
+        } else {
+            this.headers[name] = value;
+        }
+    }
+
+    storageKey(table) {
+        return DATA_CONFIG.MOCK_STORAGE_PREFIX + table;
+    }
+
+    async ensureSeeded(table) {
+        if (localStorage.getItem(this.storageKey(table)) !== null) return;
+
+        if (!this.seeding[table]) {
+            this.seeding[table] = (async () => {
+                let rows = [];
+                const fixture = DATA_CONFIG.MOCK_FIXTURES[table];
+                if (fixture) {
+                    try {
+                        const response = await fetch(DATA_BASE_URL + fixture);
+                        if (response.ok) {
+                            const json = await response.json();
+                            rows = Array.isArray(json) ? json : (json[table] || []);
+                            // Hash any plain passwords in the fixtures like any other write
+                            rows = await Promise.all(rows.map(row => this.beforeWrite(table, row)));
+                        }
+                    } catch (error) {
+                        console.warn(`⚠️ Could not load fixture ${fixture}:`, error);
+                    }
+                }
+                if (localStorage.getItem(this.storageKey(table)) === null) {
+                    localStorage.setItem(this.storageKey(table), JSON.stringify(rows));
+                }
+            })();
+        }
+        await this.seeding[table];
+    }
+
+    async load(table) {
+        await this.ensureSeeded(table);
+        return JSON.parse(localStorage.getItem(this.storageKey(table)) || '[]');
+    }
+
+    save(table, rows) {
+        localStorage.setItem(this.storageKey(table), JSON.stringify(rows));
+    }
+
+    matches(row, filters = []) {
+        return filters.every(([column, operator, value]) => {
+            const test = MOCK_OPERATORS[operator];
+            if (!test) throw new Error(`Unsupported mock filter operator: ${operator}`);
+            return test(row[column], value);
+        });
+    }
+
+    async select(table, { columns, filters, order, limit } = {}) {
+        let rows = (await this.load(table)).filter(row => this.matches(row, filters));
+        if (order) {
+            const direction = order.ascending === false ? -1 : 1;
+            rows.sort((a, b) => compareValues(a[order.column], b[order.column]) * direction);
+        }
+        if (limit) {
+            rows = rows.slice(0, limit);
+        }
+        return columns ? this.project(rows, columns) : rows;
+    }
+
+    // Keep only the listed columns ('id, name'), like a select list
+    project(rows, columns) {
+        if (columns === '*') return rows;
+        const names = columns.split(',').map(name => name.trim());
+        return rows.map(row => Object.fromEntries(names.map(name => [name, row[name]])));
+    }
+
+    async selectOne(table, options = {}) {
+        const rows = await this.select(table, options);
+        return rows[0] || null;
+    }
+
+    // Mirror of the database triggers (e.g. password hashing on users)
+    async beforeWrite(table, row) {
+        for (const trigger of MOCK_TRIGGERS[table] || []) {
+            row = await trigger(row);
+        }
+        return row;
+    }
+
+    async insert(table, rows, { columns } = {}) {
+        const prepared = await Promise.all(
+            (Array.isArray(rows) ? rows : [rows]).map(row => this.beforeWrite(table, row))
+        );
+        const existing = await this.load(table);
+        const now = new Date().toISOString();
+        const inserted = prepared.map(row => ({
+            id: generateRowId(),
+            created_at: now,
+            ...row
+        }));
+        this.save(table, existing.concat(inserted));
+        inserted.forEach(row => this.notify({ table, eventType: 'INSERT', new: row, old: null }));
+        return columns ? this.project(inserted, columns) : inserted;
+    }
+
+    async update(table, filters, changes) {
+        changes = await this.beforeWrite(table, changes);
+        const rows = await this.load(table);
+        const rowChanges = [];
+        const next = rows.map(row => {
+            if (!this.matches(row, filters)) return row;
+            const changed = { ...row, ...changes };
+            if ('updated_at' in row && !('updated_at' in changes)) {
+                changed.updated_at = new Date().toISOString();
+            }
+            rowChanges.push({ table, eventType: 'UPDATE', new: changed, old: row });
+            return changed;
+        });
+        this.save(table, next);
+        rowChanges.forEach(change => this.notify(change));
+        return rowChanges.map(change => change.new);
+    }
+
+    async remove(table, filters) {
+        const rows = await this.load(table);
+        const removed = rows.filter(row => this.matches(row, filters));
+        this.save(table, rows.filter(row => !this.matches(row, filters)));
+        removed.forEach(row => this.notify({ table, eventType: 'DELETE', new: null, old: row }));
+        return true;
+    }
+
+    /**
+     * Register a local implementation of a database function (RPC)
+     * @param {string} functionName - Name used with rpc()
+     * @param {Function} handler - async (params, backend, headers) => result
+     */
+    registerRpc(functionName, handler) {
+        this.rpcHandlers[functionName] = handler;
+    }
+
+    async rpc(functionName, params = {}, { headers } = {}) {
+        const handler = this.rpcHandlers[functionName];
+        if (!handler) {
+            throw new Error(`Mock backend has no implementation for rpc "${functionName}"`);
+        }
+        return handler(params, this, { ...this.headers, ...headers });
+    }
+
+    // Mock functions run in the page, so there is no request to hand to anything else
+    rpcRequest() {
+        return null;
+    }
+
+    subscribe(table, { event = '*', filter } = {}, callback) {
+        const listener = { table, event, filter, callback };
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(l => l !== listener);
+        };
+    }
+
+    notify(change, broadcast = true) {
+        if (broadcast) {
+            localStorage.setItem(DATA_CONFIG.MOCK_STORAGE_PREFIX + '__change', JSON.stringify(change));
+        }
+
+        const row = change.new || change.old;
+        this.listeners.forEach(({ table, event, filter, callback }) => {
+            if (table !== change.table) return;
+            if (event !== '*' && event !== change.eventType) return;
+            if (filter && String(row[filter[0]]) !== String(filter[1])) return;
+            callback({ eventType: change.eventType, new: change.new, old: change.old });
+        });
+    }
+
+    /**
+     * Drop all mock tables so they are re-seeded from data/*.json
+     */
+    reset() {
+        Object.keys(localStorage)
+            .filter(key => key.startsWith(DATA_CONFIG.MOCK_STORAGE_PREFIX))
+            .forEach(key => localStorage.removeItem(key));
+        this.seeding = {};
+    }
+}
+
+// ============================================
+// MOCK RPC HANDLERS
+// Local versions of the database functions in database/migrations/, so the mock
+// backend enforces the same rules as Supabase.
+// ============================================
+
+// Mirror of new_order_number(): the time, then 64 random bits, since guests
+// hold their order with the number
+function mockNewOrderNumber() {
+    const random = Array.from(crypto.getRandomValues(new Uint8Array(8)), byte => byte.toString(16).padStart(2, '0'));
+    return `ORD${Date.now()}-${random.join('').toUpperCase()}`;
+}
+
+/**
+ * Mock of place_order() (database/migrations/005_place_order.sql, 017_menu_modifiers.sql,
+ * 023_table_tokens.sql)
+ * @param {Object} params - { p_table_number, p_items: [{ menu_item_id, quantity, notes, modifiers }] }
+ * @param {MockBackend} backend - Mock backend
+ * @param {Object} headers - Request headers (x-table-token, x-table-scan; who is calling, for order_events)
+ * @returns {Promise<Object>} Order row with order_items and order_payments
+ */
+async function mockPlaceOrder({ p_table_number, p_items, p_client_ref }, backend, headers = {}) {
+    // Mirror of place_order(table_number, items, client_ref): a reference that
+    // was already used returns that order
+    if (p_client_ref) {
+        const existing = await backend.selectOne('orders', { filters: [['client_ref', 'eq', p_client_ref]] });
+        if (existing) {
+            const filters = [['order_id', 'eq', existing.id]];
+            const [orderItems, orderPayments] = await Promise.all([
+                backend.select('order_items', { filters }),
+                backend.select('order_payments', { filters })
+            ]);
+            return { ...existing, order_items: orderItems, order_payments: orderPayments };
+        }
+    }
+
+    const tableNumber = String(p_table_number || '').trim();
+    if (!tableNumber) {
+        throw new Error('Table number is required');
+    }
+    if (!headers['x-table-token']) {
+        throw new Error('Scan the QR code on your table to order');
+    }
+    if (!Array.isArray(p_items) || p_items.length === 0) {
+        throw new Error('Order must contain at least one item');
+    }
+
+    await mockRestockMenuItems({}, backend);
+
+    const [menuItems, stalls, foodCourts, overrides] = await Promise.all([
+        backend.select('menu_items', { filters: [['id', 'in', p_items.map(line => line.menu_item_id)]] }),
+        backend.select('hawker_stalls'),
+        backend.select('food_courts'),
+        backend.select('stall_hours_overrides')
+    ]);
+    const now = new Date();
+
+    const lines = p_items.map(line => {
+        const quantity = Number(line.quantity);
+        if (!Number.isInteger(quantity) || quantity < 1 || quantity > 99) {
+            throw new Error(`Invalid quantity for menu item ${line.menu_item_id}`);
+        }
+
+        const item = menuItems.find(menuItem => String(menuItem.id) === String(line.menu_item_id));
+        if (!item) {
+            throw new Error(`Menu item ${line.menu_item_id} does not exist`);
+        }
+
+        const stall = stalls.find(s => String(s.id) === String(item.stall_id));
+        if (!item.available || !stall || stall.status !== 'active') {
+            throw new Error(`${item.name} is no longer available`);
+        }
+
+        const foodCourt = foodCourts.find(fc => String(fc.id) === String(stall.food_court_id));
+        const { status } = getStallOpenState(stall, { foodCourt, overrides, now });
+        if (status === 'paused') {
+            throw new Error(`${stall.stall_name} has paused new orders`);
+        }
+        if (status === 'closed') {
+            throw new Error(`${stall.stall_name} is closed right now`);
+        }
+
+        const modifiers = mockPickModifiers(item, line.modifiers || []);
+        const price = roundMoney(modifiers.reduce((sum, modifier) => sum + modifier.price, Number(item.price)));
+        return {
+            menu_item_id: item.id,
+            stall_id: stall.id,
+            stall_name: stall.stall_name,
+            item_name: item.name,
+            price,
+            quantity,
+            subtotal: roundMoney(price * quantity),
+            notes: (line.notes || '').trim() || null,
+            modifiers,
+            status: 'pending',
+            cancel_reason: null,
+            cancelled_at: null
+        };
+    });
+
+    // The token must be for this table, in the food court the stalls are in
+    const foodCourtIds = [...new Set(lines.map(line =>
+        String(stalls.find(s => String(s.id) === String(line.stall_id)).food_court_id)
+    ))];
+    if (foodCourtIds.length > 1) {
+        throw new Error('An order can only have stalls from one food court');
+    }
+    const tokenState = await mockCheckTableToken({
+        p_food_court_id: foodCourtIds[0],
+        p_table_number: tableNumber,
+        p_token: headers['x-table-token']
+    }, backend);
+    if (tokenState === 'expired') {
+        throw new Error('This table\'s QR code has been replaced. Scan the QR code on your table again');
+    }
+    if (tokenState === 'invalid') {
+        throw new Error(`This QR code is not valid for table ${tableNumber}. Scan the QR code on your table again`);
+    }
+
+    await mockTakeStock(lines, menuItems, backend);
+
+    const subtotal = roundMoney(lines.reduce((sum, line) => sum + line.subtotal, 0));
+    const serviceCharge = roundMoney(subtotal * DATA_CONFIG.SERVICE_CHARGE_RATE);
+
+    const [order] = await backend.insert('orders', {
+        order_id: mockNewOrderNumber(),
+        table_number: tableNumber,
+        ...(await mockFindOrderTable(foodCourtIds[0], tableNumber, backend)),
+        table_scan_id: await mockFindTableScan(headers['x-table-scan'], tableNumber, backend),
+        user_id: null,
+        client_ref: p_client_ref || null,
+        subtotal,
+        service_charge: serviceCharge,
+        total: roundMoney(subtotal + serviceCharge),
+        status: 'pending',
+        updated_at: new Date().toISOString()
+    });
+    await mockLogOrderEvent({
+        order_id: order.id,
+        kind: 'placed',
+        to_status: 'pending',
+        detail: { table_number: order.table_number, total: order.total }
+    }, backend, headers);
+
+    const payments = {};
+    lines.forEach(({ stall_id, stall_name, subtotal: lineTotal }) => {
+        if (!payments[stall_id]) {
+            payments[stall_id] = {
+                order_id: order.id,
+                stall_id,
+                stall_name,
+                amount: 0,
+                is_paid: false,
+                paid_at: null,
+                payment_method: null,
+                provider: null,
+                provider_ref: null,
+                confirmed_by: null,
+                refund_status: null,
+                refund_amount: 0,
+                refunded_at: null
+            };
+        }
+        payments[stall_id].amount = roundMoney(payments[stall_id].amount + lineTotal);
+    });
+
+    // Mirror of the set_order_payment_qr_payload trigger
+    Object.values(payments).forEach(payment => {
+        const stall = stalls.find(s => String(s.id) === String(payment.stall_id));
+        payment.qr_payload = stall && stall.duitnow_payload
+            ? buildDynamicDuitNowPayload(stall.duitnow_payload, payment.amount, order.order_id)
+            : null;
+    });
+
+    const orderItems = await backend.insert('order_items', lines.map(line => ({
+        ...line,
+        order_id: order.id
+    })));
+    const orderPayments = await backend.insert('order_payments', Object.values(payments));
+
+    return { ...order, order_items: orderItems, order_payments: orderPayments };
+}
+
+function roundMoney(amount) {
+    return Math.round(Number(amount) * 100) / 100;
+}
+
+// ---------- Modifiers (database/migrations/017_menu_modifiers.sql) ----------
+
+/**
+ * Mirror of place_order()'s modifier check: the picked options, each group
+ * kept to its min and max
+ * @param {Object} item - menu_items row
+ * @param {Array<string>} optionIds - IDs of the options the customer picked
+ * @returns {Array} [{ id, group, name, price }] for order_items.modifiers
+ */
+function mockPickModifiers(item, optionIds) {
+    if (!Array.isArray(optionIds)) {
+        throw new Error(`Invalid choices for ${item.name}`);
+    }
+    const picked = new Set(optionIds.map(String));
+
+    const modifiers = [];
+    (item.modifier_groups || []).forEach(group => {
+        const options = group.options.filter(option => picked.has(String(option.id)));
+        if (options.length < group.min) {
+            throw new Error(`Pick at least ${group.min} from ${group.name} for ${item.name}`);
+        }
+        if (options.length > group.max) {
+            throw new Error(`Pick at most ${group.max} from ${group.name} for ${item.name}`);
+        }
+        options.forEach(option => modifiers.push({
+            id: option.id,
+            group: group.name,
+            name: option.name,
+            price: Number(option.price)
+        }));
+    });
+
+    // An ID that matches no option was picked before the hawker removed that option
+    if (modifiers.length !== picked.size) {
+        throw new Error(`Some choices for ${item.name} are no longer available`);
+    }
+    return modifiers;
+}
+
+// ---------- Daily stock (database/migrations/018_menu_stock.sql) ----------
+
+/**
+ * Mirror of last_opening_at(): today's opening time in the food court's
+ * timezone, or yesterday's if it hasn't opened yet today
+ * @param {string} openingTime - 'HH:MM'; anything else counts as midnight
+ * @param {Date} now - Current time
+ * @returns {Date} When the food court last opened
+ */
+function lastOpeningAt(openingTime, now = new Date()) {
+    const match = /^([01]?[0-9]|2[0-3]):([0-5][0-9])$/.exec(openingTime || '');
+    const openingMs = match ? (Number(match[1]) * 60 + Number(match[2])) * 60 * 1000 : 0;
+
+    const dayMs = 24 * 60 * 60 * 1000;
+    const localNow = now.getTime() + DATA_CONFIG.FOOD_COURT_UTC_OFFSET;
+    let opened = Math.floor(localNow / dayMs) * dayMs + openingMs;
+    if (opened > localNow) opened -= dayMs;
+
+    return new Date(opened - DATA_CONFIG.FOOD_COURT_UTC_OFFSET);
+}
+
+/**
+ * Mock of restock_menu_items()
+ * @param {Object} params - None
+ * @param {MockBackend} backend - Mock backend
+ * @returns {Promise<number>} How many items were restocked
+ */
+async function mockRestockMenuItems(params, backend) {
+    const [items, stalls, foodCourts] = await Promise.all([
+        backend.select('menu_items'),
+        backend.select('hawker_stalls'),
+        backend.select('food_courts')
+    ]);
+
+    const due = items.filter(item => {
+        if (item.daily_stock === null || item.daily_stock === undefined) return false;
+        if (!item.restocked_at) return true;
+        const stall = stalls.find(s => String(s.id) === String(item.stall_id));
+        const foodCourt = stall && foodCourts.find(fc => String(fc.id) === String(stall.food_court_id));
+        return new Date(item.restocked_at) < lastOpeningAt(foodCourt && foodCourt.opening_time);
+    });
+
+    const restockedAt = new Date().toISOString();
+    for (const item of due) {
+        await backend.update('menu_items', [['id', 'eq', item.id]], {
+            stock_left: item.daily_stock,
+            available: item.available || item.stock_left === 0,
+            restocked_at: restockedAt
+        });
+    }
+    return due.length;
+}
+
+// place_order()'s stock count: check every counted item has enough left, then count it down
+async function mockTakeStock(lines, menuItems, backend) {
+    const quantities = {};
+    lines.forEach(line => {
+        quantities[line.menu_item_id] = (quantities[line.menu_item_id] || 0) + line.quantity;
+    });
+
+    const counted = menuItems.filter(item => item.stock_left !== null && item.stock_left !== undefined);
+    counted.forEach(item => {
+        const quantity = quantities[item.id];
+        if (item.stock_left === 0) {
+            throw new Error(`${item.name} is sold out`);
+        }
+        if (item.stock_left < quantity) {
+            throw new Error(`Only ${item.stock_left} ${item.name} left`);
+        }
+    });
+
+    for (const item of counted) {
+        await backend.update('menu_items', [['id', 'eq', item.id]], {
+            stock_left: item.stock_left - quantities[item.id],
+            available: item.available && item.stock_left > quantities[item.id]
+        });
+    }
+}
+
+// Mirror of the return_cancelled_stock trigger: lines the customer cancels
+// give their plates back, unless the item has been restocked since they were
+// ordered. Rejected lines (mockRejectOrderItem) give nothing back.
+async function mockReturnStock(cancelledItems, order, backend) {
+    for (const line of cancelledItems) {
+        const item = await backend.selectOne('menu_items', { filters: [['id', 'eq', line.menu_item_id]] });
+        if (!item || item.stock_left === null || item.stock_left === undefined) continue;
+        if (!item.restocked_at || new Date(item.restocked_at) > new Date(order.created_at)) continue;
+
+        await backend.update('menu_items', [['id', 'eq', item.id]], {
+            stock_left: Math.min(item.stock_left + line.quantity, item.daily_stock),
+            available: item.available || item.stock_left === 0
+        });
+    }
+}
+
+// ---------- Stall hours (database/migrations/019_stall_hours.sql) ----------
+
+const CLOCK_TIME_PATTERN = /^([01][0-9]|2[0-3]):([0-5][0-9])$/;
+const ALL_DAY_HOURS = [{ open: '00:00', close: '24:00' }];
+
+// 'HH:MM' -> minutes after midnight ('24:00' is 1440), or null if it isn't a time
+function parseClockTime(value) {
+    if (value === '24:00') return 24 * 60;
+    const match = CLOCK_TIME_PATTERN.exec(value || '');
+    return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+/**
+ * A moment as the food court's clock shows it
+ * @param {Date} now - Moment
+ * @returns {Object} { date: 'YYYY-MM-DD', day: 0 (Sunday) to 6, minutes: since midnight }
+ */
+function getFoodCourtLocalTime(now = new Date()) {
+    const local = new Date(now.getTime() + DATA_CONFIG.FOOD_COURT_UTC_OFFSET);
+    return {
+        date: local.toISOString().slice(0, 10),
+        day: local.getUTCDay(),
+        minutes: local.getUTCHours() * 60 + local.getUTCMinutes()
+    };
+}
+
+// 'YYYY-MM-DD' moved by a number of days
+function addLocalDays(date, days) {
+    return new Date(Date.parse(`${date}T00:00:00Z`) + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+// The moment a food court's clock shows minutes past midnight on date
+function fromFoodCourtLocalTime(date, minutes) {
+    return new Date(Date.parse(`${date}T00:00:00Z`) + minutes * 60 * 1000 - DATA_CONFIG.FOOD_COURT_UTC_OFFSET);
+}
+
+// Same checks as check_opening_hours()
+function checkOpeningHours(hours) {
+    if (!Array.isArray(hours)) {
+        throw new Error('Opening hours must be a list of periods');
+    }
+    hours.forEach(period => {
+        const open = period ? parseClockTime(period.open) : null;
+        const close = period ? parseClockTime(period.close) : null;
+        if (open === null || open === 24 * 60 || close === null) {
+            throw new Error('Opening hours need open and close times as HH:MM');
+        }
+        if (open === close) {
+            throw new Error(`A period cannot open and close at ${period.open}`);
+        }
+    });
+    return hours;
+}
+
+/**
+ * Mirror of stall_hours_on(): the override for the date, else the stall's
+ * weekly timetable, else the food court's hours, else all day
+ * @param {Object} stall - hawker_stalls row
+ * @param {string} date - 'YYYY-MM-DD'
+ * @param {Object} context - { foodCourt, overrides: stall_hours_overrides rows }
+ * @returns {Array} [{ open, close }]
+ */
+function getStallHoursOn(stall, date, { foodCourt = null, overrides = [] } = {}) {
+    const override = overrides.find(row => String(row.stall_id) === String(stall.id) && row.date === date);
+    if (override) return override.hours;
+
+    if (stall.weekly_hours) {
+        return stall.weekly_hours[new Date(`${date}T00:00:00Z`).getUTCDay()];
+    }
+
+    const open = foodCourt ? parseClockTime(foodCourt.opening_time) : null;
+    const close = foodCourt ? parseClockTime(foodCourt.closing_time) : null;
+    if (open !== null && open !== 24 * 60 && close !== null && open !== close) {
+        return [{ open: foodCourt.opening_time, close: foodCourt.closing_time }];
+    }
+    return ALL_DAY_HOURS;
+}
+
+/**
+ * Mirror of stall_open_state(), plus when that changes
+ * @param {Object} stall - hawker_stalls row
+ * @param {Object} context - { foodCourt, overrides, now }
+ * @returns {Object} { status: 'open'|'paused'|'closed', until: Date|null (open or
+ *   paused until), opensAt: Date|null (next opening when closed, within a week) }
+ */
+function getStallOpenState(stall, { foodCourt = null, overrides = [], now = new Date() } = {}) {
+    if (stall.paused_until && new Date(stall.paused_until) > now) {
+        return { status: 'paused', until: new Date(stall.paused_until), opensAt: null };
+    }
+
+    const context = { foodCourt, overrides };
+    const local = getFoodCourtLocalTime(now);
+    const periodsOn = date => getStallHoursOn(stall, date, context).map(period => ({
+        open: parseClockTime(period.open),
+        close: parseClockTime(period.close)
+    }));
+
+    // Periods that started today (an overnight one runs to midnight and on)
+    for (const { open, close } of periodsOn(local.date)) {
+        if (local.minutes >= open && (close <= open || local.minutes < close)) {
+            const allDay = open === 0 && close === 24 * 60;
+            const until = close <= open
+                ? fromFoodCourtLocalTime(addLocalDays(local.date, 1), close)
+                : fromFoodCourtLocalTime(local.date, close);
+            return { status: 'open', until: allDay ? null : until, opensAt: null };
+        }
+    }
+
+    // Overnight periods that started yesterday
+    for (const { open, close } of periodsOn(addLocalDays(local.date, -1))) {
+        if (close <= open && local.minutes < close) {
+            return { status: 'open', until: fromFoodCourtLocalTime(local.date, close), opensAt: null };
+        }
+    }
+
+    // Next opening this week
+    for (let days = 0; days <= 7; days++) {
+        const date = addLocalDays(local.date, days);
+        const opens = periodsOn(date)
+            .map(period => period.open)
+            .filter(open => days > 0 || open > local.minutes)
+            .sort((a, b) => a - b);
+        if (opens.length) {
+            return { status: 'closed', until: null, opensAt: fromFoodCourtLocalTime(date, opens[0]) };
+        }
+    }
+    return { status: 'closed', until: null, opensAt: null };
+}
+
+/**
+ * Mock of pause_stall_orders()
+ * @param {Object} params - { p_stall_id, p_minutes } (0 resumes)
+ * @param {MockBackend} backend - Mock backend
+ * @returns {Promise<Object>} Updated hawker_stalls row
+ */
+async function mockPauseStallOrders({ p_stall_id, p_minutes }, backend) {
+    if (!Number.isInteger(p_minutes) || p_minutes < 0 || p_minutes > 240) {
+        throw new Error('Orders can be paused for up to 240 minutes');
+    }
+
+    const [stall] = await backend.update('hawker_stalls', [['id', 'eq', p_stall_id]], {
+        paused_until: p_minutes === 0 ? null : new Date(Date.now() + p_minutes * 60 * 1000).toISOString(),
+        updated_at: new Date().toISOString()
+    });
+    if (!stall) {
+        throw new Error(`Stall ${p_stall_id} does not exist`);
+    }
+    return stall;
+}
+
+// ---------- Order events (database/migrations/021_order_events.sql) ----------
+// The database logs from triggers; mock triggers only see the new values, so
+// the mock functions log their own events instead.
+
+/**
+ * Mirror of log_order_event(): who is calling, from the request headers
+ * @param {MockBackend} backend - Mock backend
+ * @param {Object} headers - Request headers
+ * @returns {Promise<Object>} { actor_role, actor_id }
+ */
+async function mockOrderEventActor(backend, headers = {}) {
+    const session = headers['x-session-token']
+        ? await mockAuthVerify({ p_token: headers['x-session-token'] }, backend).catch(() => null)
+        : null;
+    if (session && ['admin', 'hawker'].includes(session.role)) {
+        return { actor_role: session.role, actor_id: session.user_id };
+    }
+    return { actor_role: headers['x-payment-signature'] ? 'system' : 'customer', actor_id: null };
+}
+
+/**
+ * Append an order_events row
+ * @param {Object} event - { order_id, stall_id, kind, from_status, to_status, detail }
+ * @param {MockBackend} backend - Mock backend
+ * @param {Object} headers - Request headers of the caller
+ */
+async function mockLogOrderEvent(event, backend, headers = {}) {
+    await backend.insert('order_events', {
+        stall_id: null,
+        from_status: null,
+        to_status: null,
+        detail: {},
+        ...event,
+        ...(await mockOrderEventActor(backend, headers))
+    });
+}
+
+// One 'status' (or 'cancelled') event per stall and status move, like log_order_item_changes()
+async function mockLogItemMoves(before, after, backend, headers) {
+    const moves = {};
+    after.forEach(item => {
+        const old = before.find(b => String(b.id) === String(item.id));
+        if (!old || old.status === item.status) return;
+        const key = [item.order_id, item.stall_id, old.status, item.status].join('|');
+        if (!moves[key]) {
+            moves[key] = {
+                order_id: item.order_id,
+                stall_id: item.stall_id,
+                kind: item.status === 'cancelled' ? 'cancelled' : 'status',
+                from_status: old.status,
+                to_status: item.status,
+                detail: { items: [] }
+            };
+        }
+        moves[key].detail.items.push(item.item_name);
+        if (item.cancel_reason) moves[key].detail.reason = item.cancel_reason;
+    });
+
+    for (const move of Object.values(moves)) {
+        move.detail.items.sort();
+        await mockLogOrderEvent(move, backend, headers);
+    }
+}
+
+// ---------- Per-stall status (database/migrations/009_stall_order_status.sql) ----------
+
+const STALL_STATUS_FLOW = ['pending', 'preparing', 'ready', 'completed'];
+
+/**
+ * Mock of the roll_up_order_status trigger: the order takes the status of its
+ * slowest stall, or 'cancelled' once every stall has cancelled
+ * @param {string} orderRowId - orders.id
+ * @param {MockBackend} backend - Mock backend
+ * @returns {Promise<Object>} Updated order row
+ */
+async function mockRollUpOrderStatus(orderRowId, backend) {
+    const items = await backend.select('order_items', { filters: [['order_id', 'eq', orderRowId]] });
+    const active = items.map(item => item.status || 'pending').filter(status => status !== 'cancelled');
+
+    const changes = { updated_at: new Date().toISOString() };
+    if (items.length) {
+        changes.status = active.length
+            ? STALL_STATUS_FLOW[Math.min(...active.map(status => STALL_STATUS_FLOW.indexOf(status)))]
+            : 'cancelled';
+    }
+
+    const [order] = await backend.update('orders', [['id', 'eq', orderRowId]], changes);
+    return order;
+}
+
+/**
+ * Mock of update_stall_order_status()
+ * @param {Object} params - { p_order_id, p_stall_id, p_status }
+ * @param {MockBackend} backend - Mock backend
+ * @param {Object} headers - Request headers (who is calling, for order_events)
+ * @returns {Promise<Object>} Rolled-up order row with the stall's order_items
+ */
+async function mockUpdateStallOrderStatus({ p_order_id, p_stall_id, p_status }, backend, headers = {}) {
+    if (p_status === 'cancelled') {
+        throw new Error('Reject items with reject_order_item() so the customer is refunded');
+    }
+    if (!STALL_STATUS_FLOW.includes(p_status)) {
+        throw new Error(`Unknown order status ${p_status}`);
+    }
+
+    const order = await backend.selectOne('orders', { filters: [['order_id', 'eq', p_order_id]] });
+    if (!order) {
+        throw new Error(`Order ${p_order_id} does not exist`);
+    }
+
+    const open = [
+        ['order_id', 'eq', order.id],
+        ['stall_id', 'eq', p_stall_id],
+        ['status', 'neq', 'cancelled']
+    ];
+    const before = await backend.select('order_items', { filters: open });
+    const updated = await backend.update('order_items', open, { status: p_status });
+    if (!updated.length) {
+        throw new Error(`Order ${p_order_id} has no open items from this stall`);
+    }
+    await mockLogItemMoves(before, updated, backend, headers);
+
+    const rolledUp = await mockRollUpOrderStatus(order.id, backend);
+    const items = await backend.select('order_items', {
+        filters: [['order_id', 'eq', order.id], ['stall_id', 'eq', p_stall_id]]
+    });
+    return { ...rolledUp, order_items: items };
+}
+
+// ---------- Queues and ready times (database/migrations/020_order_eta.sql) ----------
+
+// Minutes for items without a preparation_time (the kitchen display uses the same)
+const DEFAULT_PREP_MINUTES = 10;
+
+// order_items rows grouped into one list per order
+function groupItemsByOrder(items) {
+    return Object.values(items.reduce((groups, item) => {
+        (groups[item.order_id] = groups[item.order_id] || []).push(item);
+        return groups;
+    }, {}));
+}
+
+// Minutes one stall's part of an order should take: its slowest item
+function getPlannedMinutes(items, menuItems) {
+    return Math.max(...items.map(item => {
+        const menuItem = menuItems.find(mi => String(mi.id) === String(item.menu_item_id));
+        return Number(menuItem && menuItem.preparation_time) || DEFAULT_PREP_MINUTES;
+    }));
+}
+
+/**
+ * Mirror of stall_prep_pace(): minutes taken per planned minute over the
+ * stall's last 20 orders in 30 days, 1 until there are 3, kept within 0.5-3
+ * @param {Array} stallItems - The stall's order_items rows
+ * @param {Array} menuItems - menu_items rows
+ * @param {number} now - Timestamp (ms)
+ * @returns {number} Pace
+ */
+function getStallPrepPace(stallItems, menuItems, now) {
+    const since = now - 30 * 24 * 60 * 60 * 1000;
+    const finished = stallItems.filter(item => item.started_at && item.ready_at && new Date(item.ready_at) > since);
+    const recent = groupItemsByOrder(finished)
+        .map(items => {
+            const readyAt = Math.max(...items.map(item => new Date(item.ready_at).getTime()));
+            const startedAt = Math.min(...items.map(item => new Date(item.started_at).getTime()));
+            return {
+                readyAt,
+                actual: Math.max((readyAt - startedAt) / 60000, 0),
+                planned: getPlannedMinutes(items, menuItems)
+            };
+        })
+        .sort((a, b) => b.readyAt - a.readyAt)
+        .slice(0, 20);
+
+    if (recent.length < 3) return 1;
+    const sum = key => recent.reduce((total, order) => total + order[key], 0);
+    return Math.min(Math.max(sum('actual') / sum('planned'), 0.5), 3);
+}
+
+/**
+ * Mock of order_queue()
+ * @param {Object} params - { p_order_id }
+ * @param {MockBackend} backend - Mock backend
+ * @returns {Promise<Array>} [{ stall_id, position, eta_minutes }] for each stall still working on it
+ */
+async function mockOrderQueue({ p_order_id }, backend) {
+    const order = await backend.selectOne('orders', { filters: [['order_id', 'eq', p_order_id]] });
+    if (!order) {
+        throw new Error(`Order ${p_order_id} does not exist`);
+    }
+
+    const open = ['pending', 'preparing'];
+    const ownItems = await backend.select('order_items', {
+        filters: [['order_id', 'eq', order.id], ['status', 'in', open]]
+    });
+    const stallIds = [...new Set(ownItems.map(item => item.stall_id))];
+    if (!stallIds.length) return [];
+
+    const [stallItems, orders, menuItems] = await Promise.all([
+        backend.select('order_items', { filters: [['stall_id', 'in', stallIds]] }),
+        backend.select('orders'),
+        backend.select('menu_items')
+    ]);
+
+    // Placed up to this order: earlier, or at the same moment with a lower number
+    const aheadIds = new Set(orders
+        .filter(other => other.created_at < order.created_at ||
+            (other.created_at === order.created_at && other.order_id <= order.order_id))
+        .map(other => String(other.id)));
+    const now = Date.now();
+
+    return stallIds.map(stallId => {
+        const items = stallItems.filter(item => String(item.stall_id) === String(stallId));
+        const pace = getStallPrepPace(items, menuItems, now);
+        const tickets = groupItemsByOrder(items.filter(item =>
+            open.includes(item.status) && aheadIds.has(String(item.order_id))
+        ));
+
+        const minutes = tickets.reduce((total, ticket) => {
+            const started = ticket.filter(item => item.started_at).map(item => new Date(item.started_at).getTime());
+            const elapsed = ticket.some(item => item.status === 'preparing') && started.length
+                ? (now - Math.min(...started)) / 60000
+                : 0;
+            return total + Math.max(getPlannedMinutes(ticket, menuItems) * pace - elapsed, 1);
+        }, 0);
+
+        return { stall_id: stallId, position: tickets.length, eta_minutes: Math.ceil(minutes) };
+    });
+}
+
+// ---------- Cancellations and refunds (database/migrations/010_order_cancellation.sql) ----------
+
+// Embed order_items and order_payments (optionally one stall's) like the SQL functions do
+async function mockWithDetails(order, backend, stallId = null) {
+    const filters = [['order_id', 'eq', order.id]];
+    if (stallId) filters.push(['stall_id', 'eq', stallId]);
+    const [items, payments] = await Promise.all([
+        backend.select('order_items', { filters }),
+        backend.select('order_payments', { filters })
+    ]);
+    return { ...order, order_items: items, order_payments: payments };
+}
+
+// Take a cancelled amount off a stall's payment: refund-due if the stall has
+// been paid, otherwise no longer owed
+async function mockTakeOffPayment(orderRowId, stallId, amount, backend) {
+    const payment = await backend.selectOne('order_payments', {
+        filters: [['order_id', 'eq', orderRowId], ['stall_id', 'eq', stallId]]
+    });
+    if (!payment) return;
+    if (payment.is_paid) {
+        await backend.update('order_payments', [['id', 'eq', payment.id]], {
+            refund_status: 'due',
+            refund_amount: roundMoney((payment.refund_amount || 0) + amount)
+        });
+        return;
+    }
+
+    // The DuitNow QR asks for the new amount (set_order_payment_qr_payload)
+    const owed = roundMoney(payment.amount - amount);
+    const [stall, order] = await Promise.all([
+        backend.selectOne('hawker_stalls', { filters: [['id', 'eq', stallId]] }),
+        backend.selectOne('orders', { filters: [['id', 'eq', orderRowId]] })
+    ]);
+    await backend.update('order_payments', [['id', 'eq', payment.id]], {
+        amount: owed,
+        qr_payload: owed > 0 && stall && stall.duitnow_payload
+            ? buildDynamicDuitNowPayload(stall.duitnow_payload, owed, order.order_id)
+            : null
+    });
+}
+
+/**
+ * Mock of cancel_order()
+ * @param {Object} params - { p_order_id }
+ * @param {MockBackend} backend - Mock backend
+ * @param {Object} headers - Request headers (who is calling, for order_events)
+ * @returns {Promise<Object>} Cancelled order row with order_items and order_payments
+ */
+async function mockCancelOrder({ p_order_id }, backend, headers = {}) {
+    const order = await backend.selectOne('orders', { filters: [['order_id', 'eq', p_order_id]] });
+    if (!order) {
+        throw new Error(`Order ${p_order_id} does not exist`);
+    }
+
+    if (order.status === 'cancelled') {
+        throw new Error(`Order ${p_order_id} has already been cancelled`);
+    }
+
+    const items = await backend.select('order_items', { filters: [['order_id', 'eq', order.id]] });
+    const open = items.filter(item => item.status !== 'cancelled');
+    if (order.status !== 'pending' || open.some(item => item.status !== 'pending')) {
+        throw new Error(`Order ${p_order_id} is already being prepared and can no longer be cancelled`);
+    }
+    if (Date.now() - new Date(order.created_at).getTime() > DATA_CONFIG.CANCEL_GRACE_PERIOD) {
+        throw new Error(`Order ${p_order_id} can only be cancelled within ${DATA_CONFIG.CANCEL_GRACE_PERIOD / 60000} minutes of placing it`);
+    }
+
+    const owed = {};
+    open.forEach(item => {
+        owed[item.stall_id] = roundMoney((owed[item.stall_id] || 0) + Number(item.subtotal));
+    });
+    for (const [stallId, amount] of Object.entries(owed)) {
+        await mockTakeOffPayment(order.id, stallId, amount, backend);
+    }
+
+    const cancelledItems = await backend.update('order_items', [['order_id', 'eq', order.id], ['status', 'neq', 'cancelled']], {
+        status: 'cancelled',
+        cancel_reason: 'Cancelled by customer',
+        cancelled_at: new Date().toISOString()
+    });
+    await mockLogItemMoves(open, cancelledItems, backend, headers);
+    await mockReturnStock(open, order, backend);
+
+    const cancelled = await mockRollUpOrderStatus(order.id, backend);
+    return mockWithDetails(cancelled, backend);
+}
+
+/**
+ * Mock of reject_order_item()
+ * @param {Object} params - { p_order_item_id, p_reason }
+ * @param {MockBackend} backend - Mock backend
+ * @param {Object} headers - Request headers (who is calling, for order_events)
+ * @returns {Promise<Object>} Order row with the stall's order_items and order_payments
+ */
+async function mockRejectOrderItem({ p_order_item_id, p_reason }, backend, headers = {}) {
+    const reason = String(p_reason || '').trim();
+    if (!reason) {
+        throw new Error('A reason is required to reject an item');
+    }
+
+    const item = await backend.selectOne('order_items', { filters: [['id', 'eq', p_order_item_id]] });
+    if (!item) {
+        throw new Error(`Order item ${p_order_item_id} does not exist`);
+    }
+    if (['completed', 'cancelled'].includes(item.status)) {
+        throw new Error(`${item.item_name} is already ${item.status} and can no longer be rejected`);
+    }
+
+    await mockTakeOffPayment(item.order_id, item.stall_id, Number(item.subtotal), backend);
+    const rejected = await backend.update('order_items', [['id', 'eq', item.id]], {
+        status: 'cancelled',
+        cancel_reason: reason,
+        cancelled_at: new Date().toISOString()
+    });
+    await mockLogItemMoves([item], rejected, backend, headers);
+
+    const order = await mockRollUpOrderStatus(item.order_id, backend);
+    return mockWithDetails(order, backend, item.stall_id);
+}
+
+/**
+ * Mock of confirm_refund()
+ * @param {Object} params - { p_payment_id }
+ * @param {MockBackend} backend - Mock backend
+ * @param {Object} headers - Request headers (who is calling, for order_events)
+ * @returns {Promise<Object>} Updated order_payments row
+ */
+async function mockConfirmRefund({ p_payment_id }, backend, headers = {}) {
+    const payment = await backend.selectOne('order_payments', { filters: [['id', 'eq', p_payment_id]] });
+    if (!payment) {
+        throw new Error(`Payment ${p_payment_id} does not exist`);
+    }
+    if (payment.refund_status !== 'due') {
+        throw new Error('No refund is due for this payment');
+    }
+
+    const [row] = await backend.update('order_payments', [['id', 'eq', payment.id]], {
+        refund_status: 'refunded',
+        refunded_at: new Date().toISOString()
+    });
+    await mockLogOrderEvent({
+        order_id: row.order_id,
+        stall_id: row.stall_id,
+        kind: 'refunded',
+        detail: { amount: row.refund_amount }
+    }, backend, headers);
+    return row;
+}
+
+// ---------- Payment verification (database/migrations/011_payment_verification.sql) ----------
+
+// The mock store only knows the local 'mock' provider, and it is always enabled here
+async function mockLoadPaymentProvider(name, backend) {
+    let provider = await backend.selectOne('payment_providers', { filters: [['name', 'eq', name]] });
+    if (!provider && name === 'mock') {
+        [provider] = await backend.insert('payment_providers', {
+            name: 'mock',
+            webhook_secret: DATA_CONFIG.MOCK_PAYMENT_WEBHOOK_SECRET,
+            enabled: true
+        });
+    }
+    return provider && provider.enabled ? provider : null;
+}
+
+async function mockHmacHex(secret, body) {
+    const key = await crypto.subtle.importKey(
+        'raw', new TextEncoder().encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']
+    );
+    const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(body));
+    return Array.from(new Uint8Array(signature), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Mock of start_payment()
+ * @param {Object} params - { p_payment_id, p_provider }
+ * @param {MockBackend} backend - Mock backend
+ * @returns {Promise<Object>} New payment_intents row
+ */
+async function mockStartPayment({ p_payment_id, p_provider }, backend) {
+    if (!(await mockLoadPaymentProvider(p_provider, backend))) {
+        throw new Error(`Payment provider ${p_provider} is not available`);
+    }
+
+    const payment = await backend.selectOne('order_payments', { filters: [['id', 'eq', p_payment_id]] });
+    if (!payment) {
+        throw new Error(`Payment ${p_payment_id} does not exist`);
+    }
+    if (payment.is_paid) {
+        throw new Error(`${payment.stall_name} has already been paid`);
+    }
+
+    const open = await backend.select('order_items', {
+        filters: [['order_id', 'eq', payment.order_id], ['stall_id', 'eq', payment.stall_id], ['status', 'neq', 'cancelled']]
+    });
+    if (!open.length) {
+        throw new Error(`Nothing is left to pay for at ${payment.stall_name}`);
+    }
+
+    const [intent] = await backend.insert('payment_intents', {
+        payment_id: payment.id,
+        provider: p_provider,
+        reference: toBase64Url(crypto.getRandomValues(new Uint8Array(12))),
+        // Only what is still owed
+        amount: roundMoney(payment.amount - (payment.refund_amount || 0)),
+        status: 'pending',
+        provider_txn_id: null,
+        verified_at: null
+    });
+    return intent;
+}
+
+/**
+ * Mock of payment_webhook(). The body is re-serialised the same way supabase-js
+ * sends it, so the signature covers the same text on both backends.
+ * @param {Object} body - { provider, reference, status, amount, transaction_id }
+ * @param {MockBackend} backend - Mock backend
+ * @param {Object} headers - Request headers (x-payment-signature)
+ * @returns {Promise<Object>} The payment_intents row
+ */
+async function mockPaymentWebhook(body, backend, headers = {}) {
+    const provider = await mockLoadPaymentProvider(body.provider, backend);
+    if (!provider || headers['x-payment-signature'] !== await mockHmacHex(provider.webhook_secret, JSON.stringify(body))) {
+        throw new Error('Invalid payment callback signature');
+    }
+
+    const intent = await backend.selectOne('payment_intents', {
+        filters: [['provider', 'eq', provider.name], ['reference', 'eq', body.reference]]
+    });
+    if (!intent) {
+        throw new Error(`Payment reference ${body.reference} does not exist`);
+    }
+
+    // Providers retry; a settled intent is acknowledged as it is
+    if (intent.status !== 'pending') {
+        return intent;
+    }
+
+    const verified = { provider_txn_id: body.transaction_id || null, verified_at: new Date().toISOString() };
+    if (body.status === 'failed') {
+        const [failed] = await backend.update('payment_intents', [['id', 'eq', intent.id]], { ...verified, status: 'failed' });
+        return failed;
+    }
+    if (body.status !== 'succeeded') {
+        throw new Error(`Unknown payment status ${body.status}`);
+    }
+    if (roundMoney(body.amount) !== roundMoney(intent.amount)) {
+        throw new Error(`Paid amount ${body.amount} does not match ${intent.amount} for reference ${intent.reference}`);
+    }
+
+    const [succeeded] = await backend.update('payment_intents', [['id', 'eq', intent.id]], { ...verified, status: 'succeeded' });
+
+    // Items cancelled or rejected since start_payment() were paid for anyway
+    const owing = await backend.selectOne('order_payments', { filters: [['id', 'eq', intent.payment_id]] });
+    const overpaid = Math.max(roundMoney(intent.amount - (owing.amount - (owing.refund_amount || 0))), 0);
+    const [payment] = await backend.update('order_payments', [['id', 'eq', intent.payment_id], ['is_paid', 'neq', true]], {
+        is_paid: true,
+        paid_at: verified.verified_at,
+        payment_method: 'provider',
+        provider: provider.name,
+        provider_ref: succeeded.provider_txn_id || succeeded.reference,
+        amount: roundMoney(owing.amount + overpaid),
+        refund_amount: roundMoney((owing.refund_amount || 0) + overpaid),
+        refund_status: overpaid > 0 ? 'due' : owing.refund_status || null
+    });
+    if (payment) {
+        await mockLogOrderEvent({
+            order_id: payment.order_id,
+            stall_id: payment.stall_id,
+            kind: 'paid',
+            detail: { amount: payment.amount, payment_method: payment.payment_method, provider: payment.provider }
+        }, backend, headers);
+        await backend.update('orders', [['id', 'eq', payment.order_id]], { updated_at: verified.verified_at });
+    }
+    return succeeded;
+}
+
+/**
+ * Mock of confirm_payment_received()
+ * @param {Object} params - { p_payment_id, p_method: 'cash'|'qr' }
+ * @param {MockBackend} backend - Mock backend
+ * @param {Object} headers - Request headers (x-session-token identifies the hawker)
+ * @returns {Promise<Object>} Updated order_payments row
+ */
+async function mockConfirmPaymentReceived({ p_payment_id, p_method }, backend, headers = {}) {
+    if (!['cash', 'qr'].includes(p_method)) {
+        throw new Error(`Unknown payment method ${p_method}`);
+    }
+
+    const payment = await backend.selectOne('order_payments', { filters: [['id', 'eq', p_payment_id]] });
+    if (!payment) {
+        throw new Error(`Payment ${p_payment_id} does not exist`);
+    }
+    if (payment.is_paid) {
+        throw new Error('This payment is already marked as paid');
+    }
+
+    const session = headers['x-session-token']
+        ? await mockAuthVerify({ p_token: headers['x-session-token'] }, backend).catch(() => null)
+        : null;
+
+    const now = new Date().toISOString();
+    const [row] = await backend.update('order_payments', [['id', 'eq', payment.id]], {
+        is_paid: true,
+        paid_at: now,
+        payment_method: p_method,
+        confirmed_by: session ? session.user_id : null
+    });
+    await mockLogOrderEvent({
+        order_id: row.order_id,
+        stall_id: row.stall_id,
+        kind: 'paid',
+        detail: { amount: row.amount, payment_method: p_method }
+    }, backend, headers);
+    await backend.update('orders', [['id', 'eq', payment.order_id]], { updated_at: now });
+    return row;
+}
+
+// ---------- Auth (database/migrations/006_auth.sql) ----------
+// Passwords use PBKDF2 from Web Crypto here (bcrypt is not available in the
+// browser); tokens have the same payload.signature shape as Supabase's.
+
+const MOCK_PASSWORD_ITERATIONS = 100000;
+const MOCK_PASSWORD_PREFIX = 'pbkdf2_sha256$';
+
+function toBase64Url(bytes) {
+    let binary = '';
+    new Uint8Array(bytes).forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+async function mockHashPassword(password, salt = crypto.getRandomValues(new Uint8Array(16)), iterations = MOCK_PASSWORD_ITERATIONS) {
+    const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, key, 256);
+    return `${MOCK_PASSWORD_PREFIX}${iterations}$${toBase64Url(salt)}$${toBase64Url(bits)}`;
+}
+
+async function mockVerifyPassword(password, stored) {
+    if (!stored || !stored.startsWith(MOCK_PASSWORD_PREFIX)) return false;
+    const [, iterations, salt] = stored.split('$');
+    const hashed = await mockHashPassword(password, fromBase64Url(salt), Number(iterations));
+    return hashed === stored;
+}
+
+// Trigger: hash plain-text passwords written to users
+async function mockHashUserPassword(row) {
+    if (!row.password_hash || row.password_hash.startsWith(MOCK_PASSWORD_PREFIX)) return row;
+    return { ...row, password_hash: await mockHashPassword(row.password_hash) };
+}
+
+async function mockSignPayload(payload, backend, keyName = 'session_signing_key') {
+    let secret = await backend.selectOne('auth_secrets', { filters: [['name', 'eq', keyName]] });
+    if (!secret) {
+        [secret] = await backend.insert('auth_secrets', {
+            name: keyName,
+            secret: toBase64Url(crypto.getRandomValues(new Uint8Array(32)))
+        });
+    }
+
+    const key = await crypto.subtle.importKey(
+        'raw', fromBase64Url(secret.secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']
+    );
+    return toBase64Url(await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(payload)));
+}
+
+async function mockAuthLogin({ p_identifier, p_password, p_role, p_remember = false }, backend) {
+    if (!['hawker', 'admin'].includes(p_role)) {
+        throw new Error(`Unknown role ${p_role}`);
+    }
+
+    const identifier = String(p_identifier || '').trim();
+    const users = await backend.select('users', { filters: [['role', 'eq', p_role]] });
+    const user = users.find(u => u.phone === identifier || (u.email || '').toLowerCase() === identifier.toLowerCase());
+
+    // Same message whether the account or the password is wrong
+    if (!user || !(await mockVerifyPassword(p_password, user.password_hash))) {
+        throw new Error('Incorrect login details');
+    }
+    if (user.status !== 'active') {
+        throw new Error('This account is not active');
+    }
+
+    const lifetime = p_remember ? 30 * 24 * 60 * 60 * 1000 : 12 * 60 * 60 * 1000;
+    const [session] = await backend.insert('user_sessions', {
+        user_id: user.id,
+        role: user.role,
+        expires_at: new Date(Date.now() + lifetime).toISOString(),
+        revoked_at: null
+    });
+
+    const payload = JSON.stringify({
+        sid: session.id,
+        uid: user.id,
+        role: user.role,
+        exp: Math.floor(new Date(session.expires_at).getTime() / 1000)
+    });
+
+    return {
+        token: `${toBase64Url(new TextEncoder().encode(payload))}.${await mockSignPayload(payload, backend)}`,
+        expires_at: session.expires_at,
+        user: {
+            id: user.id,
+            full_name: user.full_name,
+            email: user.email,
+            phone: user.phone,
+            role: user.role
+        }
+    };
+}
+
+async function mockAuthVerify({ p_token }, backend) {
+    const [encoded, signature] = String(p_token || '').split('.');
+    if (!encoded || !signature) {
+        throw new Error('Invalid session');
+    }
+
+    const payload = new TextDecoder().decode(fromBase64Url(encoded));
+    if (await mockSignPayload(payload, backend) !== signature) {
+        throw new Error('Invalid session');
+    }
+
+    const claims = JSON.parse(payload);
+    const session = await backend.selectOne('user_sessions', { filters: [['id', 'eq', claims.sid]] });
+    if (!session || session.revoked_at || new Date(session.expires_at) <= new Date()) {
+        throw new Error('Session expired');
+    }
+
+    return {
+        session_id: session.id,
+        user_id: session.user_id,
+        role: session.role,
+        expires_at: session.expires_at
+    };
+}
+
+async function mockAuthLogout({ p_token }, backend) {
+    try {
+        const session = await mockAuthVerify({ p_token }, backend);
+        await backend.update('user_sessions', [['id', 'eq', session.session_id]], {
+            revoked_at: new Date().toISOString()
+        });
+        return true;
+    } catch (error) {
+        // Already expired or revoked
+        return false;
+    }
+}
+
+// Mock of save_push_subscription(). Nothing sends pushes on the mock backend;
+// the row is kept so the flow can be followed in localStorage.
+async function mockSavePushSubscription({ p_order_id, p_subscription }, backend) {
+    const order = await backend.selectOne('orders', { filters: [['order_id', 'eq', p_order_id]] });
+    if (!order) {
+        throw new Error(`Order ${p_order_id} does not exist`);
+    }
+
+    const endpoint = p_subscription && p_subscription.endpoint;
+    const keys = (p_subscription && p_subscription.keys) || {};
+    if (!/^https:\/\//.test(endpoint || '') || !keys.p256dh || !keys.auth) {
+        throw new Error('Push subscription needs an endpoint and its p256dh and auth keys');
+    }
+
+    const filters = [['order_id', 'eq', order.id], ['endpoint', 'eq', endpoint]];
+    if (await backend.selectOne('push_subscriptions', { filters })) {
+        await backend.update('push_subscriptions', filters, { p256dh: keys.p256dh, auth: keys.auth });
+    } else {
+        await backend.insert('push_subscriptions', { order_id: order.id, endpoint, p256dh: keys.p256dh, auth: keys.auth });
+    }
+    return null;
+}
+
+// ---------- Table tokens (database/migrations/023_table_tokens.sql) ----------
+
+// Mirror of sign_table_token(): version.HMAC('food_court:table:version')
+async function mockSignTableToken(foodCourtId, tableNumber, version, backend) {
+    const payload = `${foodCourtId}:${String(tableNumber).trim()}:${version}`;
+    return `${version}.${await mockSignPayload(payload, backend, 'table_token_key')}`;
+}
+
+/**
+ * Mock of issue_table_token()
+ * @param {Object} params - { p_food_court_id, p_table_number }
+ * @param {MockBackend} backend - Mock backend
+ * @returns {Promise<Object>} { token, version } for the table's next link
+ */
+async function mockIssueTableToken({ p_food_court_id, p_table_number }, backend) {
+    const tableNumber = String(p_table_number || '').trim();
+    if (!/^\d{1,9}$/.test(tableNumber)) {
+        throw new Error('Table number must be a whole number');
+    }
+    if (!(await backend.selectOne('food_courts', { filters: [['id', 'eq', p_food_court_id]] }))) {
+        throw new Error(`Food court ${p_food_court_id} does not exist`);
+    }
+
+    // Once the food court has a floor plan (024), only its tables get codes
+    const planTables = await backend.select('food_court_tables', { filters: [['food_court_id', 'eq', p_food_court_id]] });
+    if (planTables.length > 0 && !planTables.some(table => String(table.table_number) === tableNumber)) {
+        throw new Error(`Table ${tableNumber} is not on the floor plan`);
+    }
+
+    // Stands in for the table_token_versions sequence: always higher, never handed out twice
+    const version = Date.now();
+    return { token: await mockSignTableToken(p_food_court_id, tableNumber, version, backend), version };
+}
+
+/**
+ * Mock of check_table_token()
+ * @param {Object} params - { p_food_court_id, p_table_number, p_token }
+ * @param {MockBackend} backend - Mock backend
+ * @returns {Promise<string>} 'valid', 'invalid' or 'expired'
+ */
+async function mockCheckTableToken({ p_food_court_id, p_table_number, p_token }, backend) {
+    const tableNumber = String(p_table_number || '').trim();
+    if (!p_food_court_id || !/^\d{1,18}\.[A-Za-z0-9_-]+$/.test(p_token || '') || !/^\d{1,9}$/.test(tableNumber)) {
+        return 'invalid';
+    }
+
+    const version = Number(p_token.split('.')[0]);
+    if (await mockSignTableToken(p_food_court_id, tableNumber, version, backend) !== p_token) {
+        return 'invalid';
+    }
+
+    const qrCode = await backend.selectOne('qr_codes', {
+        filters: [['food_court_id', 'eq', p_food_court_id], ['table_number', 'eq', Number(tableNumber)]]
+    });
+    return qrCode && Number(qrCode.token_version) === version ? 'valid' : 'expired';
+}
+
+// ---------- Floor plans (database/migrations/024_floor_plan.sql) ----------
+
+/**
+ * Mock of save_floor_plan()
+ * @param {Object} params - { p_food_court_id, p_zones }
+ * @param {MockBackend} backend - Mock backend
+ * @returns {Promise<Object>} { zones, tables, seats, removed_qr_codes }
+ */
+async function mockSaveFloorPlan({ p_food_court_id, p_zones }, backend) {
+    if (!(await backend.selectOne('food_courts', { filters: [['id', 'eq', p_food_court_id]] }))) {
+        throw new Error(`Food court ${p_food_court_id} does not exist`);
+    }
+    if (!Array.isArray(p_zones)) {
+        throw new Error('A floor plan must be a list of zones');
+    }
+
+    // Check everything before writing, so a bad plan leaves the old one alone
+    const zoneNames = new Set();
+    const tableNames = new Set();
+    const numbers = [];
+    p_zones.forEach(zone => {
+        const zoneName = String(zone.name || '').trim();
+        if (!zoneName) {
+            throw new Error('Every zone needs a name');
+        }
+        if (zoneNames.has(zoneName)) {
+            throw new Error(`There are two zones called ${zoneName}`);
+        }
+        zoneNames.add(zoneName);
+
+        (zone.tables || []).forEach(table => {
+            const number = Number(table.number);
+            if (!/^\d{1,9}$/.test(String(table.number)) || number < 1) {
+                throw new Error('Table numbers must be whole numbers from 1');
+            }
+            if (numbers.includes(number)) {
+                throw new Error(`Table number ${number} is used twice`);
+            }
+            const tableName = String(table.name || '').trim() || String(number);
+            if (tableNames.has(tableName)) {
+                throw new Error(`There are two tables called ${tableName}`);
+            }
+            if (!Number.isInteger(table.seats) || table.seats < 1 || table.seats > 99) {
+                throw new Error(`Table ${number} needs 1 to 99 seats`);
+            }
+            numbers.push(number);
+            tableNames.add(tableName);
+        });
+    });
+
+    await backend.remove('food_court_tables', [['food_court_id', 'eq', p_food_court_id]]);
+    await backend.remove('food_court_zones', [['food_court_id', 'eq', p_food_court_id]]);
+
+    let seats = 0;
+    for (const [index, zone] of p_zones.entries()) {
+        const [zoneRow] = await backend.insert('food_court_zones', {
+            food_court_id: p_food_court_id,
+            name: String(zone.name).trim(),
+            sort_order: index,
+            pos_x: zone.x || 0,
+            pos_y: zone.y || 0,
+            width: zone.width || 30,
+            height: zone.height || 30
+        });
+        const tables = zone.tables || [];
+        if (tables.length > 0) {
+            await backend.insert('food_court_tables', tables.map(table => ({
+                food_court_id: p_food_court_id,
+                zone_id: zoneRow.id,
+                table_number: Number(table.number),
+                name: String(table.name || '').trim() || String(table.number),
+                seats: table.seats,
+                pos_x: table.x || 0,
+                pos_y: table.y || 0
+            })));
+        }
+        seats += tables.reduce((sum, table) => sum + table.seats, 0);
+    }
+
+    // Codes for tables that are no longer on the plan stop working
+    let removed = 0;
+    if (numbers.length > 0) {
+        const qrCodes = await backend.select('qr_codes', { filters: [['food_court_id', 'eq', p_food_court_id]] });
+        const stale = qrCodes.filter(qrCode => !numbers.includes(Number(qrCode.table_number)));
+        for (const qrCode of stale) {
+            await backend.remove('qr_codes', [['id', 'eq', qrCode.id]]);
+        }
+        removed = stale.length;
+    }
+
+    return { zones: p_zones.length, tables: numbers.length, seats, removed_qr_codes: removed };
+}
+
+// Mirror of find_order_table(): where the order's table is on its food court's floor plan
+async function mockFindOrderTable(foodCourtId, tableNumber, backend) {
+    const table = await backend.selectOne('food_court_tables', {
+        filters: [['food_court_id', 'eq', foodCourtId], ['table_number', 'eq', Number(tableNumber)]]
+    });
+    if (!table) {
+        return { table_zone: null, table_name: null };
+    }
+    const zone = await backend.selectOne('food_court_zones', { filters: [['id', 'eq', table.zone_id]] });
+    return { table_zone: zone ? zone.name : null, table_name: table.name };
+}
+
+// ---------- Table scans (database/migrations/025_table_scans.sql) ----------
+
+// Orders link to a valid scan of their table from this long ago at most
+const MOCK_SCAN_SESSION_MS = 4 * 60 * 60 * 1000;
+
+// record_table_scan() records this many scans of one table a minute at most
+const MOCK_SCANS_PER_MINUTE = 20;
+
+/**
+ * Mock of record_table_scan()
+ * @param {Object} params - { p_food_court_id, p_table_number, p_token }
+ * @param {MockBackend} backend - Mock backend
+ * @returns {Promise<Object>} { scan_id, status }
+ */
+async function mockRecordTableScan({ p_food_court_id, p_table_number, p_token }, backend) {
+    if (!(await backend.selectOne('food_courts', { filters: [['id', 'eq', p_food_court_id]] }))) {
+        throw new Error(`Food court ${p_food_court_id} does not exist`);
+    }
+
+    const tableNumber = String(p_table_number || '').trim();
+    if (!/^\d{1,9}$/.test(tableNumber) || Number(tableNumber) < 1) {
+        return { scan_id: null, status: 'invalid' };
+    }
+
+    const status = await mockCheckTableToken({ p_food_court_id, p_table_number: tableNumber, p_token }, backend);
+    const tableFilters = [['food_court_id', 'eq', p_food_court_id], ['table_number', 'eq', Number(tableNumber)]];
+    const knownTable = await backend.selectOne('food_court_tables', { filters: tableFilters })
+        || await backend.selectOne('qr_codes', { filters: tableFilters });
+    if (!knownTable) {
+        return { scan_id: null, status };
+    }
+
+    const recentScans = (await backend.select('table_scans', { filters: tableFilters }))
+        .filter(scan => Date.now() - new Date(scan.scanned_at).getTime() < 60 * 1000);
+    if (recentScans.length >= MOCK_SCANS_PER_MINUTE) {
+        return { scan_id: null, status };
+    }
+
+    const [scan] = await backend.insert('table_scans', {
+        food_court_id: p_food_court_id,
+        table_number: Number(tableNumber),
+        token_status: status,
+        scanned_at: new Date().toISOString()
+    });
+    return { scan_id: scan.id, status };
+}
+
+// Mirror of link_order_table_scan(): the x-table-scan scan, if it is a valid
+// scan of the order's table from the last 4 hours
+async function mockFindTableScan(scanId, tableNumber, backend) {
+    if (!scanId) return null;
+    const scan = await backend.selectOne('table_scans', { filters: [['id', 'eq', scanId]] });
+    const linked = scan && scan.token_status === 'valid'
+        && String(scan.table_number) === String(tableNumber).trim()
+        && Date.now() - new Date(scan.scanned_at).getTime() < MOCK_SCAN_SESSION_MS;
+    return linked ? scan.id : null;
+}
+
+// Mirror of food_court_table_list(): tables on the plan, with a QR code, or
+// with a valid scan
+async function mockListFoodCourtTables(foodCourtId, backend) {
+    const filters = [['food_court_id', 'eq', foodCourtId]];
+    const [planTables, zones, qrCodes, scans] = await Promise.all([
+        backend.select('food_court_tables', { filters }),
+        backend.select('food_court_zones', { filters }),
+        backend.select('qr_codes', { filters }),
+        backend.select('table_scans', { filters })
+    ]);
+
+    const validScans = scans.filter(scan => scan.token_status === 'valid');
+    const numbers = new Set([...planTables, ...qrCodes, ...validScans].map(row => Number(row.table_number)));
+    return [...numbers].sort((a, b) => a - b).map(number => {
+        const table = planTables.find(planTable => Number(planTable.table_number) === number);
+        const zone = table && zones.find(other => String(other.id) === String(table.zone_id));
+        return {
+            table_number: number,
+            table_name: table ? table.name : null,
+            zone_name: zone ? zone.name : null,
+            seats: table ? table.seats : null
+        };
+    });
+}
+
+/**
+ * Mock of get_table_scan_stats()
+ * @param {Object} params - { p_food_court_id, p_days }
+ * @param {MockBackend} backend - Mock backend
+ * @returns {Promise<Array>} One row per table (see the migration)
+ */
+async function mockGetTableScanStats({ p_food_court_id, p_days = 30 }, backend) {
+    if (!Number.isInteger(p_days) || p_days < 1 || p_days > 366) {
+        throw new Error('Days must be from 1 to 366');
+    }
+
+    const since = Date.now() - p_days * 24 * 60 * 60 * 1000;
+    const [tables, scans, orders] = await Promise.all([
+        mockListFoodCourtTables(p_food_court_id, backend),
+        backend.select('table_scans', { filters: [['food_court_id', 'eq', p_food_court_id]] }),
+        backend.select('orders')
+    ]);
+
+    return tables.map(table => {
+        const tableScans = scans.filter(scan => Number(scan.table_number) === table.table_number);
+        const recent = tableScans.filter(scan => new Date(scan.scanned_at).getTime() > since);
+        const valid = recent.filter(scan => scan.token_status === 'valid');
+        const orderCounts = valid.map(scan => orders.filter(order => String(order.table_scan_id) === String(scan.id)).length);
+        const lastScan = tableScans
+            .filter(scan => scan.token_status === 'valid')
+            .reduce((last, scan) => (!last || scan.scanned_at > last ? scan.scanned_at : last), null);
+
+        return {
+            table_number: table.table_number,
+            table_name: table.table_name,
+            zone_name: table.zone_name,
+            scans: valid.length,
+            failed_scans: recent.length - valid.length,
+            ordered_scans: orderCounts.filter(count => count > 0).length,
+            orders: orderCounts.reduce((sum, count) => sum + count, 0),
+            last_scan_at: lastScan
+        };
+    });
+}
+
+/**
+ * Mock of get_occupied_tables()
+ * @param {Object} params - { p_food_court_id, p_minutes }
+ * @param {MockBackend} backend - Mock backend
+ * @returns {Promise<Array>} The tables in use (see the migration)
+ */
+async function mockGetOccupiedTables({ p_food_court_id, p_minutes = 30 }, backend) {
+    if (!Number.isInteger(p_minutes) || p_minutes < 1 || p_minutes > 1440) {
+        throw new Error('Minutes must be from 1 to 1440');
+    }
+
+    const since = Date.now() - p_minutes * 60 * 1000;
+    const [tables, scans, stalls, orders, items] = await Promise.all([
+        mockListFoodCourtTables(p_food_court_id, backend),
+        backend.select('table_scans', { filters: [['food_court_id', 'eq', p_food_court_id], ['token_status', 'eq', 'valid']] }),
+        backend.select('hawker_stalls', { filters: [['food_court_id', 'eq', p_food_court_id]] }),
+        backend.select('orders', { filters: [['status', 'in', ['pending', 'preparing', 'ready']]] }),
+        backend.select('order_items')
+    ]);
+
+    const stallIds = stalls.map(stall => String(stall.id));
+    const openOrders = orders.filter(order => items.some(item =>
+        String(item.order_id) === String(order.id) && stallIds.includes(String(item.stall_id))));
+    const recentScans = scans.filter(scan => new Date(scan.scanned_at).getTime() > since);
+
+    return tables
+        .map(table => {
+            const tableOrders = openOrders.filter(order => String(order.table_number).trim() === String(table.table_number));
+            const times = recentScans
+                .filter(scan => Number(scan.table_number) === table.table_number)
+                .map(scan => scan.scanned_at)
+                .sort();
+            const orderTimes = tableOrders.map(order => order.created_at).sort();
+            const starts = [orderTimes[0], times[0]].filter(Boolean).sort();
+            return {
+                ...table,
+                open_orders: tableOrders.length,
+                last_scan_at: times.length ? times[times.length - 1] : null,
+                occupied_since: starts[0] || null
+            };
+        })
+        .filter(table => table.open_orders > 0 || table.last_scan_at);
+}
+
+// ---------- Table sessions (database/migrations/026_table_sessions.sql) ----------
+
+// A table's group lasts while something changes in it at least this often,
+// and until it is over (mockTableSessionOver())
+const MOCK_TABLE_SESSION_MS = 30 * 60 * 1000;
+const MOCK_UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+async function mockSha256Hex(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Mirror of current_table_member(): the diner whose token is in x-table-member
+async function mockCurrentTableMember(sessionId, backend, headers = {}) {
+    const member = await backend.selectOne('table_session_members', {
+        filters: [['session_id', 'eq', sessionId], ['token_hash', 'eq', await mockSha256Hex(headers['x-table-member'] || '')]]
+    });
+    if (!member) {
+        throw new Error('Join your table\'s group order first');
+    }
+    return member;
+}
+
+// Realtime subscribers re-read the session when its row changes
+async function mockTouchTableSession(sessionId, backend) {
+    await backend.update('table_sessions', [['id', 'eq', sessionId]], { changed_at: new Date().toISOString() });
+}
+
+// Mirror of join_table_session()'s check: every line has been ordered and
+// every order is completed or cancelled
+async function mockTableSessionOver(sessionId, backend) {
+    const [items, orders] = await Promise.all([
+        backend.select('table_session_items', { filters: [['session_id', 'eq', sessionId]] }),
+        backend.select('orders', { filters: [['table_session_id', 'eq', sessionId]] })
+    ]);
+    return orders.length > 0
+        && orders.every(order => ['completed', 'cancelled'].includes(order.status))
+        && items.every(item => item.order_id);
+}
+
+// Mirror of table_session_view(): orders placed before memberId joined are
+// left out, and so are their numbers on the lines
+async function mockTableSessionView(sessionId, memberId, backend) {
+    const filters = [['session_id', 'eq', sessionId]];
+    const [session, members, items, sessionOrders] = await Promise.all([
+        backend.selectOne('table_sessions', { filters: [['id', 'eq', sessionId]] }),
+        backend.select('table_session_members', { filters, order: { column: 'joined_at' } }),
+        backend.select('table_session_items', { filters, order: { column: 'added_at' } }),
+        backend.select('orders', { filters: [['table_session_id', 'eq', sessionId]], order: { column: 'created_at' } })
+    ]);
+    const viewer = members.find(member => String(member.id) === String(memberId));
+    const orders = sessionOrders.filter(order => new Date(order.created_at) >= new Date(viewer.joined_at));
+    const orderItems = await backend.select('order_items', { filters: [['order_id', 'in', orders.map(order => order.id)]] });
+    const nameOf = id => (members.find(member => String(member.id) === String(id)) || {}).name;
+
+    return {
+        id: session.id,
+        food_court_id: session.food_court_id,
+        table_number: session.table_number,
+        member_id: memberId,
+        members: members.map(({ id, name }) => ({ id, name })),
+        items: items.map(item => ({
+            id: item.id,
+            member_id: item.member_id,
+            diner_name: nameOf(item.member_id),
+            line: item.line,
+            ordered: Boolean(item.order_id),
+            order_id: (orders.find(order => String(order.id) === String(item.order_id)) || {}).order_id || null
+        })),
+        orders: orders.map(order => ({
+            order_id: order.order_id,
+            status: order.status,
+            total: order.total,
+            created_at: order.created_at,
+            diners: [...new Set(orderItems
+                .filter(item => String(item.order_id) === String(order.id))
+                .map(item => item.diner_name))].sort()
+        }))
+    };
+}
+
+/**
+ * Mock of join_table_session()
+ * @param {Object} params - { p_food_court_id, p_table_number, p_token, p_name }
+ * @param {MockBackend} backend - Mock backend
+ * @returns {Promise<Object>} { session_id, member_id, member_token, name }
+ */
+async function mockJoinTableSession({ p_food_court_id, p_table_number, p_token, p_name }, backend) {
+    const name = String(p_name || '').trim();
+    if (!name || name.length > 40) {
+        throw new Error('Enter your name (up to 40 characters)');
+    }
+
+    const tableNumber = String(p_table_number || '').trim();
+    const tokenState = await mockCheckTableToken({ p_food_court_id, p_table_number: tableNumber, p_token }, backend);
+    if (tokenState === 'expired') {
+        throw new Error('This table\'s QR code has been replaced. Scan the QR code on your table again');
+    }
+    if (tokenState === 'invalid') {
+        throw new Error(`This QR code is not valid for table ${tableNumber}. Scan the QR code on your table again`);
+    }
+
+    const sessions = await backend.select('table_sessions', {
+        filters: [['food_court_id', 'eq', p_food_court_id], ['table_number', 'eq', Number(tableNumber)]],
+        order: { column: 'changed_at', ascending: false }
+    });
+    let session = null;
+    for (const row of sessions) {
+        if (Date.now() - new Date(row.changed_at).getTime() < MOCK_TABLE_SESSION_MS
+            && !(await mockTableSessionOver(row.id, backend))) {
+            session = row;
+            break;
+        }
+    }
+    if (!session) {
+        [session] = await backend.insert('table_sessions', {
+            food_court_id: p_food_court_id,
+            table_number: Number(tableNumber),
+            changed_at: new Date().toISOString()
+        });
+    }
+
+    const members = await backend.select('table_session_members', { filters: [['session_id', 'eq', session.id]] });
+    if (members.some(member => member.name.toLowerCase() === name.toLowerCase())) {
+        throw new Error(`Someone at this table has already joined as ${name}`);
+    }
+
+    const memberToken = toBase64Url(crypto.getRandomValues(new Uint8Array(24)));
+    const [member] = await backend.insert('table_session_members', {
+        session_id: session.id,
+        name,
+        token_hash: await mockSha256Hex(memberToken),
+        joined_at: new Date().toISOString()
+    });
+    await mockTouchTableSession(session.id, backend);
+
+    return { session_id: session.id, member_id: member.id, member_token: memberToken, name };
+}
+
+/**
+ * Mock of get_table_session()
+ * @param {Object} params - { p_session_id }
+ * @param {MockBackend} backend - Mock backend
+ * @param {Object} headers - Request headers (x-table-member)
+ * @returns {Promise<Object>} The session as the diner sees it (see the migration)
+ */
+async function mockGetTableSession({ p_session_id }, backend, headers = {}) {
+    const member = await mockCurrentTableMember(p_session_id, backend, headers);
+    return mockTableSessionView(p_session_id, member.id, backend);
+}
+
+/**
+ * Mock of save_table_session_cart()
+ * @param {Object} params - { p_session_id, p_lines: cart lines from js/cart.js }
+ * @param {MockBackend} backend - Mock backend
+ * @param {Object} headers - Request headers (x-table-member)
+ * @returns {Promise<Object>} The session as the diner sees it
+ */
+async function mockSaveTableSessionCart({ p_session_id, p_lines }, backend, headers = {}) {
+    const member = await mockCurrentTableMember(p_session_id, backend, headers);
+    if (!Array.isArray(p_lines)) {
+        throw new Error('Cart must be a list of items');
+    }
+    if (p_lines.length > 50) {
+        throw new Error('A cart can hold at most 50 items');
+    }
+    p_lines.forEach(line => {
+        if (!line || typeof line !== 'object' || Array.isArray(line)
+            || !MOCK_UUID_PATTERN.test(line.lineId || '') || !MOCK_UUID_PATTERN.test(line.id || '')
+            || !/^\d{1,2}$/.test(String(line.quantity ?? '')) || Number(line.quantity) < 1
+            || (line.modifiers !== undefined && line.modifiers !== null && !Array.isArray(line.modifiers))) {
+            throw new Error(`Invalid cart item ${(line && line.name) || JSON.stringify(line)}`);
+        }
+    });
+
+    const items = await backend.select('table_session_items', { filters: [['session_id', 'eq', p_session_id]] });
+    const isOpenLine = item => String(item.member_id) === String(member.id) && !item.order_id;
+
+    // Lines ordered in the meantime, or another diner's, are left alone
+    const inserts = [];
+    for (const line of p_lines) {
+        const existing = items.find(item => String(item.id) === line.lineId);
+        if (!existing) {
+            inserts.push({ id: line.lineId, session_id: p_session_id, member_id: member.id, line, order_id: null, added_at: new Date().toISOString() });
+        } else if (isOpenLine(existing)) {
+            await backend.update('table_session_items', [['id', 'eq', existing.id]], { line });
+        }
+    }
+    if (inserts.length) {
+        await backend.insert('table_session_items', inserts);
+    }
+
+    // Lines taken off the phone's cart
+    const removed = items.filter(item => isOpenLine(item) && !p_lines.some(line => line.lineId === String(item.id)));
+    if (removed.length) {
+        await backend.remove('table_session_items', [['id', 'in', removed.map(item => item.id)]]);
+    }
+
+    await mockTouchTableSession(p_session_id, backend);
+    return mockTableSessionView(p_session_id, member.id, backend);
+}
+
+// Mirror of table_session_line_choices()
+function mockTableSessionLineChoices(modifiers) {
+    return [...new Set((modifiers || []).map(choice => String(choice.id)))].sort().join(',');
+}
+
+// Mirror of link_order_table_session() and claim_table_session_line(): each
+// item takes a matching line being ordered, and that line's diner's name
+async function mockClaimTableSessionLines(order, lines, sessionId, backend) {
+    const members = await backend.select('table_session_members', { filters: [['session_id', 'eq', sessionId]] });
+    const open = [...lines];
+    const orderItems = [];
+
+    for (const item of order.order_items) {
+        const index = open.findIndex(({ line }) =>
+            String(line.id) === String(item.menu_item_id)
+            && Number(line.quantity) === item.quantity
+            && ((line.specialInstructions || '').trim() || null) === item.notes
+            && mockTableSessionLineChoices(line.modifiers) === mockTableSessionLineChoices(item.modifiers));
+        if (index === -1) {
+            orderItems.push(item);
+            continue;
+        }
+
+        const [claimed] = open.splice(index, 1);
+        const dinerName = members.find(member => String(member.id) === String(claimed.member_id)).name;
+        await backend.update('table_session_items', [['id', 'eq', claimed.id]], { order_id: order.id });
+        orderItems.push((await backend.update('order_items', [['id', 'eq', item.id]], { diner_name: dinerName }))[0]);
+    }
+
+    const [linked] = await backend.update('orders', [['id', 'eq', order.id]], { table_session_id: sessionId });
+    return { ...order, ...linked, order_items: orderItems };
+}
+
+/**
+ * Mock of submit_table_session()
+ * @param {Object} params - { p_session_id, p_everyone, p_client_ref }
+ * @param {MockBackend} backend - Mock backend
+ * @param {Object} headers - Request headers (x-table-member, and x-table-token
+ *   and x-table-scan as for place_order())
+ * @returns {Promise<Object>} Order row with order_items and order_payments
+ */
+async function mockSubmitTableSession({ p_session_id, p_everyone, p_client_ref }, backend, headers = {}) {
+    const member = await mockCurrentTableMember(p_session_id, backend, headers);
+    if (!p_client_ref) {
+        throw new Error('Order reference is required');
+    }
+
+    const [session, items, placedBefore] = await Promise.all([
+        backend.selectOne('table_sessions', { filters: [['id', 'eq', p_session_id]] }),
+        backend.select('table_session_items', { filters: [['session_id', 'eq', p_session_id]], order: { column: 'added_at' } }),
+        backend.selectOne('orders', { filters: [['client_ref', 'eq', p_client_ref]] })
+    ]);
+    const lines = items.filter(item => !item.order_id && (p_everyone || String(item.member_id) === String(member.id)));
+    if (!lines.length && !placedBefore) {
+        throw new Error('There is nothing left to order');
+    }
+
+    let order = await mockPlaceOrder({
+        p_table_number: String(session.table_number),
+        p_items: lines.map(({ line }) => ({
+            menu_item_id: line.id,
+            quantity: Number(line.quantity),
+            notes: line.specialInstructions || null,
+            modifiers: (line.modifiers || []).map(modifier => modifier.id)
+        })),
+        p_client_ref
+    }, backend, headers);
+    if (!placedBefore) {
+        order = await mockClaimTableSessionLines(order, lines, p_session_id, backend);
+    }
+
+    await mockTouchTableSession(p_session_id, backend);
+    return order;
+}
+
+const MOCK_RPC_HANDLERS = {
+    place_order: mockPlaceOrder,
+    update_stall_order_status: mockUpdateStallOrderStatus,
+    cancel_order: mockCancelOrder,
+    reject_order_item: mockRejectOrderItem,
+    confirm_refund: mockConfirmRefund,
+    start_payment: mockStartPayment,
+    payment_webhook: mockPaymentWebhook,
+    confirm_payment_received: mockConfirmPaymentReceived,
+    auth_login: mockAuthLogin,
+    auth_verify: mockAuthVerify,
+    auth_logout: mockAuthLogout,
+    save_push_subscription: mockSavePushSubscription,
+    restock_menu_items: mockRestockMenuItems,
+    pause_stall_orders: mockPauseStallOrders,
+    order_queue: mockOrderQueue,
+    issue_table_token: mockIssueTableToken,
+    check_table_token: mockCheckTableToken,
+    save_floor_plan: mockSaveFloorPlan,
+    record_table_scan: mockRecordTableScan,
+    get_table_scan_stats: mockGetTableScanStats,
+    get_occupied_tables: mockGetOccupiedTables,
+    join_table_session: mockJoinTableSession,
+    get_table_session: mockGetTableSession,
+    save_table_session_cart: mockSaveTableSessionCart,
+    submit_table_session: mockSubmitTableSession
+};
+
+// Trigger: the same checks as check_modifier_groups() (017_menu_modifiers.sql)
+async function mockCheckMenuItemModifierGroups(row) {
+    if (!('modifier_groups' in row)) return row;
+
+    const groups = row.modifier_groups;
+    if (!Array.isArray(groups)) {
+        throw new Error('Modifier groups must be a list');
+    }
+
+    const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+    groups.forEach(group => {
+        if (!group || !String(group.id || '').trim() || !String(group.name || '').trim()) {
+            throw new Error('Every modifier group needs a name');
+        }
+        if (!Array.isArray(group.options) || group.options.length === 0) {
+            throw new Error(`Modifier group ${group.name} needs at least one option`);
+        }
+        group.options.forEach(option => {
+            if (!option || !String(option.id || '').trim() || !String(option.name || '').trim()
+                || !isNumber(option.price) || option.price < 0) {
+                throw new Error(`Every option in ${group.name} needs a name and a price of at least RM 0`);
+            }
+        });
+        if (!isNumber(group.min) || !isNumber(group.max)) {
+            throw new Error(`Modifier group ${group.name} needs a minimum and maximum number of choices`);
+        }
+        if (!Number.isInteger(group.min) || !Number.isInteger(group.max) || group.min < 0 || group.max < 1
+            || group.min > group.max || group.max > group.options.length) {
+            throw new Error(`Modifier group ${group.name} cannot have min ${group.min} and max ${group.max} with ${group.options.length} options`);
+        }
+    });
+
+    const optionIds = groups.flatMap(group => group.options.map(option => String(option.id)));
+    if (new Set(optionIds).size !== optionIds.length) {
+        throw new Error('Modifier options must have different IDs');
+    }
+    return row;
+}
+
+// Trigger: only checksummed MYR merchant QRs are stored (parseDuitNowPayload from js/duitnow.js)
+async function mockCheckStallDuitNowPayload(row) {
+    if (!row.duitnow_payload) return row;
+    return { ...row, duitnow_payload: parseDuitNowPayload(row.duitnow_payload).payload };
+}
+
+// Trigger: the same checks as check_stall_weekly_hours() (019_stall_hours.sql)
+async function mockCheckStallWeeklyHours(row) {
+    if (!row.weekly_hours) return row;
+    if (!Array.isArray(row.weekly_hours) || row.weekly_hours.length !== 7) {
+        throw new Error('Weekly hours need a list of periods for each of the 7 days');
+    }
+    row.weekly_hours.forEach(checkOpeningHours);
+    return row;
+}
+
+// Trigger: check_stall_hours_override()
+async function mockCheckStallHoursOverride(row) {
+    if ('hours' in row) checkOpeningHours(row.hours);
+    return row;
+}
+
+// Trigger: stamp_order_item_status() - when a stall started and finished
+async function mockStampOrderItemStatus(row) {
+    if (row.status === 'preparing') return { ...row, started_at: new Date().toISOString() };
+    if (row.status === 'ready') return { ...row, ready_at: new Date().toISOString() };
+    return row;
+}
+
+// Run in order, each getting the row the one before returned
+const MOCK_TRIGGERS = {
+    users: [mockHashUserPassword],
+    hawker_stalls: [mockCheckStallDuitNowPayload, mockCheckStallWeeklyHours],
+    menu_items: [mockCheckMenuItemModifierGroups],
+    order_items: [mockStampOrderItemStatus],
+    stall_hours_overrides: [mockCheckStallHoursOverride]
+};
+
+// ============================================
+// REPOSITORIES
+// Repositories return rows using the Supabase column names. Related rows are
+// attached the same way supabase-js embeds them (e.g. order.order_items).
+// ============================================
+
+class FoodCourtRepository {
+    constructor(backend) {
+        this.backend = backend;
+    }
+
+    /**
+     * Get all food courts with the number of stalls in each, and the tables
+     * and seats on their floor plans
+     * @returns {Promise<Array>} Food court rows with stall_count, table_count and seat_count
+     */
+    async list() {
+        const [foodCourts, stalls, tables] = await Promise.all([
+            this.backend.select('food_courts', { order: { column: 'created_at', ascending: false } }),
+            this.backend.select('hawker_stalls', { columns: 'id, food_court_id' }),
+            this.backend.select('food_court_tables', { columns: 'food_court_id, seats' })
+        ]);
+
+        return foodCourts.map(fc => {
+            const fcTables = tables.filter(table => String(table.food_court_id) === String(fc.id));
+            return {
+                ...fc,
+                stall_count: stalls.filter(stall => String(stall.food_court_id) === String(fc.id)).length,
+                table_count: fcTables.length,
+                seat_count: fcTables.reduce((sum, table) => sum + table.seats, 0)
+            };
+        });
+    }
+
+    async get(id) {
+        return this.backend.selectOne('food_courts', { filters: [['id', 'eq', id]] });
+    }
+
+    async create(foodCourt) {
+        const [row] = await this.backend.insert('food_courts', foodCourt);
+        return row;
+    }
+
+    async update(id, changes) {
+        const [row] = await this.backend.update('food_courts', [['id', 'eq', id]], changes);
+        return row;
+    }
+
+    async remove(id) {
+        return this.backend.remove('food_courts', [['id', 'eq', id]]);
+    }
+}
+
+class StallRepository {
+    constructor(backend) {
+        this.backend = backend;
+    }
+
+    /**
+     * Get stalls in a food court
+     * @param {string} foodCourtId - UUID of the food court
+     * @param {Object} options - { activeOnly: boolean }
+     * @returns {Promise<Array>} Stall rows
+     */
+    async listByFoodCourt(foodCourtId, { activeOnly = false } = {}) {
+        const filters = [['food_court_id', 'eq', foodCourtId]];
+        if (activeOnly) filters.push(['status', 'eq', 'active']);
+        return this.backend.select('hawker_stalls', { filters });
+    }
+
+    async list({ activeOnly = false } = {}) {
+        const filters = activeOnly ? [['status', 'eq', 'active']] : [];
+        return this.backend.select('hawker_stalls', { filters });
+    }
+
+    async get(id) {
+        return this.backend.selectOne('hawker_stalls', { filters: [['id', 'eq', id]] });
+    }
+
+    async getMany(ids) {
+        if (!ids.length) return [];
+        return this.backend.select('hawker_stalls', { filters: [['id', 'in', ids]] });
+    }
+
+    /**
+     * Get the active stall owned by a hawker, with its food court attached
+     * @param {string} hawkerId - UUID of the hawker user
+     * @returns {Promise<Object|null>} Stall row with food_courts: { name, address, opening_time, closing_time }
+     */
+    async getByHawker(hawkerId) {
+        const stall = await this.backend.selectOne('hawker_stalls', {
+            filters: [['hawker_id', 'eq', hawkerId], ['status', 'eq', 'active']]
+        });
+        if (!stall) return null;
+
+        const foodCourt = stall.food_court_id
+            ? await this.backend.selectOne('food_courts', { filters: [['id', 'eq', stall.food_court_id]] })
+            : null;
+
+        return {
+            ...stall,
+            food_courts: foodCourt
+                ? {
+                    name: foodCourt.name,
+                    address: foodCourt.address,
+                    opening_time: foodCourt.opening_time,
+                    closing_time: foodCourt.closing_time
+                }
+                : null
+        };
+    }
+
+    /**
+     * Attach each stall's owner contact details
+     * @param {Array} stalls - Stall rows
+     * @returns {Promise<Array>} Stall rows with users: { full_name, email, phone }
+     */
+    async attachOwners(stalls) {
+        const hawkerIds = [...new Set(stalls.map(stall => stall.hawker_id).filter(Boolean))];
+        const owners = hawkerIds.length
+            ? await this.backend.select('users', {
+                columns: 'id, full_name, email, phone',
+                filters: [['id', 'in', hawkerIds]]
+            })
+            : [];
+
+        return stalls.map(stall => {
+            const owner = owners.find(user => String(user.id) === String(stall.hawker_id));
+            return {
+                ...stall,
+                users: owner ? { full_name: owner.full_name, email: owner.email, phone: owner.phone } : null
+            };
+        });
+    }
+
+    async create(stall) {
+        const [row] = await this.backend.insert('hawker_stalls', stall);
+        return row;
+    }
+
+    async update(id, changes) {
+        const [row] = await this.backend.update('hawker_stalls', [['id', 'eq', id]], {
+            ...changes,
+            updated_at: new Date().toISOString()
+        });
+        return row;
+    }
+
+    async remove(id) {
+        return this.backend.remove('hawker_stalls', [['id', 'eq', id]]);
+    }
+
+    /**
+     * Closures and special hours from yesterday on (yesterday's may still
+     * be running past midnight)
+     * @param {Array<string>} stallIds - Stall IDs
+     * @returns {Promise<Array>} stall_hours_overrides rows, earliest first
+     */
+    async listHoursOverrides(stallIds) {
+        if (!stallIds.length) return [];
+        const yesterday = addLocalDays(getFoodCourtLocalTime().date, -1);
+        return this.backend.select('stall_hours_overrides', {
+            filters: [['stall_id', 'in', stallIds], ['date', 'gte', yesterday]],
+            order: { column: 'date', ascending: true }
+        });
+    }
+
+    /**
+     * Close a stall on a date, or give it special hours that day
+     * @param {Object} override - { stall_id, date: 'YYYY-MM-DD', hours: [] for closed, note }
+     * @returns {Promise<Object>} Inserted row
+     */
+    async addHoursOverride(override) {
+        const [row] = await this.backend.insert('stall_hours_overrides', { hours: [], ...override });
+        return row;
+    }
+
+    async removeHoursOverride(id) {
+        return this.backend.remove('stall_hours_overrides', [['id', 'eq', id]]);
+    }
+
+    /**
+     * Stop new orders for a while (pause_stall_orders() in the database)
+     * @param {string} stallId - Stall ID
+     * @param {number} minutes - How long; 0 takes orders again
+     * @returns {Promise<Object>} Updated stall row
+     */
+    async pauseOrders(stallId, minutes) {
+        return this.backend.rpc('pause_stall_orders', { p_stall_id: stallId, p_minutes: minutes });
+    }
+
+    /**
+     * Whether each stall is open, paused or closed right now
+     * @param {Array} stalls - Stall rows
+     * @returns {Promise<Object>} Map of stall_id → getStallOpenState() result
+     */
+    async getOpenStates(stalls) {
+        const foodCourtIds = [...new Set(stalls.map(stall => stall.food_court_id).filter(Boolean))];
+        const [foodCourts, overrides] = await Promise.all([
+            foodCourtIds.length
+                ? this.backend.select('food_courts', { filters: [['id', 'in', foodCourtIds]] })
+                : [],
+            this.listHoursOverrides(stalls.map(stall => stall.id))
+        ]);
+
+        const now = new Date();
+        return stalls.reduce((states, stall) => {
+            const foodCourt = foodCourts.find(fc => String(fc.id) === String(stall.food_court_id));
+            states[stall.id] = getStallOpenState(stall, { foodCourt, overrides, now });
+            return states;
+        }, {});
+    }
+}
+
+class MenuRepository {
+    constructor(backend) {
+        this.backend = backend;
+    }
+
+    /**
+     * Get menu items for a stall
+     * @param {string} stallId - Stall ID
+     * @param {Object} options - { availableOnly: boolean, includeSoldOut: boolean }.
+     *   includeSoldOut keeps items that are unavailable only because their
+     *   daily stock ran out, so the menu can show them as sold out.
+     * @returns {Promise<Array>} Menu item rows
+     */
+    async listByStall(stallId, { availableOnly = false, includeSoldOut = false } = {}) {
+        const filters = [['stall_id', 'eq', stallId]];
+        if (availableOnly && !includeSoldOut) filters.push(['available', 'eq', true]);
+        const rows = await this.backend.select('menu_items', {
+            filters,
+            order: availableOnly
+                ? { column: 'category', ascending: true }
+                : { column: 'created_at', ascending: false }
+        });
+        return availableOnly && includeSoldOut
+            ? rows.filter(item => item.available || item.stock_left === 0)
+            : rows;
+    }
+
+    async get(id) {
+        return this.backend.selectOne('menu_items', { filters: [['id', 'eq', id]] });
+    }
+
+    async getMany(ids) {
+        if (!ids.length) return [];
+        return this.backend.select('menu_items', { filters: [['id', 'in', ids]] });
+    }
+
+    /**
+     * Count available menu items per stall
+     * @returns {Promise<Object>} Map of stall_id → item count
+     */
+    async countAvailableByStall() {
+        const rows = await this.backend.select('menu_items', {
+            columns: 'stall_id',
+            filters: [['available', 'eq', true]]
+        });
+        return rows.reduce((counts, item) => {
+            counts[item.stall_id] = (counts[item.stall_id] || 0) + 1;
+            return counts;
+        }, {});
+    }
+
+    async create(item) {
+        const [row] = await this.backend.insert('menu_items', item);
+        return row;
+    }
+
+    async update(id, changes) {
+        const [row] = await this.backend.update('menu_items', [['id', 'eq', id]], changes);
+        return row;
+    }
+
+    async setAvailability(id, available) {
+        return this.update(id, { available });
+    }
+
+    /**
+     * Reset the daily stock of items not restocked since their food court
+     * last opened (restock_menu_items() in the database)
+     * @returns {Promise<number>} How many items were restocked
+     */
+    async restock() {
+        return this.backend.rpc('restock_menu_items');
+    }
+
+    /**
+     * Listen for changes to a stall's menu, e.g. stock counting down
+     * @param {string} stallId - Stall ID
+     * @param {Function} callback - Receives { eventType, new, old } with menu_items rows
+     * @returns {Function} Unsubscribe function
+     */
+    subscribeToStall(stallId, callback) {
+        return this.backend.subscribe('menu_items', { filter: ['stall_id', stallId] }, callback);
+    }
+
+    async remove(id) {
+        return this.backend.remove('menu_items', [['id', 'eq', id]]);
+    }
+}
+
+class PaymentRepository {
+    constructor(backend) {
+        this.backend = backend;
+    }
+
+    async listByOrder(orderUuid) {
+        return this.backend.select('order_payments', { filters: [['order_id', 'eq', orderUuid]] });
+    }
+
+    async create(payments) {
+        return this.backend.insert('order_payments', payments);
+    }
+
+    /**
+     * Open a payment intent with a provider (start_payment() in the database).
+     * The order number is sent as x-order-id so a guest may pay their own order.
+     * @param {string} paymentId - order_payments.id
+     * @param {string} provider - payment_providers.name (e.g. 'mock')
+     * @param {string} orderId - Public order number the payment belongs to
+     * @returns {Promise<Object>} payment_intents row, including the reference
+     */
+    async start(paymentId, provider, orderId) {
+        return this.backend.rpc('start_payment', {
+            p_payment_id: paymentId,
+            p_provider: provider
+        }, { headers: { 'x-order-id': orderId } });
+    }
+
+    /**
+     * Deliver a provider callback to payment_webhook(). Real providers call the
+     * endpoint themselves; this is used by the mock provider.
+     * @param {Object} body - { provider, reference, status, amount, transaction_id }
+     * @param {string} signature - Hex HMAC-SHA256 of JSON.stringify(body)
+     * @returns {Promise<Object>} The payment_intents row
+     */
+    async deliverWebhook(body, signature) {
+        return this.backend.rpc('payment_webhook', body, {
+            headers: { 'x-payment-signature': signature }
+        });
+    }
+
+    /**
+     * Hawker confirms cash or a static-QR transfer arrived (confirm_payment_received())
+     * @param {string} paymentId - order_payments.id
+     * @param {string} method - 'cash' or 'qr'
+     * @returns {Promise<Object>} Updated payment row
+     */
+    async confirmReceived(paymentId, method) {
+        return this.backend.rpc('confirm_payment_received', {
+            p_payment_id: paymentId,
+            p_method: method
+        });
+    }
+
+    /**
+     * Payments with money still to hand back, oldest first
+     * @param {string} stallId - Stall ID
+     * @returns {Promise<Array>} order_payments rows with the orders row attached as .orders
+     */
+    async listRefundsDue(stallId) {
+        const payments = await this.backend.select('order_payments', {
+            filters: [['stall_id', 'eq', stallId], ['refund_status', 'eq', 'due']],
+            order: { column: 'created_at', ascending: true }
+        });
+        if (!payments.length) return [];
+
+        const orders = await this.backend.select('orders', {
+            filters: [['id', 'in', payments.map(payment => payment.order_id)]]
+        });
+        return payments.map(payment => ({
+            ...payment,
+            orders: orders.find(order => String(order.id) === String(payment.order_id)) || null
+        }));
+    }
+
+    /**
+     * Record that a refund has been handed back (confirm_refund() in the database)
+     * @param {string} paymentId - order_payments.id
+     * @returns {Promise<Object>} Updated payment row
+     */
+    async confirmRefund(paymentId) {
+        return this.backend.rpc('confirm_refund', { p_payment_id: paymentId });
+    }
+}
+
+class OrderRepository {
+    constructor(backend) {
+        this.backend = backend;
+    }
+
+    /**
+     * Attach order_items and order_payments to order rows
+     * @param {Array} orders - Order rows
+     * @param {string|null} stallId - Only attach this stall's items/payments
+     * @param {Object} headers - Extra request headers (e.g. x-order-id)
+     * @returns {Promise<Array>} Orders with order_items and order_payments
+     */
+    async attachDetails(orders, stallId = null, headers = {}) {
+        if (!orders.length) return [];
+
+        const ids = orders.map(order => order.id);
+        const filters = [['order_id', 'in', ids]];
+        if (stallId) filters.push(['stall_id', 'eq', stallId]);
+
+        const [items, payments] = await Promise.all([
+            this.backend.select('order_items', { filters, headers }),
+            this.backend.select('order_payments', { filters, headers })
+        ]);
+
+        return orders.map(order => ({
+            ...order,
+            order_items: items.filter(item => String(item.order_id) === String(order.id)),
+            order_payments: payments.filter(payment => String(payment.order_id) === String(order.id))
+        }));
+    }
+
+    /**
+     * Place an order. Prices and totals are worked out by the place_order()
+     * database function from menu_items - the client only sends IDs.
+     * @param {string} tableNumber - Table the order is for
+     * @param {Array} items - [{ menu_item_id, quantity, notes, modifiers: [option IDs] }]
+     * @param {string} clientRef - Idempotency key (UUID); sending the same one
+     *   again returns the first order instead of placing a second
+     * @param {string} tableToken - Signed token from the table's QR link
+     * @param {string} tableScanId - The scan of that link (TableScanRepository.record()), if known
+     * @returns {Promise<Object>} The stored order with order_items and order_payments
+     */
+    async place(tableNumber, items, clientRef, tableToken, tableScanId) {
+        return this.backend.rpc('place_order', this.placeParams(tableNumber, items, clientRef), {
+            headers: this.placeHeaders(tableToken, tableScanId)
+        });
+    }
+
+    /**
+     * The request place() sends, for the service worker to replay offline orders
+     * @returns {Object|null} { url, headers, body }, or null on the mock backend
+     */
+    placeRequest(tableNumber, items, clientRef, tableToken, tableScanId) {
+        return this.backend.rpcRequest('place_order', this.placeParams(tableNumber, items, clientRef), {
+            headers: this.placeHeaders(tableToken, tableScanId)
+        });
+    }
+
+    placeParams(tableNumber, items, clientRef) {
+        const params = { p_table_number: String(tableNumber), p_items: items };
+        if (clientRef) params.p_client_ref = clientRef;
+        return params;
+    }
+
+    placeHeaders(tableToken, tableScanId) {
+        const headers = {};
+        if (tableToken) headers['x-table-token'] = tableToken;
+        if (tableScanId) headers['x-table-scan'] = tableScanId;
+        return headers;
+    }
+
+    /**
+     * Get an order by its public order number (e.g. ORD1700000000000).
+     * The number is sent as x-order-id, which is what lets a guest read it.
+     * @param {string} orderId - Public order number
+     * @returns {Promise<Object|null>} Order with order_items and order_payments
+     */
+    async getByOrderId(orderId) {
+        const headers = { 'x-order-id': orderId };
+        const order = await this.backend.selectOne('orders', { filters: [['order_id', 'eq', orderId]], headers });
+        if (!order) return null;
+        const [detailed] = await this.attachDetails([order], null, headers);
+        return detailed;
+    }
+
+    /**
+     * List orders, newest first
+     * @param {Object} options - { statuses, tableNumber, from, to, limit }
+     * @returns {Promise<Array>} Orders with details attached
+     */
+    async list({ statuses, tableNumber, from, to, limit } = {}) {
+        const filters = [];
+        if (statuses) filters.push(['status', 'in', statuses]);
+        if (tableNumber) filters.push(['table_number', 'eq', tableNumber]);
+        if (from) filters.push(['created_at', 'gte', from]);
+        if (to) filters.push(['created_at', 'lt', to]);
+
+        const orders = await this.backend.select('orders', {
+            filters,
+            order: { column: 'created_at', ascending: false },
+            limit
+        });
+        return this.attachDetails(orders);
+    }
+
+    /**
+     * List orders containing items from a stall, with only that stall's items
+     * @param {string} stallId - Stall ID
+     * @param {Object} options - { statuses (of the stall's items), from, to }
+     * @returns {Promise<Array>} Orders, newest first
+     */
+    async listForStall(stallId, { statuses, from, to } = {}) {
+        // statuses match the stall's own portion, not the rolled-up order status
+        const itemFilters = [['stall_id', 'eq', stallId]];
+        if (statuses) itemFilters.push(['status', 'in', statuses]);
+
+        const stallItems = await this.backend.select('order_items', {
+            columns: 'order_id',
+            filters: itemFilters
+        });
+        const orderIds = [...new Set(stallItems.map(item => item.order_id))];
+        if (!orderIds.length) return [];
+
+        const filters = [['id', 'in', orderIds]];
+        if (from) filters.push(['created_at', 'gte', from]);
+        if (to) filters.push(['created_at', 'lt', to]);
+
+        const orders = await this.backend.select('orders', {
+            filters,
+            order: { column: 'created_at', ascending: false }
+        });
+        return this.attachDetails(orders, stallId);
+    }
+
+    /**
+     * Move one stall's portion of an order (e.g. 'preparing' -> 'ready').
+     * orders.status is rolled up from every stall by the database.
+     * @param {string} orderId - Public order number
+     * @param {string} stallId - Stall whose items change
+     * @param {string} status - New status for the stall's items
+     * @returns {Promise<Object>} Rolled-up order row with the stall's order_items
+     */
+    async updateStallStatus(orderId, stallId, status) {
+        return this.backend.rpc('update_stall_order_status', {
+            p_order_id: orderId,
+            p_stall_id: stallId,
+            p_status: status
+        });
+    }
+
+    /**
+     * Cancel a pending order within DATA_CONFIG.CANCEL_GRACE_PERIOD of placing it.
+     * Every stall's share is marked refund-due.
+     * @param {string} orderId - Public order number
+     * @returns {Promise<Object>} Cancelled order with order_items and order_payments
+     */
+    async cancel(orderId) {
+        return this.backend.rpc('cancel_order', { p_order_id: orderId });
+    }
+
+    /**
+     * Reject one line of an order (e.g. sold out); the stall's payment is marked refund-due
+     * @param {string} orderItemId - order_items.id
+     * @param {string} reason - Shown to the customer
+     * @returns {Promise<Object>} Order with the stall's order_items and order_payments
+     */
+    async rejectItem(orderItemId, reason) {
+        return this.backend.rpc('reject_order_item', {
+            p_order_item_id: orderItemId,
+            p_reason: reason
+        });
+    }
+
+    /**
+     * The customer's place in each stall's queue and the expected wait
+     * (order_queue() in the database). Anyone holding the order number may ask.
+     * @param {string} orderId - Public order number
+     * @returns {Promise<Array>} [{ stall_id, position (1 = next), eta_minutes }],
+     *   only for stalls that haven't finished their part
+     */
+    async getQueue(orderId) {
+        return this.backend.rpc('order_queue', { p_order_id: orderId });
+    }
+
+    /**
+     * What happened to an order and who did it, oldest first
+     * (order_events, database/migrations/021_order_events.sql)
+     * @param {string} orderUuid - orders.id
+     * @param {Object} options - { orderId: public order number, sent as x-order-id
+     *   so a guest may read it; stallId: only that stall's and order-wide events }
+     * @returns {Promise<Array>} order_events rows
+     */
+    async listEvents(orderUuid, { orderId = null, stallId = null } = {}) {
+        const events = await this.backend.select('order_events', {
+            filters: [['order_id', 'eq', orderUuid]],
+            order: { column: 'created_at', ascending: true },
+            headers: orderId ? { 'x-order-id': orderId } : {}
+        });
+        // Row-level security already does this on Supabase; the mock store has none
+        return stallId
+            ? events.filter(event => !event.stall_id || String(event.stall_id) === String(stallId))
+            : events;
+    }
+
+    /**
+     * Store the browser's Web Push subscription so status changes reach the
+     * customer with the tab closed (push/push-sender.js sends them)
+     * @param {string} orderId - Public order number, sent as x-order-id
+     * @param {Object} subscription - PushSubscription.toJSON()
+     * @returns {Promise<void>}
+     */
+    async savePushSubscription(orderId, subscription) {
+        return this.backend.rpc('save_push_subscription', {
+            p_order_id: orderId,
+            p_subscription: subscription
+        }, { headers: { 'x-order-id': orderId } });
+    }
+
+    // Admin override of the rolled-up status
+    async updateStatus(orderId, status) {
+        const before = await this.backend.selectOne('orders', { filters: [['order_id', 'eq', orderId]] });
+        const [row] = await this.backend.update('orders', [['order_id', 'eq', orderId]], {
+            status,
+            updated_at: new Date().toISOString()
+        });
+        // The log_order_change trigger records this on Supabase
+        if (row && this.backend.name === 'mock' && before.status !== row.status) {
+            await mockLogOrderEvent({
+                order_id: row.id,
+                kind: 'status',
+                from_status: before.status,
+                to_status: row.status
+            }, this.backend, this.backend.headers);
+        }
+        return row;
+    }
+
+    /**
+     * Listen for changes to one order
+     * @param {string} orderId - Public order number
+     * @param {Function} callback - Receives the updated orders row
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(orderId, callback) {
+        // Realtime channels can't send x-order-id, so under row-level security
+        // a guest never receives their order's changes; poll instead
+        if (this.backend.name === 'supabase') {
+            let lastUpdate = null;
+            const timer = setInterval(async () => {
+                try {
+                    const order = await this.backend.selectOne('orders', {
+                        filters: [['order_id', 'eq', orderId]],
+                        headers: { 'x-order-id': orderId }
+                    });
+                    if (order && order.updated_at !== lastUpdate) {
+                        lastUpdate = order.updated_at;
+                        callback(order);
+                    }
+                } catch (error) {
+                    console.warn('⚠️ Could not refresh order:', error.message);
+                }
+            }, DATA_CONFIG.ORDER_POLL_INTERVAL);
+            return () => clearInterval(timer);
+        }
+
+        return this.backend.subscribe('orders', { event: 'UPDATE', filter: ['order_id', orderId] }, (change) => {
+            callback(change.new);
+        });
+    }
+
+    /**
+     * Listen for any change to a stall's orders (new orders, status moves,
+     * payments). Only says that something changed; re-read with listForStall().
+     * @param {string} stallId - Stall ID
+     * @param {Function} callback - Called with no arguments on each change
+     * @returns {Function} Unsubscribe function
+     */
+    subscribeToStall(stallId, callback) {
+        // Realtime can't send x-session-token, so on Supabase the stall's row in
+        // stall_order_signals (database/migrations/016_stall_order_signals.sql)
+        // stands in for its order_items and order_payments
+        if (this.backend.name === 'supabase') {
+            return this.backend.subscribe('stall_order_signals', { filter: ['stall_id', stallId] }, () => callback());
+        }
+
+        const unsubscribes = ['order_items', 'order_payments'].map(table =>
+            this.backend.subscribe(table, { filter: ['stall_id', stallId] }, () => callback())
+        );
+        return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+    }
+}
+
+class QRCodeRepository {
+    constructor(backend) {
+        this.backend = backend;
+    }
+
+    async get(foodCourtId, tableNumber) {
+        return this.backend.selectOne('qr_codes', {
+            filters: [['food_court_id', 'eq', foodCourtId], ['table_number', 'eq', tableNumber]]
+        });
+    }
+
+    async listByFoodCourt(foodCourtId) {
+        return this.backend.select('qr_codes', {
+            filters: [['food_court_id', 'eq', foodCourtId]],
+            order: { column: 'table_number', ascending: true }
+        });
+    }
+
+    async create(qrCode) {
+        const [row] = await this.backend.insert('qr_codes', qrCode);
+        return row;
+    }
+
+    async update(foodCourtId, tableNumber, changes) {
+        const [row] = await this.backend.update('qr_codes', [
+            ['food_court_id', 'eq', foodCourtId],
+            ['table_number', 'eq', tableNumber]
+        ], changes);
+        return row;
+    }
+
+    async remove(foodCourtId, tableNumber) {
+        return this.backend.remove('qr_codes', [
+            ['food_court_id', 'eq', foodCourtId],
+            ['table_number', 'eq', tableNumber]
+        ]);
+    }
+
+    async removeAll(foodCourtId) {
+        return this.backend.remove('qr_codes', [['food_court_id', 'eq', foodCourtId]]);
+    }
+
+    /**
+     * Sign a new version of a table's link (admins only). Saving the version
+     * in qr_codes.token_version expires the table's older links.
+     * @returns {Promise<Object>} { token, version }
+     */
+    async issueToken(foodCourtId, tableNumber) {
+        return this.backend.rpc('issue_table_token', {
+            p_food_court_id: foodCourtId,
+            p_table_number: String(tableNumber)
+        });
+    }
+
+    /**
+     * Check the token from a scanned table link
+     * @returns {Promise<string>} 'valid', 'invalid' or 'expired'
+     */
+    async checkToken(foodCourtId, tableNumber, token) {
+        return this.backend.rpc('check_table_token', {
+            p_food_court_id: foodCourtId,
+            p_table_number: String(tableNumber),
+            p_token: token
+        });
+    }
+}
+
+class FloorPlanRepository {
+    constructor(backend) {
+        this.backend = backend;
+    }
+
+    /**
+     * A food court's floor plan
+     * @param {string} foodCourtId - UUID of the food court
+     * @returns {Promise<Array>} food_court_zones rows in order, each with its
+     *   food_court_tables rows (by number) as tables
+     */
+    async get(foodCourtId) {
+        const [zones, tables] = await Promise.all([
+            this.backend.select('food_court_zones', {
+                filters: [['food_court_id', 'eq', foodCourtId]],
+                order: { column: 'sort_order', ascending: true }
+            }),
+            this.backend.select('food_court_tables', {
+                filters: [['food_court_id', 'eq', foodCourtId]],
+                order: { column: 'table_number', ascending: true }
+            })
+        ]);
+
+        return zones.map(zone => ({
+            ...zone,
+            tables: tables.filter(table => String(table.zone_id) === String(zone.id))
+        }));
+    }
+
+    /**
+     * Every table on a food court's floor plan
+     * @param {string} foodCourtId - UUID of the food court
+     * @returns {Promise<Array>} food_court_tables rows with zone_name, by number
+     */
+    async listTables(foodCourtId) {
+        const zones = await this.get(foodCourtId);
+        return zones
+            .flatMap(zone => zone.tables.map(table => ({ ...table, zone_name: zone.name })))
+            .sort((a, b) => a.table_number - b.table_number);
+    }
+
+    /**
+     * Replace a food court's floor plan (admins only). Once the plan has
+     * tables, QR codes of tables not on it are deleted.
+     * @param {string} foodCourtId - UUID of the food court
+     * @param {Array<Object>} zones - [{ name, x, y, width, height, tables: [{ number, name, seats, x, y }] }]
+     * @returns {Promise<Object>} { zones, tables, seats, removed_qr_codes }
+     */
+    async save(foodCourtId, zones) {
+        return this.backend.rpc('save_floor_plan', {
+            p_food_court_id: foodCourtId,
+            p_zones: zones
+        });
+    }
+}
+
+class TableScanRepository {
+    constructor(backend) {
+        this.backend = backend;
+    }
+
+    /**
+     * Record a scan of a table link and check its token
+     * @param {string} foodCourtId - UUID of the food court
+     * @param {string} tableNumber - Table number from the link
+     * @param {string} token - Signed token from the link
+     * @returns {Promise<Object>} { scan_id, status: 'valid', 'invalid' or 'expired' }
+     */
+    async record(foodCourtId, tableNumber, token) {
+        return this.backend.rpc('record_table_scan', {
+            p_food_court_id: foodCourtId,
+            p_table_number: String(tableNumber),
+            p_token: token || null
+        });
+    }
+
+    /**
+     * Scans and orders per table over the last few days (admins only)
+     * @param {string} foodCourtId - UUID of the food court
+     * @param {number} days - How many days back (1 to 366)
+     * @returns {Promise<Array>} [{ table_number, table_name, zone_name, scans,
+     *   failed_scans, ordered_scans, orders, last_scan_at }] by table number
+     */
+    async stats(foodCourtId, days = 30) {
+        return this.backend.rpc('get_table_scan_stats', { p_food_court_id: foodCourtId, p_days: days });
+    }
+
+    /**
+     * Tables with an open order or a recent scan (admins only)
+     * @param {string} foodCourtId - UUID of the food court
+     * @param {number} minutes - How recent a scan counts (1 to 1440)
+     * @returns {Promise<Array>} [{ table_number, table_name, zone_name, seats,
+     *   open_orders, last_scan_at, occupied_since }] by table number
+     */
+    async occupied(foodCourtId, minutes = 30) {
+        return this.backend.rpc('get_occupied_tables', { p_food_court_id: foodCourtId, p_minutes: minutes });
+    }
+}
+
+class TableSessionRepository {
+    constructor(backend) {
+        this.backend = backend;
+    }
+
+    /**
+     * Join the group order at a table, starting one if nobody at the table has
+     * @param {string} foodCourtId - UUID of the food court
+     * @param {string} tableNumber - Table number from the QR link
+     * @param {string} token - Signed token from the QR link
+     * @param {string} name - Name the other diners see (up to 40 characters)
+     * @returns {Promise<Object>} { session_id, member_id, member_token, name };
+     *   member_token is what the other methods need
+     */
+    async join(foodCourtId, tableNumber, token, name) {
+        return this.backend.rpc('join_table_session', {
+            p_food_court_id: foodCourtId,
+            p_table_number: String(tableNumber),
+            p_token: token || null,
+            p_name: name
+        });
+    }
+
+    /**
+     * Read the group's cart and orders
+     * @param {string} sessionId - Session ID
+     * @param {string} memberToken - The diner's token from join()
+     * @returns {Promise<Object>} { id, food_court_id, table_number, member_id,
+     *   members, items: [{ id, member_id, diner_name, line, order_id }], orders }
+     */
+    async get(sessionId, memberToken) {
+        return this.backend.rpc('get_table_session', { p_session_id: sessionId }, {
+            headers: { 'x-table-member': memberToken }
+        });
+    }
+
+    /**
+     * Replace the diner's lines that haven't been ordered yet with their cart
+     * @param {string} sessionId - Session ID
+     * @param {string} memberToken - The diner's token from join()
+     * @param {Array} lines - Cart lines from js/cart.js (each with a lineId)
+     * @returns {Promise<Object>} The group, as get() returns it
+     */
+    async saveCart(sessionId, memberToken, lines) {
+        return this.backend.rpc('save_table_session_cart', { p_session_id: sessionId, p_lines: lines }, {
+            headers: { 'x-table-member': memberToken }
+        });
+    }
+
+    /**
+     * Order the group's lines nobody has ordered yet, or only the diner's own.
+     * Priced and split by stall by place_order(), like any other order.
+     * @param {string} sessionId - Session ID
+     * @param {string} memberToken - The diner's token from join()
+     * @param {Object} options - { everyone, clientRef, tableToken, tableScanId }
+     * @returns {Promise<Object>} The stored order with order_items and order_payments
+     */
+    async submit(sessionId, memberToken, { everyone = false, clientRef, tableToken, tableScanId } = {}) {
+        const headers = { 'x-table-member': memberToken };
+        if (tableToken) headers['x-table-token'] = tableToken;
+        if (tableScanId) headers['x-table-scan'] = tableScanId;
+
+        return this.backend.rpc('submit_table_session', {
+            p_session_id: sessionId,
+            p_everyone: Boolean(everyone),
+            p_client_ref: clientRef
+        }, { headers });
+    }
+
+    /**
+     * Listen for changes to the group. Only says that something changed;
+     * re-read with get().
+     * @param {string} sessionId - Session ID
+     * @param {Function} callback - Called with no arguments on each change
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(sessionId, callback) {
+        // Realtime can't send x-table-member, so the session's row stands in
+        // for its members and cart lines
+        return this.backend.subscribe('table_sessions', { filter: ['id', sessionId] }, () => callback());
+    }
+}
+
+// Password hashes are never selected; Supabase only grants these columns
+const USER_COLUMNS = 'id, email, full_name, phone, role, status, created_at';
+
+class UserRepository {
+    constructor(backend) {
+        this.backend = backend;
+    }
+
+    async get(id) {
+        return this.backend.selectOne('users', { columns: USER_COLUMNS, filters: [['id', 'eq', id]] });
+    }
+
+    async listByPhone(phone) {
+        return this.backend.select('users', { columns: USER_COLUMNS, filters: [['phone', 'eq', phone]] });
+    }
+
+    async listByRole(role) {
+        return this.backend.select('users', { columns: USER_COLUMNS, filters: [['role', 'eq', role]] });
+    }
+
+    /**
+     * Create a user. A plain-text password_hash is hashed on write
+     * (database trigger, or the mock equivalent).
+     * @param {Object} user - users row
+     * @returns {Promise<Object>} The stored user, without password_hash
+     */
+    async create(user) {
+        const [row] = await this.backend.insert('users', user, { columns: USER_COLUMNS });
+        const { password_hash, ...publicRow } = row;
+        return publicRow;
+    }
+
+    async remove(id) {
+        return this.backend.remove('users', [['id', 'eq', id]]);
+    }
+}
+
+class SubscriptionRepository {
+    constructor(backend) {
+        this.backend = backend;
+    }
+
+    /**
+     * Get the plans hawkers can subscribe to, cheapest first
+     * @returns {Promise<Array>} subscription_plans rows
+     */
+    async listPlans() {
+        return this.backend.select('subscription_plans', { order: { column: 'price', ascending: true } });
+    }
+
+    async createPlan(plan) {
+        const [row] = await this.backend.insert('subscription_plans', plan);
+        return row;
+    }
+
+    async updatePlan(id, changes) {
+        const [row] = await this.backend.update('subscription_plans', [['id', 'eq', id]], changes);
+        return row;
+    }
+
+    /**
+     * Get hawker subscriptions, newest first
+     * @param {Object} options - { status: 'active', 'expired' or 'cancelled' }
+     * @returns {Promise<Array>} hawker_subscriptions rows (plan_name names the plan)
+     */
+    async list({ status } = {}) {
+        const filters = status ? [['status', 'eq', status]] : [];
+        return this.backend.select('hawker_subscriptions', {
+            filters,
+            order: { column: 'start_date', ascending: false }
+        });
+    }
+}
+
+class AdvertisementRepository {
+    constructor(backend) {
+        this.backend = backend;
+    }
+
+    async list() {
+        return this.backend.select('advertisements', { order: { column: 'created_at', ascending: false } });
+    }
+
+    async create(ad) {
+        const [row] = await this.backend.insert('advertisements', ad);
+        return row;
+    }
+
+    async update(id, changes) {
+        const [row] = await this.backend.update('advertisements', [['id', 'eq', id]], changes);
+        return row;
+    }
+
+    async remove(id) {
+        return this.backend.remove('advertisements', [['id', 'eq', id]]);
+    }
+}
+
+// ============================================
+// DATA STORE FACTORY
+// ============================================
+
+/**
+ * Work out which backend this browser should use
+ * @returns {string} 'supabase' or 'mock'
+ */
+function resolveBackendName() {
+    const fromUrl = new URLSearchParams(window.location.search).get('backend');
+    if (fromUrl) {
+        localStorage.setItem('dataBackend', fromUrl);
+        return fromUrl;
+    }
+    return localStorage.getItem('dataBackend') || DATA_CONFIG.DEFAULT_BACKEND;
+}
+
+/**
+ * Build a backend instance
+ * @param {string} name - 'supabase' or 'mock'
+ * @returns {SupabaseBackend|MockBackend}
+ */
+function createBackend(name) {
+    if (name === 'supabase') {
+        const client = typeof initSupabase === 'function' ? initSupabase() : null;
+        if (client) {
+            return new SupabaseBackend(client);
+        }
+        console.warn('⚠️ Supabase unavailable, falling back to the JSON mock store');
+    }
+    return new MockBackend();
+}
+
+/**
+ * Create a data store with all repositories sharing one backend
+ * @param {SupabaseBackend|MockBackend} backend - Storage backend
+ * @returns {Object} { backend, foodCourts, stalls, menu, orders, payments, qrCodes, floorPlans, tableScans,
+ *   tableSessions, users, subscriptions, ads }
+ */
+function createDataStore(backend) {
+    return {
+        backend,
+        foodCourts: new FoodCourtRepository(backend),
+        stalls: new StallRepository(backend),
+        menu: new MenuRepository(backend),
+        orders: new OrderRepository(backend),
+        payments: new PaymentRepository(backend),
+        qrCodes: new QRCodeRepository(backend),
+        floorPlans: new FloorPlanRepository(backend),
+        tableScans: new TableScanRepository(backend),
+        tableSessions: new TableSessionRepository(backend),
+        users: new UserRepository(backend),
+        subscriptions: new SubscriptionRepository(backend),
+        ads: new AdvertisementRepository(backend)
+    };
+}
+
+let dataStoreInstance = null;
+
+/**
+ * Get the shared data store for this page (created on first use)
+ * @returns {Object} Data store
+ */
+function getDataStore() {
+    if (!dataStoreInstance) {
+        dataStoreInstance = createDataStore(createBackend(resolveBackendName()));
+        console.log(`🗄️ Data store ready (${dataStoreInstance.backend.name} backend)`);
+    }
+    return dataStoreInstance;
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DATA_CONFIG,
+        SupabaseBackend,
+        MockBackend,
+        FoodCourtRepository,
+        StallRepository,
+        MenuRepository,
+        PaymentRepository,
+        OrderRepository,
+        QRCodeRepository,
+        FloorPlanRepository,
+        TableScanRepository,
+        TableSessionRepository,
+        UserRepository,
+        SubscriptionRepository,
+        AdvertisementRepository,
+        getStallOpenState,
+        createDataStore,
+        getDataStore
+    };
+}
@@ -0,0 +1,150 @@
+/**
+ * DuitNow QR Payloads
+ * DuitNow merchant QR codes follow the EMVCo Merchant-Presented QR format: a
+ * string of TLV fields (2-digit tag, 2-digit length, value) ending in a
+ * CRC-16/CCITT checksum (tag 63). A hawker's printed QR is "static" - the
+ * customer types the amount. For each stall payment we rebuild it as a
+ * "dynamic" QR with the amount (tag 54) and the order number (tag 62, bill
+ * number) filled in, so the customer just scans and pays and the transfer
+ * carries a reference the hawker can match.
+ *
+ * The database does the same in SQL (database/migrations/012_duitnow_qr.sql);
+ * this copy validates uploads in the browser and backs the mock store.
+ */
+
+const DUITNOW_CONFIG = {
+    // Malaysian ringgit (ISO 4217 numeric), tag 53
+    CURRENCY_MYR: '458',
+
+    // Tags 26-51 hold the merchant account (DuitNow uses one of these)
+    MERCHANT_ACCOUNT_TAGS: [26, 51],
+
+    // Point of initiation (tag 01) of a single-use QR (a static one is 11)
+    DYNAMIC: '12',
+
+    // Longest bill number (tag 62, sub-tag 01) EMVCo allows
+    MAX_REFERENCE_LENGTH: 25
+};
+
+/**
+ * CRC-16/CCITT-FALSE (poly 0x1021, initial 0xFFFF) as EMVCo specifies
+ * @param {string} text - Payload up to and including "6304"
+ * @returns {string} 4 upper-case hex digits
+ */
+function emvCrc16(text) {
+    let crc = 0xFFFF;
+    new TextEncoder().encode(text).forEach(byte => {
+        crc ^= byte << 8;
+        for (let bit = 0; bit < 8; bit++) {
+            crc = crc & 0x8000 ? ((crc << 1) ^ 0x1021) & 0xFFFF : (crc << 1) & 0xFFFF;
+        }
+    });
+    return crc.toString(16).toUpperCase().padStart(4, '0');
+}
+
+/**
+ * Split a payload into its TLV fields
+ * @param {string} payload - EMVCo payload (or the value of a template field)
+ * @returns {Array} [{ tag, value }] in payload order
+ */
+function parseEmvFields(payload) {
+    const fields = [];
+    let position = 0;
+    while (position < payload.length) {
+        const tag = payload.substr(position, 2);
+        const length = Number(payload.substr(position + 2, 2));
+        if (!/^\d{2}$/.test(tag) || !/^\d{2}$/.test(payload.substr(position + 2, 2))
+            || position + 4 + length > payload.length) {
+            throw new Error('Not a valid EMVCo QR payload');
+        }
+        fields.push({ tag, value: payload.substr(position + 4, length) });
+        position += 4 + length;
+    }
+    return fields;
+}
+
+function formatEmvField(tag, value) {
+    if (value.length > 99) {
+        throw new Error(`EMVCo field ${tag} is too long`);
+    }
+    return tag + String(value.length).padStart(2, '0') + value;
+}
+
+/**
+ * Check a merchant QR payload and pull out the parts shown to the hawker
+ * @param {string} payload - Text decoded from the hawker's QR image
+ * @returns {Object} { payload, merchantName, merchantCity, isDynamic }
+ */
+function parseDuitNowPayload(payload) {
+    const text = String(payload || '').trim();
+    const fields = parseEmvFields(text);
+    const value = tag => (fields.find(field => field.tag === tag) || {}).value;
+
+    if (value('00') !== '01') {
+        throw new Error('Not a valid EMVCo QR payload');
+    }
+
+    const last = fields[fields.length - 1];
+    if (!last || last.tag !== '63' || last.value.toUpperCase() !== emvCrc16(text.slice(0, -4))) {
+        throw new Error('QR payload checksum does not match');
+    }
+
+    const [first, lastAccount] = DUITNOW_CONFIG.MERCHANT_ACCOUNT_TAGS;
+    if (!fields.some(field => Number(field.tag) >= first && Number(field.tag) <= lastAccount)) {
+        throw new Error('QR payload has no merchant account');
+    }
+
+    if (value('53') && value('53') !== DUITNOW_CONFIG.CURRENCY_MYR) {
+        throw new Error('QR payload is not for Malaysian ringgit');
+    }
+
+    return {
+        payload: text,
+        merchantName: value('59') || null,
+        merchantCity: value('60') || null,
+        isDynamic: value('01') === DUITNOW_CONFIG.DYNAMIC
+    };
+}
+
+/**
+ * Turn a merchant's static payload into a dynamic one for a single payment
+ * @param {string} staticPayload - hawker_stalls.duitnow_payload
+ * @param {number} amount - Amount in RM
+ * @param {string} reference - Order number, sent as the bill number
+ * @returns {string} Payload with a fresh CRC
+ */
+function buildDynamicDuitNowPayload(staticPayload, amount, reference) {
+    const fields = parseEmvFields(parseDuitNowPayload(staticPayload).payload)
+        .filter(field => !['01', '54', '63'].includes(field.tag));
+
+    // Keep any other additional-data sub-fields, replacing the bill number
+    const additional = fields.find(field => field.tag === '62');
+    const subFields = (additional ? parseEmvFields(additional.value) : [])
+        .filter(field => field.tag !== '01')
+        .concat({ tag: '01', value: String(reference).slice(0, DUITNOW_CONFIG.MAX_REFERENCE_LENGTH) })
+        .sort((a, b) => a.tag.localeCompare(b.tag));
+
+    const body = fields
+        .filter(field => field.tag !== '62')
+        .concat(
+            { tag: '01', value: DUITNOW_CONFIG.DYNAMIC },
+            { tag: '54', value: Number(amount).toFixed(2) },
+            { tag: '62', value: subFields.map(field => formatEmvField(field.tag, field.value)).join('') }
+        )
+        .sort((a, b) => a.tag.localeCompare(b.tag))
+        .map(field => formatEmvField(field.tag, field.value))
+        .join('') + '6304';
+
+    return body + emvCrc16(body);
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DUITNOW_CONFIG,
+        emvCrc16,
+        parseEmvFields,
+        parseDuitNowPayload,
+        buildDynamicDuitNowPayload
+    };
+}
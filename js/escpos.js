@@ -0,0 +1,162 @@
+/**
+ * ESC/POS Encoder
+ * Builds the byte stream cheap thermal receipt printers understand. Only the
+ * commands every ESC/POS printer supports are used (initialise, alignment,
+ * bold, double size, feed and cut), and text is sent as plain ASCII so it
+ * prints the same whatever code page the printer starts in.
+ */
+
+const ESCPOS = {
+    ESC: 0x1B,
+    GS: 0x1D,
+    LF: 0x0A,
+
+    ALIGN: { left: 0, center: 1, right: 2 }
+};
+
+class EscPosEncoder {
+    /**
+     * @param {number} columns - Characters per line (32 on 58mm paper, 48 on 80mm)
+     */
+    constructor(columns = 32) {
+        this.columns = columns;
+        this.bytes = [];
+        this.initialize();
+    }
+
+    // ESC @ - reset to the printer's defaults
+    initialize() {
+        this.bytes.push(ESCPOS.ESC, 0x40);
+        return this;
+    }
+
+    align(position) {
+        this.bytes.push(ESCPOS.ESC, 0x61, ESCPOS.ALIGN[position] || 0);
+        return this;
+    }
+
+    bold(on = true) {
+        this.bytes.push(ESCPOS.ESC, 0x45, on ? 1 : 0);
+        return this;
+    }
+
+    // GS ! - double width and/or height; a double-width line fits half the columns
+    size(doubleWidth = false, doubleHeight = false) {
+        this.bytes.push(ESCPOS.GS, 0x21, (doubleWidth ? 0x10 : 0) | (doubleHeight ? 0x01 : 0));
+        return this;
+    }
+
+    text(value) {
+        for (const char of toPrinterText(value)) {
+            this.bytes.push(char.charCodeAt(0));
+        }
+        return this;
+    }
+
+    /**
+     * Print text on its own line(s), wrapped at the line width
+     * @param {string} value - Text
+     * @param {number} columns - Width to wrap at (defaults to the full line)
+     */
+    line(value = '', columns = this.columns) {
+        wrapPrinterText(value, columns).forEach(part => this.text(part).newline());
+        return this;
+    }
+
+    newline(count = 1) {
+        for (let i = 0; i < count; i++) this.bytes.push(ESCPOS.LF);
+        return this;
+    }
+
+    rule(char = '-') {
+        return this.text(char.repeat(this.columns)).newline();
+    }
+
+    /**
+     * Left text and right text on one line, e.g. an item and its price.
+     * The left side wraps so the right side always stays on the first line.
+     * Right text too wide to leave room for the left goes on its own line(s).
+     */
+    columnsLine(left, right) {
+        const rightText = toPrinterText(right);
+        if (rightText.length > this.columns - 2) {
+            return this.line(left).line(rightText);
+        }
+        const [first, ...rest] = wrapPrinterText(left, this.columns - rightText.length - 1);
+        this.text(first.padEnd(this.columns - rightText.length) + rightText).newline();
+        rest.forEach(part => this.text(part).newline());
+        return this;
+    }
+
+    // GS V 66 - feed up to the cutter, then partial cut
+    cut() {
+        this.bytes.push(ESCPOS.GS, 0x56, 66, 3);
+        return this;
+    }
+
+    /**
+     * @returns {Uint8Array} Bytes to send to the printer
+     */
+    encode() {
+        return Uint8Array.from(this.bytes);
+    }
+}
+
+// Plain ASCII: accents are dropped (é -> e), anything else unprintable becomes ?
+function toPrinterText(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/×/g, 'x')
+        .replace(/[‘’]/g, "'")
+        .replace(/[“”]/g, '"')
+        .replace(/[–—]/g, '-')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^\x20-\x7E]/gu, '?');
+}
+
+/**
+ * Split text into lines of at most columns characters, breaking at spaces.
+ * Leading spaces indent every line.
+ * @returns {Array<string>} At least one (possibly empty) line
+ */
+function wrapPrinterText(value, columns) {
+    const text = toPrinterText(value);
+    // A line always holds at least one character, or long words never end
+    columns = Math.max(1, columns);
+    const indent = text.match(/^ */)[0];
+    if (indent.length) {
+        return wrapPrinterText(text.slice(indent.length), columns - indent.length).map(line => indent + line);
+    }
+
+    const words = text.split(' ').filter(Boolean);
+    const lines = [];
+    let current = '';
+
+    words.forEach(word => {
+        // Words longer than a line are broken wherever they have to be
+        while (word.length > columns) {
+            if (current) {
+                lines.push(current);
+                current = '';
+            }
+            lines.push(word.slice(0, columns));
+            word = word.slice(columns);
+        }
+        if (!current) {
+            current = word;
+        } else if (current.length + 1 + word.length <= columns) {
+            current += ' ' + word;
+        } else {
+            lines.push(current);
+            current = word;
+        }
+    });
+    lines.push(current);
+
+    return lines;
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ESCPOS, EscPosEncoder, toPrinterText, wrapPrinterText };
+}
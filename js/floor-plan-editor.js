@@ -0,0 +1,431 @@
+/**
+ * Floor Plan Editor
+ * Drag-and-drop editor for a food court's floor plan on the admin Food Courts
+ * page. Zones (e.g. Indoor, Aircond, Outdoor) are rectangles that can be moved
+ * by their name tab and resized from the corner; tables are dots that can be
+ * dragged, and a table dropped inside another zone moves to that zone. The
+ * side panel edits the selected zone's name, or the selected table's number,
+ * name and seats.
+ *
+ * Positions are percent of the plan, as food_court_zones and
+ * food_court_tables store them (database/migrations/024_floor_plan.sql).
+ */
+
+// ============================================
+// CONFIGURATION
+// ============================================
+const FLOOR_PLAN_CONFIG = {
+    // Size (percent of the plan) of a new zone, and the smallest a zone can be resized to
+    NEW_ZONE_SIZE: 30,
+    MIN_ZONE_SIZE: 10,
+
+    // Seats of a new table
+    DEFAULT_SEATS: 4,
+
+    // Names offered for new zones, in order
+    ZONE_NAMES: ['Indoor', 'Aircond', 'Outdoor']
+};
+
+class FloorPlanEditor {
+    /**
+     * @param {string} containerId - Element the editor is drawn into
+     */
+    constructor(containerId) {
+        this.container = document.getElementById(containerId);
+        this.zones = [];
+        this.selectedZone = null;
+        this.selectedTable = null;
+        this.drag = null;
+
+        this.container.addEventListener('click', (event) => {
+            const button = event.target.closest('[data-action]');
+            if (button) this.runAction(button.dataset.action);
+        });
+        this.container.addEventListener('input', (event) => this.updateField(event.target));
+        this.container.addEventListener('change', (event) => this.updateField(event.target, true));
+        this.container.addEventListener('pointerdown', (event) => this.startDrag(event));
+
+        this.onPointerMove = (event) => this.moveDrag(event);
+        this.onPointerUp = () => this.endDrag();
+    }
+
+    /**
+     * Show a food court's plan
+     * @param {Array} zones - From FloorPlanRepository.get()
+     */
+    load(zones) {
+        this.zones = zones.map(zone => ({
+            name: zone.name,
+            x: Number(zone.pos_x),
+            y: Number(zone.pos_y),
+            width: Number(zone.width),
+            height: Number(zone.height),
+            tables: zone.tables.map(table => ({
+                number: table.table_number,
+                name: table.name,
+                seats: table.seats,
+                x: Number(table.pos_x),
+                y: Number(table.pos_y)
+            }))
+        }));
+        this.selectedZone = this.zones[0] || null;
+        this.selectedTable = null;
+        this.render();
+    }
+
+    /**
+     * The plan as FloorPlanRepository.save() takes it
+     * @returns {Array<Object>} [{ name, x, y, width, height, tables: [{ number, name, seats, x, y }] }]
+     */
+    getZones() {
+        return this.zones.map(zone => ({
+            name: zone.name.trim(),
+            x: zone.x,
+            y: zone.y,
+            width: zone.width,
+            height: zone.height,
+            tables: zone.tables.map(table => ({
+                number: table.number,
+                name: table.name.trim(),
+                seats: table.seats,
+                x: table.x,
+                y: table.y
+            }))
+        }));
+    }
+
+    runAction(action) {
+        if (action === 'add-zone') {
+            this.addZone();
+        } else if (action === 'add-table') {
+            this.addTable();
+        } else if (action === 'remove-zone') {
+            this.removeZone(this.selectedZone);
+        } else if (action === 'remove-table') {
+            this.removeTable(this.selectedTable);
+        }
+    }
+
+    addZone() {
+        const names = this.zones.map(zone => zone.name);
+        const name = FLOOR_PLAN_CONFIG.ZONE_NAMES.find(candidate => !names.includes(candidate)) ||
+            `Zone ${this.zones.length + 1}`;
+        // Each new zone steps down and right from the last so none hide another
+        const offset = (this.zones.length * 10) % (100 - FLOOR_PLAN_CONFIG.NEW_ZONE_SIZE);
+
+        const zone = {
+            name,
+            x: offset,
+            y: offset,
+            width: FLOOR_PLAN_CONFIG.NEW_ZONE_SIZE,
+            height: FLOOR_PLAN_CONFIG.NEW_ZONE_SIZE,
+            tables: []
+        };
+        this.zones.push(zone);
+        this.select(zone, null);
+    }
+
+    // New tables take the next free number and start in the middle of the selected zone
+    addTable() {
+        const zone = this.selectedZone || this.zones[0];
+        if (!zone) {
+            alert('Add a zone first, then put tables in it.');
+            return;
+        }
+
+        const tables = this.getAllTables();
+        const number = tables.reduce((highest, table) => Math.max(highest, Number(table.number) || 0), 0) + 1;
+        const table = {
+            number,
+            name: String(number),
+            seats: FLOOR_PLAN_CONFIG.DEFAULT_SEATS,
+            x: roundPlanPercent(zone.x + zone.width / 2),
+            y: roundPlanPercent(zone.y + zone.height / 2)
+        };
+        zone.tables.push(table);
+        this.select(zone, table);
+    }
+
+    removeZone(zone) {
+        if (!zone) return;
+        if (zone.tables.length > 0 &&
+            !confirm(`Remove ${zone.name} and its ${zone.tables.length} table(s)?`)) {
+            return;
+        }
+
+        this.zones = this.zones.filter(other => other !== zone);
+        this.select(this.zones[0] || null, null);
+    }
+
+    removeTable(table) {
+        if (!table) return;
+        const zone = this.getTableZone(table);
+        zone.tables = zone.tables.filter(other => other !== table);
+        this.select(zone, null);
+    }
+
+    select(zone, table) {
+        this.selectedZone = zone;
+        this.selectedTable = table;
+        this.render();
+    }
+
+    // Keep typed values in the plan; redraw the panel only once a field is done with
+    updateField(input, done = false) {
+        const field = input.dataset.field;
+        if (!field) return;
+
+        if (field === 'zone-name' && this.selectedZone) {
+            this.selectedZone.name = input.value;
+        } else if (field === 'table-zone' && this.selectedTable) {
+            const zone = this.zones[Number(input.value)];
+            this.moveTableToZone(this.selectedTable, zone);
+            this.selectedTable.x = roundPlanPercent(zone.x + zone.width / 2);
+            this.selectedTable.y = roundPlanPercent(zone.y + zone.height / 2);
+            this.selectedZone = zone;
+        } else if (this.selectedTable) {
+            if (field === 'table-number') this.selectedTable.number = parseInt(input.value, 10);
+            if (field === 'table-name') this.selectedTable.name = input.value;
+            if (field === 'table-seats') this.selectedTable.seats = parseInt(input.value, 10);
+        }
+
+        this.renderCanvas();
+        this.renderSummary();
+        if (done) this.renderPanel();
+    }
+
+    // ---------- Dragging ----------
+
+    startDrag(event) {
+        const handle = event.target.closest('[data-drag]');
+        if (!handle) return;
+        event.preventDefault();
+
+        const zone = this.zones[Number(handle.dataset.zone)];
+        const table = handle.dataset.table !== undefined ? zone.tables[Number(handle.dataset.table)] : null;
+        const item = table || zone;
+
+        this.drag = {
+            mode: handle.dataset.drag,
+            zone,
+            table,
+            bounds: this.container.querySelector('.floor-plan-canvas').getBoundingClientRect(),
+            startX: event.clientX,
+            startY: event.clientY,
+            start: { x: item.x, y: item.y, width: zone.width, height: zone.height },
+            // A zone carries its tables along
+            tableStarts: zone.tables.map(zoneTable => ({ x: zoneTable.x, y: zoneTable.y }))
+        };
+
+        if (this.selectedZone !== zone || this.selectedTable !== table) {
+            this.selectedZone = zone;
+            this.selectedTable = table;
+            this.renderCanvas();
+            this.renderPanel();
+        }
+
+        window.addEventListener('pointermove', this.onPointerMove);
+        window.addEventListener('pointerup', this.onPointerUp);
+    }
+
+    moveDrag(event) {
+        const drag = this.drag;
+        if (!drag) return;
+
+        const dx = (event.clientX - drag.startX) / drag.bounds.width * 100;
+        const dy = (event.clientY - drag.startY) / drag.bounds.height * 100;
+        const { start, zone, table } = drag;
+
+        if (drag.mode === 'table') {
+            table.x = roundPlanPercent(clampPlanPercent(start.x + dx, 0, 100));
+            table.y = roundPlanPercent(clampPlanPercent(start.y + dy, 0, 100));
+        } else if (drag.mode === 'resize') {
+            zone.width = roundPlanPercent(clampPlanPercent(start.width + dx, FLOOR_PLAN_CONFIG.MIN_ZONE_SIZE, 100 - zone.x));
+            zone.height = roundPlanPercent(clampPlanPercent(start.height + dy, FLOOR_PLAN_CONFIG.MIN_ZONE_SIZE, 100 - zone.y));
+        } else {
+            zone.x = roundPlanPercent(clampPlanPercent(start.x + dx, 0, 100 - zone.width));
+            zone.y = roundPlanPercent(clampPlanPercent(start.y + dy, 0, 100 - zone.height));
+            const movedX = zone.x - start.x;
+            const movedY = zone.y - start.y;
+            zone.tables.forEach((zoneTable, index) => {
+                zoneTable.x = roundPlanPercent(clampPlanPercent(drag.tableStarts[index].x + movedX, 0, 100));
+                zoneTable.y = roundPlanPercent(clampPlanPercent(drag.tableStarts[index].y + movedY, 0, 100));
+            });
+        }
+
+        // Only the plan is redrawn while dragging, so the panel's inputs stay put
+        this.renderCanvas();
+    }
+
+    endDrag() {
+        const drag = this.drag;
+        if (!drag) return;
+        this.drag = null;
+        window.removeEventListener('pointermove', this.onPointerMove);
+        window.removeEventListener('pointerup', this.onPointerUp);
+
+        // A table dropped in another zone belongs to that zone now
+        if (drag.mode === 'table') {
+            const target = this.findZoneAt(drag.table.x, drag.table.y);
+            if (target && target !== drag.zone) {
+                this.moveTableToZone(drag.table, target);
+                this.selectedZone = target;
+            }
+        }
+        this.render();
+    }
+
+    moveTableToZone(table, zone) {
+        const from = this.getTableZone(table);
+        if (!zone || from === zone) return;
+        from.tables = from.tables.filter(other => other !== table);
+        zone.tables.push(table);
+    }
+
+    // Topmost (last drawn) zone containing a point
+    findZoneAt(x, y) {
+        return [...this.zones].reverse().find(zone =>
+            x >= zone.x && x <= zone.x + zone.width && y >= zone.y && y <= zone.y + zone.height) || null;
+    }
+
+    getTableZone(table) {
+        return this.zones.find(zone => zone.tables.includes(table));
+    }
+
+    getAllTables() {
+        return this.zones.flatMap(zone => zone.tables);
+    }
+
+    // ---------- Drawing ----------
+
+    render() {
+        this.container.innerHTML = `
+            <div class="floor-plan-toolbar">
+                <button type="button" class="btn-secondary btn-sm" data-action="add-zone">
+                    <i class="fas fa-vector-square"></i> Add Zone
+                </button>
+                <button type="button" class="btn-secondary btn-sm" data-action="add-table">
+                    <i class="fas fa-chair"></i> Add Table
+                </button>
+                <span class="floor-plan-summary"></span>
+            </div>
+            <div class="floor-plan-body">
+                <div class="floor-plan-canvas"></div>
+                <div class="floor-plan-panel"></div>
+            </div>
+        `;
+        this.renderCanvas();
+        this.renderPanel();
+        this.renderSummary();
+    }
+
+    renderCanvas() {
+        const canvas = this.container.querySelector('.floor-plan-canvas');
+        if (!canvas) return;
+
+        const zones = this.zones.map((zone, zoneIndex) => `
+            <div class="floor-plan-zone ${zone === this.selectedZone && !this.selectedTable ? 'selected' : ''}"
+                 style="left: ${zone.x}%; top: ${zone.y}%; width: ${zone.width}%; height: ${zone.height}%;">
+                <span class="floor-plan-zone-name" data-drag="zone" data-zone="${zoneIndex}">${escapePlanText(zone.name) || '&nbsp;'}</span>
+                <span class="floor-plan-resize" data-drag="resize" data-zone="${zoneIndex}"></span>
+            </div>
+        `).join('');
+
+        const tables = this.zones.map((zone, zoneIndex) => zone.tables.map((table, tableIndex) => `
+            <div class="floor-plan-table ${table === this.selectedTable ? 'selected' : ''}"
+                 style="left: ${table.x}%; top: ${table.y}%;"
+                 data-drag="table" data-zone="${zoneIndex}" data-table="${tableIndex}"
+                 title="Table ${escapePlanText(table.number)}, ${escapePlanText(table.seats)} seats">
+                ${escapePlanText(table.name || table.number)}
+                <small>${escapePlanText(table.seats)}</small>
+            </div>
+        `).join('')).join('');
+
+        canvas.innerHTML = zones + tables ||
+            '<p class="floor-plan-empty">Add a zone, such as Indoor or Outdoor, then add its tables.</p>';
+    }
+
+    renderPanel() {
+        const panel = this.container.querySelector('.floor-plan-panel');
+        if (!panel) return;
+
+        const zone = this.selectedZone;
+        const table = this.selectedTable;
+
+        if (table) {
+            const zoneIndex = this.zones.indexOf(this.getTableZone(table));
+            panel.innerHTML = `
+                <h4><i class="fas fa-chair"></i> Table</h4>
+                <div class="form-group">
+                    <label>Table Number</label>
+                    <input type="number" min="1" data-field="table-number" value="${escapePlanText(table.number)}">
+                    <small class="input-hint">Printed in the table's QR link. Orders show the name.</small>
+                </div>
+                <div class="form-group">
+                    <label>Name</label>
+                    <input type="text" maxlength="20" data-field="table-name" value="${escapePlanText(table.name)}" placeholder="e.g. B12">
+                </div>
+                <div class="form-group">
+                    <label>Seats</label>
+                    <input type="number" min="1" max="99" data-field="table-seats" value="${escapePlanText(table.seats)}">
+                </div>
+                <div class="form-group">
+                    <label>Zone</label>
+                    <select data-field="table-zone">
+                        ${this.zones.map((other, index) => `
+                            <option value="${index}" ${index === zoneIndex ? 'selected' : ''}>${escapePlanText(other.name)}</option>
+                        `).join('')}
+                    </select>
+                </div>
+                <button type="button" class="btn-danger btn-sm" data-action="remove-table">
+                    <i class="fas fa-trash"></i> Remove Table
+                </button>
+            `;
+        } else if (zone) {
+            panel.innerHTML = `
+                <h4><i class="fas fa-vector-square"></i> Zone</h4>
+                <div class="form-group">
+                    <label>Zone Name</label>
+                    <input type="text" maxlength="30" data-field="zone-name" value="${escapePlanText(zone.name)}">
+                </div>
+                <p class="floor-plan-hint">${zone.tables.length} table(s), ${zone.tables.reduce((sum, zoneTable) => sum + (zoneTable.seats || 0), 0)} seats</p>
+                <button type="button" class="btn-danger btn-sm" data-action="remove-zone">
+                    <i class="fas fa-trash"></i> Remove Zone
+                </button>
+            `;
+        } else {
+            panel.innerHTML = '<p class="floor-plan-hint">Drag a zone by its name and resize it from its corner. Drag a table into a zone to move it there.</p>';
+        }
+    }
+
+    renderSummary() {
+        const summary = this.container.querySelector('.floor-plan-summary');
+        if (!summary) return;
+
+        const tables = this.getAllTables();
+        const seats = tables.reduce((sum, table) => sum + (table.seats || 0), 0);
+        summary.textContent = `${this.zones.length} zone(s) · ${tables.length} table(s) · ${seats} seats`;
+    }
+}
+
+function clampPlanPercent(value, min, max) {
+    return Math.min(Math.max(value, min), max);
+}
+
+// food_court_zones and food_court_tables keep two decimals
+function roundPlanPercent(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function escapePlanText(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FLOOR_PLAN_CONFIG, FloorPlanEditor };
+}
@@ -2,85 +2,81 @@
 // HAWKER FUNCTIONS
 // ========================================
 
-// Check hawker authentication
-function checkHawkerAuth() {
-    const session = localStorage.getItem('hawkerSession') || sessionStorage.getItem('hawkerSession');
-    if (!session) {
-        window.location.href = 'login.html';
-        return null;
-    }
-    return JSON.parse(session);
+// Check hawker authentication (see js/auth.js)
+async function checkHawkerAuth() {
+    return requireRole('hawker');
 }
 
 // Logout
-function logoutHawker() {
-    if (confirm('Are you sure you want to logout?')) {
-        localStorage.removeItem('hawkerSession');
-        sessionStorage.removeItem('hawkerSession');
-        window.location.href = 'login.html';
-    }
+async function logoutHawker() {
+    return logout('hawker');
+}
+
+// Load the logged-in hawker's active stall (with food court name)
+async function loadHawkerStall(session) {
+    return getDataStore().stalls.getByHawker(session.userId);
 }
 
 // Load orders for hawker's stall
-function getStallOrders(stallName) {
-    const orders = JSON.parse(localStorage.getItem('orders') || '[]');
-    return orders.filter(order => 
-        order.stallOrders.some(so => so.stallName === stallName)
-    );
+async function getStallOrders(stallId, options = {}) {
+    const orders = await getDataStore().orders.listForStall(stallId, options);
+    return orders.map(toAppOrder);
 }
 
-// Update order status for stall
-function updateStallOrderStatus(orderId, stallName, newStatus) {
-    const orders = JSON.parse(localStorage.getItem('orders') || '[]');
-    const order = orders.find(o => o.orderId === orderId);
-    
-    if (order) {
-        if (!order.stallStatuses) {
-            order.stallStatuses = {};
-        }
-        order.stallStatuses[stallName] = newStatus;
-        
-        // Update overall order status to slowest stall
-        const statuses = ['pending', 'preparing', 'ready', 'completed'];
-        const allStallStatuses = Object.values(order.stallStatuses);
-        const minStatusIndex = Math.min(...allStallStatuses.map(s => statuses.indexOf(s)));
-        order.status = statuses[minStatusIndex];
-        
-        localStorage.setItem('orders', JSON.stringify(orders));
-        
-        // Update current order if it's the active one
-        const currentOrder = JSON.parse(localStorage.getItem('currentOrder') || 'null');
-        if (currentOrder && currentOrder.orderId === orderId) {
-            currentOrder.stallStatuses = order.stallStatuses;
-            currentOrder.status = order.status;
-            localStorage.setItem('currentOrder', JSON.stringify(currentOrder));
-        }
-        
-        return true;
-    }
-    return false;
+// Update the status of this stall's portion of an order
+// orders.status follows the slowest stall (database/migrations/009_stall_order_status.sql)
+async function updateStallOrderStatus(orderId, stallId, newStatus) {
+    const updated = await getDataStore().orders.updateStallStatus(orderId, stallId, newStatus);
+    return updated ? toAppOrder(updated) : null;
+}
+
+// Reject one item of an order (e.g. sold out); the customer sees the reason
+// and the stall's payment is marked refund-due
+async function rejectOrderItem(orderItemId, reason) {
+    const updated = await getDataStore().orders.rejectItem(orderItemId, reason);
+    return toAppOrder(updated);
+}
+
+// Payments this stall still has to refund
+async function getRefundsDue(stallId) {
+    return getDataStore().payments.listRefundsDue(stallId);
+}
+
+// Confirm that a refund has been handed back to the customer
+async function confirmRefund(paymentId) {
+    return getDataStore().payments.confirmRefund(paymentId);
+}
+
+// Confirm the customer paid in cash ('cash') or to the stall's own QR ('qr');
+// the only way a stall payment is marked paid without a provider callback
+async function confirmPaymentReceived(paymentId, method) {
+    return getDataStore().payments.confirmReceived(paymentId, method);
+}
+
+// Status of a stall's own portion of an order
+function getStallStatus(order, stallId) {
+    return order.stallStatuses[stallId] || order.status || 'pending';
 }
 
 // Get order statistics for hawker
-function getStallStatistics(stallName) {
-    const orders = getStallOrders(stallName);
-    const today = new Date().toDateString();
-    const todayOrders = orders.filter(o => 
-        new Date(o.timestamp).toDateString() === today
-    );
+async function getStallStatistics(stallId) {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const todayOrders = await getStallOrders(stallId, { from: today.toISOString() });
     
     const stats = {
         pending: 0,
+        preparing: 0,
         ready: 0,
         completed: 0,
+        cancelled: 0,
         totalRevenue: 0
     };
     
     todayOrders.forEach(order => {
-        const status = order.stallStatuses?.[stallName] || 'pending';
-        stats[status]++;
+        stats[getStallStatus(order, stallId)]++;
         
-        const stallOrder = order.stallOrders.find(so => so.stallName === stallName);
+        const stallOrder = order.stallOrders.find(so => String(so.stallId) === String(stallId));
         if (stallOrder) {
             stats.totalRevenue += stallOrder.total;
         }
@@ -91,5 +87,5 @@ function getStallStatistics(stallName) {
 
 // Export hawker session data
 function getHawkerSession() {
-    return checkHawkerAuth();
+    return getSession('hawker');
 }
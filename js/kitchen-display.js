@@ -0,0 +1,177 @@
+/**
+ * Kitchen Display (KDS)
+ * Full-screen ticket board for the hawker Orders page: one column each for
+ * new, preparing and ready orders. Every ticket shows how long ago it was
+ * placed, turning amber and then red as that nears and passes the slowest
+ * item's menu_items.preparation_time, and has a bump button that moves the
+ * stall's portion to the next status.
+ */
+
+// ============================================
+// CONFIGURATION
+// ============================================
+const KDS_CONFIG = {
+    // Minutes allowed for items without a preparation_time
+    DEFAULT_PREP_MINUTES: 10,
+
+    // Share of the preparation time after which a ticket turns amber;
+    // it turns red once the whole preparation time has passed
+    WARNING_RATIO: 0.75,
+
+    // How often (ms) the ticket timers are redrawn
+    TICK_INTERVAL: 1000,
+
+    // Board columns, left to right, with the label of each column's bump button
+    COLUMNS: [
+        { status: 'pending', title: 'New', icon: 'fa-bell', next: 'preparing', bump: 'Start' },
+        { status: 'preparing', title: 'Preparing', icon: 'fa-fire', next: 'ready', bump: 'Ready' },
+        { status: 'ready', title: 'Ready', icon: 'fa-check-circle', next: 'completed', bump: 'Collected' }
+    ]
+};
+
+/**
+ * Minutes a ticket should take: the slowest item still being made
+ * @param {Object} order - App order (items carry menuItemId)
+ * @param {Object} prepTimes - menu item ID -> preparation_time in minutes
+ * @returns {number} Minutes
+ */
+function getTicketPrepMinutes(order, prepTimes) {
+    const minutes = order.items
+        .filter(item => item.status !== 'cancelled')
+        .map(item => Number(prepTimes[item.menuItemId]) || KDS_CONFIG.DEFAULT_PREP_MINUTES);
+    return minutes.length ? Math.max(...minutes) : KDS_CONFIG.DEFAULT_PREP_MINUTES;
+}
+
+/**
+ * @param {number} ageMs - Time since the order was placed
+ * @param {number} prepMinutes - From getTicketPrepMinutes()
+ * @returns {string} 'on-time', 'warning' or 'late'
+ */
+function getTicketUrgency(ageMs, prepMinutes) {
+    const prepMs = prepMinutes * 60 * 1000;
+    if (ageMs >= prepMs) return 'late';
+    if (ageMs >= prepMs * KDS_CONFIG.WARNING_RATIO) return 'warning';
+    return 'on-time';
+}
+
+// e.g. 4:07, or 1:02:45 past an hour
+function formatTicketAge(ageMs) {
+    const totalSeconds = Math.max(0, Math.floor(ageMs / 1000));
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = String(totalSeconds % 60).padStart(2, '0');
+    return hours
+        ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`
+        : `${minutes}:${seconds}`;
+}
+
+class KitchenDisplay {
+    /**
+     * @param {string} containerId - Element the board is drawn into
+     * @param {Function} onBump - (orderId, nextStatus) => Promise, called by bump buttons
+     */
+    constructor(containerId, onBump) {
+        this.container = document.getElementById(containerId);
+        this.onBump = onBump;
+        this.timer = null;
+
+        this.container.addEventListener('click', (event) => {
+            const button = event.target.closest('[data-bump]');
+            if (!button || button.disabled) return;
+            button.disabled = true;
+            Promise.resolve(this.onBump(button.dataset.orderId, button.dataset.bump))
+                .finally(() => { button.disabled = false; });
+        });
+    }
+
+    /**
+     * Draw the board
+     * @param {Array} orders - App orders with only this stall's items
+     * @param {string} stallId - The hawker's stall
+     * @param {Object} prepTimes - menu item ID -> preparation_time in minutes
+     */
+    render(orders, stallId, prepTimes) {
+        this.container.innerHTML = KDS_CONFIG.COLUMNS.map(column => {
+            // Oldest first, so the next ticket to make is always on top
+            const tickets = orders
+                .filter(order => getStallStatus(order, stallId) === column.status)
+                .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+            return `
+                <section class="kds-column kds-column-${column.status}">
+                    <h2>
+                        <i class="fas ${column.icon}"></i> ${column.title}
+                        <span class="kds-count">${tickets.length}</span>
+                    </h2>
+                    <div class="kds-tickets">
+                        ${tickets.map(order => this.renderTicket(order, column, prepTimes)).join('')}
+                    </div>
+                </section>
+            `;
+        }).join('');
+
+        this.tick();
+    }
+
+    renderTicket(order, column, prepTimes) {
+        return `
+            <article class="kds-ticket" data-placed="${new Date(order.timestamp).getTime()}"
+                     data-prep-minutes="${getTicketPrepMinutes(order, prepTimes)}"
+                     data-timed="${column.status !== 'ready'}">
+                <header>
+                    <strong>${utils.escapeHtml(getTableLabel(order))}</strong>
+                    <span class="kds-ticket-age"></span>
+                </header>
+                <small class="kds-ticket-id">${order.orderId}</small>
+                <ul class="kds-ticket-items">
+                    ${order.items.map(item => `
+                        <li class="${item.status === 'cancelled' ? 'cancelled' : ''}">
+                            <span class="kds-quantity">${item.quantity}×</span> ${utils.escapeHtml(item.name)}
+                            ${item.modifiers.length ? `<small>${utils.escapeHtml(utils.formatModifiers(item.modifiers))}</small>` : ''}
+                            ${item.notes ? `<small>${utils.escapeHtml(item.notes)}</small>` : ''}
+                        </li>
+                    `).join('')}
+                </ul>
+                <button class="btn-primary kds-bump" data-bump="${column.next}" data-order-id="${order.orderId}">
+                    <i class="fas fa-arrow-right"></i> ${column.bump}
+                </button>
+            </article>
+        `;
+    }
+
+    // Redraw the ages and colours of every ticket
+    tick() {
+        const now = Date.now();
+        this.container.querySelectorAll('.kds-ticket').forEach(ticket => {
+            const age = now - Number(ticket.dataset.placed);
+            ticket.querySelector('.kds-ticket-age').textContent = formatTicketAge(age);
+
+            // Ready tickets wait on the customer, not the kitchen
+            if (ticket.dataset.timed === 'true') {
+                ticket.dataset.urgency = getTicketUrgency(age, Number(ticket.dataset.prepMinutes));
+            }
+        });
+    }
+
+    start() {
+        if (!this.timer) {
+            this.timer = setInterval(() => this.tick(), KDS_CONFIG.TICK_INTERVAL);
+        }
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        KDS_CONFIG,
+        KitchenDisplay,
+        getTicketPrepMinutes,
+        getTicketUrgency,
+        formatTicketAge
+    };
+}
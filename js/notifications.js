@@ -164,7 +164,8 @@ class NotificationManager {
                 'pending': 440,
                 'preparing': 523,
                 'ready': 659,
-                'completed': 784
+                'completed': 784,
+                'cancelled': 330
             };
 
             oscillator.frequency.value = frequencies[status] || 440;
@@ -225,12 +226,45 @@ class NotificationManager {
         }
     }
 
+    /**
+     * Subscribe this browser to Web Push for an order, so status alerts arrive
+     * even after the tracking tab is closed (needs config/push.js)
+     * @param {string} orderId - Public order number
+     * @param {Object} dataStore - Data store the subscription is saved through
+     * @returns {Promise<boolean>} Whether the subscription was saved
+     */
+    async subscribeToPush(orderId, dataStore) {
+        if (typeof WEB_PUSH_CONFIG === 'undefined' || !WEB_PUSH_CONFIG.vapidPublicKey) return false;
+        if (!('serviceWorker' in navigator) || !('PushManager' in window)) return false;
+        if (Notification.permission !== 'granted' && await Notification.requestPermission() !== 'granted') {
+            return false;
+        }
+
+        const registration = await navigator.serviceWorker.ready;
+        const subscription = await registration.pushManager.getSubscription()
+            || await registration.pushManager.subscribe({
+                userVisibleOnly: true,
+                applicationServerKey: base64UrlToUint8Array(WEB_PUSH_CONFIG.vapidPublicKey)
+            });
+
+        await dataStore.orders.savePushSubscription(orderId, subscription.toJSON());
+        console.log('📲 Push alerts on for order:', orderId);
+        return true;
+    }
+
     toggleSound() {
         this.soundEnabled = !this.soundEnabled;
         return this.soundEnabled;
     }
 }
 
+// applicationServerKey must be bytes; VAPID keys are written as base64url
+function base64UrlToUint8Array(text) {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
 // ========================================
 // PROGRESS TRACKER
 // ========================================
@@ -240,6 +274,8 @@ class ProgressTracker {
         this.container = document.getElementById(containerId);
         this.steps = ['pending', 'preparing', 'ready', 'completed'];
         this.currentStep = 'pending';
+        // Minutes until the whole order should be ready (the slowest stall's queue)
+        this.etaMinutes = null;
     }
 
     render() {
@@ -259,6 +295,21 @@ class ProgressTracker {
             'completed': '🎉'
         };
 
+        if (this.currentStep === 'cancelled') {
+            this.container.innerHTML = `
+                <div class="progress-tracker cancelled">
+                    <div class="progress-tracker-title">
+                        <span>❌</span>
+                        <span>Order Cancelled</span>
+                    </div>
+                    <p class="progress-cancelled-message">
+                        This order has been cancelled. Any amount you paid will be refunded by the stall.
+                    </p>
+                </div>
+            `;
+            return;
+        }
+
         this.container.innerHTML = `
             <div class="progress-tracker">
                 <div class="progress-tracker-title">
@@ -269,6 +320,9 @@ class ProgressTracker {
                         <span>Live Updates</span>
                     </span>
                 </div>
+                ${this.etaMinutes && ['pending', 'preparing'].includes(this.currentStep) ? `
+                    <div class="progress-eta">⏱️ Ready in about ${this.etaMinutes} min</div>
+                ` : ''}
                 <div class="progress-steps">
                     <div class="progress-line">
                         <div class="progress-line-fill" style="width: ${this.getProgressWidth()}%"></div>
@@ -298,6 +352,12 @@ class ProgressTracker {
         return (currentIndex / (this.steps.length - 1)) * 100;
     }
 
+    setEstimate(minutes) {
+        if (this.etaMinutes === minutes) return;
+        this.etaMinutes = minutes;
+        this.render();
+    }
+
     updateStatus(newStatus) {
         if (this.currentStep === newStatus) return;
         
@@ -322,6 +382,10 @@ class ProgressTracker {
                 'completed': {
                     title: 'Enjoy Your Meal! 🎉',
                     message: 'Thank you for your order. Bon appétit!'
+                },
+                'cancelled': {
+                    title: 'Order Cancelled ❌',
+                    message: 'Your order has been cancelled and will be refunded'
                 }
             };
 
@@ -342,10 +406,10 @@ class ProgressTracker {
 // ========================================
 
 class OrderSubscription {
-    constructor(orderId, supabase) {
+    constructor(orderId, dataStore) {
         this.orderId = orderId;
-        this.supabase = supabase;
-        this.subscription = null;
+        this.store = dataStore;
+        this.unsubscribeOrder = null;
         this.onUpdate = null;
     }
 
@@ -354,56 +418,19 @@ class OrderSubscription {
 
         console.log('📡 Setting up real-time subscription for order:', this.orderId);
 
-        // Subscribe to order changes
-        this.subscription = this.supabase
-            .channel(`order-${this.orderId}`)
-            .on(
-                'postgres_changes',
-                {
-                    event: 'UPDATE',
-                    schema: 'public',
-                    table: 'orders',
-                    filter: `order_id=eq.${this.orderId}`
-                },
-                (payload) => {
-                    console.log('📡 Order update received:', payload);
-                    if (this.onUpdate) {
-                        this.onUpdate(payload.new);
-                    }
-                }
-            )
-            .subscribe((status) => {
-                if (status === 'SUBSCRIBED') {
-                    console.log('✅ Subscribed to real-time updates for order:', this.orderId);
-                } else {
-                    console.log('📡 Subscription status:', status);
-                }
-            });
-
-        // Also subscribe to order_items changes for more granular updates
-        this.supabase
-            .channel(`order-items-${this.orderId}`)
-            .on(
-                'postgres_changes',
-                {
-                    event: 'UPDATE',
-                    schema: 'public',
-                    table: 'order_items',
-                    filter: `order_id=eq.${this.orderId}`
-                },
-                (payload) => {
-                    console.log('📡 Order item update received:', payload);
-                    if (this.onUpdate) {
-                        this.onUpdate({ status: payload.new.status });
-                    }
-                }
-            )
-            .subscribe();
+        // Subscribe to order changes (Supabase realtime or mock store events)
+        this.unsubscribeOrder = this.store.orders.subscribe(this.orderId, (order) => {
+            console.log('📡 Order update received:', order);
+            if (this.onUpdate) {
+                this.onUpdate(order);
+            }
+        });
     }
 
     unsubscribe() {
-        if (this.subscription) {
-            this.supabase.removeChannel(this.subscription);
+        if (this.unsubscribeOrder) {
+            this.unsubscribeOrder();
+            this.unsubscribeOrder = null;
             console.log('🔌 Unsubscribed from order updates');
         }
     }
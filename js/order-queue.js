@@ -0,0 +1,195 @@
+/**
+ * Offline Order Queue
+ * When the food court Wi-Fi drops while an order is being placed, the order is
+ * kept in IndexedDB and sent again once the connection is back: by the service
+ * worker's Background Sync ('sync-orders') where the browser supports it, and
+ * by any open customer page when it comes back online. Each order carries the
+ * client_ref (idempotency key) it was first sent with, so however often it is
+ * replayed, place_order() stores it only once
+ * (database/migrations/013_order_client_ref.sql).
+ *
+ * Loaded by the customer pages and by service-worker.js (importScripts), so
+ * nothing here may use window, document or localStorage.
+ */
+
+// ============================================
+// CONFIGURATION
+// ============================================
+const ORDER_QUEUE_CONFIG = {
+    DB_NAME: 'sarawak-food-court',
+    DB_VERSION: 1,
+
+    // Object store of queued orders, keyed by clientRef
+    STORE: 'queued-orders',
+
+    // Background Sync tag handled in service-worker.js
+    SYNC_TAG: 'sync-orders'
+};
+
+function openOrderQueue() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(ORDER_QUEUE_CONFIG.DB_NAME, ORDER_QUEUE_CONFIG.DB_VERSION);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(ORDER_QUEUE_CONFIG.STORE, { keyPath: 'clientRef' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Run one request against the queue store in its own transaction
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} run - (store) => IDBRequest
+ * @returns {Promise<*>} The request's result once the transaction commits
+ */
+async function withOrderQueue(mode, run) {
+    const db = await openOrderQueue();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(ORDER_QUEUE_CONFIG.STORE, mode);
+        const request = run(transaction.objectStore(ORDER_QUEUE_CONFIG.STORE));
+        transaction.oncomplete = () => {
+            db.close();
+            resolve(request.result);
+        };
+        transaction.onerror = transaction.onabort = () => {
+            db.close();
+            reject(transaction.error);
+        };
+    });
+}
+
+/**
+ * Keep an order that could not be sent
+ * @param {Object} entry - { clientRef, tableNumber, tableToken, tableScanId, items, lines, request }
+ *   items are the place_order() lines, lines the { name, quantity } shown to
+ *   the customer, request the raw HTTP request for the service worker (null
+ *   when only a page can send it, as on the mock backend)
+ * @returns {Promise<Object>} The stored entry
+ */
+async function queueOrder(entry) {
+    const queued = {
+        ...entry,
+        status: 'queued',
+        orderId: null,
+        error: null,
+        queuedAt: new Date().toISOString()
+    };
+    await withOrderQueue('readwrite', store => store.put(queued));
+    console.log('📥 Order queued until the connection is back:', entry.clientRef);
+    return queued;
+}
+
+async function getQueuedOrders() {
+    return withOrderQueue('readonly', store => store.getAll());
+}
+
+async function getQueuedOrder(clientRef) {
+    return (await withOrderQueue('readonly', store => store.get(clientRef))) || null;
+}
+
+async function updateQueuedOrder(clientRef, changes) {
+    const entry = { ...await getQueuedOrder(clientRef), ...changes };
+    await withOrderQueue('readwrite', store => store.put(entry));
+    return entry;
+}
+
+async function removeQueuedOrder(clientRef) {
+    await withOrderQueue('readwrite', store => store.delete(clientRef));
+}
+
+/**
+ * Whether a failed send is worth retrying (no connection, or the server was
+ * briefly unavailable) rather than a rejection such as a sold-out item
+ * @param {Error} error - Error thrown while placing the order
+ * @returns {boolean}
+ */
+function shouldRetryOrder(error) {
+    if (error && error.retryable) return true;
+    if (error instanceof TypeError) return true;
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) return true;
+    // supabase-js reports a failed fetch as an error object rather than throwing it
+    return /Failed to fetch|NetworkError|Load failed/i.test((error && error.message) || '');
+}
+
+/**
+ * Send every queued order once. Orders the server rejects are marked failed;
+ * the first network failure stops the run (and is thrown) so the rest wait
+ * for the next attempt.
+ * @param {Function} send - async (entry) => placed order row, or null if this
+ *   sender can't deliver the entry
+ * @returns {Promise<Array>} Entries that were sent or rejected by this run
+ */
+async function replayQueuedOrders(send) {
+    const settled = [];
+
+    for (const entry of await getQueuedOrders()) {
+        if (entry.status !== 'queued') continue;
+
+        try {
+            const order = await send(entry);
+            if (!order) continue;
+            settled.push(await updateQueuedOrder(entry.clientRef, { status: 'sent', orderId: order.order_id }));
+            console.log('📤 Queued order sent:', order.order_id);
+        } catch (error) {
+            if (shouldRetryOrder(error)) throw error;
+            settled.push(await updateQueuedOrder(entry.clientRef, { status: 'failed', error: error.message }));
+            console.error('❌ Queued order was rejected:', error.message);
+        }
+    }
+
+    return settled;
+}
+
+/**
+ * Send a queued order's stored HTTP request (used by the service worker)
+ * @param {Object} entry - Queued order
+ * @returns {Promise<Object|null>} Placed order row, or null without a request
+ */
+async function sendQueuedRequest(entry) {
+    if (!entry.request) return null;
+
+    const response = await fetch(entry.request.url, {
+        method: 'POST',
+        headers: entry.request.headers,
+        body: entry.request.body
+    });
+    const body = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+        const error = new Error(body.message || `Order could not be placed (HTTP ${response.status})`);
+        error.retryable = response.status >= 500;
+        throw error;
+    }
+    return body;
+}
+
+/**
+ * Ask the service worker to send queued orders when the connection returns
+ * @returns {Promise<boolean>} Whether Background Sync was registered
+ */
+async function requestOrderSync() {
+    if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return false;
+
+    const registration = await navigator.serviceWorker.getRegistration();
+    if (!registration || !registration.sync) return false;
+
+    await registration.sync.register(ORDER_QUEUE_CONFIG.SYNC_TAG);
+    return true;
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ORDER_QUEUE_CONFIG,
+        queueOrder,
+        getQueuedOrders,
+        getQueuedOrder,
+        updateQueuedOrder,
+        removeQueuedOrder,
+        shouldRetryOrder,
+        replayQueuedOrders,
+        sendQueuedRequest,
+        requestOrderSync
+    };
+}
@@ -1,106 +1,299 @@
 // ========================================
 // ORDER MANAGEMENT
+// All reads and writes go through the data store (js/data-store.js)
 // ========================================
 
-// Create new order
-function createOrder(cart, tableNumber) {
-    const orderId = 'ORD' + Date.now();
-    const timestamp = new Date().toISOString();
-    
-    // Group items by stall
-    const stallOrders = {};
-    cart.forEach(item => {
+// Group cart items by stall, with a running total per stall
+function groupItemsByStall(cart) {
+    return cart.reduce((acc, item) => {
         const stallName = item.stallName || 'Unknown Stall';
-        if (!stallOrders[stallName]) {
-            stallOrders[stallName] = {
+        if (!acc[stallName]) {
+            acc[stallName] = {
                 stallId: item.stallId,
                 stallName: stallName,
                 items: [],
                 total: 0
             };
         }
-        stallOrders[stallName].items.push(item);
-        stallOrders[stallName].total += item.price * item.quantity;
+        acc[stallName].items.push(item);
+        acc[stallName].total += item.price * item.quantity;
+        return acc;
+    }, {});
+}
+
+// Status of a group of items: the slowest one still being made, or
+// 'cancelled' once all are cancelled (same rule as orders.status in the database)
+function rollUpStatus(statuses) {
+    const flow = ['pending', 'preparing', 'ready', 'completed'];
+    const open = statuses.filter(status => status !== 'cancelled');
+    if (!open.length) return statuses.length ? 'cancelled' : 'pending';
+    return flow[Math.min(...open.map(status => flow.indexOf(status)))];
+}
+
+// Convert an order row (with order_items and order_payments) to the app format
+function toAppOrder(dbOrder) {
+    const stallOrders = {};
+    const items = dbOrder.order_items || [];
+    const payments = dbOrder.order_payments || [];
+
+    // Group items by stall
+    items.forEach(item => {
+        if (!stallOrders[item.stall_id]) {
+            const payment = payments.find(p => String(p.stall_id) === String(item.stall_id));
+            stallOrders[item.stall_id] = {
+                stallId: item.stall_id,
+                stallName: payment?.stall_name || 'Unknown Stall',
+                items: [],
+                isPaid: payment?.is_paid || false,
+                paidAt: payment?.paid_at || null,
+                paymentMethod: payment?.payment_method || null,
+                paymentId: payment?.id || null,
+                qrPayload: payment?.qr_payload || null,
+                refundStatus: payment?.refund_status || null,
+                refundAmount: parseFloat(payment?.refund_amount || 0),
+                total: 0
+            };
+        }
+
+        const appItem = toAppOrderItem(item, dbOrder);
+        stallOrders[item.stall_id].items.push({ ...appItem, id: item.menu_item_id });
+
+        // Cancelled items are refunded, so they don't count towards the stall's total
+        if (appItem.status !== 'cancelled') {
+            stallOrders[item.stall_id].total += parseFloat(item.subtotal);
+        }
+    });
+
+    // Each stall moves its own items forward
+    Object.values(stallOrders).forEach(stallOrder => {
+        stallOrder.status = rollUpStatus(stallOrder.items.map(item => item.status));
     });
-    
-    const subtotal = cart.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-    const serviceCharge = subtotal * 0.06;
-    
-    const order = {
-        orderId,
-        tableNumber,
-        items: cart,
+
+    return {
+        id: dbOrder.id,
+        orderId: dbOrder.order_id,
+        tableNumber: dbOrder.table_number,
+        tableZone: dbOrder.table_zone || null,
+        tableName: dbOrder.table_name || null,
+        items: items.map(item => toAppOrderItem(item, dbOrder)),
+        subtotal: parseFloat(dbOrder.subtotal),
+        serviceCharge: parseFloat(dbOrder.service_charge),
+        total: parseFloat(dbOrder.total),
+        status: dbOrder.status,
+        timestamp: dbOrder.created_at,
         stallOrders: Object.values(stallOrders),
-        subtotal,
-        serviceCharge,
-        total: subtotal + serviceCharge,
-        status: 'pending',
-        stallStatuses: {},
-        timestamp
+        stallStatuses: Object.fromEntries(
+            Object.values(stallOrders).map(stallOrder => [stallOrder.stallId, stallOrder.status])
+        )
+    };
+}
+
+// Where to take an order: "Aircond · Table B12" when its food court has a
+// floor plan, otherwise "Table 12"
+function getTableLabel(order) {
+    const table = `Table ${order.tableName || order.tableNumber}`;
+    return order.tableZone ? `${order.tableZone} · ${table}` : table;
+}
+
+// Convert an order_items row; older rows without a status follow the order
+function toAppOrderItem(item, dbOrder) {
+    return {
+        itemId: item.id,
+        menuItemId: item.menu_item_id,
+        name: item.item_name,
+        price: parseFloat(item.price),
+        quantity: item.quantity,
+        notes: item.notes || null,
+        modifiers: item.modifiers || [],
+        status: item.status || dbOrder.status || 'pending',
+        cancelReason: item.cancel_reason || null,
+        // Whose the item was, in an order from a table's group (js/table-session.js)
+        dinerName: item.diner_name || null
     };
-    
-    // Initialize stall statuses
-    Object.keys(stallOrders).forEach(stallName => {
-        order.stallStatuses[stallName] = 'pending';
-    });
-    
-    // Save order
-    const orders = JSON.parse(localStorage.getItem('orders') || '[]');
-    orders.push(order);
-    localStorage.setItem('orders', JSON.stringify(orders));
-    localStorage.setItem('currentOrder', JSON.stringify(order));
-    
-    return order;
+}
+
+// Create new order
+// Only item and option IDs, quantities and notes are sent; the server prices the order.
+// tableToken is the signed token from the table's QR link; orders without a
+// current one are refused. tableScanId is the scan of that link, so the order
+// counts towards the table's scan-to-order rate.
+// Without a connection the order is queued (js/order-queue.js) and this
+// resolves to { queued: true, clientRef } instead.
+async function createOrder(cart, tableNumber, tableToken, tableScanId = null) {
+    const store = getDataStore();
+    const items = cart.map(item => ({
+        menu_item_id: item.id,
+        quantity: item.quantity,
+        notes: item.specialInstructions || null,
+        modifiers: (item.modifiers || []).map(modifier => modifier.id)
+    }));
+
+    // Kept for every retry, so the order can't be placed twice
+    const clientRef = crypto.randomUUID();
+
+    let order;
+    try {
+        order = await store.orders.place(tableNumber, items, clientRef, tableToken, tableScanId);
+    } catch (error) {
+        if (!shouldRetryOrder(error)) throw error;
+
+        await queueOrder({
+            clientRef,
+            tableNumber: String(tableNumber),
+            tableToken,
+            tableScanId,
+            items,
+            lines: cart.map(item => ({ name: item.name, stallName: item.stallName, quantity: item.quantity })),
+            request: store.orders.placeRequest(tableNumber, items, clientRef, tableToken, tableScanId)
+        });
+        await requestOrderSync().catch(syncError => console.warn('⚠️ Background Sync unavailable:', syncError.message));
+
+        localStorage.setItem('queuedOrderRef', clientRef);
+        return { queued: true, clientRef };
+    }
+
+    // Remember the order so the tracking page can find it
+    localStorage.setItem('currentOrderId', order.order_id);
+
+    return toAppOrder(order);
+}
+
+// Send orders queued while offline from this page. Covers the mock backend and
+// browsers without Background Sync; place_order() ignores repeats.
+async function sendQueuedOrders() {
+    const store = getDataStore();
+    return replayQueuedOrders(entry => store.orders.place(entry.tableNumber, entry.items, entry.clientRef, entry.tableToken, entry.tableScanId));
 }
 
 // Get order by ID
-function getOrder(orderId) {
-    const orders = JSON.parse(localStorage.getItem('orders') || '[]');
-    return orders.find(o => o.orderId === orderId);
+async function getOrder(orderId) {
+    const order = await getDataStore().orders.getByOrderId(orderId);
+    return order ? toAppOrder(order) : null;
 }
 
 // Get all orders
-function getAllOrders() {
-    return JSON.parse(localStorage.getItem('orders') || '[]');
+async function getAllOrders() {
+    const orders = await getDataStore().orders.list();
+    return orders.map(toAppOrder);
 }
 
 // Get current order
-function getCurrentOrder() {
-    return JSON.parse(localStorage.getItem('currentOrder') || 'null');
-}
-
-// Update order status
-function updateOrderStatus(orderId, status) {
-    const orders = JSON.parse(localStorage.getItem('orders') || '[]');
-    const order = orders.find(o => o.orderId === orderId);
-    
-    if (order) {
-        order.status = status;
-        localStorage.setItem('orders', JSON.stringify(orders));
-        
-        // Update current order if it matches
-        const currentOrder = getCurrentOrder();
-        if (currentOrder && currentOrder.orderId === orderId) {
-            currentOrder.status = status;
-            localStorage.setItem('currentOrder', JSON.stringify(currentOrder));
+async function getCurrentOrder() {
+    const orderId = localStorage.getItem('currentOrderId');
+    return orderId ? getOrder(orderId) : null;
+}
+
+// Whether the customer can still cancel (pending, nothing started, within
+// the grace period). cancel_order() checks the same rules on the server.
+function canCancelOrder(order) {
+    if (!order || order.status !== 'pending') return false;
+    if (order.items.some(item => !['pending', 'cancelled'].includes(item.status))) return false;
+    return Date.now() - new Date(order.timestamp).getTime() < DATA_CONFIG.CANCEL_GRACE_PERIOD;
+}
+
+// Cancel the whole order; every stall's share is marked for refund
+async function cancelOrder(orderId) {
+    const cancelled = await getDataStore().orders.cancel(orderId);
+    return toAppOrder(cancelled);
+}
+
+// Place in each stall's queue: stall ID -> { position, etaMinutes }.
+// Stalls that have finished their part are left out.
+async function getOrderQueue(orderId) {
+    const queue = await getDataStore().orders.getQueue(orderId);
+    return queue.reduce((queues, entry) => {
+        queues[entry.stall_id] = { position: entry.position, etaMinutes: entry.eta_minutes };
+        return queues;
+    }, {});
+}
+
+// e.g. "You are #4 in line, ready in ~12 min"
+function formatQueueEstimate(queue, stallStatus) {
+    const wait = `ready in ~${queue.etaMinutes} min`;
+    if (stallStatus === 'preparing') return `Being prepared, ${wait}`;
+    return queue.position === 1 ? `Next in line, ${wait}` : `You are #${queue.position} in line, ${wait}`;
+}
+
+// What happened to an order, oldest first. A hawker passes their stallId to
+// see only their own stall's events and the order-wide ones.
+async function getOrderEvents(order, stallId = null) {
+    const events = await getDataStore().orders.listEvents(order.id, { orderId: order.orderId, stallId });
+    return events.map(event => ({
+        kind: event.kind,
+        stallId: event.stall_id,
+        fromStatus: event.from_status,
+        toStatus: event.to_status,
+        detail: event.detail || {},
+        actorRole: event.actor_role,
+        timestamp: event.created_at
+    }));
+}
+
+// One line of an order's timeline, e.g. "Stall Two: Preparing → Ready for Pickup",
+// as HTML: names, reasons and changed values are escaped (js/app.js utils)
+function describeOrderEvent(event, stallNames = {}) {
+    const escape = utils.escapeHtml;
+    const stall = event.stallId ? (stallNames[event.stallId] || 'A stall') : null;
+    const prefix = stall ? `${escape(stall)}: ` : '';
+    const detail = event.detail;
+    const money = amount => `RM ${parseFloat(amount || 0).toFixed(2)}`;
+
+    switch (event.kind) {
+        case 'placed':
+            return 'Order placed';
+        case 'status':
+            return stall
+                ? `${prefix}${escape(formatOrderStatus(event.fromStatus))} → ${escape(formatOrderStatus(event.toStatus))}`
+                : `Order set to ${escape(formatOrderStatus(event.toStatus))}`;
+        case 'cancelled':
+            return `${prefix}${escape((detail.items || []).join(', ') || 'Items')} cancelled` +
+                (detail.reason ? ` (${escape(detail.reason)})` : '');
+        case 'paid':
+            return `${prefix}${money(detail.amount)} paid` +
+                (detail.payment_method ? ` by ${escape(detail.payment_method === 'provider' ? 'online payment' : detail.payment_method)}` : '');
+        case 'refunded':
+            return `${prefix}${money(detail.amount)} refunded`;
+        case 'edited': {
+            const changes = Object.entries(detail.changes || {})
+                .map(([column, change]) => `${escape(column.replace(/_/g, ' '))} ${escape(change.from)} → ${escape(change.to)}`)
+                .join(', ');
+            return `${prefix}${escape(detail.item || 'Order')} changed${changes ? `: ${changes}` : ''}`;
         }
-        
-        return true;
+        default:
+            return `${prefix}${escape(event.kind)}`;
     }
-    return false;
+}
+
+// Who made a change, as shown on the timeline
+function formatEventActor(actorRole) {
+    const labels = {
+        customer: 'Customer',
+        hawker: 'Stall',
+        admin: 'Admin',
+        system: 'System'
+    };
+    return labels[actorRole] || actorRole;
+}
+
+// Update order status (admin override of the rolled-up status;
+// hawkers use updateStallOrderStatus in js/hawker.js)
+async function updateOrderStatus(orderId, status) {
+    const updated = await getDataStore().orders.updateStatus(orderId, status);
+    return Boolean(updated);
 }
 
 // Get orders by table
-function getOrdersByTable(tableNumber) {
-    const orders = getAllOrders();
-    return orders.filter(o => o.tableNumber === tableNumber);
+async function getOrdersByTable(tableNumber) {
+    const orders = await getDataStore().orders.list({ tableNumber });
+    return orders.map(toAppOrder);
 }
 
 // Get today's orders
-function getTodaysOrders() {
-    const orders = getAllOrders();
-    const today = new Date().toDateString();
-    return orders.filter(o => new Date(o.timestamp).toDateString() === today);
+async function getTodaysOrders() {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const orders = await getDataStore().orders.list({ from: today.toISOString() });
+    return orders.map(toAppOrder);
 }
 
 // Get order status color
@@ -109,7 +302,8 @@ function getStatusColor(status) {
         pending: '#F57C00',
         preparing: '#1976D2',
         ready: '#388E3C',
-        completed: '#7B1FA2'
+        completed: '#7B1FA2',
+        cancelled: '#D32F2F'
     };
     return colors[status] || '#757575';
 }
@@ -120,7 +314,8 @@ function formatOrderStatus(status) {
         pending: 'Pending',
         preparing: 'Preparing',
         ready: 'Ready for Pickup',
-        completed: 'Completed'
+        completed: 'Completed',
+        cancelled: 'Cancelled'
     };
     return labels[status] || status;
 }
@@ -0,0 +1,154 @@
+/**
+ * Payment Providers
+ * Each stall's share of an order (an order_payments row) is paid through a
+ * provider. The browser only starts a payment - it never marks one as paid.
+ * order_payments.is_paid is set by the database when the provider's signed
+ * callback arrives (payment_webhook) or when the hawker confirms cash or a QR
+ * transfer they received (confirm_payment_received).
+ * See database/migrations/011_payment_verification.sql.
+ *
+ * A provider has a name, a label and start(payment, orderId), which resolves
+ * to what the payment page should show:
+ *   { kind: 'stall-qr', qrCode, qrPayload }
+ *                                   scan the stall's DuitNow QR; the hawker confirms
+ *   { kind: 'simulated', intent }   mock gateway; call complete() to send its callback
+ * A hosted gateway would add e.g. { kind: 'redirect', url } and register its
+ * webhook secret in payment_providers.
+ */
+
+// ============================================
+// CONFIGURATION
+// ============================================
+const PAYMENT_CONFIG = {
+    // Provider used by the payment page. Override per browser with
+    // ?payment=mock (remembered in localStorage under 'paymentProvider').
+    DEFAULT_PROVIDER: 'stall',
+
+    // How long (ms) the mock gateway "processes" before calling back
+    MOCK_CALLBACK_DELAY: 1500
+};
+
+/**
+ * Pay the stall directly by scanning its DuitNow QR (or in cash). When the
+ * stall's merchant QR could be decoded, the payment carries a dynamic payload
+ * with the amount and order number (see js/duitnow.js); otherwise the customer
+ * scans the uploaded image and types the amount. Nothing can call back, so the
+ * hawker confirms receipt from their orders page.
+ */
+class StallQRPaymentProvider {
+    constructor() {
+        this.name = 'stall';
+        this.label = 'Scan stall QR';
+    }
+
+    /**
+     * @param {Object} payment - { paymentId, stallName, amount, qrCode, qrPayload }
+     * @returns {Promise<Object>} { kind: 'stall-qr', qrCode, qrPayload }
+     */
+    async start(payment) {
+        return { kind: 'stall-qr', qrCode: payment.qrCode || null, qrPayload: payment.qrPayload || null };
+    }
+}
+
+/**
+ * Local stand-in for a payment gateway, for development and demos. It opens a
+ * real payment intent and then calls payment_webhook() signed with
+ * DATA_CONFIG.MOCK_PAYMENT_WEBHOOK_SECRET, so the verification path is the same
+ * one a real provider goes through. On Supabase the 'mock' row in
+ * payment_providers must be enabled first.
+ */
+class MockPaymentProvider {
+    /**
+     * @param {Object} dataStore - Data store from getDataStore()
+     */
+    constructor(dataStore) {
+        this.name = 'mock';
+        this.label = 'Test payment (mock gateway)';
+        this.payments = dataStore.payments;
+    }
+
+    /**
+     * @param {Object} payment - { paymentId, stallName, amount }
+     * @param {string} orderId - Public order number
+     * @returns {Promise<Object>} { kind: 'simulated', intent }
+     */
+    async start(payment, orderId) {
+        const intent = await this.payments.start(payment.paymentId, this.name, orderId);
+        return { kind: 'simulated', intent };
+    }
+
+    /**
+     * Play the gateway: wait a moment, then send the signed callback
+     * @param {Object} checkout - Result of start()
+     * @param {string} outcome - 'succeeded' or 'failed'
+     * @returns {Promise<Object>} The payment_intents row after the callback
+     */
+    async complete(checkout, outcome = 'succeeded') {
+        await new Promise(resolve => setTimeout(resolve, PAYMENT_CONFIG.MOCK_CALLBACK_DELAY));
+
+        const body = {
+            provider: this.name,
+            reference: checkout.intent.reference,
+            status: outcome,
+            amount: Number(checkout.intent.amount),
+            transaction_id: 'MOCK' + Date.now()
+        };
+        const signature = await signWebhookBody(JSON.stringify(body), DATA_CONFIG.MOCK_PAYMENT_WEBHOOK_SECRET);
+        return this.payments.deliverWebhook(body, signature);
+    }
+}
+
+/**
+ * Hex HMAC-SHA256 of a webhook body, as payment_webhook() expects in x-payment-signature
+ * @param {string} body - Exact JSON text being sent
+ * @param {string} secret - Provider's webhook secret
+ * @returns {Promise<string>} Hex signature
+ */
+async function signWebhookBody(body, secret) {
+    const key = await crypto.subtle.importKey(
+        'raw', new TextEncoder().encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']
+    );
+    const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(body));
+    return Array.from(new Uint8Array(signature), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Work out which provider this browser should use
+ * @returns {string} Provider name
+ */
+function resolvePaymentProviderName() {
+    const fromUrl = new URLSearchParams(window.location.search).get('payment');
+    if (fromUrl) {
+        localStorage.setItem('paymentProvider', fromUrl);
+        return fromUrl;
+    }
+    return localStorage.getItem('paymentProvider') || PAYMENT_CONFIG.DEFAULT_PROVIDER;
+}
+
+/**
+ * Get the payment provider for this page
+ * @param {string} name - Provider name (defaults to resolvePaymentProviderName())
+ * @returns {StallQRPaymentProvider|MockPaymentProvider}
+ */
+function getPaymentProvider(name = resolvePaymentProviderName()) {
+    switch (name) {
+        case 'mock':
+            return new MockPaymentProvider(getDataStore());
+        case 'stall':
+            return new StallQRPaymentProvider();
+        default:
+            console.warn(`⚠️ Unknown payment provider "${name}", using the stall QR`);
+            return new StallQRPaymentProvider();
+    }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PAYMENT_CONFIG,
+        StallQRPaymentProvider,
+        MockPaymentProvider,
+        signWebhookBody,
+        getPaymentProvider
+    };
+}
@@ -0,0 +1,104 @@
+/**
+ * PDF Writer
+ * Builds a PDF in the browser where each page is one full-page JPEG image.
+ * Pages are drawn on a canvas first, so text in any script (English, Malay,
+ * Chinese) prints exactly as the browser rendered it, with no fonts to embed.
+ */
+
+// PDF user space is in points: 72 per inch
+const PDF_POINTS_PER_MM = 72 / 25.4;
+
+class PdfWriter {
+    constructor() {
+        this.objects = [];
+        this.pageIds = [];
+        // Objects 1 and 2 are the catalog and the page tree, written in toBlob()
+        this.nextId = 3;
+    }
+
+    /**
+     * Add a page showing a JPEG edge to edge
+     * @param {Uint8Array} jpeg - JPEG file bytes
+     * @param {number} pixelWidth - Image width in pixels
+     * @param {number} pixelHeight - Image height in pixels
+     * @param {number} widthMm - Page width in mm (e.g. 210 for A4 portrait)
+     * @param {number} heightMm - Page height in mm
+     */
+    addJpegPage(jpeg, pixelWidth, pixelHeight, widthMm, heightMm) {
+        const width = formatPdfNumber(widthMm * PDF_POINTS_PER_MM);
+        const height = formatPdfNumber(heightMm * PDF_POINTS_PER_MM);
+        const imageId = this.nextId++;
+        const contentId = this.nextId++;
+        const pageId = this.nextId++;
+
+        this.addObject(imageId,
+            `<< /Type /XObject /Subtype /Image /Width ${pixelWidth} /Height ${pixelHeight} ` +
+            `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpeg.length} >>`,
+            jpeg);
+        // Scale the 1x1 image space up to the page and paint it
+        const content = `q ${width} 0 0 ${height} 0 0 cm /Page Do Q`;
+        this.addObject(contentId, `<< /Length ${content.length} >>`, content);
+        this.addObject(pageId,
+            `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] ` +
+            `/Resources << /XObject << /Page ${imageId} 0 R >> >> /Contents ${contentId} 0 R >>`);
+
+        this.pageIds.push(pageId);
+        return this;
+    }
+
+    /**
+     * Finish the PDF
+     * @returns {Blob} application/pdf
+     */
+    toBlob() {
+        this.addObject(1, '<< /Type /Catalog /Pages 2 0 R >>');
+        this.addObject(2, `<< /Type /Pages /Kids [${this.pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${this.pageIds.length} >>`);
+
+        const encoder = new TextEncoder();
+        const chunks = [];
+        const offsets = [];
+        let length = 0;
+        const write = part => {
+            const bytes = typeof part === 'string' ? encoder.encode(part) : part;
+            chunks.push(bytes);
+            length += bytes.length;
+        };
+
+        // The binary comment line tells tools the file holds 8-bit data
+        write('%PDF-1.4\n%âãÏÓ\n');
+        this.objects.sort((a, b) => a.id - b.id).forEach(object => {
+            offsets[object.id] = length;
+            write(`${object.id} 0 obj\n${object.dictionary}\n`);
+            if (object.stream !== undefined) {
+                write('stream\n');
+                write(object.stream);
+                write('\nendstream\n');
+            }
+            write('endobj\n');
+        });
+
+        const xrefOffset = length;
+        const size = this.objects.length + 1;
+        let xref = `xref\n0 ${size}\n0000000000 65535 f \n`;
+        for (let id = 1; id < size; id++) {
+            xref += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+        }
+        write(xref);
+        write(`trailer\n<< /Size ${size} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+        return new Blob(chunks, { type: 'application/pdf' });
+    }
+
+    addObject(id, dictionary, stream) {
+        this.objects.push({ id, dictionary, stream });
+    }
+}
+
+function formatPdfNumber(value) {
+    return String(Math.round(value * 100) / 100);
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PdfWriter };
+}
@@ -1,6 +1,8 @@
 /**
  * QR Code Management Module
- * Handles QR code generation, storage, and retrieval from Supabase
+ * Handles QR code generation, storage, and retrieval via the data store.
+ * Codes are drawn in the browser by js/qr-encoder.js (load it first), so
+ * nothing here needs a network connection.
  */
 
 // ============================================
@@ -15,12 +17,19 @@ const QR_CONFIG = {
     PRODUCTION_URL: 'https://sarawak-order.netlify.app', // ⚠️ Your deployed Netlify URL (NO trailing slash)
     
     // Auto-detect environment (production if deployed, localhost for testing)
-    USE_AUTO_DETECT: true
+    USE_AUTO_DETECT: true,
+
+    // Error correction for table QR codes: 'L', 'M', 'Q' or 'H'.
+    // Codes with a centre logo always use at least 'Q'.
+    ERROR_CORRECTION: 'M'
 };
 
 class QRCodeManager {
-    constructor(supabaseClient) {
-        this.supabase = supabaseClient;
+    /**
+     * @param {Object} dataStore - Data store from getDataStore()
+     */
+    constructor(dataStore) {
+        this.qrCodes = dataStore.qrCodes;
     }
     
     /**
@@ -63,18 +72,7 @@ class QRCodeManager {
      */
     async getQRCode(foodCourtId, tableNumber) {
         try {
-            const { data, error } = await this.supabase
-                .from('qr_codes')
-                .select('*')
-                .eq('food_court_id', foodCourtId)
-                .eq('table_number', tableNumber)
-                .maybeSingle();
-
-            if (error && error.code !== 'PGRST116') {
-                throw error;
-            }
-
-            return data;
+            return await this.qrCodes.get(foodCourtId, tableNumber);
         } catch (error) {
             console.error('Error fetching QR code:', error);
             throw error;
@@ -88,15 +86,7 @@ class QRCodeManager {
      */
     async getQRCodesByFoodCourt(foodCourtId) {
         try {
-            const { data, error } = await this.supabase
-                .from('qr_codes')
-                .select('*')
-                .eq('food_court_id', foodCourtId)
-                .order('table_number', { ascending: true });
-
-            if (error) throw error;
-
-            return data || [];
+            return await this.qrCodes.listByFoodCourt(foodCourtId);
         } catch (error) {
             console.error('Error fetching QR codes:', error);
             throw error;
@@ -107,9 +97,10 @@ class QRCodeManager {
      * Generate menu URL for a table
      * @param {string} foodCourtId - UUID of the food court
      * @param {number} tableNumber - Table number
+     * @param {string} token - Signed table token from qrCodes.issueToken()
      * @returns {string} Menu URL (points to home page showing all stalls)
      */
-    generateMenuURL(foodCourtId, tableNumber) {
+    generateMenuURL(foodCourtId, tableNumber, token) {
         const baseUrl = this.getBaseURL();
         // For production, construct path directly
         // For localhost, calculate relative path
@@ -126,32 +117,58 @@ class QRCodeManager {
         
         // Customer scans QR → lands on home.html with table number
         // They can then browse all stalls in the food court
-        return `${baseUrl}${path}?foodcourt=${foodCourtId}&table=${tableNumber}`;
+        // The token lets place_order() trust the table number
+        return `${baseUrl}${path}?foodcourt=${foodCourtId}&table=${tableNumber}&token=${encodeURIComponent(token)}`;
     }
 
     /**
-     * Generate QR code URL using API
-     * @param {string} dataUrl - The URL to encode in the QR code
-     * @param {number} size - Size of QR code (default: 300)
-     * @returns {string} QR code image URL
+     * Draw a QR code image locally (js/qr-encoder.js)
+     * @param {string} data - The URL or payload to encode in the QR code
+     * @param {Object} options - { errorCorrection: 'L'|'M'|'Q'|'H', logo: data: URL of a centre logo }
+     * @returns {string} QR code image as an SVG data: URL
      */
-    generateQRCodeURL(dataUrl, size = 300) {
-        return `https://api.qrserver.com/v1/create-qr-code/?size=${size}x${size}&data=${encodeURIComponent(dataUrl)}`;
+    generateQRCodeURL(data, { errorCorrection = QR_CONFIG.ERROR_CORRECTION, logo = null } = {}) {
+        // A logo hides part of the code, which only Q and H can make up for
+        if (logo && !['Q', 'H'].includes(errorCorrection)) {
+            errorCorrection = 'H';
+        }
+        return QRCode.encode(data, { errorCorrection }).toDataURL({ logo: logo ? { src: logo } : null });
+    }
+
+    /**
+     * Image to show for a saved QR code. Codes made before qr_code_data was
+     * filled in only have an api.qrserver.com qr_code_url.
+     * @param {Object} qrCode - qr_codes row
+     * @returns {string} Image src
+     */
+    getQRCodeImage(qrCode) {
+        return qrCode.qr_code_data || qrCode.qr_code_url;
     }
 
     /**
      * Create or get QR code for a table
      * @param {string} foodCourtId - UUID of the food court
      * @param {number} tableNumber - Table number
+     * @param {Object} options - Drawing options for a new code, as for generateQRCodeURL()
      * @returns {Promise<Object>} QR code data with isNew flag
      */
-    async getOrCreateQRCode(foodCourtId, tableNumber) {
+    async getOrCreateQRCode(foodCourtId, tableNumber, options = {}) {
         try {
             // Check if QR code exists
             let qrCode = await this.getQRCode(foodCourtId, tableNumber);
 
             if (qrCode) {
                 console.log('✅ QR code found in database:', qrCode);
+
+                // Codes made before links were signed can't be used to order; replace them
+                if (!qrCode.token_version) {
+                    console.log('🔏 Replacing unsigned QR code with a signed one');
+                    return {
+                        ...(await this.updateQRCode(foodCourtId, tableNumber, options)),
+                        isNew: true
+                    };
+                }
+
                 return {
                     ...qrCode,
                     isNew: false
@@ -159,22 +176,18 @@ class QRCodeManager {
             }
 
             // Generate new QR code
-            const menuUrl = this.generateMenuURL(foodCourtId, tableNumber);
-            const qrCodeUrl = this.generateQRCodeURL(menuUrl);
+            const { token, version } = await this.qrCodes.issueToken(foodCourtId, tableNumber);
+            const menuUrl = this.generateMenuURL(foodCourtId, tableNumber, token);
+            const qrCodeData = this.generateQRCodeURL(menuUrl, options);
 
             // Save to database
-            const { data, error } = await this.supabase
-                .from('qr_codes')
-                .insert([{
-                    food_court_id: foodCourtId,
-                    table_number: parseInt(tableNumber),
-                    qr_code_url: qrCodeUrl,
-                    menu_url: menuUrl
-                }])
-                .select()
-                .single();
-
-            if (error) throw error;
+            const data = await this.qrCodes.create({
+                food_court_id: foodCourtId,
+                table_number: parseInt(tableNumber),
+                qr_code_data: qrCodeData,
+                menu_url: menuUrl,
+                token_version: version
+            });
 
             console.log('✅ New QR code created and saved:', data);
             return {
@@ -192,16 +205,32 @@ class QRCodeManager {
      * @param {string} foodCourtId - UUID of the food court
      * @param {number} startTable - Starting table number
      * @param {number} endTable - Ending table number
+     * @param {Object} options - Drawing options, as for generateQRCodeURL()
+     * @returns {Promise<Object>} Summary of created QR codes
+     */
+    async batchGenerateQRCodes(foodCourtId, startTable, endTable, options = {}) {
+        const tableNumbers = [];
+        for (let tableNumber = startTable; tableNumber <= endTable; tableNumber++) {
+            tableNumbers.push(tableNumber);
+        }
+        return this.generateQRCodesForTables(foodCourtId, tableNumbers, options);
+    }
+
+    /**
+     * Generate QR codes for a list of tables, e.g. those on a floor plan
+     * @param {string} foodCourtId - UUID of the food court
+     * @param {Array<number>} tableNumbers - Table numbers, in the order wanted
+     * @param {Object} options - Drawing options, as for generateQRCodeURL()
      * @returns {Promise<Object>} Summary of created QR codes
      */
-    async batchGenerateQRCodes(foodCourtId, startTable, endTable) {
+    async generateQRCodesForTables(foodCourtId, tableNumbers, options = {}) {
         try {
             const qrCodes = [];
             let newCount = 0;
             let existingCount = 0;
 
-            for (let tableNumber = startTable; tableNumber <= endTable; tableNumber++) {
-                const result = await this.getOrCreateQRCode(foodCourtId, tableNumber);
+            for (const tableNumber of tableNumbers) {
+                const result = await this.getOrCreateQRCode(foodCourtId, tableNumber, options);
                 qrCodes.push(result);
                 
                 if (result.isNew) {
@@ -232,13 +261,7 @@ class QRCodeManager {
      */
     async deleteQRCode(foodCourtId, tableNumber) {
         try {
-            const { error } = await this.supabase
-                .from('qr_codes')
-                .delete()
-                .eq('food_court_id', foodCourtId)
-                .eq('table_number', tableNumber);
-
-            if (error) throw error;
+            await this.qrCodes.remove(foodCourtId, tableNumber);
 
             console.log('✅ QR code deleted:', { foodCourtId, tableNumber });
             return true;
@@ -255,12 +278,7 @@ class QRCodeManager {
      */
     async deleteAllQRCodes(foodCourtId) {
         try {
-            const { error } = await this.supabase
-                .from('qr_codes')
-                .delete()
-                .eq('food_court_id', foodCourtId);
-
-            if (error) throw error;
+            await this.qrCodes.removeAll(foodCourtId);
 
             console.log('✅ All QR codes deleted for food court:', foodCourtId);
             return true;
@@ -271,29 +289,26 @@ class QRCodeManager {
     }
 
     /**
-     * Update QR code (regenerate if URL structure changes)
+     * Update QR code (regenerate if URL structure changes). The table gets a
+     * newly signed link, and its old printed code stops working.
      * @param {string} foodCourtId - UUID of the food court
      * @param {number} tableNumber - Table number
+     * @param {Object} options - Drawing options, as for generateQRCodeURL()
      * @returns {Promise<Object>} Updated QR code data
      */
-    async updateQRCode(foodCourtId, tableNumber) {
+    async updateQRCode(foodCourtId, tableNumber, options = {}) {
         try {
-            const menuUrl = this.generateMenuURL(foodCourtId, tableNumber);
-            const qrCodeUrl = this.generateQRCodeURL(menuUrl);
-
-            const { data, error } = await this.supabase
-                .from('qr_codes')
-                .update({
-                    qr_code_url: qrCodeUrl,
-                    menu_url: menuUrl,
-                    updated_at: new Date().toISOString()
-                })
-                .eq('food_court_id', foodCourtId)
-                .eq('table_number', tableNumber)
-                .select()
-                .single();
-
-            if (error) throw error;
+            const { token, version } = await this.qrCodes.issueToken(foodCourtId, tableNumber);
+            const menuUrl = this.generateMenuURL(foodCourtId, tableNumber, token);
+            const qrCodeData = this.generateQRCodeURL(menuUrl, options);
+
+            const data = await this.qrCodes.update(foodCourtId, tableNumber, {
+                qr_code_url: null,
+                qr_code_data: qrCodeData,
+                menu_url: menuUrl,
+                token_version: version,
+                updated_at: new Date().toISOString()
+            });
 
             console.log('✅ QR code updated:', data);
             return data;
@@ -305,23 +320,115 @@ class QRCodeManager {
 
     /**
      * Download QR code as PNG
-     * @param {string} qrCodeUrl - URL of the QR code image
+     * @param {string} qrCodeUrl - QR code image (data: URL, or a legacy image URL)
      * @param {string} foodCourtName - Name of the food court
      * @param {number} tableNumber - Table number
      */
-    downloadQRCode(qrCodeUrl, foodCourtName, tableNumber) {
-        const link = document.createElement('a');
-        link.href = qrCodeUrl;
+    async downloadQRCode(qrCodeUrl, foodCourtName, tableNumber) {
         const sanitizedName = foodCourtName.replace(/\s+/g, '_');
-        link.download = `QR_${sanitizedName}_Table_${tableNumber}.png`;
+        let href = qrCodeUrl;
+        let extension = 'png';
+
+        if (qrCodeUrl.startsWith('data:image/svg+xml')) {
+            try {
+                href = await this.rasterizeQRCode(qrCodeUrl);
+            } catch (error) {
+                console.warn('⚠️ Could not convert QR code to PNG, downloading SVG:', error.message);
+                extension = 'svg';
+            }
+        }
+
+        const link = document.createElement('a');
+        link.href = href;
+        link.download = `QR_${sanitizedName}_Table_${tableNumber}.${extension}`;
         document.body.appendChild(link);
         link.click();
         document.body.removeChild(link);
     }
 
+    /**
+     * Download print-ready table tents for a range of tables (js/table-tents.js).
+     * Tables without a QR code get one first, as in batchGenerateQRCodes().
+     * @param {Object} foodCourt - Food court ({ id, name })
+     * @param {number} startTable - First table number
+     * @param {number} endTable - Last table number
+     * @param {Object} options
+     * @param {string} options.layout - Key of TENT_LAYOUTS (default: 'grid')
+     * @param {string} options.format - 'pdf', 'png' or 'svg' (the last two come as a ZIP)
+     * @param {string} options.logo - Logo printed at the top of each card (data: URL, optional)
+     * @param {Object} options.qrOptions - Drawing options for new codes, as for generateQRCodeURL()
+     * @param {Function} options.onProgress - Called with (done, total) while pages are drawn
+     * @param {Array<Object>} options.tables - Floor plan tables (FloorPlanRepository.listTables());
+     *   when given, only these tables are printed, with their names and zones
+     * @returns {Promise<Object>} Summary from generateQRCodesForTables()
+     */
+    async downloadTableTents(foodCourt, startTable, endTable, options = {}) {
+        const { layout = 'grid', format = 'pdf', logo = null, qrOptions = {}, onProgress, tables = null } = options;
+
+        try {
+            const planTables = (tables || [])
+                .filter(table => table.table_number >= startTable && table.table_number <= endTable);
+            if (tables && planTables.length === 0) {
+                throw new Error(`No tables on the floor plan between ${startTable} and ${endTable}`);
+            }
+
+            const batch = tables
+                ? await this.generateQRCodesForTables(foodCourt.id, planTables.map(table => table.table_number), qrOptions)
+                : await this.batchGenerateQRCodes(foodCourt.id, startTable, endTable, qrOptions);
+            const cards = batch.qrCodes.map((qrCode, index) => ({
+                foodCourtName: foodCourt.name,
+                logo,
+                tableNumber: qrCode.table_number,
+                tableName: planTables[index] ? planTables[index].name : null,
+                zoneName: planTables[index] ? planTables[index].zone_name : null,
+                qrImage: this.getQRCodeImage(qrCode)
+            }));
+
+            const blob = await exportTableTents(cards, { layout, format, onProgress });
+            const sanitizedName = foodCourt.name.replace(/\s+/g, '_');
+            const url = URL.createObjectURL(blob);
+
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `Table_Tents_${sanitizedName}_${startTable}-${endTable}.${format === 'pdf' ? 'pdf' : 'zip'}`;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+            console.log('✅ Table tents exported:', { tables: cards.length, layout, format });
+            return batch;
+        } catch (error) {
+            console.error('Error exporting table tents:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Draw an SVG QR code onto a canvas, logo included
+     * @param {string} svgDataUrl - SVG data: URL from generateQRCodeURL()
+     * @param {number} pixels - Width of the PNG (default: 1000, sharp enough to print)
+     * @returns {Promise<string>} PNG data: URL
+     */
+    rasterizeQRCode(svgDataUrl, pixels = 1000) {
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => {
+                const canvas = document.createElement('canvas');
+                canvas.width = canvas.height = pixels;
+                const context = canvas.getContext('2d');
+                context.imageSmoothingEnabled = false;
+                context.drawImage(image, 0, 0, pixels, pixels);
+                resolve(canvas.toDataURL('image/png'));
+            };
+            image.onerror = () => reject(new Error('QR code image could not be loaded'));
+            image.src = svgDataUrl;
+        });
+    }
+
     /**
      * Print QR code with food court and table details
-     * @param {string} qrCodeUrl - URL of the QR code image
+     * @param {string} qrCodeUrl - QR code image (data: URL, or a legacy image URL)
      * @param {string} foodCourtName - Name of the food court
      * @param {number} tableNumber - Table number
      */
@@ -0,0 +1,498 @@
+/**
+ * QR Code Encoder
+ * Turns text into a QR code without any outside service, so table and
+ * payment QRs can be made offline. Text is encoded as UTF-8 bytes (byte mode,
+ * versions 1-40), following ISO/IEC 18004. The result draws as SVG, or as PNG
+ * through a canvas in the browser.
+ */
+
+// Error correction levels: how much of the code can be damaged (or covered
+// by a logo) and still scan. Values are the level's format bits.
+const QR_ERROR_CORRECTION = {
+    L: { formatBits: 1, index: 0 }, // ~7%
+    M: { formatBits: 0, index: 1 }, // ~15%
+    Q: { formatBits: 3, index: 2 }, // ~25%
+    H: { formatBits: 2, index: 3 }  // ~30%
+};
+
+// Per version (index 1-40), for levels L, M, Q, H
+const QR_ECC_CODEWORDS_PER_BLOCK = [
+    [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+    [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+];
+
+const QR_ERROR_CORRECTION_BLOCKS = [
+    [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+    [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+    [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+    [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+];
+
+// Largest share of the code's width a centre logo may cover, per level
+const QR_MAX_LOGO_SIZE = { Q: 0.2, H: 0.3 };
+
+// Light modules around the code; scanners need at least 4
+const QR_QUIET_ZONE = 4;
+
+const QR_MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => x * y % 2 + x * y % 3 === 0,
+    (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0
+];
+
+class QRCode {
+    /**
+     * Encode text in the smallest version that fits
+     * @param {string} text - Text to encode (e.g. a table's menu URL)
+     * @param {Object} options - { errorCorrection: 'L'|'M'|'Q'|'H' (default 'M') }
+     * @returns {QRCode}
+     */
+    static encode(text, { errorCorrection = 'M' } = {}) {
+        const level = QR_ERROR_CORRECTION[errorCorrection];
+        if (!level) {
+            throw new Error(`Unknown QR error correction level ${errorCorrection}`);
+        }
+
+        const bytes = Array.from(new TextEncoder().encode(String(text)));
+        for (let version = 1; version <= 40; version++) {
+            const capacity = getQRDataCodewords(version, level) * 8;
+            const needed = 4 + (version < 10 ? 8 : 16) + bytes.length * 8;
+            if (needed <= capacity) {
+                return new QRCode(version, errorCorrection, bytes);
+            }
+        }
+        throw new Error(`Text is too long for a QR code (${bytes.length} bytes)`);
+    }
+
+    constructor(version, errorCorrection, bytes) {
+        this.version = version;
+        this.errorCorrection = errorCorrection;
+        this.size = version * 4 + 17;
+        this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+        this.reserved = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+
+        const level = QR_ERROR_CORRECTION[errorCorrection];
+        this.drawFunctionPatterns();
+        this.drawCodewords(addQRErrorCorrection(packQRData(bytes, version, level), version, level));
+
+        // Keep the mask that leaves the fewest patterns a scanner could misread
+        let best = null;
+        QR_MASKS.forEach((mask, index) => {
+            this.applyMask(mask);
+            this.drawFormatBits(index);
+            const penalty = this.getPenalty();
+            if (!best || penalty < best.penalty) best = { index, penalty };
+            this.applyMask(mask);
+        });
+        this.mask = best.index;
+        this.applyMask(QR_MASKS[this.mask]);
+        this.drawFormatBits(this.mask);
+    }
+
+    /**
+     * @returns {boolean} Whether the module at column x, row y is dark
+     */
+    isDark(x, y) {
+        return this.modules[y][x];
+    }
+
+    // ====== FUNCTION PATTERNS ======
+
+    setFunctionModule(x, y, dark) {
+        this.modules[y][x] = dark;
+        this.reserved[y][x] = true;
+    }
+
+    drawFunctionPatterns() {
+        for (let i = 0; i < this.size; i++) {
+            this.setFunctionModule(6, i, i % 2 === 0);
+            this.setFunctionModule(i, 6, i % 2 === 0);
+        }
+
+        [[3, 3], [this.size - 4, 3], [3, this.size - 4]].forEach(([x, y]) => this.drawFinderPattern(x, y));
+
+        const positions = getQRAlignmentPositions(this.version);
+        const last = positions.length - 1;
+        positions.forEach((y, i) => positions.forEach((x, j) => {
+            // The three corners already hold finder patterns
+            if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+            this.drawAlignmentPattern(x, y);
+        }));
+
+        // Reserve the format areas now; the real bits go in once the mask is chosen
+        this.drawFormatBits(0);
+        this.drawVersionBits();
+    }
+
+    // 7x7 square with its light separator
+    drawFinderPattern(cx, cy) {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const x = cx + dx;
+                const y = cy + dy;
+                if (x < 0 || x >= this.size || y < 0 || y >= this.size) continue;
+                const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                this.setFunctionModule(x, y, distance !== 2 && distance !== 4);
+            }
+        }
+    }
+
+    drawAlignmentPattern(cx, cy) {
+        for (let dy = -2; dy <= 2; dy++) {
+            for (let dx = -2; dx <= 2; dx++) {
+                this.setFunctionModule(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+            }
+        }
+    }
+
+    // Level and mask, BCH-protected, beside the top-left finder and split between the other two
+    drawFormatBits(mask) {
+        const data = (QR_ERROR_CORRECTION[this.errorCorrection].formatBits << 3) | mask;
+        let remainder = data;
+        for (let i = 0; i < 10; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        }
+        const bits = ((data << 10) | remainder) ^ 0x5412;
+        const bit = i => ((bits >>> i) & 1) !== 0;
+
+        for (let i = 0; i <= 5; i++) this.setFunctionModule(8, i, bit(i));
+        this.setFunctionModule(8, 7, bit(6));
+        this.setFunctionModule(8, 8, bit(7));
+        this.setFunctionModule(7, 8, bit(8));
+        for (let i = 9; i < 15; i++) this.setFunctionModule(14 - i, 8, bit(i));
+
+        for (let i = 0; i < 8; i++) this.setFunctionModule(this.size - 1 - i, 8, bit(i));
+        for (let i = 8; i < 15; i++) this.setFunctionModule(8, this.size - 15 + i, bit(i));
+        this.setFunctionModule(8, this.size - 8, true);
+    }
+
+    // Versions 7 and up also carry their version number, twice
+    drawVersionBits() {
+        if (this.version < 7) return;
+
+        let remainder = this.version;
+        for (let i = 0; i < 12; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+        }
+        const bits = (this.version << 12) | remainder;
+
+        for (let i = 0; i < 18; i++) {
+            const dark = ((bits >>> i) & 1) !== 0;
+            const a = this.size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            this.setFunctionModule(a, b, dark);
+            this.setFunctionModule(b, a, dark);
+        }
+    }
+
+    // ====== DATA ======
+
+    // Zigzag up and down two-module columns from the bottom right, skipping the timing column
+    drawCodewords(codewords) {
+        let i = 0;
+        for (let right = this.size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5;
+            const upward = ((right + 1) & 2) === 0;
+            for (let vertical = 0; vertical < this.size; vertical++) {
+                const y = upward ? this.size - 1 - vertical : vertical;
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    if (this.reserved[y][x] || i >= codewords.length * 8) continue;
+                    this.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+                    i++;
+                }
+            }
+        }
+    }
+
+    // XOR is its own inverse, so applying a mask twice removes it
+    applyMask(mask) {
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                if (!this.reserved[y][x] && mask(x, y)) {
+                    this.modules[y][x] = !this.modules[y][x];
+                }
+            }
+        }
+    }
+
+    /**
+     * Penalty score from the standard's four rules: long runs, 2x2 blocks,
+     * finder-like patterns and an uneven dark/light balance
+     */
+    getPenalty() {
+        const size = this.size;
+        const finderLike = [
+            [true, false, true, true, true, false, true, false, false, false, false],
+            [false, false, false, false, true, false, true, true, true, false, true]
+        ];
+        let penalty = 0;
+        let dark = 0;
+
+        const scoreLine = line => {
+            let run = 1;
+            for (let i = 1; i <= line.length; i++) {
+                if (i < line.length && line[i] === line[i - 1]) {
+                    run++;
+                } else {
+                    if (run >= 5) penalty += 3 + run - 5;
+                    run = 1;
+                }
+            }
+            for (let i = 0; i + 11 <= line.length; i++) {
+                if (finderLike.some(pattern => pattern.every((value, k) => line[i + k] === value))) {
+                    penalty += 40;
+                }
+            }
+        };
+
+        for (let y = 0; y < size; y++) {
+            scoreLine(this.modules[y]);
+            scoreLine(this.modules.map(row => row[y]));
+            for (let x = 0; x < size; x++) {
+                if (this.modules[y][x]) dark++;
+                if (x < size - 1 && y < size - 1) {
+                    const color = this.modules[y][x];
+                    if (color === this.modules[y][x + 1] && color === this.modules[y + 1][x] && color === this.modules[y + 1][x + 1]) {
+                        penalty += 3;
+                    }
+                }
+            }
+        }
+
+        const total = size * size;
+        penalty += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+        return penalty;
+    }
+
+    // ====== OUTPUT ======
+
+    /**
+     * Draw as SVG
+     * @param {Object} options - { pixels (width, default 300), margin (modules, default 4),
+     *   dark, light (colours), logo: { src, size (share of the width, up to 0.2 at Q and 0.3 at H) } }
+     * @returns {string} SVG markup
+     */
+    toSVG({ pixels = 300, margin = QR_QUIET_ZONE, dark = '#000000', light = '#FFFFFF', logo = null } = {}) {
+        const full = this.size + margin * 2;
+        let path = '';
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                if (this.modules[y][x]) path += `M${x + margin},${y + margin}h1v1h-1z`;
+            }
+        }
+
+        let logoMarkup = '';
+        const box = this.getLogoBox(logo, margin);
+        if (box) {
+            logoMarkup = `<rect x="${box.x - box.padding}" y="${box.y - box.padding}" ` +
+                `width="${box.size + box.padding * 2}" height="${box.size + box.padding * 2}" rx="${box.padding}" fill="${light}"/>` +
+                `<image href="${escapeQRAttribute(logo.src)}" x="${box.x}" y="${box.y}" width="${box.size}" height="${box.size}" preserveAspectRatio="xMidYMid meet"/>`;
+        }
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="${pixels}" height="${pixels}" viewBox="0 0 ${full} ${full}" shape-rendering="crispEdges">` +
+            `<rect width="${full}" height="${full}" fill="${light}"/>` +
+            `<path d="${path}" fill="${dark}"/>` +
+            logoMarkup +
+            '</svg>';
+    }
+
+    /**
+     * SVG as a data: URL, for <img src> or storing in qr_codes.qr_code_data
+     * @param {Object} options - As for toSVG()
+     * @returns {string} data:image/svg+xml URL
+     */
+    toDataURL(options = {}) {
+        return 'data:image/svg+xml;base64,' + btoa(unescape(encodeURIComponent(this.toSVG(options))));
+    }
+
+    /**
+     * Draw as PNG through a canvas (browser only)
+     * @param {Object} options - As for toSVG(), but pixels defaults to 600
+     * @returns {Promise<string>} data:image/png URL
+     */
+    async toPNG({ pixels = 600, margin = QR_QUIET_ZONE, dark = '#000000', light = '#FFFFFF', logo = null } = {}) {
+        const full = this.size + margin * 2;
+        const scale = Math.max(1, Math.floor(pixels / full));
+        const canvas = document.createElement('canvas');
+        canvas.width = canvas.height = full * scale;
+        const context = canvas.getContext('2d');
+
+        context.fillStyle = light;
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        context.fillStyle = dark;
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                if (this.modules[y][x]) context.fillRect((x + margin) * scale, (y + margin) * scale, scale, scale);
+            }
+        }
+
+        const box = this.getLogoBox(logo, margin);
+        if (box) {
+            const image = await loadQRLogo(logo.src);
+            context.fillStyle = light;
+            context.fillRect((box.x - box.padding) * scale, (box.y - box.padding) * scale,
+                (box.size + box.padding * 2) * scale, (box.size + box.padding * 2) * scale);
+            context.drawImage(image, box.x * scale, box.y * scale, box.size * scale, box.size * scale);
+        }
+
+        return canvas.toDataURL('image/png');
+    }
+
+    // Where a centre logo goes, in modules. Only Q and H leave enough spare to cover part of the code.
+    getLogoBox(logo, margin) {
+        if (!logo || !logo.src) return null;
+        const limit = QR_MAX_LOGO_SIZE[this.errorCorrection];
+        if (!limit) {
+            throw new Error('A centre logo needs error correction level Q or H');
+        }
+
+        const share = Math.min(Number(logo.size) || 0.2, limit);
+        const size = Math.round(this.size * share);
+        const start = margin + Math.floor((this.size - size) / 2);
+        return { x: start, y: start, size, padding: 1 };
+    }
+}
+
+// ====== ENCODING HELPERS ======
+
+// Modules left for data and error correction once the function patterns are drawn
+function getQRRawDataModules(version) {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+        const alignments = Math.floor(version / 7) + 2;
+        result -= (25 * alignments - 10) * alignments - 55;
+        if (version >= 7) result -= 36;
+    }
+    return result;
+}
+
+function getQRDataCodewords(version, level) {
+    return Math.floor(getQRRawDataModules(version) / 8) -
+        QR_ECC_CODEWORDS_PER_BLOCK[level.index][version] * QR_ERROR_CORRECTION_BLOCKS[level.index][version];
+}
+
+// Centres of the alignment patterns along each axis
+function getQRAlignmentPositions(version) {
+    if (version === 1) return [];
+    const count = Math.floor(version / 7) + 2;
+    const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+    const positions = [6];
+    for (let position = version * 4 + 10; positions.length < count; position -= step) {
+        positions.splice(1, 0, position);
+    }
+    return positions;
+}
+
+// Byte mode header, the bytes, then terminator and padding up to the version's capacity
+function packQRData(bytes, version, level) {
+    const bits = [];
+    const push = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+
+    push(0b0100, 4);
+    push(bytes.length, version < 10 ? 8 : 16);
+    bytes.forEach(byte => push(byte, 8));
+
+    const capacity = getQRDataCodewords(version, level) * 8;
+    push(0, Math.min(4, capacity - bits.length));
+    push(0, (8 - bits.length % 8) % 8);
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+    for (let pad = 0xEC; codewords.length < capacity / 8; pad ^= 0xEC ^ 0x11) {
+        codewords.push(pad);
+    }
+    return codewords;
+}
+
+// Split into blocks, add Reed-Solomon codewords to each, then interleave the blocks
+function addQRErrorCorrection(data, version, level) {
+    const blockCount = QR_ERROR_CORRECTION_BLOCKS[level.index][version];
+    const eccLength = QR_ECC_CODEWORDS_PER_BLOCK[level.index][version];
+    const rawCodewords = Math.floor(getQRRawDataModules(version) / 8);
+    const shortBlocks = blockCount - rawCodewords % blockCount;
+    const shortLength = Math.floor(rawCodewords / blockCount);
+    const divisor = getReedSolomonDivisor(eccLength);
+
+    const blocks = [];
+    for (let i = 0, offset = 0; i < blockCount; i++) {
+        const block = data.slice(offset, offset + shortLength - eccLength + (i < shortBlocks ? 0 : 1));
+        offset += block.length;
+        const ecc = getReedSolomonRemainder(block, divisor);
+        // Short blocks get a placeholder so all blocks line up when interleaved
+        if (i < shortBlocks) block.push(0);
+        blocks.push(block.concat(ecc));
+    }
+
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+        blocks.forEach((block, j) => {
+            if (i !== shortLength - eccLength || j >= shortBlocks) result.push(block[i]);
+        });
+    }
+    return result;
+}
+
+// Multiply in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+function multiplyGF256(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+        z = (z << 1) ^ ((z >>> 7) * 0x11D);
+        z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+}
+
+function getReedSolomonDivisor(degree) {
+    const result = new Array(degree - 1).fill(0).concat([1]);
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < result.length; j++) {
+            result[j] = multiplyGF256(result[j], root);
+            if (j + 1 < result.length) result[j] ^= result[j + 1];
+        }
+        root = multiplyGF256(root, 0x02);
+    }
+    return result;
+}
+
+function getReedSolomonRemainder(data, divisor) {
+    const result = new Array(divisor.length).fill(0);
+    data.forEach(byte => {
+        const factor = byte ^ result.shift();
+        result.push(0);
+        divisor.forEach((coefficient, i) => {
+            result[i] ^= multiplyGF256(coefficient, factor);
+        });
+    });
+    return result;
+}
+
+function escapeQRAttribute(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
+
+function loadQRLogo(src) {
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => resolve(image);
+        image.onerror = () => reject(new Error('Could not load the QR code logo'));
+        image.src = src;
+    });
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { QR_ERROR_CORRECTION, QRCode };
+}
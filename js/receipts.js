@@ -0,0 +1,440 @@
+/**
+ * Kitchen Tickets and Customer Receipts
+ * Turns one stall's share of an order (an app order from toAppOrder(), built
+ * from orders, order_items and order_payments) into a kitchen ticket or a
+ * customer receipt, either as ESC/POS bytes for a thermal printer
+ * (js/escpos.js) or as an HTML page for the browser's print dialog.
+ *
+ * The printer is attached to the hawker's own phone or tablet, so which
+ * printer to use is a per-device setting kept in localStorage.
+ *
+ * Needs js/app.js (utils), js/data-store.js and js/escpos.js.
+ */
+
+// ============================================
+// CONFIGURATION
+// ============================================
+const RECEIPT_CONFIG = {
+    // localStorage key of this device's printer settings
+    SETTINGS_KEY: 'printerSettings',
+
+    DEFAULT_SETTINGS: {
+        // 'browser' (print dialog), 'usb' (WebUSB) or 'serial' (Web Serial)
+        connection: 'browser',
+        // Paper width in mm: 58 or 80
+        paperWidth: 58,
+        // Print a kitchen ticket for every new order on the Orders page
+        autoPrint: false,
+        // ...and the customer's receipt after it
+        autoPrintReceipt: false,
+        // Web Serial only
+        baudRate: 9600
+    },
+
+    // Characters per line at the printer's normal font
+    COLUMNS: { 58: 32, 80: 48 },
+
+    FOOTER: 'Thank you! Terima kasih!'
+};
+
+// ============================================
+// PRINTER SETTINGS
+// ============================================
+
+function getPrinterSettings() {
+    const saved = JSON.parse(localStorage.getItem(RECEIPT_CONFIG.SETTINGS_KEY) || '{}');
+    return { ...RECEIPT_CONFIG.DEFAULT_SETTINGS, ...saved };
+}
+
+function savePrinterSettings(changes) {
+    const settings = { ...getPrinterSettings(), ...changes };
+    localStorage.setItem(RECEIPT_CONFIG.SETTINGS_KEY, JSON.stringify(settings));
+    return settings;
+}
+
+// ============================================
+// CONTENT
+// Both layouts print the same lines; only the rendering differs.
+// ============================================
+
+/**
+ * The parts of an order one stall prints
+ * @param {Object} order - App order (toAppOrder)
+ * @param {string} stallId - The printing stall
+ * @returns {Object} { stallName, orderId, tableNumber, tableName, tableZone, placedAt, items, payment, totals }
+ */
+function getStallPrintout(order, stallId) {
+    const stallOrder = order.stallOrders.find(stall => String(stall.stallId) === String(stallId));
+    if (!stallOrder) {
+        throw new Error(`Order ${order.orderId} has no items from this stall`);
+    }
+
+    // Rejected items stay on the printout, struck out, but aren't charged
+    const charged = stallOrder.items.filter(item => item.status !== 'cancelled');
+
+    return {
+        stallName: stallOrder.stallName,
+        orderId: order.orderId,
+        tableNumber: order.tableNumber,
+        // Floor plan name and zone when the food court has one
+        tableName: order.tableName || order.tableNumber,
+        tableZone: order.tableZone || null,
+        placedAt: new Date(order.timestamp),
+        items: stallOrder.items,
+        payment: stallOrder,
+        totals: getCartTotals(charged)
+    };
+}
+
+function formatPrintDate(date) {
+    return date.toLocaleString('en-MY', {
+        day: '2-digit',
+        month: 'short',
+        year: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit',
+        hour12: true
+    });
+}
+
+// Table name, then its zone if the food court has a floor plan (HTML receipt)
+function formatPrintTable(printout) {
+    return printout.tableZone ? `${printout.tableName}, ${printout.tableZone}` : printout.tableName;
+}
+
+function describePayment(payment) {
+    if (!payment.isPaid) return 'NOT PAID';
+    const via = { provider: 'online', cash: 'cash', qr: 'DuitNow QR' }[payment.paymentMethod];
+    return via ? `PAID - ${via}` : 'PAID';
+}
+
+function getServiceChargeLabel() {
+    return `Service charge (${Math.round(DATA_CONFIG.SERVICE_CHARGE_RATE * 100)}%)`;
+}
+
+// ============================================
+// ESC/POS
+// ============================================
+
+/**
+ * Kitchen ticket: big table number, items with their options and notes, no prices
+ * @param {Object} order - App order
+ * @param {string} stallId - The printing stall
+ * @param {Object} settings - Printer settings (paperWidth)
+ * @returns {Uint8Array} ESC/POS bytes
+ */
+function renderKitchenTicketEscPos(order, stallId, settings = getPrinterSettings()) {
+    const printout = getStallPrintout(order, stallId);
+    const columns = RECEIPT_CONFIG.COLUMNS[settings.paperWidth] || RECEIPT_CONFIG.COLUMNS[58];
+    const encoder = new EscPosEncoder(columns);
+
+    encoder
+        .align('center').bold().line(printout.stallName).bold(false)
+        .size(true, true).line(`TABLE ${printout.tableName}`, columns / 2).size();
+    if (printout.tableZone) encoder.bold().line(printout.tableZone).bold(false);
+    encoder
+        .line(printout.orderId)
+        .line(formatPrintDate(printout.placedAt))
+        .align('left').rule();
+
+    printout.items.forEach(item => {
+        const cancelled = item.status === 'cancelled';
+        encoder.size(false, true).bold(!cancelled)
+            .line(`${item.quantity} x ${item.name}${cancelled ? ' - CANCELLED' : ''}`)
+            .bold(false).size();
+        item.modifiers.forEach(modifier => encoder.line(`  + ${modifier.name}`));
+        if (item.notes) encoder.line(`  * ${item.notes}`);
+    });
+
+    return encoder.rule().newline(2).cut().encode();
+}
+
+/**
+ * Customer receipt: items with prices, the service charge breakdown and
+ * whether the stall has been paid
+ * @param {Object} order - App order
+ * @param {string} stallId - The printing stall
+ * @param {Object} settings - Printer settings (paperWidth)
+ * @param {Object} options - { foodCourtName }
+ * @returns {Uint8Array} ESC/POS bytes
+ */
+function renderReceiptEscPos(order, stallId, settings = getPrinterSettings(), { foodCourtName } = {}) {
+    const printout = getStallPrintout(order, stallId);
+    const columns = RECEIPT_CONFIG.COLUMNS[settings.paperWidth] || RECEIPT_CONFIG.COLUMNS[58];
+    const encoder = new EscPosEncoder(columns);
+
+    encoder.align('center').bold().size(true, true).line(printout.stallName, columns / 2).size().bold(false);
+    if (foodCourtName) encoder.line(foodCourtName);
+    encoder
+        .line('RECEIPT')
+        .align('left').rule()
+        .columnsLine('Order', printout.orderId)
+        .columnsLine('Table', printout.tableName);
+    // The zone gets its own line, as on the kitchen ticket, so a long one wraps
+    if (printout.tableZone) encoder.align('right').line(printout.tableZone).align('left');
+    encoder
+        .columnsLine('Date', formatPrintDate(printout.placedAt))
+        .rule();
+
+    printout.items.forEach(item => {
+        const cancelled = item.status === 'cancelled';
+        encoder.columnsLine(
+            `${item.quantity} x ${item.name}`,
+            cancelled ? 'CANCELLED' : (item.price * item.quantity).toFixed(2)
+        );
+        item.modifiers.forEach(modifier => encoder.line(`  + ${modifier.name}`));
+        if (item.notes) encoder.line(`  ${item.notes}`);
+        if (cancelled && item.cancelReason) encoder.line(`  ${item.cancelReason} - refunded`);
+    });
+
+    encoder
+        .rule()
+        .columnsLine('Subtotal', printout.totals.subtotal.toFixed(2))
+        .columnsLine(getServiceChargeLabel(), printout.totals.serviceCharge.toFixed(2))
+        .bold().columnsLine('TOTAL', `RM ${printout.totals.total.toFixed(2)}`).bold(false)
+        .rule()
+        .align('center')
+        .bold().line(describePayment(printout.payment)).bold(false)
+        .newline()
+        .line(RECEIPT_CONFIG.FOOTER);
+
+    return encoder.newline(2).cut().encode();
+}
+
+// ============================================
+// HTML (browser print dialog)
+// ============================================
+
+function renderPrintPage(title, paperWidth, body) {
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="UTF-8">
+<title>${utils.escapeHtml(title)}</title>
+<style>
+    @page { size: ${paperWidth}mm auto; margin: 0; }
+    body { width: ${paperWidth - 8}mm; margin: 0 auto; padding: 4mm 0; font: 12px/1.35 'Courier New', monospace; color: #000; }
+    h1, h2, p { margin: 0; text-align: center; }
+    h1 { font-size: 16px; }
+    h2 { font-size: 22px; margin: 2mm 0; }
+    hr { border: none; border-top: 1px dashed #000; margin: 2mm 0; }
+    table { width: 100%; border-collapse: collapse; }
+    td { vertical-align: top; padding: 0.5mm 0; }
+    td.amount { text-align: right; white-space: nowrap; padding-left: 2mm; }
+    .ticket td { font-size: 15px; font-weight: bold; }
+    .note { font-size: 11px; font-style: italic; font-weight: normal; padding-left: 4mm; }
+    .cancelled { text-decoration: line-through; }
+    .total td { font-weight: bold; font-size: 14px; }
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+}
+
+function renderItemNotes(item, withReason) {
+    let notes = item.modifiers.map(modifier => `<div class="note">+ ${utils.escapeHtml(modifier.name)}</div>`).join('');
+    if (item.notes) notes += `<div class="note">${utils.escapeHtml(item.notes)}</div>`;
+    if (withReason && item.status === 'cancelled' && item.cancelReason) {
+        notes += `<div class="note">${utils.escapeHtml(item.cancelReason)} - refunded</div>`;
+    }
+    return notes;
+}
+
+/**
+ * Kitchen ticket as a printable HTML page
+ * @returns {string} HTML document
+ */
+function renderKitchenTicketHtml(order, stallId, settings = getPrinterSettings()) {
+    const printout = getStallPrintout(order, stallId);
+
+    return renderPrintPage(`Ticket ${printout.orderId}`, settings.paperWidth, `
+        <h1>${utils.escapeHtml(printout.stallName)}</h1>
+        <h2>TABLE ${utils.escapeHtml(printout.tableName)}</h2>
+        ${printout.tableZone ? `<p><strong>${utils.escapeHtml(printout.tableZone)}</strong></p>` : ''}
+        <p>${utils.escapeHtml(printout.orderId)}</p>
+        <p>${utils.escapeHtml(formatPrintDate(printout.placedAt))}</p>
+        <hr>
+        <table class="ticket">
+            ${printout.items.map(item => `
+                <tr class="${item.status === 'cancelled' ? 'cancelled' : ''}">
+                    <td>${item.quantity} x ${utils.escapeHtml(item.name)}${renderItemNotes(item, false)}</td>
+                </tr>
+            `).join('')}
+        </table>
+        <hr>
+    `);
+}
+
+/**
+ * Customer receipt as a printable HTML page
+ * @returns {string} HTML document
+ */
+function renderReceiptHtml(order, stallId, settings = getPrinterSettings(), { foodCourtName } = {}) {
+    const printout = getStallPrintout(order, stallId);
+
+    return renderPrintPage(`Receipt ${printout.orderId}`, settings.paperWidth, `
+        <h1>${utils.escapeHtml(printout.stallName)}</h1>
+        ${foodCourtName ? `<p>${utils.escapeHtml(foodCourtName)}</p>` : ''}
+        <p>RECEIPT</p>
+        <hr>
+        <table>
+            <tr><td>Order</td><td class="amount">${utils.escapeHtml(printout.orderId)}</td></tr>
+            <tr><td>Table</td><td class="amount">${utils.escapeHtml(formatPrintTable(printout))}</td></tr>
+            <tr><td>Date</td><td class="amount">${utils.escapeHtml(formatPrintDate(printout.placedAt))}</td></tr>
+        </table>
+        <hr>
+        <table>
+            ${printout.items.map(item => `
+                <tr class="${item.status === 'cancelled' ? 'cancelled' : ''}">
+                    <td>${item.quantity} x ${utils.escapeHtml(item.name)}${renderItemNotes(item, true)}</td>
+                    <td class="amount">${item.status === 'cancelled' ? 'CANCELLED' : (item.price * item.quantity).toFixed(2)}</td>
+                </tr>
+            `).join('')}
+        </table>
+        <hr>
+        <table>
+            <tr><td>Subtotal</td><td class="amount">${printout.totals.subtotal.toFixed(2)}</td></tr>
+            <tr><td>${utils.escapeHtml(getServiceChargeLabel())}</td><td class="amount">${printout.totals.serviceCharge.toFixed(2)}</td></tr>
+            <tr class="total"><td>TOTAL</td><td class="amount">RM ${printout.totals.total.toFixed(2)}</td></tr>
+        </table>
+        <hr>
+        <p><strong>${utils.escapeHtml(describePayment(printout.payment))}</strong></p>
+        <p>${utils.escapeHtml(RECEIPT_CONFIG.FOOTER)}</p>
+    `);
+}
+
+// ============================================
+// PRINTING
+// ============================================
+
+// One job at a time: two new orders arriving together must not interleave
+let printQueue = Promise.resolve();
+
+/**
+ * Ask the browser for a thermal printer (needs a tap, so call it from a button)
+ * @param {string} connection - 'usb' or 'serial'
+ * @returns {Promise<string>} The printer's name
+ */
+async function pairPrinter(connection) {
+    if (connection === 'usb') {
+        if (!navigator.usb) throw new Error('This browser cannot use USB printers (try Chrome)');
+        const device = await navigator.usb.requestDevice({ filters: [] });
+        return device.productName || 'USB printer';
+    }
+    if (connection === 'serial') {
+        if (!navigator.serial) throw new Error('This browser cannot use serial printers (try Chrome on a computer)');
+        await navigator.serial.requestPort();
+        return 'Serial printer';
+    }
+    throw new Error(`Unknown printer connection ${connection}`);
+}
+
+async function sendToUsbPrinter(bytes) {
+    const [device] = await navigator.usb.getDevices();
+    if (!device) throw new Error('No USB printer paired - pair one in Settings');
+
+    await device.open();
+    try {
+        if (!device.configuration) await device.selectConfiguration(1);
+
+        // The printer interface is the one with a bulk OUT endpoint
+        const iface = device.configuration.interfaces.find(candidate =>
+            candidate.alternate.endpoints.some(endpoint => endpoint.direction === 'out')
+        );
+        if (!iface) throw new Error('The USB device has no printer interface');
+
+        const endpoint = iface.alternate.endpoints.find(candidate => candidate.direction === 'out');
+        await device.claimInterface(iface.interfaceNumber);
+        await device.transferOut(endpoint.endpointNumber, bytes);
+        await device.releaseInterface(iface.interfaceNumber);
+    } finally {
+        await device.close();
+    }
+}
+
+async function sendToSerialPrinter(bytes, baudRate) {
+    const [port] = await navigator.serial.getPorts();
+    if (!port) throw new Error('No serial printer paired - pair one in Settings');
+
+    await port.open({ baudRate });
+    try {
+        const writer = port.writable.getWriter();
+        await writer.write(bytes);
+        writer.releaseLock();
+    } finally {
+        await port.close();
+    }
+}
+
+// Print an HTML page from a hidden frame, so the Orders page stays as it is
+function printHtml(html) {
+    return new Promise((resolve) => {
+        const frame = document.createElement('iframe');
+        frame.style.cssText = 'position: fixed; width: 0; height: 0; border: 0;';
+        frame.onload = () => {
+            frame.contentWindow.focus();
+            frame.contentWindow.print();
+            // print() returns once the dialog closes (or at once when printing silently)
+            setTimeout(() => {
+                frame.remove();
+                resolve();
+            }, 1000);
+        };
+        frame.srcdoc = html;
+        document.body.appendChild(frame);
+    });
+}
+
+/**
+ * Print a kitchen ticket or a receipt on this device's printer
+ * @param {string} kind - 'ticket' or 'receipt'
+ * @param {Object} order - App order
+ * @param {string} stallId - The printing stall
+ * @param {Object} options - { foodCourtName } for receipts
+ * @returns {Promise<void>}
+ */
+function printOrder(kind, order, stallId, options = {}) {
+    const settings = getPrinterSettings();
+
+    const job = async () => {
+        if (settings.connection === 'browser') {
+            await printHtml(kind === 'receipt'
+                ? renderReceiptHtml(order, stallId, settings, options)
+                : renderKitchenTicketHtml(order, stallId, settings));
+        } else {
+            const bytes = kind === 'receipt'
+                ? renderReceiptEscPos(order, stallId, settings, options)
+                : renderKitchenTicketEscPos(order, stallId, settings);
+            if (settings.connection === 'usb') {
+                await sendToUsbPrinter(bytes);
+            } else if (settings.connection === 'serial') {
+                await sendToSerialPrinter(bytes, settings.baudRate);
+            } else {
+                throw new Error(`Unknown printer connection ${settings.connection}`);
+            }
+        }
+        console.log(`🖨️ Printed ${kind} for`, order.orderId);
+    };
+
+    const printed = printQueue.then(job);
+    printQueue = printed.catch(() => {});
+    return printed;
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        RECEIPT_CONFIG,
+        getPrinterSettings,
+        savePrinterSettings,
+        getStallPrintout,
+        renderKitchenTicketEscPos,
+        renderReceiptEscPos,
+        renderKitchenTicketHtml,
+        renderReceiptHtml,
+        pairPrinter,
+        printOrder
+    };
+}
@@ -0,0 +1,264 @@
+/**
+ * Group Ordering
+ * Phones at the same table can join the table's group order (a table session,
+ * database/migrations/026_table_sessions.sql) under a name. Each diner still
+ * keeps their own cart (js/cart.js); while they are in a group, every change
+ * to it is saved to the group, and the other phones hear about it through
+ * realtime and read the group again. Anyone in the group can then order
+ * everyone's lines as one order, or just their own so they pay their own share.
+ *
+ * Needs js/data-store.js, js/cart.js and js/orders.js.
+ */
+
+// ============================================
+// CONFIGURATION
+// ============================================
+const TABLE_SESSION_CONFIG = {
+    // localStorage key of the group this phone joined:
+    // { sessionId, memberId, memberToken, name, foodCourtId, tableNumber }
+    STORAGE_KEY: 'tableSession'
+};
+
+// Saves run one after another, so an older cart never overwrites a newer one
+let tableSessionSaving = Promise.resolve();
+
+/**
+ * The group this phone is in, if it is still at the same table
+ * @returns {Object|null} { sessionId, memberId, memberToken, name, foodCourtId, tableNumber }
+ */
+function getTableSession() {
+    const session = JSON.parse(localStorage.getItem(TABLE_SESSION_CONFIG.STORAGE_KEY) || 'null');
+    if (!session) return null;
+
+    // Scanning another table's QR code leaves the group
+    if (session.foodCourtId !== localStorage.getItem('foodCourtId')
+        || String(session.tableNumber) !== localStorage.getItem('tableNumber')) {
+        localStorage.removeItem(TABLE_SESSION_CONFIG.STORAGE_KEY);
+        return null;
+    }
+    return session;
+}
+
+/**
+ * Join the group order at the table whose QR code was scanned, starting one if
+ * nobody at the table has. What is already in the cart joins with the diner.
+ * @param {string} name - Name the other diners see
+ * @returns {Promise<Object>} The group (see toAppTableSession())
+ */
+async function joinTableSession(name) {
+    const foodCourtId = localStorage.getItem('foodCourtId');
+    const tableNumber = localStorage.getItem('tableNumber');
+    const tableToken = localStorage.getItem('tableToken');
+    if (!foodCourtId || !tableNumber || !tableToken) {
+        throw new Error('Scan the QR code on your table to order together');
+    }
+
+    const joined = await getDataStore().tableSessions.join(foodCourtId, tableNumber, tableToken, name);
+    localStorage.setItem(TABLE_SESSION_CONFIG.STORAGE_KEY, JSON.stringify({
+        sessionId: joined.session_id,
+        memberId: joined.member_id,
+        memberToken: joined.member_token,
+        name: joined.name,
+        foodCourtId,
+        tableNumber
+    }));
+    console.log('👥 Joined the group order at table', tableNumber, 'as', joined.name);
+
+    return syncTableSessionCart();
+}
+
+/**
+ * Leave the group. The diner's lines that haven't been ordered leave with
+ * them, and stay in this phone's cart.
+ */
+async function leaveTableSession() {
+    const session = getTableSession();
+    if (!session) return;
+
+    try {
+        await getDataStore().tableSessions.saveCart(session.sessionId, session.memberToken, []);
+    } catch (error) {
+        console.warn('⚠️ Could not take your items out of the group:', error.message);
+    }
+    localStorage.removeItem(TABLE_SESSION_CONFIG.STORAGE_KEY);
+}
+
+/**
+ * Save this phone's cart to the group
+ * @returns {Promise<Object|null>} The group, or null when not in one
+ */
+function syncTableSessionCart() {
+    const save = async () => {
+        const session = getTableSession();
+        if (!session) return null;
+
+        // Lines added before lines had IDs get one; saving them comes back here
+        const cart = getCart();
+        if (cart.some(item => !item.lineId)) {
+            saveCart(cart.map(item => ({ ...item, lineId: item.lineId || crypto.randomUUID() })));
+            return null;
+        }
+
+        const group = await getDataStore().tableSessions.saveCart(session.sessionId, session.memberToken, cart);
+        return applyTableSession(group);
+    };
+
+    const saved = tableSessionSaving.then(save);
+    tableSessionSaving = saved.catch(() => null);
+    return saved;
+}
+
+/**
+ * Read the group again
+ * @returns {Promise<Object|null>} The group, or null when not in one
+ */
+async function loadTableSession() {
+    const session = getTableSession();
+    if (!session) return null;
+
+    try {
+        return applyTableSession(await getDataStore().tableSessions.get(session.sessionId, session.memberToken));
+    } catch (error) {
+        // The session is gone (e.g. the food court was removed)
+        if (/Join your table's group order first/.test(error.message || '')) {
+            localStorage.removeItem(TABLE_SESSION_CONFIG.STORAGE_KEY);
+            return null;
+        }
+        throw error;
+    }
+}
+
+// Lines of this phone's cart that someone in the group has ordered leave the cart
+function applyTableSession(group) {
+    const ordered = new Set(group.items.filter(item => item.ordered).map(item => String(item.id)));
+    const cart = getCart();
+    const left = cart.filter(item => !ordered.has(String(item.lineId)));
+    if (left.length !== cart.length) {
+        saveCart(left);
+    }
+    return toAppTableSession(group);
+}
+
+/**
+ * Convert get_table_session() to the app format
+ * @param {Object} group - Session as the database returns it
+ * @returns {Object} { sessionId, tableNumber, memberId, members: [{ id, name }],
+ *   items: cart lines with lineId, dinerName, mine, ordered and orderId (null until
+ *   ordered, or when ordered before this diner joined),
+ *   orders: [{ orderId, status, total, timestamp, diners }], placed since this diner joined }
+ */
+function toAppTableSession(group) {
+    return {
+        sessionId: group.id,
+        tableNumber: group.table_number,
+        memberId: group.member_id,
+        members: group.members,
+        items: group.items.map(item => ({
+            ...item.line,
+            lineId: item.id,
+            memberId: item.member_id,
+            dinerName: item.diner_name,
+            mine: String(item.member_id) === String(group.member_id),
+            ordered: item.ordered,
+            orderId: item.order_id
+        })),
+        orders: group.orders.map(order => ({
+            orderId: order.order_id,
+            status: order.status,
+            total: parseFloat(order.total),
+            timestamp: order.created_at,
+            diners: order.diners || []
+        }))
+    };
+}
+
+/**
+ * Follow changes other diners make to the group
+ * @param {Function} callback - Receives the group, read again after each change
+ * @returns {Function} Unsubscribe function
+ */
+function watchTableSession(callback) {
+    const session = getTableSession();
+    if (!session) return () => {};
+
+    return getDataStore().tableSessions.subscribe(session.sessionId, async () => {
+        try {
+            callback(await loadTableSession());
+        } catch (error) {
+            console.warn('⚠️ Could not refresh the group order:', error.message);
+        }
+    });
+}
+
+/**
+ * Order the group's lines nobody has ordered yet, or only this diner's.
+ * Unlike createOrder(), this is not queued without a connection: the group's
+ * cart may have changed by the time it could be sent.
+ * @param {boolean} everyone - Order every diner's lines, not just this diner's
+ * @returns {Promise<Object>} The placed order (app format)
+ */
+async function submitTableSession(everyone) {
+    const session = getTableSession();
+    if (!session) {
+        throw new Error('Join your table\'s group order first');
+    }
+
+    // The group must have this phone's latest cart before it is ordered
+    await syncTableSessionCart();
+
+    const order = await getDataStore().tableSessions.submit(session.sessionId, session.memberToken, {
+        everyone,
+        clientRef: crypto.randomUUID(),
+        tableToken: localStorage.getItem('tableToken'),
+        tableScanId: localStorage.getItem('tableScanId')
+    });
+    localStorage.setItem('currentOrderId', order.order_id);
+
+    await loadTableSession();
+    return toAppOrder(order);
+}
+
+/**
+ * What each diner's items in a group order come to, with their part of the
+ * service charge. Cancelled items are left out, as they are refunded.
+ * @param {Object} order - Order (app format)
+ * @returns {Array} [{ name, subtotal, serviceCharge, total }]
+ */
+function getDinerShares(order) {
+    const subtotals = {};
+    order.items.filter(item => item.status !== 'cancelled').forEach(item => {
+        const name = item.dinerName || 'Others';
+        subtotals[name] = (subtotals[name] || 0) + item.price * item.quantity;
+    });
+
+    const rate = DATA_CONFIG.SERVICE_CHARGE_RATE;
+    return Object.entries(subtotals).map(([name, subtotal]) => ({
+        name,
+        subtotal,
+        serviceCharge: subtotal * rate,
+        total: subtotal * (1 + rate)
+    }));
+}
+
+// Every cart change made on this phone goes to the group
+if (typeof window !== 'undefined') {
+    window.addEventListener('cartUpdated', () => {
+        syncTableSessionCart().catch(error => console.warn('⚠️ Could not save your items to the group:', error.message));
+    });
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TABLE_SESSION_CONFIG,
+        getTableSession,
+        joinTableSession,
+        leaveTableSession,
+        syncTableSessionCart,
+        loadTableSession,
+        toAppTableSession,
+        watchTableSession,
+        submitTableSession,
+        getDinerShares
+    };
+}
@@ -0,0 +1,284 @@
+/**
+ * Table Tent Sheets
+ * Lays out table QR codes for the print shop. Each table gets a card with the
+ * food court's name and logo, the table number, its QR code and how to order
+ * in English, Malay and Chinese. Cards go four to an A4 sheet (cut along the
+ * dashed lines) or one to a folded A4 table tent, and download as one PDF
+ * (js/pdf-writer.js) or as a ZIP of PNG or SVG files (js/zip-writer.js).
+ *
+ * Everything is drawn as SVG in millimetres; PDF pages and PNG files are that
+ * SVG drawn onto a canvas at TENT_CONFIG.PRINT_DPI.
+ */
+
+// ============================================
+// CONFIGURATION
+// ============================================
+const TENT_CONFIG = {
+    // Resolution of PDF pages and PNG files; print shops ask for 300
+    PRINT_DPI: 300,
+    JPEG_QUALITY: 0.92,
+
+    // A4 portrait, mm
+    PAGE_WIDTH: 210,
+    PAGE_HEIGHT: 297,
+
+    // Every card is half an A4 sheet tall
+    CARD_HEIGHT: 148.5,
+
+    INSTRUCTIONS: [
+        { lang: 'en', text: 'Scan to see the menu, order and pay' },
+        { lang: 'ms', text: 'Imbas untuk lihat menu, pesan dan bayar' },
+        { lang: 'zh', text: '扫码查看菜单、点餐和付款' }
+    ],
+
+    FONT_FAMILY: "Arial, 'Noto Sans SC', 'PingFang SC', 'Microsoft YaHei', sans-serif",
+    PRIMARY_COLOR: '#FF6B35',
+    TEXT_COLOR: '#2C3E50',
+    MUTED_COLOR: '#666666',
+    GUIDE_COLOR: '#BBBBBB'
+};
+
+/**
+ * Layouts
+ * - grid: four A6 cards on an A4 sheet, cut apart along the dashed lines
+ * - tent: one table per A4 sheet, folded in half so it stands on the table;
+ *   the top half is upside down so both sides read the right way up
+ */
+const TENT_LAYOUTS = {
+    grid: { cardWidth: 105, cardsPerPage: 4 },
+    tent: { cardWidth: 210, cardsPerPage: 1 }
+};
+
+// ============================================
+// DRAWING
+// ============================================
+
+/**
+ * Draw one table's card, with its top left corner at (0, 0)
+ * @param {Object} card - { foodCourtName, logo, tableNumber, tableName, zoneName, qrImage }
+ *   logo and qrImage are data: URLs; logo, and the floor plan's tableName and
+ *   zoneName, are optional
+ * @param {number} width - Card width in mm (its height is TENT_CONFIG.CARD_HEIGHT)
+ * @returns {string} SVG elements
+ */
+function renderTableTentCard(card, width) {
+    const centre = width / 2;
+    const qrSize = 70;
+    const parts = [];
+
+    // Long names shrink so they still fit across the card
+    const name = String(card.foodCourtName || '');
+    const nameSize = Math.min(6, (width - 16) / Math.max(name.length * 0.6, 1));
+    let nameBaseline = 18;
+
+    // A table on the floor plan goes by its name, e.g. "B12", and says which zone it is in
+    const table = String(card.tableName || card.tableNumber);
+    const tableSize = Math.min(12, (width - 16) / Math.max((table.length + 6) * 0.65, 1));
+    const tableLine = `Meja ${table} · ${table}号桌`;
+
+    if (card.logo) {
+        parts.push(`<image xlink:href="${escapeTentText(card.logo)}" x="${centre - 7}" y="6" width="14" height="14" preserveAspectRatio="xMidYMid meet"/>`);
+        nameBaseline = 27;
+    }
+
+    parts.push(
+        tentText(name, centre, nameBaseline, nameSize, TENT_CONFIG.TEXT_COLOR, 'bold'),
+        tentText(`TABLE ${table}`, centre, 42, tableSize, TENT_CONFIG.PRIMARY_COLOR, 'bold'),
+        tentText(card.zoneName ? `${card.zoneName} · ${tableLine}` : tableLine, centre, 49, 4.5, TENT_CONFIG.MUTED_COLOR),
+        `<image xlink:href="${escapeTentText(card.qrImage)}" x="${centre - qrSize / 2}" y="54" width="${qrSize}" height="${qrSize}"/>`
+    );
+
+    TENT_CONFIG.INSTRUCTIONS.forEach((line, index) => {
+        parts.push(tentText(line.text, centre, 132 + index * 5.5, 4.2, TENT_CONFIG.TEXT_COLOR, 'normal', line.lang));
+    });
+
+    return parts.join('');
+}
+
+/**
+ * Draw the printed pages for a batch of cards
+ * @param {Array<Object>} cards - Cards, as for renderTableTentCard()
+ * @param {string} layout - Key of TENT_LAYOUTS
+ * @returns {Array<Object>} Pages: { svg, width, height } in mm
+ */
+function renderTableTentPages(cards, layout) {
+    const { cardWidth, cardsPerPage } = TENT_LAYOUTS[layout];
+    const pages = [];
+
+    for (let start = 0; start < cards.length; start += cardsPerPage) {
+        const pageCards = cards.slice(start, start + cardsPerPage);
+        pages.push(layout === 'tent'
+            ? renderTentSheet(pageCards[0])
+            : renderGridSheet(pageCards, cardWidth));
+    }
+
+    return pages;
+}
+
+/**
+ * Draw a single table on its own, for the ZIP export: one card for the grid
+ * layout, or the whole folded sheet for the tent layout
+ * @param {Object} card - Card, as for renderTableTentCard()
+ * @param {string} layout - Key of TENT_LAYOUTS
+ * @returns {Object} { svg, width, height } in mm
+ */
+function renderTableTentFile(card, layout) {
+    if (layout === 'tent') {
+        return renderTentSheet(card);
+    }
+
+    const width = TENT_LAYOUTS[layout].cardWidth;
+    return toTentSVG(renderTableTentCard(card, width), width, TENT_CONFIG.CARD_HEIGHT);
+}
+
+function renderGridSheet(cards, cardWidth) {
+    const { PAGE_WIDTH, PAGE_HEIGHT, CARD_HEIGHT } = TENT_CONFIG;
+    const columns = Math.floor(PAGE_WIDTH / cardWidth);
+    const parts = cards.map((card, index) => {
+        const x = (index % columns) * cardWidth;
+        const y = Math.floor(index / columns) * CARD_HEIGHT;
+        return `<g transform="translate(${x} ${y})">${renderTableTentCard(card, cardWidth)}</g>`;
+    });
+
+    // Cut lines between the cards
+    for (let x = cardWidth; x < PAGE_WIDTH; x += cardWidth) {
+        parts.push(guideLine(x, 0, x, PAGE_HEIGHT));
+    }
+    parts.push(guideLine(0, CARD_HEIGHT, PAGE_WIDTH, CARD_HEIGHT));
+
+    return toTentSVG(parts.join(''), PAGE_WIDTH, PAGE_HEIGHT);
+}
+
+function renderTentSheet(card) {
+    const { PAGE_WIDTH, PAGE_HEIGHT, CARD_HEIGHT } = TENT_CONFIG;
+    const side = renderTableTentCard(card, PAGE_WIDTH);
+
+    const content =
+        `<g transform="rotate(180 ${PAGE_WIDTH / 2} ${CARD_HEIGHT / 2})">${side}</g>` +
+        `<g transform="translate(0 ${CARD_HEIGHT})">${side}</g>` +
+        // Fold line
+        guideLine(0, CARD_HEIGHT, PAGE_WIDTH, CARD_HEIGHT);
+
+    return toTentSVG(content, PAGE_WIDTH, PAGE_HEIGHT);
+}
+
+function toTentSVG(content, width, height) {
+    const svg =
+        `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${width}mm" height="${height}mm" viewBox="0 0 ${width} ${height}">` +
+        `<rect width="${width}" height="${height}" fill="#FFFFFF"/>${content}</svg>`;
+    return { svg, width, height };
+}
+
+function tentText(text, x, y, size, color, weight = 'normal', lang = null) {
+    const langAttribute = lang ? ` xml:lang="${lang}"` : '';
+    return `<text x="${x}" y="${y}" font-family="${TENT_CONFIG.FONT_FAMILY}" font-size="${size}" ` +
+        `font-weight="${weight}" fill="${color}" text-anchor="middle"${langAttribute}>${escapeTentText(text)}</text>`;
+}
+
+function guideLine(x1, y1, x2, y2) {
+    return `<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" stroke="${TENT_CONFIG.GUIDE_COLOR}" stroke-width="0.3" stroke-dasharray="2 2"/>`;
+}
+
+function escapeTentText(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// ============================================
+// EXPORT
+// ============================================
+
+/**
+ * Build the download for a batch of table cards
+ * @param {Array<Object>} cards - Cards, as for renderTableTentCard(), in table order
+ * @param {Object} options
+ * @param {string} options.layout - Key of TENT_LAYOUTS (default: 'grid')
+ * @param {string} options.format - 'pdf', 'png' (ZIP of PNGs) or 'svg' (ZIP of SVGs)
+ * @param {Function} options.onProgress - Called with (done, total) as pages are drawn
+ * @returns {Promise<Blob>} PDF or ZIP file
+ */
+async function exportTableTents(cards, { layout = 'grid', format = 'pdf', onProgress = () => {} } = {}) {
+    if (!TENT_LAYOUTS[layout]) {
+        throw new Error(`Unknown table tent layout: ${layout}`);
+    }
+    if (cards.length === 0) {
+        throw new Error('No tables to print');
+    }
+
+    if (format === 'pdf') {
+        const pdf = new PdfWriter();
+        const pages = renderTableTentPages(cards, layout);
+
+        for (let i = 0; i < pages.length; i++) {
+            const { bytes, pixelWidth, pixelHeight } = await rasterizeTentSVG(pages[i], 'image/jpeg');
+            pdf.addJpegPage(bytes, pixelWidth, pixelHeight, pages[i].width, pages[i].height);
+            onProgress(i + 1, pages.length);
+        }
+        return pdf.toBlob();
+    }
+
+    if (format !== 'png' && format !== 'svg') {
+        throw new Error(`Unknown table tent format: ${format}`);
+    }
+
+    const zip = new ZipWriter();
+    for (let i = 0; i < cards.length; i++) {
+        const file = renderTableTentFile(cards[i], layout);
+        const name = `table-${String(cards[i].tableNumber).padStart(2, '0')}.${format}`;
+
+        if (format === 'svg') {
+            zip.addFile(name, file.svg);
+        } else {
+            zip.addFile(name, (await rasterizeTentSVG(file, 'image/png')).bytes);
+        }
+        onProgress(i + 1, cards.length);
+    }
+    return zip.toBlob();
+}
+
+/**
+ * Draw a page or file onto a canvas at TENT_CONFIG.PRINT_DPI
+ * @param {Object} page - { svg, width, height } in mm
+ * @param {string} type - 'image/jpeg' or 'image/png'
+ * @returns {Promise<Object>} { bytes, pixelWidth, pixelHeight }
+ */
+function rasterizeTentSVG(page, type) {
+    const pixelWidth = Math.round(page.width / 25.4 * TENT_CONFIG.PRINT_DPI);
+    const pixelHeight = Math.round(page.height / 25.4 * TENT_CONFIG.PRINT_DPI);
+
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => {
+            const canvas = document.createElement('canvas');
+            canvas.width = pixelWidth;
+            canvas.height = pixelHeight;
+            const context = canvas.getContext('2d');
+            context.drawImage(image, 0, 0, pixelWidth, pixelHeight);
+
+            canvas.toBlob(async blob => {
+                if (!blob) {
+                    reject(new Error('Page could not be drawn'));
+                    return;
+                }
+                resolve({ bytes: new Uint8Array(await blob.arrayBuffer()), pixelWidth, pixelHeight });
+            }, type, TENT_CONFIG.JPEG_QUALITY);
+        };
+        image.onerror = () => reject(new Error('Page image could not be loaded'));
+        image.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(page.svg);
+    });
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TENT_CONFIG,
+        TENT_LAYOUTS,
+        renderTableTentCard,
+        renderTableTentPages,
+        renderTableTentFile,
+        exportTableTents
+    };
+}
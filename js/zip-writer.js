@@ -0,0 +1,137 @@
+/**
+ * ZIP Writer
+ * Packs files into a .zip in the browser, so a batch of printouts downloads
+ * as one file. Files are stored without compression: PNG and JPEG are
+ * already compressed, and every unzip tool opens stored entries.
+ */
+
+const ZIP_SIGNATURE = {
+    LOCAL_FILE: 0x04034b50,
+    CENTRAL_DIRECTORY: 0x02014b50,
+    END_OF_CENTRAL_DIRECTORY: 0x06054b50
+};
+
+// General purpose flag bit 11: file names are UTF-8
+const ZIP_UTF8_FLAG = 0x0800;
+
+class ZipWriter {
+    constructor() {
+        this.entries = [];
+        this.chunks = [];
+        this.offset = 0;
+    }
+
+    /**
+     * Add a file
+     * @param {string} name - Path inside the ZIP, e.g. 'table-01.png'
+     * @param {Uint8Array|string} data - File contents (strings are saved as UTF-8)
+     * @param {Date} date - Modified time (default: now)
+     */
+    addFile(name, data, date = new Date()) {
+        const nameBytes = new TextEncoder().encode(name);
+        const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+        const entry = {
+            nameBytes,
+            crc: getCRC32(bytes),
+            size: bytes.length,
+            time: toDosTime(date),
+            date: toDosDate(date),
+            offset: this.offset
+        };
+
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, ZIP_SIGNATURE.LOCAL_FILE, true);
+        header.setUint16(4, 20, true);                 // version needed: 2.0
+        header.setUint16(6, ZIP_UTF8_FLAG, true);
+        header.setUint16(8, 0, true);                  // method: stored
+        header.setUint16(10, entry.time, true);
+        header.setUint16(12, entry.date, true);
+        header.setUint32(14, entry.crc, true);
+        header.setUint32(18, entry.size, true);        // compressed size
+        header.setUint32(22, entry.size, true);        // uncompressed size
+        header.setUint16(26, nameBytes.length, true);
+        header.setUint16(28, 0, true);                 // extra field length
+
+        this.push(new Uint8Array(header.buffer), nameBytes, bytes);
+        this.entries.push(entry);
+        return this;
+    }
+
+    /**
+     * Finish the ZIP
+     * @returns {Blob} application/zip
+     */
+    toBlob() {
+        const directoryOffset = this.offset;
+
+        this.entries.forEach(entry => {
+            const header = new DataView(new ArrayBuffer(46));
+            header.setUint32(0, ZIP_SIGNATURE.CENTRAL_DIRECTORY, true);
+            header.setUint16(4, 20, true);             // version made by
+            header.setUint16(6, 20, true);             // version needed
+            header.setUint16(8, ZIP_UTF8_FLAG, true);
+            header.setUint16(10, 0, true);
+            header.setUint16(12, entry.time, true);
+            header.setUint16(14, entry.date, true);
+            header.setUint32(16, entry.crc, true);
+            header.setUint32(20, entry.size, true);
+            header.setUint32(24, entry.size, true);
+            header.setUint16(28, entry.nameBytes.length, true);
+            // Extra field, comment, disk number and attributes stay 0
+            header.setUint32(42, entry.offset, true);
+            this.push(new Uint8Array(header.buffer), entry.nameBytes);
+        });
+
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, ZIP_SIGNATURE.END_OF_CENTRAL_DIRECTORY, true);
+        end.setUint16(8, this.entries.length, true);   // entries on this disk
+        end.setUint16(10, this.entries.length, true);  // entries in total
+        end.setUint32(12, this.offset - directoryOffset, true);
+        end.setUint32(16, directoryOffset, true);
+        this.push(new Uint8Array(end.buffer));
+
+        return new Blob(this.chunks, { type: 'application/zip' });
+    }
+
+    push(...parts) {
+        parts.forEach(part => {
+            this.chunks.push(part);
+            this.offset += part.length;
+        });
+    }
+}
+
+let crc32Table = null;
+
+function getCRC32(bytes) {
+    if (!crc32Table) {
+        crc32Table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crc32Table[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crc32Table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// MS-DOS time and date, in local time, as ZIP headers store them
+function toDosTime(date) {
+    return (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+}
+
+function toDosDate(date) {
+    return (Math.max(date.getFullYear() - 1980, 0) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ZipWriter, getCRC32 };
+}
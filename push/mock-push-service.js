@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+/**
+ * Mock Push Service
+ * A local stand-in for a browser's push service (FCM, Mozilla autopush, ...)
+ * for testing push/push-sender.js without a real browser. It hands out
+ * subscriptions like PushManager.subscribe() does, keeps their private keys,
+ * and for every push it receives checks the VAPID signature, decrypts the
+ * message and logs it.
+ *
+ *   node push/mock-push-service.js [port]        # default 8089
+ *
+ *   GET    /subscribe      new subscription (PushSubscription.toJSON() shape);
+ *                          insert it into push_subscriptions (it is plain HTTP,
+ *                          which save_push_subscription() refuses)
+ *   POST   /push/:id       push endpoint used by the sender
+ *   DELETE /push/:id       unsubscribe; later pushes get 410 Gone
+ *   GET    /messages       every message received so far
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const { base64UrlEncode, base64UrlDecode, hkdf } = require('./push-sender.js');
+
+const subscriptions = new Map();
+const messages = [];
+
+function createSubscription(origin) {
+    const id = crypto.randomBytes(8).toString('hex');
+    const ecdh = crypto.createECDH('prime256v1');
+    ecdh.generateKeys();
+    const auth = crypto.randomBytes(16);
+
+    subscriptions.set(id, { ecdh, auth });
+    return {
+        endpoint: `${origin}/push/${id}`,
+        expirationTime: null,
+        keys: { p256dh: base64UrlEncode(ecdh.getPublicKey()), auth: base64UrlEncode(auth) }
+    };
+}
+
+/**
+ * Check the "vapid t=..., k=..." header the way a push service does
+ * @returns {string|null} Why it was refused, or null when valid
+ */
+function checkVapid(authorization, origin) {
+    const match = /^vapid t=([\w-]+)\.([\w-]+)\.([\w-]+), k=([\w-]+)$/.exec(authorization || '');
+    if (!match) return 'missing or malformed vapid Authorization header';
+
+    const [, header, claims, signature, publicKey] = match;
+    const point = base64UrlDecode(publicKey);
+    const key = crypto.createPublicKey({
+        format: 'jwk',
+        key: {
+            kty: 'EC',
+            crv: 'P-256',
+            x: base64UrlEncode(point.subarray(1, 33)),
+            y: base64UrlEncode(point.subarray(33))
+        }
+    });
+    const valid = crypto.verify('sha256', Buffer.from(`${header}.${claims}`), {
+        key,
+        dsaEncoding: 'ieee-p1363'
+    }, base64UrlDecode(signature));
+    if (!valid) return 'VAPID signature does not verify';
+
+    const { aud, exp, sub } = JSON.parse(base64UrlDecode(claims).toString());
+    if (aud !== origin) return `VAPID audience ${aud} is not ${origin}`;
+    if (!exp || exp * 1000 < Date.now() || exp * 1000 > Date.now() + 24 * 60 * 60 * 1000) return 'VAPID token expiry is out of range';
+    if (!/^(mailto:|https:)/.test(sub || '')) return 'VAPID subject must be a mailto: or https: URL';
+    return null;
+}
+
+// What the browser does with an aes128gcm body (RFC 8291)
+function decrypt(body, { ecdh, auth }) {
+    const salt = body.subarray(0, 16);
+    const keyLength = body.readUInt8(20);
+    const senderKey = body.subarray(21, 21 + keyLength);
+    const record = body.subarray(21 + keyLength);
+
+    const ikm = hkdf(ecdh.computeSecret(senderKey), auth,
+        Buffer.concat([Buffer.from('WebPush: info\0'), ecdh.getPublicKey(), senderKey]), 32);
+    const contentKey = hkdf(ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16);
+    const nonce = hkdf(ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12);
+
+    const decipher = crypto.createDecipheriv('aes-128-gcm', contentKey, nonce);
+    decipher.setAuthTag(record.subarray(record.length - 16));
+    const plain = Buffer.concat([decipher.update(record.subarray(0, record.length - 16)), decipher.final()]);
+
+    // Strip the padding delimiter (2 for the last record) and any zero padding
+    return plain.subarray(0, plain.lastIndexOf(2)).toString();
+}
+
+function reply(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(body === undefined ? '' : JSON.stringify(body, null, 2));
+}
+
+function handle(req, res, origin) {
+    const [, route, id] = new URL(req.url, origin).pathname.split('/');
+
+    if (req.method === 'GET' && route === 'subscribe') {
+        return reply(res, 200, createSubscription(origin));
+    }
+    if (req.method === 'GET' && route === 'messages') {
+        return reply(res, 200, messages);
+    }
+    if (route !== 'push' || !id) {
+        return reply(res, 404, { error: 'Not found' });
+    }
+    if (req.method === 'DELETE') {
+        subscriptions.delete(id);
+        return reply(res, 204);
+    }
+
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+        const subscription = subscriptions.get(id);
+        if (!subscription) {
+            console.log(`🚫 Push to unknown subscription ${id} -> 410`);
+            return reply(res, 410, { error: 'Subscription is gone' });
+        }
+
+        const refused = checkVapid(req.headers.authorization, origin)
+            || (req.headers['content-encoding'] !== 'aes128gcm' ? 'Content-Encoding must be aes128gcm' : null)
+            || (!req.headers.ttl ? 'TTL header is required' : null);
+        if (refused) {
+            console.log(`🚫 Push to ${id} refused: ${refused}`);
+            return reply(res, 400, { error: refused });
+        }
+
+        try {
+            const message = JSON.parse(decrypt(Buffer.concat(chunks), subscription));
+            messages.push({ subscription: id, receivedAt: new Date().toISOString(), message });
+            console.log(`📬 Push to ${id}:`, JSON.stringify(message));
+            reply(res, 201);
+        } catch (error) {
+            console.log(`🚫 Push to ${id} could not be decrypted: ${error.message}`);
+            reply(res, 400, { error: 'Payload could not be decrypted' });
+        }
+    });
+}
+
+if (require.main === module) {
+    const port = Number(process.argv[2] || 8089);
+    const origin = `http://localhost:${port}`;
+    http.createServer((req, res) => handle(req, res, origin)).listen(port, () => {
+        console.log(`🧪 Mock push service on ${origin} - GET ${origin}/subscribe for a subscription`);
+    });
+}
+
+module.exports = { createSubscription, checkVapid, decrypt };
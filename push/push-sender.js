@@ -0,0 +1,332 @@
+#!/usr/bin/env node
+/**
+ * Web Push Sender
+ * Sends "your order is ready" style alerts to customers whose tracking tab is
+ * closed. The database queues a row in push_outbox whenever a subscribed order
+ * changes status (database/migrations/014_push_subscriptions.sql); this process
+ * claims those rows through psql, encrypts the message for each browser
+ * subscription (RFC 8291, aes128gcm) and posts it to the subscription's push
+ * service, signed with the VAPID key (RFC 8292). Rows are only marked sent
+ * once delivered; failed ones are sent again. Only Node and psql are needed.
+ *
+ *   node push/push-sender.js keys     # print a new VAPID key pair
+ *   node push/push-sender.js once     # send what is queued, then exit
+ *   node push/push-sender.js          # keep polling
+ *
+ * Environment: DATABASE_URL, VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY and
+ * VAPID_SUBJECT (a mailto: or https: contact for the push services).
+ * The public key also goes in config/push.js for the browser.
+ */
+
+const crypto = require('crypto');
+const { runSql } = require('../database/migrate.js');
+
+// ============================================
+// CONFIGURATION
+// ============================================
+const PUSH_CONFIG = {
+    // How often (ms) to look for queued pushes
+    POLL_INTERVAL: 3000,
+
+    // Queued pushes claimed per round
+    BATCH_SIZE: 50,
+
+    // How long (s) a push service keeps a message for an offline phone
+    TTL: 15 * 60,
+
+    // How long (s) a VAPID token is valid; push services accept up to 24 hours
+    VAPID_TOKEN_LIFETIME: 12 * 60 * 60,
+
+    // Same wording as the tracking page's ProgressTracker
+    STATUS_MESSAGES: {
+        pending: { title: 'Order Confirmed! 🎉', body: 'Your order has been placed successfully' },
+        preparing: { title: 'Cooking Started! 👨‍🍳', body: 'Your food is being prepared with love' },
+        ready: { title: 'Order Ready! ✅', body: 'Your delicious food is ready for pickup!' },
+        completed: { title: 'Enjoy Your Meal! 🎉', body: 'Thank you for your order. Bon appétit!' },
+        cancelled: { title: 'Order Cancelled ❌', body: 'Your order has been cancelled and will be refunded' }
+    }
+};
+
+// ============================================
+// ENCODING
+// ============================================
+
+function base64UrlEncode(buffer) {
+    return Buffer.from(buffer).toString('base64url');
+}
+
+function base64UrlDecode(text) {
+    return Buffer.from(text, 'base64url');
+}
+
+/**
+ * HKDF-SHA-256 (extract and expand)
+ * @returns {Buffer} length bytes
+ */
+function hkdf(ikm, salt, info, length) {
+    return Buffer.from(crypto.hkdfSync('sha256', ikm, salt, info, length));
+}
+
+// ============================================
+// VAPID (RFC 8292)
+// Keys are base64url: the public key as an uncompressed P-256 point (65 bytes),
+// the private key as the 32-byte scalar - the format PushManager.subscribe()
+// takes as applicationServerKey.
+// ============================================
+
+/**
+ * @returns {Object} { publicKey, privateKey } base64url
+ */
+function generateVapidKeys() {
+    const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+    const jwk = privateKey.export({ format: 'jwk' });
+    return {
+        publicKey: base64UrlEncode(Buffer.concat([Buffer.from([4]), base64UrlDecode(jwk.x), base64UrlDecode(jwk.y)])),
+        privateKey: jwk.d
+    };
+}
+
+function vapidPrivateKeyObject({ publicKey, privateKey }) {
+    const point = base64UrlDecode(publicKey);
+    if (point.length !== 65 || point[0] !== 4) {
+        throw new Error('VAPID public key must be an uncompressed P-256 point (65 bytes, base64url)');
+    }
+    return crypto.createPrivateKey({
+        format: 'jwk',
+        key: {
+            kty: 'EC',
+            crv: 'P-256',
+            x: base64UrlEncode(point.subarray(1, 33)),
+            y: base64UrlEncode(point.subarray(33)),
+            d: privateKey
+        }
+    });
+}
+
+/**
+ * Authorization header value for one push service
+ * @param {string} endpoint - Subscription endpoint (its origin is the audience)
+ * @param {Object} vapid - { publicKey, privateKey, subject }
+ * @returns {string} "vapid t=<JWT>, k=<public key>"
+ */
+function vapidAuthorization(endpoint, vapid) {
+    const header = base64UrlEncode(JSON.stringify({ typ: 'JWT', alg: 'ES256' }));
+    const claims = base64UrlEncode(JSON.stringify({
+        aud: new URL(endpoint).origin,
+        exp: Math.floor(Date.now() / 1000) + PUSH_CONFIG.VAPID_TOKEN_LIFETIME,
+        sub: vapid.subject
+    }));
+    const signature = crypto.sign('sha256', Buffer.from(`${header}.${claims}`), {
+        key: vapidPrivateKeyObject(vapid),
+        dsaEncoding: 'ieee-p1363'
+    });
+    return `vapid t=${header}.${claims}.${base64UrlEncode(signature)}, k=${vapid.publicKey}`;
+}
+
+// ============================================
+// MESSAGE ENCRYPTION (RFC 8291 / RFC 8188 aes128gcm)
+// ============================================
+
+/**
+ * Encrypt a message for one browser subscription
+ * @param {Object} subscription - { endpoint, keys: { p256dh, auth } }
+ * @param {string} payload - Message text (JSON)
+ * @returns {Buffer} Request body: salt, record size, sender key, then the record
+ */
+function encryptPayload(subscription, payload) {
+    const userAgentKey = base64UrlDecode(subscription.keys.p256dh);
+    const authSecret = base64UrlDecode(subscription.keys.auth);
+
+    const sender = crypto.createECDH('prime256v1');
+    sender.generateKeys();
+    const senderKey = sender.getPublicKey();
+    const sharedSecret = sender.computeSecret(userAgentKey);
+
+    const ikm = hkdf(sharedSecret, authSecret,
+        Buffer.concat([Buffer.from('WebPush: info\0'), userAgentKey, senderKey]), 32);
+    const salt = crypto.randomBytes(16);
+    const contentKey = hkdf(ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16);
+    const nonce = hkdf(ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12);
+
+    // A single record: the message followed by the last-record delimiter
+    const cipher = crypto.createCipheriv('aes-128-gcm', contentKey, nonce);
+    const record = Buffer.concat([
+        cipher.update(Buffer.concat([Buffer.from(payload), Buffer.from([2])])),
+        cipher.final(),
+        cipher.getAuthTag()
+    ]);
+
+    const header = Buffer.alloc(21);
+    salt.copy(header, 0);
+    header.writeUInt32BE(4096, 16);
+    header.writeUInt8(senderKey.length, 20);
+
+    return Buffer.concat([header, senderKey, record]);
+}
+
+/**
+ * Send one message to one subscription
+ * @param {Object} subscription - { endpoint, keys: { p256dh, auth } }
+ * @param {Object} message - Shown by the service worker's push handler
+ * @param {Object} vapid - { publicKey, privateKey, subject }
+ * @returns {Promise<Object>} { ok, gone, status }; gone means the browser
+ *   unsubscribed and the subscription should be deleted
+ */
+async function sendPush(subscription, message, vapid) {
+    const response = await fetch(subscription.endpoint, {
+        method: 'POST',
+        headers: {
+            Authorization: vapidAuthorization(subscription.endpoint, vapid),
+            'Content-Encoding': 'aes128gcm',
+            'Content-Type': 'application/octet-stream',
+            TTL: String(PUSH_CONFIG.TTL),
+            Urgency: 'high'
+        },
+        body: encryptPayload(subscription, JSON.stringify(message))
+    });
+
+    return {
+        ok: response.ok,
+        gone: response.status === 404 || response.status === 410,
+        status: response.status
+    };
+}
+
+// ============================================
+// SENDER
+// ============================================
+
+function getVapidConfig() {
+    const vapid = {
+        publicKey: process.env.VAPID_PUBLIC_KEY,
+        privateKey: process.env.VAPID_PRIVATE_KEY,
+        subject: process.env.VAPID_SUBJECT
+    };
+    if (!vapid.publicKey || !vapid.privateKey || !vapid.subject) {
+        throw new Error('Set VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY and VAPID_SUBJECT (node push/push-sender.js keys makes a key pair)');
+    }
+    return vapid;
+}
+
+function quoteLiteral(value) {
+    return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+function buildMessage(orderId, status) {
+    const text = PUSH_CONFIG.STATUS_MESSAGES[status] || { title: `Order ${orderId}`, body: `Your order is now ${status}` };
+    return {
+        title: text.title,
+        body: `${text.body} (${orderId})`,
+        // Same tag as the tracking page's own notifications, so one replaces the other
+        tag: 'order-update',
+        data: { orderId, status }
+    };
+}
+
+/**
+ * Claim queued pushes and send them
+ * @param {Object} vapid - { publicKey, privateKey, subject }
+ * @returns {Promise<number>} Pushes delivered
+ */
+async function sendQueuedPushes(vapid) {
+    const [[claimed] = []] = runSql(`SELECT claim_push_messages(${PUSH_CONFIG.BATCH_SIZE})::TEXT;`, { rows: true });
+    const messages = JSON.parse(claimed || '[]');
+
+    let delivered = 0;
+    const gone = [];
+    // Per outbox row: the subscriptions that got it, and whether any other
+    // one failed. A failed row is handed back and only those are tried again.
+    const results = [];
+
+    for (const { id, orderId, status, subscriptions } of messages) {
+        const message = buildMessage(orderId, status);
+        const result = { id, delivered: [], failed: false };
+
+        for (const subscription of subscriptions) {
+            try {
+                const response = await sendPush(subscription, message, vapid);
+                if (response.ok) {
+                    delivered++;
+                    result.delivered.push(subscription.id);
+                } else if (response.gone) {
+                    gone.push(subscription.id);
+                } else {
+                    result.failed = true;
+                    console.warn(`⚠️ Push for ${orderId} refused by ${new URL(subscription.endpoint).host} (HTTP ${response.status})`);
+                }
+            } catch (error) {
+                result.failed = true;
+                console.warn(`⚠️ Push for ${orderId} failed:`, error.message);
+            }
+        }
+
+        results.push(result);
+    }
+
+    if (messages.length) {
+        const goneArray = `ARRAY[${gone.map(quoteLiteral).join(', ')}]::UUID[]`;
+        runSql(`SELECT finish_push_messages(${quoteLiteral(JSON.stringify(results))}::JSONB, ${goneArray});`);
+        console.log(`📬 Sent ${delivered} push(es) for ${messages.length} status change(s)`);
+    }
+    if (gone.length) {
+        console.log(`🗑️ Removed ${gone.length} expired subscription(s)`);
+    }
+    const failed = results.filter(result => result.failed).length;
+    if (failed) {
+        console.log(`🔁 ${failed} status change(s) will be sent again to the browsers that missed them`);
+    }
+    return delivered;
+}
+
+async function run() {
+    const vapid = getVapidConfig();
+    console.log(`📡 Watching push_outbox every ${PUSH_CONFIG.POLL_INTERVAL / 1000}s`);
+
+    for (;;) {
+        try {
+            await sendQueuedPushes(vapid);
+        } catch (error) {
+            console.error('❌ Error sending pushes:', error.message);
+        }
+        await new Promise(resolve => setTimeout(resolve, PUSH_CONFIG.POLL_INTERVAL));
+    }
+}
+
+async function main(args) {
+    switch (args[0]) {
+        case 'keys': {
+            const { publicKey, privateKey } = generateVapidKeys();
+            console.log(`VAPID_PUBLIC_KEY=${publicKey}`);
+            console.log(`VAPID_PRIVATE_KEY=${privateKey}`);
+            break;
+        }
+        case 'once':
+            await sendQueuedPushes(getVapidConfig());
+            break;
+        case undefined:
+            await run();
+            break;
+        default:
+            console.log('Usage: node push/push-sender.js [keys | once]');
+            process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).catch(error => {
+        console.error('❌', error.message);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = {
+    PUSH_CONFIG,
+    base64UrlEncode,
+    base64UrlDecode,
+    hkdf,
+    generateVapidKeys,
+    vapidAuthorization,
+    encryptPayload,
+    sendPush,
+    sendQueuedPushes
+};
@@ -1,16 +1,57 @@
 // Service Worker for Background Notifications
 // This allows notifications to work even when browser tab is closed
 
-const CACHE_NAME = 'sarawak-food-court-v1';
-const urlsToCache = [
+// Offline order queue (IndexedDB), replayed by the 'sync-orders' Background Sync
+importScripts('/js/order-queue.js');
+
+// Bump on every deploy that changes a file in APP_SHELL: the new worker
+// precaches the new files and activate deletes every cache of older versions
+const CACHE_VERSION = 'v13';
+const CACHES = {
+    shell: `sarawak-food-court-shell-${CACHE_VERSION}`,      // APP_SHELL, cache-first
+    static: `sarawak-food-court-static-${CACHE_VERSION}`,    // other scripts, styles, CDN libraries
+    images: `sarawak-food-court-images-${CACHE_VERSION}`,    // menu and stall images
+    data: `sarawak-food-court-data-${CACHE_VERSION}`         // menu data, last good response
+};
+
+// How long (ms) to wait for the network before answering data from the cache
+const NETWORK_TIMEOUT = 3000;
+
+// Images kept at most; the oldest are dropped first
+const MAX_CACHED_IMAGES = 60;
+
+// Supabase tables whose reads may be served from the cache when offline.
+// Only the public catalogue - orders, payments and accounts depend on who asks.
+const CACHEABLE_TABLES = ['food_courts', 'hawker_stalls', 'menu_items'];
+
+// What a customer needs to browse, order and track without a connection
+const APP_SHELL = [
     '/',
+    '/index.html',
+    '/offline.html',
+    '/manifest.json',
     '/customer/home.html',
     '/customer/menu.html',
+    '/customer/cart.html',
+    '/customer/payment.html',
     '/customer/order-tracking.html',
     '/css/main.css',
     '/css/customer.css',
     '/css/notifications.css',
+    '/css/responsive.css',
+    '/config/supabase.js',
+    '/config/push.js',
+    '/js/data-store.js',
     '/js/app.js',
+    '/js/customer.js',
+    '/js/cart.js',
+    '/js/table-session.js',
+    '/js/orders.js',
+    '/js/order-queue.js',
+    '/js/payments.js',
+    '/js/duitnow.js',
+    '/js/qr-encoder.js',
+    '/js/qr-code-manager.js',
     '/js/notifications.js'
 ];
 
@@ -18,10 +59,10 @@ const urlsToCache = [
 self.addEventListener('install', (event) => {
     console.log('🔧 Service Worker installing...');
     event.waitUntil(
-        caches.open(CACHE_NAME)
+        caches.open(CACHES.shell)
             .then((cache) => {
                 console.log('📦 Caching app files');
-                return cache.addAll(urlsToCache);
+                return cache.addAll(APP_SHELL);
             })
     );
 });
@@ -29,17 +70,18 @@ self.addEventListener('install', (event) => {
 // Activate Service Worker
 self.addEventListener('activate', (event) => {
     console.log('✅ Service Worker activated');
+    const current = Object.values(CACHES);
     event.waitUntil(
         caches.keys().then((cacheNames) => {
             return Promise.all(
                 cacheNames.map((cacheName) => {
-                    if (cacheName !== CACHE_NAME) {
+                    if (!current.includes(cacheName)) {
                         console.log('🗑️ Deleting old cache:', cacheName);
                         return caches.delete(cacheName);
                     }
                 })
             );
-        })
+        }).then(() => self.clients.claim())
     );
 });
 
@@ -127,50 +169,156 @@ self.addEventListener('notificationclick', (event) => {
 
 // Handle Background Sync (for offline support)
 self.addEventListener('sync', (event) => {
-    if (event.tag === 'sync-orders') {
+    if (event.tag === ORDER_QUEUE_CONFIG.SYNC_TAG) {
         console.log('🔄 Syncing orders in background...');
         event.waitUntil(syncOrders());
     }
 });
 
 async function syncOrders() {
-    // Sync any pending orders when connection is restored
+    // Send orders queued while offline; a network failure rejects, so the browser retries later
+    let settled;
     try {
-        const cache = await caches.open('orders-cache');
-        const requests = await cache.keys();
-        
-        for (const request of requests) {
-            const response = await fetch(request);
-            await cache.put(request, response);
-        }
-        
-        console.log('✅ Orders synced successfully');
+        settled = await replayQueuedOrders(sendQueuedRequest);
     } catch (error) {
         console.error('❌ Error syncing orders:', error);
+        throw error;
     }
+
+    console.log('✅ Orders synced successfully');
+    if (!settled.length) return;
+
+    // Open tracking pages pick up the result straight away
+    const clientList = await clients.matchAll({ type: 'window', includeUncontrolled: true });
+    clientList.forEach((client) => client.postMessage({ type: 'QUEUED_ORDERS_SENT' }));
+
+    // The customer may have closed the page while offline
+    if (Notification.permission !== 'granted') return;
+    await Promise.all(settled.filter((entry) => entry.status === 'sent').map((entry) =>
+        self.registration.showNotification('Order Sent', {
+            body: `Your order ${entry.orderId} has reached the stalls`,
+            icon: '/assets/logo.png',
+            tag: `order-${entry.orderId}`,
+            data: { orderId: entry.orderId }
+        })
+    ));
 }
 
-// Fetch event for offline support
+// Fetch event for offline support - one strategy per kind of request
 self.addEventListener('fetch', (event) => {
+    const { request } = event;
+
+    // Placing orders, payments and every other write always go to the network
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    // Supabase REST reads: the public catalogue falls back to its last good
+    // response, everything else is never cached
+    if (url.pathname.includes('/rest/v1/')) {
+        const table = url.pathname.split('/rest/v1/')[1];
+        if (CACHEABLE_TABLES.includes(table)) {
+            event.respondWith(networkFirst(request, CACHES.data));
+        }
+        return;
+    }
+
+    const sameOrigin = url.origin === self.location.origin;
+
+    // Mock backend fixtures (data/*.json)
+    if (sameOrigin && url.pathname.startsWith('/data/')) {
+        event.respondWith(networkFirst(request, CACHES.data));
+        return;
+    }
+
+    if (request.destination === 'image') {
+        event.respondWith(staleWhileRevalidate(request, CACHES.images, MAX_CACHED_IMAGES));
+        return;
+    }
+
+    // Pages: fresh when online, the precached copy (whatever the query string) or the offline page when not
+    if (request.mode === 'navigate') {
+        event.respondWith(
+            networkFirst(request, CACHES.shell, { cacheKey: url.pathname, ignoreSearch: true })
+                .catch(() => caches.match('/offline.html'))
+        );
+        return;
+    }
+
     event.respondWith(
-        caches.match(event.request)
-            .then((response) => {
-                // Return cached version or fetch from network
-                return response || fetch(event.request).then((fetchResponse) => {
-                    // Cache new resources
-                    return caches.open(CACHE_NAME).then((cache) => {
-                        cache.put(event.request, fetchResponse.clone());
-                        return fetchResponse;
-                    });
-                });
-            })
-            .catch(() => {
-                // Return offline page if available
-                return caches.match('/offline.html');
-            })
+        caches.match(request, { cacheName: CACHES.shell })
+            .then((cached) => cached || staleWhileRevalidate(request, CACHES.static))
     );
 });
 
+/**
+ * Network first, but give up on a slow network after NETWORK_TIMEOUT and answer
+ * from the cache. The response still updates the cache when it arrives.
+ * @param {Request} request - Request to answer
+ * @param {string} cacheName - Cache holding the last good response
+ * @param {Object} options - { cacheKey, ignoreSearch }
+ * @returns {Promise<Response>}
+ */
+async function networkFirst(request, cacheName, { cacheKey = request, ignoreSearch = false } = {}) {
+    const cache = await caches.open(cacheName);
+    const network = fetch(request).then((response) => {
+        if (response.ok) {
+            cache.put(cacheKey, response.clone());
+        }
+        return response;
+    });
+
+    try {
+        return await Promise.race([
+            network,
+            new Promise((resolve, reject) => setTimeout(() => reject(new Error('Network timed out')), NETWORK_TIMEOUT))
+        ]);
+    } catch (error) {
+        const cached = await cache.match(cacheKey, { ignoreSearch });
+        if (cached) {
+            console.log('📦 Serving cached copy of', request.url);
+            network.catch(() => {});
+            return cached;
+        }
+        // Nothing cached: keep waiting for (or fail with) the network
+        return network;
+    }
+}
+
+/**
+ * Answer from the cache straight away and refresh it in the background
+ * @param {Request} request - Request to answer
+ * @param {string} cacheName - Cache to use
+ * @param {number} maxEntries - Trim the cache to this many entries (optional)
+ * @returns {Promise<Response>}
+ */
+async function staleWhileRevalidate(request, cacheName, maxEntries) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+
+    const network = fetch(request).then(async (response) => {
+        // Images from other sites come back opaque; they can still be cached
+        if (response.ok || response.type === 'opaque') {
+            await cache.put(request, response.clone());
+            if (maxEntries) {
+                await trimCache(cache, maxEntries);
+            }
+        }
+        return response;
+    });
+
+    if (cached) {
+        network.catch(() => {});
+        return cached;
+    }
+    return network;
+}
+
+async function trimCache(cache, maxEntries) {
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map((key) => cache.delete(key)));
+}
+
 // Handle messages from clients
 self.addEventListener('message', (event) => {
     console.log('📨 Message received in Service Worker:', event.data);